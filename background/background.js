@@ -1,15 +1,40 @@
 // Import services
 import { setupAuth, authManager } from "./services/auth/auth-manager.js";
 import { setupTransformation } from "./services/transformation.js";
-import { setupApi, saveRecipe } from "./services/api.js";
+import { setupApi, saveRecipe, sendQueuedRecipe } from "./services/api.js";
+import { setupSaveQueue, getQueuedSaves, processSaveQueue } from "./services/save-queue.js";
+import { BADGE_STATE, setTabBadge, setQueuedCount, setSignedOut } from "./services/badge.js";
+import { setupNotifier, notify, notifyActiveTab } from "./services/notifier.js";
+import { setupReview, isReviewEnabled, requestReview } from "./services/review.js";
 import { logError } from "../common/error-handler.js";
-import { MESSAGE_TYPES, STORAGE_KEYS } from "../common/constants.js";
+import { MESSAGE_TYPES, STORAGE_KEYS, ERROR_CODES, SKIP_REASONS } from "../common/constants.js";
+import { getSiteRuleForUrl } from "../common/site-rules.js";
+import {
+  SAVE_STATUS,
+  addSaveHistoryEntry,
+  findSavedEntry,
+  getSaveHistoryEntry,
+  migrateLegacySaveHistory,
+  updateSaveHistoryByRequestId,
+} from "../common/save-history.js";
+import { canonicalizeUrl } from "../common/canonical-url.js";
+import { migrateLegacyFolder } from "../common/drive-folder.js";
 
 let isInitialized = false;
 
 // Track in-flight saves per tab to prevent double-save
 const inFlightSaves = new Map();
 const SAVE_TIMEOUT_MS = 90000;
+// How long a save that opens its own tab (retry, linked recipe) waits for the page to
+// load before extracting anyway
+const TAB_LOAD_TIMEOUT_MS = 30000;
+// How many tabs "Save all recipe tabs" works on at once
+const BATCH_CONCURRENCY = 3;
+// Action menu entry holding the account switcher
+const ACCOUNT_MENU_ID = "kukbuk-account";
+const ACCOUNT_ITEM_PREFIX = "kukbuk-account:";
+// Account menu rebuilds run one at a time, so menu IDs never clash
+let accountMenuUpdate = Promise.resolve();
 
 // Initialize background script
 function initBackground() {
@@ -28,22 +53,48 @@ function initBackground() {
     setupAuth();
     setupApi();
     setupTransformation();
+    setupSaveQueue({
+      send: sendQueuedRecipe,
+      onSaved: notifyQueuedSaveLanded,
+      onFailed: notifyQueuedSaveAbandoned,
+    });
+    setupNotifier({ onAction: handleNotificationAction });
+    setupReview();
 
     // Setup message listeners
     setupMessageListeners();
 
     // Set popup state based on current auth (fire-and-forget)
     applyPopupState();
+    refreshQueuedBadge();
 
-    // Keep popup state in sync when auth token changes (e.g. sign-in from popup)
+    // Keep popup state in sync when auth token changes (e.g. sign-in from popup),
+    // the account switcher with the signed-in accounts, and the badge with the offline queue
     chrome.storage.onChanged.addListener((changes, area) => {
-      if (area === "local" && STORAGE_KEYS.FIREBASE_TOKEN in changes) {
+      if (area !== "local") return;
+      if (STORAGE_KEYS.FIREBASE_TOKEN in changes) {
         applyPopupState();
       }
+      if (STORAGE_KEYS.ACCOUNTS in changes || STORAGE_KEYS.USER_ID in changes) {
+        refreshAccountMenu();
+      }
+      // Saves queued by the account that just became active can go out now
+      if (changes[STORAGE_KEYS.USER_ID]?.newValue) {
+        processSaveQueue().catch((error) => logError("Save queue retry error", error));
+      }
+      if (STORAGE_KEYS.SAVE_QUEUE in changes) {
+        setQueuedCount((changes[STORAGE_KEYS.SAVE_QUEUE].newValue || []).length);
+      }
     });
 
+    // Mark pages that were saved before
+    chrome.tabs.onUpdated.addListener(handleTabUpdated);
+
     // Windowless save: toolbar icon click when logged in
     chrome.action.onClicked.addListener(handleActionClick);
+
+    // Keyboard shortcuts (declared under "commands" in the manifest)
+    chrome.commands.onCommand.addListener(handleCommand);
   } catch (error) {
     logError("Error initializing background script", error);
   }
@@ -51,29 +102,44 @@ function initBackground() {
 
 /**
  * Set chrome.action popup to "" (windowless) when authenticated,
- * or "popup/popup.html" when logged out.
+ * or "popup/popup.html" when logged out. The icon is greyed out while logged out.
  */
 async function applyPopupState() {
   try {
     const status = await authManager.checkAuthStatus();
     const popup = status.authenticated ? "" : "popup/popup.html";
     chrome.action.setPopup({ popup });
+    setSignedOut(!status.authenticated);
   } catch (_e) {
     chrome.action.setPopup({ popup: "popup/popup.html" });
+    setSignedOut(true);
   }
 }
 
-/**
- * Send a SHOW_BUBBLE message to a tab; swallow errors (tab may be gone).
- */
-async function sendBubbleToTab(tabId, data) {
+async function refreshQueuedBadge() {
   try {
-    await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.SHOW_BUBBLE, data });
-  } catch (_e) {
-    // Tab gone or no content script — swallow silently
+    setQueuedCount(((await getQueuedSaves()) || []).length);
+  } catch (error) {
+    logError("Could not read save queue", error);
   }
 }
 
+/**
+ * Show a ✓ on pages saved before, once they finish loading. Only the tab URL is known
+ * here (not the page's canonical link), so a few repeat visits go unmarked.
+ * @param {number} tabId - Updated tab
+ * @param {Object} changeInfo - What changed
+ * @param {chrome.tabs.Tab} tab - Tab after the update
+ */
+async function handleTabUpdated(tabId, changeInfo, tab) {
+  if (changeInfo.status !== "complete" || inFlightSaves.has(tabId)) return;
+  const canonicalUrl = canonicalizeUrl(tab?.url);
+  const previousSave = canonicalUrl ? await findPreviousSave(canonicalUrl) : null;
+  // A save may have started while history was being read
+  if (inFlightSaves.has(tabId)) return;
+  setTabBadge(tabId, previousSave ? BADGE_STATE.SAVED : BADGE_STATE.NONE);
+}
+
 /**
  * Ensure the content script is loaded in the given tab.
  * Returns false for restricted pages (chrome://, PDFs, etc.).
@@ -95,27 +161,388 @@ async function ensureContentScript(tabId) {
 
 /**
  * Handle toolbar icon click: windowless save flow.
+ * Sends along the per-site extraction rule for the tab's host, if any.
+ * @param {chrome.tabs.Tab} tab - Tab to save
+ * @param {Object} [options] - Passed on to runSaveFlow()
+ * @param {boolean} [options.allowDuplicate=false] - Save even if the page was saved before
+ * @param {number} [options.reportTabId] - Tab that shows the bubbles, if not `tab`
+ * @param {Object} [options.edits] - Title, tags and notes from the side panel
+ * @param {boolean} [options.allowReview=true] - Honour the "Review before saving" setting
+ * @param {boolean} [options.recipesOnly=false] - Leave pages without recipe markup unsaved
+ * @returns {Promise<Object>} Save result (see runSaveFlow)
+ */
+async function handleActionClick(
+  tab,
+  { allowDuplicate = false, reportTabId, edits, allowReview = true, recipesOnly = false } = {},
+) {
+  // Commands and menus can fire without a tab; runSaveFlow skips those
+  const siteRule = (await getSiteRuleForUrl(tab?.url)) || null;
+  return runSaveFlow(
+    tab,
+    { type: MESSAGE_TYPES.EXTRACT_RECIPE, siteRule },
+    { allowDuplicate, reportTabId, edits, allowReview, recipesOnly },
+  );
+}
+
+/**
+ * Read a tab's page for the side panel without saving it. This runs whenever the panel's
+ * tab changes, so the site rule's expand clicks and print-view fetch are left for the save.
+ * @param {number} tabId - Tab to preview
+ * @returns {Promise<Object>} `{success, preview}` with the page title, URL, structured
+ *   recipe, content stats and the earlier save of the page, or `{success: false, error}`
+ */
+async function getPagePreview(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!(await ensureContentScript(tabId))) {
+    return { success: false, error: "The browser doesn't let extensions read this page" };
+  }
+
+  const siteRule = (await getSiteRuleForUrl(tab.url)) || null;
+  const extractResult = await chrome.tabs.sendMessage(tabId, {
+    type: MESSAGE_TYPES.EXTRACT_PREVIEW,
+    siteRule,
+  });
+  if (!extractResult?.success) {
+    return { success: false, error: extractResult?.error || "Couldn't read page" };
+  }
+
+  const { title, pageUrl, canonicalUrl, structuredData, contentStats } = extractResult.data;
+  return {
+    success: true,
+    preview: {
+      title,
+      pageUrl,
+      structuredData,
+      contentStats,
+      previousSave: await findPreviousSave(canonicalizeUrl(pageUrl, canonicalUrl)),
+    },
+  };
+}
+
+/**
+ * Save from the side panel, with the user's title, tags and notes. The panel already
+ * showed any earlier save, so this one goes ahead regardless.
+ * @param {Object} message - SAVE_PAGE message
+ * @returns {Promise<Object>} Save result
+ */
+async function savePageFromPanel({ tabId, title, tags, notes }) {
+  const tab = await chrome.tabs.get(tabId);
+  return handleActionClick(tab, {
+    allowDuplicate: true,
+    edits: { title, tags, notes },
+    allowReview: false,
+  });
+}
+
+/**
+ * Save the recipe behind a link without leaving the current page: the link opens in a
+ * background tab, is saved like any page, and the tab closes again. Progress and the
+ * result show in the page the link was clicked on.
+ * @param {string} linkUrl - Link target
+ * @param {chrome.tabs.Tab} sourceTab - Tab the link was clicked in
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDuplicate=false] - Save even if the page was saved before
+ */
+async function handleSaveLink(linkUrl, sourceTab, { allowDuplicate = false } = {}) {
+  const reportTabId = sourceTab?.id;
+  if (reportTabId) {
+    await notify(reportTabId, {
+      text: "Opening linked recipe…",
+      variant: "loading",
+      duration: 0,
+      closePrevious: true,
+    });
+  }
+
+  let linkTab;
+  try {
+    linkTab = await chrome.tabs.create({
+      url: linkUrl,
+      active: false,
+      ...(sourceTab?.index !== undefined && { index: sourceTab.index + 1 }),
+    });
+    await waitForTabLoad(linkTab.id);
+    const loadedTab = await chrome.tabs.get(linkTab.id).catch(() => linkTab);
+    await handleActionClick(loadedTab, { allowDuplicate, reportTabId });
+  } catch (error) {
+    logError("Save linked recipe error", error);
+    await notify(reportTabId, {
+      text: "Couldn't open that link",
+      variant: "error",
+      duration: 0,
+      dismissible: true,
+      closePrevious: true,
+    });
+  } finally {
+    if (linkTab?.id) {
+      chrome.tabs.remove(linkTab.id).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Save every recipe tab in a window. When several tabs are selected, those are saved as
+ * chosen; otherwise only pages with schema.org Recipe markup go to the backend, so other
+ * open pages don't use up the daily quota. The summary offers to save the skipped pages.
+ * @param {number} windowId - Window to save from
+ */
+async function handleSaveAllTabs(windowId) {
+  const windowTabs = await chrome.tabs.query({ windowId });
+  const highlighted = windowTabs.filter((tab) => tab.highlighted);
+  const selected = highlighted.length > 1;
+  const tabs = (selected ? highlighted : windowTabs).filter((tab) =>
+    /^https?:/.test(tab.url || ""),
+  );
+
+  if (!tabs.length) {
+    await notifyActiveTab({
+      text: "No pages to save in this window",
+      variant: "info",
+      duration: 4000,
+      dismissible: true,
+      closePrevious: true,
+    });
+    return;
+  }
+  await saveTabs(tabs, { recipesOnly: !selected });
+}
+
+/**
+ * Save every tab in the tab group of the given tab. The user grouped them, so they are
+ * all saved, like selected tabs.
+ * @param {chrome.tabs.Tab} tab - Tab whose group to save
+ */
+async function handleSaveTabGroup(tab) {
+  // chrome.tabGroups.TAB_GROUP_ID_NONE, without needing the tabGroups permission
+  const groupTabs = tab?.groupId >= 0 ? await chrome.tabs.query({ groupId: tab.groupId }) : [];
+  const tabs = groupTabs.filter((groupTab) => /^https?:/.test(groupTab.url || ""));
+
+  if (!tabs.length) {
+    await notifyActiveTab({
+      text: groupTabs.length ? "No pages to save in this group" : "This tab isn't in a tab group",
+      variant: "info",
+      duration: 4000,
+      dismissible: true,
+      closePrevious: true,
+    });
+    return;
+  }
+  await saveTabs(tabs);
+}
+
+/**
+ * Retry the tabs a batch save couldn't save or skipped (the summary bubble's action).
+ * Tabs closed in the meantime are left out.
+ * @param {number[]} tabIds - Tabs to save again
+ */
+async function handleSaveTabs(tabIds) {
+  const tabs = await Promise.all(
+    (tabIds || []).map((tabId) => chrome.tabs.get(tabId).catch(() => null)),
+  );
+  const openTabs = tabs.filter(Boolean);
+  if (openTabs.length) await saveTabs(openTabs);
+}
+
+/**
+ * Run the save flow for several tabs, BATCH_CONCURRENCY at a time. Each tab shows its own
+ * progress bubble; the summary shows in the active tab. Once the backend reports the daily
+ * quota is used up, no further tabs are started.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs to save
+ * @param {Object} [options]
+ * @param {boolean} [options.recipesOnly=false] - Skip pages without recipe markup instead
+ *   of sending them; the summary offers to save them after all
+ */
+async function saveTabs(tabs, { recipesOnly = false } = {}) {
+  const counts = { saved: 0, notRecipe: 0, skipped: 0, failed: 0 };
+  const failedTabIds = [];
+  const skippedTabIds = [];
+  const pending = [...tabs];
+  let quotaReached = false;
+
+  const worker = async () => {
+    while (pending.length && !quotaReached) {
+      const tab = pending.shift();
+      const result = await handleActionClick(tab, { allowReview: false, recipesOnly });
+      if (result?.errorCode === ERROR_CODES.QUOTA_EXCEEDED) quotaReached = true;
+
+      // Queued saves and pages saved before count as saved: they are (or will be) in Drive
+      const status = result?.duplicate ? SAVE_STATUS.SAVED : getSaveStatus(result);
+      if (status === SAVE_STATUS.SAVED || status === SAVE_STATUS.QUEUED) {
+        counts.saved++;
+      } else if (result?.noRecipeMarkup) {
+        counts.skipped++;
+        skippedTabIds.push(tab.id);
+      } else if (status === SAVE_STATUS.NOT_RECIPE) {
+        counts.notRecipe++;
+      } else {
+        counts.failed++;
+        failedTabIds.push(tab.id);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, tabs.length) }, worker));
+
+  // Tabs never started because of the quota can be retried along with the failures
+  counts.failed += pending.length;
+  failedTabIds.push(...pending.map((tab) => tab.id));
+
+  await showBatchSummaryBubble(counts, failedTabIds, skippedTabIds, quotaReached);
+}
+
+/**
+ * @param {{saved: number, notRecipe: number, skipped: number, failed: number}} counts - Tabs
+ *   per outcome
+ * @param {number[]} failedTabIds - Tabs offered for "Retry failed"
+ * @param {number[]} skippedTabIds - Tabs without recipe markup, offered for saving anyway
+ * @param {boolean} quotaReached - Whether the batch stopped at the daily limit
+ */
+async function showBatchSummaryBubble(counts, failedTabIds, skippedTabIds, quotaReached) {
+  const parts = [`Saved ${counts.saved}`];
+  if (counts.notRecipe) {
+    parts.push(`${counts.notRecipe} not ${counts.notRecipe === 1 ? "a recipe" : "recipes"}`);
+  }
+  if (counts.skipped) parts.push(`${counts.skipped} skipped (no recipe markup)`);
+  if (counts.failed) parts.push(`${counts.failed} failed`);
+
+  const retryTabIds = [...failedTabIds, ...skippedTabIds];
+  const bubbleData = {
+    text: parts.join(" · "),
+    variant: counts.failed ? "error" : "success",
+    duration: retryTabIds.length ? 0 : 6000,
+    dismissible: true,
+    closePrevious: true,
+  };
+  if (quotaReached) {
+    bubbleData.detail = "Daily recipe limit reached — try the rest tomorrow";
+  }
+  // Retried tabs go to the backend as they are, which decides whether they hold a recipe
+  if (retryTabIds.length) {
+    let label = "Retry failed";
+    if (!failedTabIds.length) label = "Save skipped";
+    else if (skippedTabIds.length) label = "Retry failed and skipped";
+    bubbleData.action = {
+      label,
+      message: { type: MESSAGE_TYPES.SAVE_TABS, tabIds: retryTabIds },
+    };
+  }
+  await notifyActiveTab(bubbleData);
+}
+
+/**
+ * Handle a keyboard shortcut. Saves run the same flow as the toolbar icon.
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Active tab when the shortcut was pressed
+ */
+async function handleCommand(command, tab) {
+  if (command === "open-recipe-creator") {
+    openRecipeCreator();
+    return;
+  }
+
+  const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!activeTab) return;
+
+  if (command === "save-recipe") {
+    await handleActionClick(activeTab);
+  } else if (command === "save-selection") {
+    await runSaveFlow(activeTab, {
+      type: MESSAGE_TYPES.EXTRACT_SELECTION,
+      includeEnclosingBlock: false,
+    });
+  }
+}
+
+function openRecipeCreator() {
+  chrome.windows.create({
+    url: chrome.runtime.getURL("recipe-creator/recipe-creator.html"),
+    type: "popup",
+    width: 440,
+    height: 340,
+  });
+}
+
+/**
+ * Let the user point at the recipe block, then save just that element.
+ * Picking has no timeout; the regular save timeout starts once an element is chosen.
+ */
+async function handlePickRecipe(tab) {
+  const tabId = tab && tab.id;
+  if (!tabId || inFlightSaves.has(tabId)) return;
+
+  const ready = await ensureContentScript(tabId);
+  if (!ready) return;
+
+  let pickResult;
+  try {
+    pickResult = await chrome.tabs.sendMessage(tabId, {
+      type: MESSAGE_TYPES.PICK_RECIPE_ELEMENT,
+    });
+  } catch (_e) {
+    // Tab navigated away or closed while picking
+    return;
+  }
+
+  // Esc cancels silently
+  if (!pickResult || !pickResult.success) return;
+
+  await runSaveFlow(tab, { type: MESSAGE_TYPES.EXTRACT_PICKED_ELEMENT });
+}
+
+/**
+ * Windowless save flow shared by the toolbar icon and context menu entries.
+ * @param {chrome.tabs.Tab} tab - Tab to save from
+ * @param {Object} extractMessage - Message asking the content script for the payload
+ *   (EXTRACT_RECIPE for the whole page, EXTRACT_SELECTION for highlighted text,
+ *   EXTRACT_PICKED_ELEMENT for the block chosen with the picker)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDuplicate=false] - Skip the "already saved" check
+ * @param {number} [options.reportTabId] - Tab that shows the bubbles, if not the saved tab
+ *   (link saves run in a background tab)
+ * @param {Object} [options.edits] - `{title, tags, notes}` entered in the side panel
+ * @param {boolean} [options.allowReview=true] - Open the review window first when the
+ *   "Review before saving" setting is on (batch and side panel saves don't)
+ * @param {boolean} [options.recipesOnly=false] - Don't send pages without schema.org
+ *   Recipe markup to the backend (batch saves of a whole window)
+ * @returns {Promise<Object>} Save result; `{skipped, skipReason}` when nothing was attempted,
+ *   `{duplicate}` when the page was saved before, `{cancelled}` when the review window was
+ *   closed, `{noRecipeMarkup}` when recipesOnly left the page alone, `{timedOut}` or
+ *   `{error, errorCode}` on failure
  */
-async function handleActionClick(tab) {
+async function runSaveFlow(
+  tab,
+  extractMessage,
+  { allowDuplicate = false, reportTabId, edits = {}, allowReview = true, recipesOnly = false } = {},
+) {
   const tabId = tab && tab.id;
-  if (!tabId) return;
+  if (!tabId) return { skipped: true, skipReason: SKIP_REASONS.NO_TAB };
+  reportTabId = reportTabId || tabId;
 
   // Double-click guard: ignore if a save is already in flight for this tab
-  if (inFlightSaves.has(tabId)) return;
+  if (inFlightSaves.has(tabId)) return { skipped: true, skipReason: SKIP_REASONS.IN_FLIGHT };
   inFlightSaves.set(tabId, true);
+  setTabBadge(reportTabId, BADGE_STATE.SAVING);
 
+  const startedAt = Date.now();
+  let canonicalUrl = null;
   let result;
   let timeoutId;
   try {
+    let resolveTimeout;
     const timeoutPromise = new Promise((resolve) => {
-      timeoutId = setTimeout(() => resolve({ timedOut: true }), SAVE_TIMEOUT_MS);
+      resolveTimeout = resolve;
     });
+    // Restarted after a review: time spent in the review window doesn't count
+    const startTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => resolveTimeout({ timedOut: true }), SAVE_TIMEOUT_MS);
+    };
+    startTimeout();
 
     const saveWork = async () => {
       const ready = await ensureContentScript(tabId);
-      if (!ready) return { skipped: true };
+      if (!ready) return { skipped: true, skipReason: SKIP_REASONS.UNREADABLE };
 
-      await sendBubbleToTab(tabId, {
+      await notify(reportTabId, {
         text: "Saving recipe…",
         variant: "loading",
         duration: 0,
@@ -124,65 +551,183 @@ async function handleActionClick(tab) {
 
       let extractResult;
       try {
-        extractResult = await chrome.tabs.sendMessage(tabId, {
-          type: MESSAGE_TYPES.EXTRACT_RECIPE,
-        });
+        extractResult = await chrome.tabs.sendMessage(tabId, extractMessage);
       } catch (_e) {
-        return { error: "Couldn't read page" };
+        return { error: "Couldn't read page", errorCode: ERROR_CODES.EXTRACTION_FAILED };
       }
 
       if (!extractResult || !extractResult.success) {
-        return { error: extractResult?.error || "Couldn't read page" };
+        return {
+          error: extractResult?.error || "Couldn't read page",
+          errorCode: ERROR_CODES.EXTRACTION_FAILED,
+        };
       }
 
-      return await saveRecipe({
+      const stats = extractResult.data.contentStats;
+      if (stats) {
+        console.log(
+          `Content cleanup (${stats.strategy}): ` +
+            `${stats.originalSize} -> ${stats.cleanedSize} chars`,
+        );
+      }
+
+      canonicalUrl = canonicalizeUrl(extractResult.data.pageUrl, extractResult.data.canonicalUrl);
+      // Only whole-page saves: a selection or picked block may be another part of the page
+      if (!allowDuplicate && extractMessage.type === MESSAGE_TYPES.EXTRACT_RECIPE) {
+        const previousSave = await findPreviousSave(canonicalUrl);
+        if (previousSave) return { duplicate: previousSave };
+      }
+      if (recipesOnly && !extractResult.data.structuredData) return { noRecipeMarkup: true };
+
+      let recipeData = {
         pageContent: extractResult.data.pageContent,
         pageUrl: extractResult.data.pageUrl,
-        title: extractResult.data.title,
-      });
+        title: edits.title || extractResult.data.title,
+        structuredData: extractResult.data.structuredData,
+        tags: edits.tags,
+        notes: edits.notes,
+      };
+
+      if (allowReview && (await isReviewEnabled())) {
+        clearTimeout(timeoutId);
+        recipeData = await reviewBeforeSave(recipeData, reportTabId);
+        if (!recipeData) return { cancelled: true };
+        startTimeout();
+      }
+
+      return await saveRecipe(recipeData);
     };
 
     result = await Promise.race([saveWork(), timeoutPromise]);
   } catch (e) {
-    result = { error: e.message || "Save failed" };
+    result = {
+      error: e.message || "Save failed",
+      errorCode: e.code || ERROR_CODES.UNKNOWN_ERROR,
+      requestId: e.requestId,
+    };
   } finally {
     clearTimeout(timeoutId);
     inFlightSaves.delete(tabId);
   }
 
-  if (result?.skipped) return;
+  // A link save's result belongs to the linked page, not the tab showing the bubbles
+  setTabBadge(reportTabId, reportTabId === tabId ? getBadgeState(result) : BADGE_STATE.NONE);
 
-  if (result?.timedOut) {
-    await sendBubbleToTab(tabId, {
-      text: "Save timed out",
+  if (result?.cancelled) {
+    await notify(reportTabId, {
+      text: "Save cancelled",
+      variant: "info",
+      duration: 2500,
+      closePrevious: true,
+    });
+    return result;
+  }
+
+  if (result?.noRecipeMarkup) {
+    await notify(reportTabId, {
+      text: "Skipped: no recipe markup on this page",
+      variant: "info",
+      duration: 2500,
+      closePrevious: true,
+    });
+    return result;
+  }
+
+  // The content script couldn't be injected; the bubble can't show on this page either,
+  // so this usually ends up as a notification
+  if (result?.skipped) {
+    await notify(reportTabId, {
+      text: reportTabId === tabId ? "Can't save this page" : "Couldn't read that page",
       variant: "error",
+      detail: "The browser doesn't let extensions read pages like this one",
       duration: 0,
       dismissible: true,
       closePrevious: true,
     });
-    return;
+    return result;
   }
 
-  if (!result?.success) {
-    await sendBubbleToTab(tabId, {
-      text: result?.error || "Couldn't save",
+  if (result?.duplicate) {
+    await showAlreadySavedBubble(reportTabId, result.duplicate, tab.url);
+    return result;
+  }
+
+  const historyId = await recordSaveAttempt(
+    tab,
+    result,
+    startedAt,
+    canonicalUrl || canonicalizeUrl(tab.url),
+  );
+  // Offered when the failure ends up as a notification (e.g. the tab was closed)
+  const retry = historyId && { type: MESSAGE_TYPES.RETRY_SAVE, id: historyId };
+
+  if (result?.timedOut) {
+    await notify(
+      reportTabId,
+      {
+        text: "Save timed out",
+        variant: "error",
+        duration: 0,
+        dismissible: true,
+        closePrevious: true,
+      },
+      { retry },
+    );
+    return result;
+  }
+
+  if (result?.queued) {
+    await notify(reportTabId, {
+      text: "Saved for later",
+      variant: "info",
+      detail: "We'll send it to Drive once the connection is back",
+      duration: 6000,
+      dismissible: true,
+      closePrevious: true,
+    });
+    return result;
+  }
+
+  // Every save would fail the same way, so point the user at the setting instead of Retry
+  if (result?.errorCode === ERROR_CODES.FOLDER_REQUIRED) {
+    await notify(reportTabId, {
+      text: "No Drive folder chosen",
       variant: "error",
+      detail: "Pick the folder your recipes go to, then save again",
       duration: 0,
       dismissible: true,
       closePrevious: true,
+      action: { label: "Choose folder", message: { type: MESSAGE_TYPES.CHOOSE_FOLDER } },
     });
-    return;
+    return result;
+  }
+
+  if (!result?.success) {
+    await notify(
+      reportTabId,
+      {
+        text: result?.error || "Couldn't save",
+        variant: "error",
+        duration: 0,
+        dismissible: true,
+        closePrevious: true,
+        // Lets the user quote the request ID when reporting the failure
+        copyRef: result?.requestId,
+      },
+      { retry },
+    );
+    return result;
   }
 
   if (result.isRecipe === false) {
-    await sendBubbleToTab(tabId, {
+    await notify(reportTabId, {
       text: "Not a recipe page",
       variant: "error",
       duration: 0,
       dismissible: true,
       closePrevious: true,
     });
-    return;
+    return result;
   }
 
   const bubbleData = {
@@ -192,10 +737,290 @@ async function handleActionClick(tab) {
     closePrevious: true,
     dismissible: false,
   };
+  // Saves parsed from schema.org markup skip the AI step — tell the user which path ran
+  if (result.extractionSource) {
+    bubbleData.detail = "Read from the page's recipe markup";
+  }
   if (result.driveUrl) {
     bubbleData.link = { url: result.driveUrl, label: "Open ↗" };
   }
-  await sendBubbleToTab(tabId, bubbleData);
+  await notify(reportTabId, bubbleData);
+  return result;
+}
+
+/**
+ * Let the user edit the save in the review window before it is sent.
+ * @param {Object} recipeData - What would be sent to saveRecipe()
+ * @param {number} reportTabId - Tab showing the bubbles
+ * @returns {Promise<Object|null>} recipeData with the user's edits, or null if cancelled
+ */
+async function reviewBeforeSave(recipeData, reportTabId) {
+  setTabBadge(reportTabId, BADGE_STATE.NONE);
+  await notify(reportTabId, {
+    text: "Review the recipe before it's saved",
+    variant: "info",
+    detail: "Close the review window to cancel",
+    duration: 0,
+    closePrevious: true,
+  });
+
+  const reviewed = await requestReview({
+    title: recipeData.title,
+    pageUrl: recipeData.pageUrl,
+    pageContent: recipeData.pageContent,
+  });
+  if (!reviewed) return null;
+
+  setTabBadge(reportTabId, BADGE_STATE.SAVING);
+  await notify(reportTabId, {
+    text: "Saving recipe…",
+    variant: "loading",
+    duration: 0,
+    closePrevious: true,
+  });
+  return {
+    ...recipeData,
+    title: reviewed.title || recipeData.title,
+    pageContent: reviewed.pageContent || recipeData.pageContent,
+    tags: reviewed.tags,
+    notes: reviewed.notes,
+  };
+}
+
+/**
+ * Look up an earlier successful save of the same page. History is best-effort:
+ * if it can't be read, the save goes ahead.
+ * @param {string|null} canonicalUrl - Normalized page URL
+ * @returns {Promise<Object|null>} Earlier history entry
+ */
+async function findPreviousSave(canonicalUrl) {
+  try {
+    return (await findSavedEntry(canonicalUrl)) || null;
+  } catch (error) {
+    logError("Could not check save history", error);
+    return null;
+  }
+}
+
+/**
+ * Offer "open / save again" instead of creating another Drive file.
+ * @param {number} tabId - Tab to show the bubble in
+ * @param {Object} previousSave - Earlier history entry for the page
+ * @param {string} pageUrl - Page being saved (may differ from the bubble's tab for link saves)
+ */
+async function showAlreadySavedBubble(tabId, previousSave, pageUrl) {
+  const savedOn = new Date(previousSave.timestamp).toLocaleDateString();
+  const bubbleData = {
+    text: "Already saved",
+    variant: "info",
+    detail: `${previousSave.recipeName || previousSave.title || "This recipe"} · ${savedOn}`,
+    duration: 0,
+    dismissible: true,
+    closePrevious: true,
+    action: { label: "Save again", message: { type: MESSAGE_TYPES.SAVE_AGAIN, url: pageUrl } },
+  };
+  if (previousSave.driveUrl) {
+    bubbleData.link = { url: previousSave.driveUrl, label: "Open ↗" };
+  }
+  await notify(tabId, bubbleData);
+}
+
+/**
+ * Add a save attempt to the local history. Never throws: history is best-effort.
+ * @param {chrome.tabs.Tab} tab - Tab the save started from
+ * @param {Object} result - Save result, or `{error, errorCode}` / `{timedOut}` on failure
+ * @param {number} startedAt - When the save started (ms)
+ * @param {string|null} canonicalUrl - Normalized page URL, for duplicate detection
+ * @returns {Promise<number|undefined>} History entry id, if it was recorded
+ */
+async function recordSaveAttempt(tab, result, startedAt, canonicalUrl) {
+  const status = getSaveStatus(result);
+
+  let errorCode;
+  let error;
+  if (result?.timedOut) {
+    errorCode = ERROR_CODES.TIMEOUT;
+    error = "Save timed out";
+  } else if (status === SAVE_STATUS.FAILED) {
+    errorCode = result?.errorCode || ERROR_CODES.UNKNOWN_ERROR;
+    error = result?.error;
+  }
+
+  try {
+    return await addSaveHistoryEntry({
+      status,
+      url: tab.url || "",
+      canonicalUrl,
+      title: tab.title || "",
+      recipeName: result?.recipeName,
+      driveUrl: result?.driveUrl,
+      isRecipe: result?.isRecipe,
+      timestamp: startedAt,
+      duration: Date.now() - startedAt,
+      errorCode,
+      error,
+      requestId: result?.requestId,
+    });
+  } catch (error) {
+    logError("Could not record save history", error);
+  }
+}
+
+/**
+ * @param {Object} result - Save result
+ * @returns {string} SAVE_STATUS value for the result
+ */
+function getSaveStatus(result) {
+  if (result?.queued) return SAVE_STATUS.QUEUED;
+  if (result?.success) {
+    return result.isRecipe === false ? SAVE_STATUS.NOT_RECIPE : SAVE_STATUS.SAVED;
+  }
+  return SAVE_STATUS.FAILED;
+}
+
+/**
+ * @param {Object} result - Save result
+ * @returns {string} BADGE_STATE for the saved tab
+ */
+function getBadgeState(result) {
+  if (result?.duplicate) return BADGE_STATE.SAVED;
+  if (result?.cancelled || result?.noRecipeMarkup) return BADGE_STATE.NONE;
+  // The window-wide badge counts queued saves
+  if (result?.queued) return BADGE_STATE.NONE;
+  return getSaveStatus(result) === SAVE_STATUS.SAVED ? BADGE_STATE.SAVED : BADGE_STATE.FAILED;
+}
+
+/**
+ * Retry a failed save from the history page: reopen the page and run the usual flow.
+ * @param {number} id - History entry id
+ * @returns {Promise<{success: boolean, error?: string}>} Whether the retry started
+ */
+async function retrySave(id) {
+  const entry = await getSaveHistoryEntry(id);
+  if (!entry?.url) {
+    return { success: false, error: "Save not found" };
+  }
+
+  await reopenAndSave(entry.url);
+  return { success: true };
+}
+
+/**
+ * Open a page in a new tab and save it once loaded. The user asked for this one
+ * explicitly, so it is saved even if an older save exists.
+ * @param {string} url - Page to save
+ */
+async function reopenAndSave(url) {
+  const tab = await chrome.tabs.create({ url, active: true });
+  await waitForTabLoad(tab.id);
+  const loadedTab = await chrome.tabs.get(tab.id).catch(() => tab);
+  handleActionClick(loadedTab, { allowDuplicate: true });
+}
+
+/**
+ * Run a button from a notification (see notifier.js). There's no page behind it, so
+ * saves open the page again.
+ * @param {Object} message - Bubble action or retry message
+ */
+async function handleNotificationAction(message) {
+  try {
+    if (message.type === MESSAGE_TYPES.RETRY_SAVE) {
+      await retrySave(message.id);
+    } else if (message.type === MESSAGE_TYPES.SAVE_AGAIN && message.url) {
+      await reopenAndSave(message.url);
+    } else if (message.type === MESSAGE_TYPES.SAVE_TABS) {
+      await handleSaveTabs(message.tabIds);
+    } else if (message.type === MESSAGE_TYPES.CHOOSE_FOLDER) {
+      openFolderSettings();
+    }
+  } catch (error) {
+    logError("Notification action error", error);
+  }
+}
+
+/**
+ * Open the settings page at the Drive folder picker
+ */
+function openFolderSettings() {
+  chrome.tabs.create({ url: chrome.runtime.getURL("options/options.html#folder-section") });
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") done();
+    };
+    const timer = setTimeout(done, TAB_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Tell the user a queued save finally reached Drive, in whatever tab they're on now.
+ * @param {Object} entry - Queue entry
+ * @param {Object} result - Save result
+ */
+async function notifyQueuedSaveLanded(entry, result) {
+  await updateQueuedSaveHistory(entry, {
+    status: result.isRecipe === false ? SAVE_STATUS.NOT_RECIPE : SAVE_STATUS.SAVED,
+    recipeName: result.recipeName,
+    driveUrl: result.driveUrl,
+    isRecipe: result.isRecipe,
+  });
+
+  const bubbleData = {
+    text: `Saved: ${result.recipeName || entry.title || "queued recipe"}`,
+    variant: "success",
+    detail: "Sent from your offline queue",
+    duration: 6000,
+    dismissible: true,
+    closePrevious: true,
+  };
+  if (result.driveUrl) {
+    bubbleData.link = { url: result.driveUrl, label: "Open ↗" };
+  }
+  await notifyActiveTab(bubbleData);
+}
+
+/**
+ * Tell the user we gave up on a queued save.
+ * @param {Object} entry - Queue entry
+ * @param {Error} error - Last error
+ */
+async function notifyQueuedSaveAbandoned(entry, error) {
+  await updateQueuedSaveHistory(entry, {
+    status: SAVE_STATUS.FAILED,
+    errorCode: error.code || ERROR_CODES.UNKNOWN_ERROR,
+    error: error.message,
+  });
+
+  await notifyActiveTab({
+    text: `Couldn't save ${entry.title || "queued recipe"}`,
+    variant: "error",
+    detail: error.message,
+    duration: 0,
+    dismissible: true,
+    closePrevious: true,
+    copyRef: entry.requestId,
+  });
+}
+
+/**
+ * Update the history entry recorded when a save was queued.
+ * @param {Object} entry - Queue entry
+ * @param {Object} changes - Fields to overwrite
+ */
+async function updateQueuedSaveHistory(entry, changes) {
+  try {
+    await updateSaveHistoryByRequestId(entry.requestId, changes);
+  } catch (error) {
+    logError("Could not update save history", error);
+  }
 }
 
 // Set up context menu for extension
@@ -209,26 +1034,99 @@ function setupContextMenu() {
   });
 
   chrome.contextMenus.create({
-    id: "kukbuk-logout",
-    title: "Log Out",
+    id: "kukbuk-create-from-description",
+    title: "Create Recipe from Description",
     contexts: ["action"],
   });
 
   chrome.contextMenus.create({
-    id: "kukbuk-create-from-description",
-    title: "Create Recipe from Description",
+    id: "kukbuk-history",
+    title: "Recent Saves",
+    contexts: ["action"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-save-all-tabs",
+    title: "Save All Recipe Tabs in This Window",
+    contexts: ["action"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-save-tab-group",
+    title: "Save All Tabs in This Tab Group",
     contexts: ["action"],
   });
 
+  chrome.contextMenus.create({
+    id: "kukbuk-save-page",
+    title: "Save this recipe",
+    contexts: ["page"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-open-workspace",
+    title: "Open recipe workspace",
+    contexts: ["page"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-save-link",
+    title: "Save linked recipe",
+    contexts: ["link"],
+    targetUrlPatterns: ["http://*/*", "https://*/*"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-pick-recipe",
+    title: "Pick Recipe Area on Page…",
+    contexts: ["action", "page"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-save-selection",
+    title: "Save highlighted text as recipe",
+    contexts: ["selection"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-save-selection-block",
+    title: "Save highlighted text with its surrounding block",
+    contexts: ["selection"],
+  });
+
+  // Last, so the switcher stays last when it's rebuilt
+  refreshAccountMenu();
+
   chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === "kukbuk-settings") {
+    if (String(info.menuItemId).startsWith(ACCOUNT_ITEM_PREFIX)) {
+      await handleSwitchAccount(info.menuItemId.slice(ACCOUNT_ITEM_PREFIX.length));
+    } else if (info.menuItemId === "kukbuk-add-account") {
+      openAddAccountWindow();
+    } else if (info.menuItemId === "kukbuk-settings") {
       chrome.runtime.openOptionsPage();
     } else if (info.menuItemId === "kukbuk-create-from-description") {
-      chrome.windows.create({
-        url: chrome.runtime.getURL("recipe-creator/recipe-creator.html"),
-        type: "popup",
-        width: 440,
-        height: 340,
+      openRecipeCreator();
+    } else if (info.menuItemId === "kukbuk-history") {
+      chrome.tabs.create({ url: chrome.runtime.getURL("history/history.html") });
+    } else if (info.menuItemId === "kukbuk-save-all-tabs") {
+      await handleSaveAllTabs(tab.windowId);
+    } else if (info.menuItemId === "kukbuk-save-tab-group") {
+      await handleSaveTabGroup(tab);
+    } else if (info.menuItemId === "kukbuk-save-page") {
+      await handleActionClick(tab);
+    } else if (info.menuItemId === "kukbuk-open-workspace") {
+      chrome.sidePanel.open({ windowId: tab.windowId });
+    } else if (info.menuItemId === "kukbuk-save-link") {
+      await handleSaveLink(info.linkUrl, tab);
+    } else if (info.menuItemId === "kukbuk-pick-recipe") {
+      await handlePickRecipe(tab);
+    } else if (
+      info.menuItemId === "kukbuk-save-selection" ||
+      info.menuItemId === "kukbuk-save-selection-block"
+    ) {
+      await runSaveFlow(tab, {
+        type: MESSAGE_TYPES.EXTRACT_SELECTION,
+        includeEnclosingBlock: info.menuItemId === "kukbuk-save-selection-block",
       });
     } else if (info.menuItemId === "kukbuk-logout") {
       // Call logout directly instead of sending message to self
@@ -244,6 +1142,115 @@ function setupContextMenu() {
   });
 }
 
+/**
+ * Queue a rebuild of the "Account" action menu: one radio item per signed-in account,
+ * then "Add Account…" and "Log Out"
+ */
+function refreshAccountMenu() {
+  accountMenuUpdate = accountMenuUpdate
+    .then(buildAccountMenu)
+    .catch((error) => logError("Could not update account menu", error));
+  return accountMenuUpdate;
+}
+
+async function buildAccountMenu() {
+  let accounts = [];
+  try {
+    accounts = await authManager.listAccounts();
+  } catch (error) {
+    logError("Could not list accounts", error);
+  }
+
+  try {
+    // Removes the account items with it
+    await chrome.contextMenus.remove(ACCOUNT_MENU_ID);
+  } catch {
+    // Not created yet
+  }
+
+  chrome.contextMenus.create({
+    id: ACCOUNT_MENU_ID,
+    title: "Account",
+    contexts: ["action"],
+  });
+
+  for (const account of accounts) {
+    chrome.contextMenus.create({
+      id: `${ACCOUNT_ITEM_PREFIX}${account.userId}`,
+      parentId: ACCOUNT_MENU_ID,
+      title: account.displayName ? `${account.displayName} (${account.email})` : account.email,
+      type: "radio",
+      checked: account.active,
+      contexts: ["action"],
+    });
+  }
+  if (accounts.length > 0) {
+    chrome.contextMenus.create({
+      id: "kukbuk-account-separator",
+      parentId: ACCOUNT_MENU_ID,
+      type: "separator",
+      contexts: ["action"],
+    });
+  }
+
+  chrome.contextMenus.create({
+    id: "kukbuk-add-account",
+    parentId: ACCOUNT_MENU_ID,
+    title: "Add Account…",
+    contexts: ["action"],
+  });
+
+  chrome.contextMenus.create({
+    id: "kukbuk-logout",
+    parentId: ACCOUNT_MENU_ID,
+    title: "Log Out",
+    contexts: ["action"],
+  });
+}
+
+/**
+ * Make another signed-in account the one saves go to
+ * @param {string} userId - Firebase UID of the account
+ */
+async function handleSwitchAccount(userId) {
+  try {
+    const status = await authManager.switchAccount(userId);
+    await notifyActiveTab({
+      text: `Saving to ${status.email}'s Drive`,
+      variant: "info",
+      duration: 2500,
+      closePrevious: true,
+    });
+  } catch (error) {
+    logError("Context menu switch account error", error);
+    await notifyActiveTab({
+      text: "Couldn't switch account",
+      variant: "error",
+      detail: error.message,
+      duration: 0,
+      dismissible: true,
+      closePrevious: true,
+    });
+  } finally {
+    // A failed switch leaves the previous account checked
+    refreshAccountMenu();
+    applyPopupState();
+  }
+}
+
+/**
+ * Open the sign-in popup in its own window to add another account; the toolbar icon
+ * saves directly while someone is signed in
+ */
+function openAddAccountWindow() {
+  chrome.windows.create({
+    url: chrome.runtime.getURL("popup/popup.html?addAccount=1"),
+    type: "popup",
+    width: 360,
+    height: 560,
+  });
+}
+
 // Set up message listeners
 function setupMessageListeners() {
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -251,6 +1258,56 @@ function setupMessageListeners() {
 
     // Handle only messages not handled by specific services
     switch (message.type) {
+      case MESSAGE_TYPES.RETRY_SAVE:
+        retrySave(message.id)
+          .then(sendResponse)
+          .catch((error) => {
+            logError("Retry save error", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+
+      // "Save again" from the "Already saved" bubble; for link saves the page is elsewhere
+      case MESSAGE_TYPES.SAVE_AGAIN:
+        if (message.url && message.url !== sender.tab?.url) {
+          handleSaveLink(message.url, sender.tab, { allowDuplicate: true });
+        } else if (sender.tab) {
+          handleActionClick(sender.tab, { allowDuplicate: true });
+        }
+        return false;
+
+      // Side panel workspace
+      case MESSAGE_TYPES.GET_PAGE_PREVIEW:
+        getPagePreview(message.tabId)
+          .then(sendResponse)
+          .catch((error) => {
+            logError("Page preview error", error);
+            sendResponse({ success: false, error: "Couldn't read page" });
+          });
+        return true;
+
+      case MESSAGE_TYPES.SAVE_PAGE:
+        savePageFromPanel(message)
+          .then(sendResponse)
+          .catch((error) => {
+            logError("Side panel save error", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+
+      // "Retry failed" / "Save skipped" from the batch save summary
+      case MESSAGE_TYPES.SAVE_TABS:
+        handleSaveTabs(message.tabIds);
+        return false;
+
+      case MESSAGE_TYPES.CHOOSE_FOLDER:
+        openFolderSettings();
+        return false;
+
+      case MESSAGE_TYPES.ADD_ACCOUNT:
+        openAddAccountWindow();
+        return false;
+
       default:
         // Do nothing - the message should be handled by a specific service
         break;
@@ -262,7 +1319,13 @@ function setupMessageListeners() {
 }
 
 // Initialize on install/update
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(({ reason } = {}) => {
+  // Once, while the account that chose the Drive folder and made the saves so far is
+  // still the one signed in
+  if (reason === "update") {
+    migrateLegacyFolder().catch((error) => logError("Could not migrate Drive folder", error));
+    migrateLegacySaveHistory().catch((error) => logError("Could not migrate save history", error));
+  }
   initBackground();
 });
 
@@ -8,6 +8,8 @@ jest.mock("./services/auth/auth-manager.js", () => ({
   authManager: {
     signOut: jest.fn().mockResolvedValue(undefined),
     checkAuthStatus: jest.fn().mockResolvedValue({ authenticated: true }),
+    listAccounts: jest.fn(),
+    switchAccount: jest.fn(),
   },
 }));
 jest.mock("./services/transformation.js", () => ({
@@ -16,6 +18,37 @@ jest.mock("./services/transformation.js", () => ({
 jest.mock("./services/api.js", () => ({
   setupApi: jest.fn(),
   saveRecipe: jest.fn(),
+  sendQueuedRecipe: jest.fn(),
+}));
+jest.mock("./services/save-queue.js", () => ({
+  setupSaveQueue: jest.fn(),
+  getQueuedSaves: jest.fn(),
+  processSaveQueue: jest.fn(),
+}));
+jest.mock("./services/badge.js", () => ({
+  BADGE_STATE: { NONE: "none", SAVING: "saving", SAVED: "saved", FAILED: "failed" },
+  setTabBadge: jest.fn(),
+  setQueuedCount: jest.fn(),
+  setSignedOut: jest.fn(),
+}));
+jest.mock("./services/review.js", () => ({
+  setupReview: jest.fn(),
+  isReviewEnabled: jest.fn(),
+  requestReview: jest.fn(),
+}));
+jest.mock("../common/site-rules.js", () => ({
+  getSiteRuleForUrl: jest.fn(),
+}));
+jest.mock("../common/save-history.js", () => ({
+  SAVE_STATUS: { SAVED: "saved", NOT_RECIPE: "not_recipe", FAILED: "failed", QUEUED: "queued" },
+  addSaveHistoryEntry: jest.fn(),
+  findSavedEntry: jest.fn(),
+  getSaveHistoryEntry: jest.fn(),
+  migrateLegacySaveHistory: jest.fn(),
+  updateSaveHistoryByRequestId: jest.fn(),
+}));
+jest.mock("../common/drive-folder.js", () => ({
+  migrateLegacyFolder: jest.fn(),
 }));
 jest.mock("../common/error-handler.js", () => ({
   logError: jest.fn(),
@@ -25,9 +58,37 @@ jest.mock("../common/constants.js", () => ({
     AUTH_LOGOUT: "AUTH_LOGOUT",
     SHOW_BUBBLE: "SHOW_BUBBLE",
     EXTRACT_RECIPE: "EXTRACT_RECIPE",
+    EXTRACT_PREVIEW: "EXTRACT_PREVIEW",
+    EXTRACT_SELECTION: "EXTRACT_SELECTION",
+    PICK_RECIPE_ELEMENT: "PICK_RECIPE_ELEMENT",
+    EXTRACT_PICKED_ELEMENT: "EXTRACT_PICKED_ELEMENT",
     NOTIFY_BACKGROUND_OPERATION: "NOTIFY_BACKGROUND_OPERATION",
+    RETRY_SAVE: "RETRY_SAVE",
+    SAVE_AGAIN: "SAVE_AGAIN",
+    SAVE_TABS: "SAVE_TABS",
+    GET_PAGE_PREVIEW: "GET_PAGE_PREVIEW",
+    SAVE_PAGE: "SAVE_PAGE",
+    CHOOSE_FOLDER: "CHOOSE_FOLDER",
+    ADD_ACCOUNT: "ADD_ACCOUNT",
+  },
+  STORAGE_KEYS: {
+    FIREBASE_TOKEN: "firebaseToken",
+    SAVE_QUEUE: "saveQueue",
+    USER_ID: "userId",
+    ACCOUNTS: "accounts",
+  },
+  ERROR_CODES: {
+    UNKNOWN_ERROR: "unknown_error",
+    EXTRACTION_FAILED: "extraction_failed",
+    TIMEOUT: "timeout",
+    QUOTA_EXCEEDED: "quota_exceeded",
+    FOLDER_REQUIRED: "folder_required",
+  },
+  SKIP_REASONS: {
+    NO_TAB: "no_tab",
+    IN_FLIGHT: "in_flight",
+    UNREADABLE: "unreadable",
   },
-  STORAGE_KEYS: { FIREBASE_TOKEN: "firebaseToken" },
 }));
 
 // Mock the chrome API
@@ -35,6 +96,7 @@ const mockChrome = {
   contextMenus: {
     removeAll: jest.fn(),
     create: jest.fn(),
+    remove: jest.fn(),
     onClicked: {
       addListener: jest.fn(),
     },
@@ -55,6 +117,14 @@ const mockChrome = {
   windows: {
     create: jest.fn(),
   },
+  sidePanel: {
+    open: jest.fn(),
+  },
+  commands: {
+    onCommand: {
+      addListener: jest.fn(),
+    },
+  },
   action: {
     setPopup: jest.fn(),
     onClicked: {
@@ -65,9 +135,29 @@ const mockChrome = {
     onChanged: {
       addListener: jest.fn(),
     },
+    session: {
+      get: jest.fn(),
+      set: jest.fn(),
+      remove: jest.fn(),
+    },
+  },
+  notifications: {
+    create: jest.fn(),
+    clear: jest.fn(),
+    onButtonClicked: { addListener: jest.fn() },
+    onClicked: { addListener: jest.fn() },
+    onClosed: { addListener: jest.fn() },
   },
   tabs: {
     sendMessage: jest.fn(),
+    query: jest.fn(),
+    create: jest.fn(),
+    get: jest.fn(),
+    remove: jest.fn(),
+    onUpdated: {
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+    },
   },
   scripting: {
     executeScript: jest.fn(),
@@ -108,7 +198,8 @@ describe("Background Script", () => {
 
     // Verify that context menu was set up properly
     expect(chrome.contextMenus.removeAll).toHaveBeenCalled();
-    expect(chrome.contextMenus.create).toHaveBeenCalledTimes(3);
+    // The account menu follows once the accounts are read
+    expect(chrome.contextMenus.create).toHaveBeenCalledTimes(11);
     expect(chrome.contextMenus.onClicked.addListener).toHaveBeenCalled();
 
     // Verify that runtime.onInstalled listener was added
@@ -174,6 +265,108 @@ describe("Background Script", () => {
     );
   });
 
+  test("registers selection context menu entries", () => {
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "kukbuk-save-selection", contexts: ["selection"] }),
+    );
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "kukbuk-save-selection-block", contexts: ["selection"] }),
+    );
+  });
+
+  test.each([
+    ["kukbuk-save-selection", false],
+    ["kukbuk-save-selection-block", true],
+  ])("%s saves the selection through saveRecipe", async (menuItemId, includeEnclosingBlock) => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Stew", isRecipe: true });
+
+    const selectionData = {
+      pageContent: "<html><body><p>Stew</p></body></html>",
+      pageUrl: "https://forum.example.com/t/1",
+      title: "Dinner ideas",
+      structuredData: null,
+    };
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({ success: true, data: selectionData }) // EXTRACT_SELECTION
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId, selectionText: "Stew" }, { id: 7 });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      type: "EXTRACT_SELECTION",
+      includeEnclosingBlock,
+    });
+    expect(saveRecipe).toHaveBeenCalledWith({
+      pageContent: selectionData.pageContent,
+      pageUrl: "https://forum.example.com/t/1",
+      title: "Dinner ideas",
+      structuredData: null,
+    });
+  });
+
+  test("pick recipe menu saves the picked element", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Stew", isRecipe: true });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // PICK_RECIPE_ELEMENT
+      .mockResolvedValueOnce({ success: true }) // PING (save flow)
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<div>Stew</div>", pageUrl: "https://example.com", title: "Stew" },
+      }) // EXTRACT_PICKED_ELEMENT
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-pick-recipe" }, { id: 7 });
+
+    const types = chrome.tabs.sendMessage.mock.calls.map((c) => c[1].type);
+    expect(types).toEqual([
+      "PING",
+      "PICK_RECIPE_ELEMENT",
+      "PING",
+      "SHOW_BUBBLE",
+      "EXTRACT_PICKED_ELEMENT",
+      "SHOW_BUBBLE",
+    ]);
+    expect(saveRecipe).toHaveBeenCalledWith(
+      expect.objectContaining({ pageContent: "<div>Stew</div>" }),
+    );
+  });
+
+  test("pick recipe menu does nothing when the user cancels", async () => {
+    const { saveRecipe } = require("./services/api.js");
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: false, cancelled: true }); // PICK_RECIPE_ELEMENT
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-pick-recipe" }, { id: 7 });
+
+    expect(saveRecipe).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(2);
+  });
+
   test("should handle context menu logout failure", async () => {
     const { authManager } = require("./services/auth/auth-manager.js");
     const { logError } = require("../common/error-handler.js");
@@ -281,6 +474,60 @@ describe("Background Script", () => {
     expect(chrome.action.setPopup).not.toHaveBeenCalled();
   });
 
+  test("toolbar icon is greyed out while signed out", async () => {
+    const { authManager } = require("./services/auth/auth-manager.js");
+    const { setSignedOut } = require("./services/badge.js");
+    authManager.checkAuthStatus.mockResolvedValue({ authenticated: false });
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(setSignedOut).toHaveBeenCalledWith(true);
+  });
+
+  test("badge counts queued saves on start-up and as the queue changes", async () => {
+    const { getQueuedSaves } = require("./services/save-queue.js");
+    const { setQueuedCount } = require("./services/badge.js");
+    getQueuedSaves.mockResolvedValue([{ id: "a" }, { id: "b" }]);
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(setQueuedCount).toHaveBeenCalledWith(2);
+
+    const storageCallback = chrome.storage.onChanged.addListener.mock.calls[0][0];
+    storageCallback({ saveQueue: { newValue: [] } }, "local");
+    expect(setQueuedCount).toHaveBeenLastCalledWith(0);
+  });
+
+  test("badge marks pages that were saved before once they load", async () => {
+    const { findSavedEntry } = require("../common/save-history.js");
+    const { setTabBadge } = require("./services/badge.js");
+    findSavedEntry.mockImplementation(async (canonicalUrl) =>
+      canonicalUrl === "https://example.com/pasta" ? { status: "saved" } : null,
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onUpdated = chrome.tabs.onUpdated.addListener.mock.calls[0][0];
+    await onUpdated(5, { status: "loading" }, { id: 5, url: "https://example.com/pasta" });
+    expect(setTabBadge).not.toHaveBeenCalled();
+
+    await onUpdated(5, { status: "complete" }, { id: 5, url: "https://www.example.com/pasta/" });
+    await onUpdated(6, { status: "complete" }, { id: 6, url: "https://example.com/stew" });
+    await onUpdated(7, { status: "complete" }, { id: 7, url: "chrome://settings" });
+
+    expect(setTabBadge.mock.calls).toEqual([
+      [5, "saved"],
+      [6, "none"],
+      [7, "none"],
+    ]);
+  });
+
   test("onClicked sends a 'Save timed out' error bubble when the save never resolves", async () => {
     jest.useFakeTimers();
     try {
@@ -365,47 +612,211 @@ describe("Background Script", () => {
     });
   });
 
-  test("onClicked sends error bubble on save failure", async () => {
+  test("onClicked shows a spinner badge while saving, then the result", async () => {
     const { saveRecipe } = require("./services/api.js");
-    saveRecipe.mockRejectedValueOnce(new Error("Network error"));
+    const { setTabBadge } = require("./services/badge.js");
+    saveRecipe
+      .mockResolvedValueOnce({ success: true, recipeName: "Pasta", isRecipe: true })
+      .mockRejectedValueOnce(new Error("Server error"));
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? { success: true, data: { pageContent: "<html></html>", pageUrl: "https://a.com" } }
+        : { success: true },
+    );
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "https://a.com" });
+    expect(setTabBadge.mock.calls).toEqual([
+      [42, "saving"],
+      [42, "saved"],
+    ]);
+
+    setTabBadge.mockClear();
+    await handler({ id: 42, url: "https://a.com" });
+    expect(setTabBadge).toHaveBeenLastCalledWith(42, "failed");
+  });
+
+  test("onClicked without a tab is skipped instead of throwing", async () => {
+    const handler = await loadAndGetActionHandler();
+
+    await expect(handler(undefined)).resolves.toEqual({ skipped: true, skipReason: "no_tab" });
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test("onClicked marks restricted pages as failed on the toolbar icon", async () => {
+    const { setTabBadge } = require("./services/badge.js");
+    chrome.tabs.sendMessage.mockRejectedValue(new Error("No content script"));
+    chrome.scripting.executeScript.mockRejectedValue(new Error("Cannot access chrome:// URL"));
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "chrome://extensions" });
+
+    expect(setTabBadge).toHaveBeenLastCalledWith(42, "failed");
+  });
 
+  test("onClicked forwards structured data from the content script to saveRecipe", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Pasta", isRecipe: true });
+
+    const structuredData = { source: "json-ld", recipe: { name: "Pasta" } };
     chrome.tabs.sendMessage
       .mockResolvedValueOnce({ success: true }) // PING
       .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
       .mockResolvedValueOnce({
         success: true,
-        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Test" },
+        data: {
+          pageContent: "<html>pasta</html>",
+          pageUrl: "https://example.com",
+          title: "Pasta",
+          structuredData,
+        },
       }) // EXTRACT_RECIPE
-      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE error
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
 
     const handler = await loadAndGetActionHandler();
     await handler({ id: 42 });
-    await new Promise((resolve) => setTimeout(resolve, 10));
 
-    const calls = chrome.tabs.sendMessage.mock.calls;
-    expect(calls[3][1]).toMatchObject({
+    expect(saveRecipe).toHaveBeenCalledWith(expect.objectContaining({ structuredData }));
+  });
+
+  test("onClicked shows a 'saved for later' bubble when the save was queued", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: false, queued: true, error: "Saved for later" });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE queued
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+
+    expect(chrome.tabs.sendMessage.mock.calls[3][1]).toMatchObject({
       type: "SHOW_BUBBLE",
-      data: { variant: "error", text: "Network error" },
+      data: { variant: "info", text: "Saved for later" },
     });
   });
 
-  test("onClicked shows 'Not a recipe page' when isRecipe is false", async () => {
+  test("queued saves that land are announced in the active tab", async () => {
+    const { setupSaveQueue } = require("./services/save-queue.js");
+    const { sendQueuedRecipe } = require("./services/api.js");
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const { send, onSaved } = setupSaveQueue.mock.calls[0][0];
+    expect(send).toBe(sendQueuedRecipe);
+
+    chrome.tabs.query.mockResolvedValueOnce([{ id: 7 }]);
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ success: true });
+    await onSaved(
+      { title: "Soup page" },
+      { success: true, recipeName: "Soup", driveUrl: "https://drive.google.com/file/9" },
+    );
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      type: "SHOW_BUBBLE",
+      data: expect.objectContaining({
+        text: "Saved: Soup",
+        variant: "success",
+        link: { url: "https://drive.google.com/file/9", label: "Open ↗" },
+      }),
+    });
+  });
+
+  test("onClicked sends the matching site rule with EXTRACT_RECIPE", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { getSiteRuleForUrl } = require("../common/site-rules.js");
+    const siteRule = { id: "example", hostPattern: "example.com", exclude: [".ad"] };
+    getSiteRuleForUrl.mockResolvedValueOnce(siteRule);
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Pasta", isRecipe: true });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "https://www.example.com/pasta" });
+
+    expect(getSiteRuleForUrl).toHaveBeenCalledWith("https://www.example.com/pasta");
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, {
+      type: "EXTRACT_RECIPE",
+      siteRule,
+    });
+  });
+
+  test("onClicked logs before/after content sizes reported by the content script", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Pasta", isRecipe: true });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: {
+          pageContent: "<html></html>",
+          pageUrl: "https://example.com",
+          title: "Pasta",
+          contentStats: { originalSize: 90000, cleanedSize: 4000, strategy: "recipe-card" },
+        },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+
+    expect(console.log).toHaveBeenCalledWith("Content cleanup (recipe-card): 90000 -> 4000 chars");
+  });
+
+  test("success bubble notes saves read from structured markup", async () => {
     const { saveRecipe } = require("./services/api.js");
     saveRecipe.mockResolvedValueOnce({
       success: true,
-      recipeName: "Some Page",
-      driveUrl: null,
-      isRecipe: false,
+      recipeName: "Pasta",
+      isRecipe: true,
+      extractionSource: "microdata",
     });
 
     chrome.tabs.sendMessage
-      .mockResolvedValueOnce({ success: true })
-      .mockResolvedValueOnce({ success: true })
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+
+    const calls = chrome.tabs.sendMessage.mock.calls;
+    expect(calls[3][1].data).toMatchObject({
+      variant: "success",
+      detail: "Read from the page's recipe markup",
+    });
+  });
+
+  test("onClicked sends error bubble on save failure", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockRejectedValueOnce(new Error("Network error"));
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
       .mockResolvedValueOnce({
         success: true,
         data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Test" },
-      })
-      .mockResolvedValueOnce({ success: true });
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE error
 
     const handler = await loadAndGetActionHandler();
     await handler({ id: 42 });
@@ -414,74 +825,988 @@ describe("Background Script", () => {
     const calls = chrome.tabs.sendMessage.mock.calls;
     expect(calls[3][1]).toMatchObject({
       type: "SHOW_BUBBLE",
-      data: { variant: "error", text: "Not a recipe page" },
+      data: { variant: "error", text: "Network error" },
     });
   });
 
-  test("double-click guard prevents a second in-flight save", async () => {
+  test("onClicked error bubble carries the save's request ID as a copyable ref", async () => {
     const { saveRecipe } = require("./services/api.js");
-    // saveRecipe never resolves (simulates in-flight)
-    saveRecipe.mockReturnValue(new Promise(() => {}));
+    saveRecipe.mockRejectedValueOnce(
+      Object.assign(new Error("Server error"), { requestId: "3f2a1b9c-req" }),
+    );
 
-    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
     chrome.tabs.sendMessage
       .mockResolvedValueOnce({ success: true }) // PING
       .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
       .mockResolvedValueOnce({
         success: true,
         data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Test" },
-      }); // EXTRACT_RECIPE
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE error
 
     const handler = await loadAndGetActionHandler();
-
-    // First click — starts save (doesn't await)
-    handler({ id: 42 });
-    await new Promise((resolve) => setTimeout(resolve, 5));
-
-    // Second click — should be ignored
-    const saveCallsBefore = saveRecipe.mock.calls.length;
     await handler({ id: 42 });
-    expect(saveRecipe.mock.calls.length).toBe(saveCallsBefore);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(chrome.tabs.sendMessage.mock.calls[3][1].data).toMatchObject({
+      variant: "error",
+      text: "Server error",
+      copyRef: "3f2a1b9c-req",
+    });
   });
 
-  test("skips silently when content script cannot be injected (restricted page)", async () => {
+  test("saves without a Drive folder offer to choose one instead of a retry", async () => {
     const { saveRecipe } = require("./services/api.js");
-
-    // PING fails (no content script), scripting.executeScript also fails
-    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error("Could not establish connection"));
-    chrome.scripting.executeScript.mockRejectedValueOnce(new Error("Cannot access chrome://"));
+    saveRecipe.mockRejectedValueOnce(
+      Object.assign(new Error("Choose a folder"), { code: "folder_required" }),
+    );
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? {
+            success: true,
+            data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "x" },
+          }
+        : { success: true },
+    );
 
     const handler = await loadAndGetActionHandler();
     await handler({ id: 42 });
     await new Promise((resolve) => setTimeout(resolve, 10));
 
-    // No bubble, no saveRecipe call
-    expect(saveRecipe).not.toHaveBeenCalled();
-    expect(
-      chrome.tabs.sendMessage.mock.calls.filter((c) => c[1].type === "SHOW_BUBBLE"),
-    ).toHaveLength(0);
+    const bubble = chrome.tabs.sendMessage.mock.calls.at(-1)[1].data;
+    expect(bubble).toMatchObject({
+      variant: "error",
+      text: "No Drive folder chosen",
+      action: { label: "Choose folder", message: { type: "CHOOSE_FOLDER" } },
+    });
+
+    // The bubble's button opens the folder picker
+    chrome.runtime.getURL.mockImplementation((path) => `chrome-extension://mock-id/${path}`);
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    expect(listener(bubble.action.message, {}, jest.fn())).toBe(false);
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: "chrome-extension://mock-id/options/options.html#folder-section",
+    });
   });
 
-  test("swallows error silently when tab is gone during bubble send", async () => {
+  test("onClicked records the save in local history", async () => {
     const { saveRecipe } = require("./services/api.js");
+    const { addSaveHistoryEntry } = require("../common/save-history.js");
     saveRecipe.mockResolvedValueOnce({
       success: true,
-      recipeName: "Soup",
-      driveUrl: null,
+      recipeName: "Pasta",
+      driveUrl: "https://drive.google.com/file/123",
       isRecipe: true,
+      requestId: "req-1",
     });
 
     chrome.tabs.sendMessage
       .mockResolvedValueOnce({ success: true }) // PING
-      .mockRejectedValueOnce(new Error("Tab closed")) // SHOW_BUBBLE loading — tab gone
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
       .mockResolvedValueOnce({
         success: true,
-        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Soup" },
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
       }) // EXTRACT_RECIPE
-      .mockRejectedValueOnce(new Error("Tab closed")); // SHOW_BUBBLE success — tab gone
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
 
     const handler = await loadAndGetActionHandler();
-    // Should not throw
-    await expect(handler({ id: 42 })).resolves.not.toThrow();
+    await handler({ id: 42, url: "https://example.com/pasta", title: "Pasta | Example" });
+
+    expect(addSaveHistoryEntry).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: "saved",
+        url: "https://example.com/pasta",
+        title: "Pasta | Example",
+        recipeName: "Pasta",
+        driveUrl: "https://drive.google.com/file/123",
+        isRecipe: true,
+        timestamp: expect.any(Number),
+        duration: expect.any(Number),
+        requestId: "req-1",
+      }),
+    );
+  });
+
+  test("onClicked offers open / save again when the page was saved before", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { findSavedEntry } = require("../common/save-history.js");
+    findSavedEntry.mockResolvedValueOnce({
+      status: "saved",
+      recipeName: "Lemon Pasta",
+      driveUrl: "https://drive.google.com/file/123",
+      timestamp: Date.parse("2026-05-02T10:00:00Z"),
+    });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: {
+          pageContent: "<html></html>",
+          pageUrl: "https://www.example.com/lemon-pasta?utm_source=pin",
+          canonicalUrl: "https://example.com/lemon-pasta/",
+          title: "Pasta",
+        },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE already saved
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "https://www.example.com/lemon-pasta?utm_source=pin" });
+
+    expect(findSavedEntry).toHaveBeenCalledWith("https://example.com/lemon-pasta");
+    expect(saveRecipe).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage.mock.calls[3][1].data).toMatchObject({
+      text: "Already saved",
+      link: { url: "https://drive.google.com/file/123", label: "Open ↗" },
+      action: { label: "Save again", message: { type: "SAVE_AGAIN" } },
+    });
+  });
+
+  test("SAVE_AGAIN saves the sender's tab without the duplicate check", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { findSavedEntry, addSaveHistoryEntry } = require("../common/save-history.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Lemon Pasta", isRecipe: true });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com/lemon-pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    listener({ type: "SAVE_AGAIN" }, { tab: { id: 42, url: "https://example.com/lemon-pasta" } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(findSavedEntry).not.toHaveBeenCalled();
+    expect(saveRecipe).toHaveBeenCalled();
+    expect(addSaveHistoryEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ canonicalUrl: "https://example.com/lemon-pasta" }),
+    );
+  });
+
+  test("onClicked records failed saves with their error code", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { addSaveHistoryEntry } = require("../common/save-history.js");
+    saveRecipe.mockRejectedValueOnce(
+      Object.assign(new Error("Server error"), { code: "server_error", requestId: "req-2" }),
+    );
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE error
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "https://example.com/pasta" });
+
+    expect(addSaveHistoryEntry).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: "failed",
+        errorCode: "server_error",
+        error: "Server error",
+        requestId: "req-2",
+      }),
+    );
+  });
+
+  test("save-recipe shortcut runs the toolbar save flow on the active tab", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Pasta", isRecipe: true });
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Pasta" },
+      }) // EXTRACT_RECIPE
+      .mockResolvedValueOnce({ success: true }); // SHOW_BUBBLE success
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onCommand = chrome.commands.onCommand.addListener.mock.calls[0][0];
+    await onCommand("save-recipe", { id: 42, url: "https://example.com" });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, {
+      type: "EXTRACT_RECIPE",
+      siteRule: null,
+    });
+    expect(saveRecipe).toHaveBeenCalled();
+  });
+
+  test("save-selection shortcut saves the highlighted text", async () => {
+    chrome.tabs.sendMessage.mockResolvedValue({ success: false, error: "Highlight text first" });
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onCommand = chrome.commands.onCommand.addListener.mock.calls[0][0];
+    await onCommand("save-selection", { id: 42 });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, {
+      type: "EXTRACT_SELECTION",
+      includeEnclosingBlock: false,
+    });
+  });
+
+  test("open-recipe-creator shortcut opens the creator window", async () => {
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onCommand = chrome.commands.onCommand.addListener.mock.calls[0][0];
+    await onCommand("open-recipe-creator");
+
+    expect(chrome.runtime.getURL).toHaveBeenCalledWith("recipe-creator/recipe-creator.html");
+    expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({ type: "popup" }));
+  });
+
+  test("page context menu entry saves the page like the toolbar icon", async () => {
+    chrome.tabs.sendMessage.mockResolvedValue({ success: false, error: "Couldn't read page" });
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-save-page" }, { id: 42, url: "https://a.com" });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, {
+      type: "EXTRACT_RECIPE",
+      siteRule: null,
+    });
+  });
+
+  test("link context menu entry saves the target in a background tab", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Stew", isRecipe: true });
+    const linkTab = { id: 9, url: "https://example.com/stew", title: "Stew" };
+    chrome.tabs.create.mockResolvedValueOnce(linkTab);
+    chrome.tabs.get.mockResolvedValueOnce(linkTab);
+    chrome.tabs.remove.mockResolvedValue(undefined);
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? { success: true, data: { pageContent: "<html></html>", pageUrl: linkTab.url } }
+        : { success: true },
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    const clicked = onClickedCallback(
+      { menuItemId: "kukbuk-save-link", linkUrl: "https://example.com/stew" },
+      { id: 42, index: 3 },
+    );
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    chrome.tabs.onUpdated.addListener.mock.calls.at(-1)[0](9, { status: "complete" });
+    await clicked;
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: "https://example.com/stew",
+      active: false,
+      index: 4,
+    });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      9,
+      expect.objectContaining({
+        type: "EXTRACT_RECIPE",
+      }),
+    );
+    const bubbles = chrome.tabs.sendMessage.mock.calls.filter(([, m]) => m.type === "SHOW_BUBBLE");
+    expect(bubbles.every(([tabId]) => tabId === 42)).toBe(true);
+    expect(bubbles[bubbles.length - 1][1].data).toMatchObject({ text: "Saved: Stew" });
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(9);
+  });
+
+  test("workspace context menu entry opens the side panel", () => {
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    onClickedCallback({ menuItemId: "kukbuk-open-workspace" }, { id: 42, windowId: 7 });
+
+    expect(chrome.sidePanel.open).toHaveBeenCalledWith({ windowId: 7 });
+  });
+
+  test("GET_PAGE_PREVIEW reads the page for the side panel without saving it", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { findSavedEntry } = require("../common/save-history.js");
+    const structuredData = { source: "json-ld", recipe: { name: "Stew", ingredients: ["beef"] } };
+    const previousSave = { status: "saved", timestamp: 1 };
+    findSavedEntry.mockResolvedValueOnce(previousSave);
+    chrome.tabs.get.mockResolvedValueOnce({ id: 42, url: "https://example.com/stew" });
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_PREVIEW"
+        ? {
+            success: true,
+            data: {
+              pageUrl: "https://example.com/stew?utm_source=x",
+              title: "Beef Stew | Example",
+              structuredData,
+              contentStats: { originalSize: 9000, cleanedSize: 3000 },
+            },
+          }
+        : { success: true },
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    const sendResponse = jest.fn();
+    expect(listener({ type: "GET_PAGE_PREVIEW", tabId: 42 }, {}, sendResponse)).toBe(true);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(saveRecipe).not.toHaveBeenCalled();
+    // The full extraction would run the site rule's clicks and print-view fetch
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalledWith(
+      42,
+      expect.objectContaining({ type: "EXTRACT_RECIPE" }),
+    );
+    expect(findSavedEntry).toHaveBeenCalledWith("https://example.com/stew");
+    expect(sendResponse).toHaveBeenCalledWith({
+      success: true,
+      preview: {
+        title: "Beef Stew | Example",
+        pageUrl: "https://example.com/stew?utm_source=x",
+        structuredData,
+        contentStats: { originalSize: 9000, cleanedSize: 3000 },
+        previousSave,
+      },
+    });
+  });
+
+  test("SAVE_PAGE saves with the side panel's title, tags and notes", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { findSavedEntry } = require("../common/save-history.js");
+    findSavedEntry.mockResolvedValue({ status: "saved", timestamp: 1 });
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Stew", isRecipe: true });
+    chrome.tabs.get.mockResolvedValueOnce({ id: 42, url: "https://example.com/stew" });
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? {
+            success: true,
+            data: { pageContent: "<html></html>", pageUrl: "https://example.com/stew", title: "x" },
+          }
+        : { success: true },
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    const sendResponse = jest.fn();
+    const message = {
+      type: "SAVE_PAGE",
+      tabId: 42,
+      title: "Sunday Stew",
+      tags: ["winter"],
+      notes: "Double the carrots",
+    };
+    expect(listener(message, {}, sendResponse)).toBe(true);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    // Saved even though the page was saved before: the panel already said so
+    expect(saveRecipe).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: "Sunday Stew",
+        tags: ["winter"],
+        notes: "Double the carrots",
+      }),
+    );
+    expect(sendResponse).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, recipeName: "Stew" }),
+    );
+  });
+
+  test("review mode saves the title, content, tags and notes from the review window", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { isReviewEnabled, requestReview } = require("./services/review.js");
+    isReviewEnabled.mockResolvedValue(true);
+    requestReview.mockResolvedValueOnce({
+      title: "Sunday Stew",
+      pageContent: "<html>trimmed</html>",
+      tags: ["winter"],
+      notes: "Double the carrots",
+    });
+    saveRecipe.mockResolvedValueOnce({ success: true, recipeName: "Stew", isRecipe: true });
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? {
+            success: true,
+            data: { pageContent: "<html>full</html>", pageUrl: "https://example.com", title: "x" },
+          }
+        : { success: true },
+    );
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(requestReview).toHaveBeenCalledWith({
+      title: "x",
+      pageUrl: "https://example.com",
+      pageContent: "<html>full</html>",
+    });
+    expect(saveRecipe).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: "Sunday Stew",
+        pageContent: "<html>trimmed</html>",
+        tags: ["winter"],
+        notes: "Double the carrots",
+      }),
+    );
+  });
+
+  test("closing the review window cancels the save", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { isReviewEnabled, requestReview } = require("./services/review.js");
+    isReviewEnabled.mockResolvedValue(true);
+    requestReview.mockResolvedValueOnce(null);
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? {
+            success: true,
+            data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "x" },
+          }
+        : { success: true },
+    );
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(saveRecipe).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(
+      42,
+      expect.objectContaining({
+        type: "SHOW_BUBBLE",
+        data: expect.objectContaining({ text: "Save cancelled" }),
+      }),
+    );
+  });
+
+  test("history context menu entry opens the Recent saves page", () => {
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    onClickedCallback({ menuItemId: "kukbuk-history" }, {});
+
+    expect(chrome.runtime.getURL).toHaveBeenCalledWith("history/history.html");
+    expect(chrome.tabs.create).toHaveBeenCalled();
+  });
+
+  // Content script answers for batch tests: each tab's page URL is https://example.com/<id>,
+  // with schema.org Recipe markup unless the tab is listed
+  function mockPageTabs(withoutMarkup = []) {
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.type === "EXTRACT_RECIPE"
+        ? {
+            success: true,
+            data: {
+              pageContent: "<html></html>",
+              pageUrl: `https://example.com/${tabId}`,
+              structuredData: withoutMarkup.includes(tabId) ? undefined : { "@type": "Recipe" },
+            },
+          }
+        : { success: true },
+    );
+  }
+  const pageTab = (id, extra = {}) => ({ id, url: `https://example.com/${id}`, ...extra });
+  const lastActiveTabBubble = () =>
+    chrome.tabs.sendMessage.mock.calls
+      .filter(([tabId, m]) => tabId === 1 && m.type === "SHOW_BUBBLE")
+      .pop()[1].data;
+
+  test("save all tabs saves each web page in the window and shows a summary", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockImplementation(async ({ pageUrl }) => {
+      if (pageUrl.endsWith("/11")) return { success: true, isRecipe: false };
+      if (pageUrl.endsWith("/12")) throw new Error("Server error");
+      return { success: true, recipeName: "Stew", isRecipe: true };
+    });
+    mockPageTabs([15]);
+    chrome.tabs.query.mockImplementation(async (query) =>
+      query.windowId
+        ? [pageTab(10), pageTab(11), pageTab(12), { id: 13, url: "chrome://newtab/" }, pageTab(15)]
+        : [{ id: 1 }],
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-save-all-tabs" }, { id: 10, windowId: 7 });
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ windowId: 7 });
+    // Tab 15 has no recipe markup, so it never reaches the backend
+    expect(saveRecipe).toHaveBeenCalledTimes(3);
+    expect(saveRecipe).not.toHaveBeenCalledWith(
+      expect.objectContaining({ pageUrl: "https://example.com/15" }),
+    );
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalledWith(13, expect.anything());
+    expect(lastActiveTabBubble()).toMatchObject({
+      text: "Saved 1 · 1 not a recipe · 1 skipped (no recipe markup) · 1 failed",
+      variant: "error",
+      action: {
+        label: "Retry failed and skipped",
+        message: { type: "SAVE_TABS", tabIds: [12, 15] },
+      },
+    });
+  });
+
+  test("save all tabs offers to save the pages it skipped", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValue({ success: true, recipeName: "Stew", isRecipe: true });
+    mockPageTabs([11]);
+    chrome.tabs.query.mockImplementation(async (query) =>
+      query.windowId ? [pageTab(10), pageTab(11)] : [{ id: 1 }],
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-save-all-tabs" }, { id: 10, windowId: 7 });
+
+    expect(saveRecipe).toHaveBeenCalledTimes(1);
+    expect(lastActiveTabBubble()).toMatchObject({
+      text: "Saved 1 · 1 skipped (no recipe markup)",
+      variant: "success",
+      duration: 0,
+      action: { label: "Save skipped", message: { type: "SAVE_TABS", tabIds: [11] } },
+    });
+  });
+
+  test("save all tabs only saves the selected tabs when several are highlighted", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValue({ success: true, recipeName: "Stew", isRecipe: true });
+    // Selected tabs are saved even without recipe markup
+    mockPageTabs([12]);
+    chrome.tabs.query.mockImplementation(async (query) =>
+      query.windowId
+        ? [pageTab(10, { highlighted: true }), pageTab(11), pageTab(12, { highlighted: true })]
+        : [{ id: 1 }],
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-save-all-tabs" }, { id: 10, windowId: 7 });
+
+    expect(saveRecipe).toHaveBeenCalledTimes(2);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalledWith(11, expect.anything());
+    expect(lastActiveTabBubble()).toMatchObject({ text: "Saved 2", variant: "success" });
+    expect(lastActiveTabBubble().action).toBeUndefined();
+  });
+
+  test("save all tabs stops starting saves once the daily quota is reached", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockImplementation(async ({ pageUrl }) => {
+      if (pageUrl.endsWith("/10")) {
+        throw Object.assign(new Error("Daily limit"), { code: "quota_exceeded" });
+      }
+      return { success: true, recipeName: "Stew", isRecipe: true };
+    });
+    mockPageTabs();
+    chrome.tabs.query.mockImplementation(async (query) =>
+      query.windowId ? [10, 11, 12, 13, 14].map((id) => pageTab(id)) : [{ id: 1 }],
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-save-all-tabs" }, { id: 10, windowId: 7 });
+
+    // Three tabs were already running when the first hit the quota
+    expect(saveRecipe).toHaveBeenCalledTimes(3);
+    expect(lastActiveTabBubble()).toMatchObject({
+      text: "Saved 2 · 3 failed",
+      detail: expect.stringContaining("Daily recipe limit"),
+      action: { message: { type: "SAVE_TABS", tabIds: [10, 13, 14] } },
+    });
+  });
+
+  test("save tab group saves every page in the clicked tab's group", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValue({ success: true, recipeName: "Stew", isRecipe: true });
+    mockPageTabs([11]);
+    chrome.tabs.query.mockImplementation(async (query) =>
+      query.groupId === 3
+        ? [pageTab(10, { groupId: 3 }), pageTab(11, { groupId: 3 })]
+        : [{ id: 1 }],
+    );
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback(
+      { menuItemId: "kukbuk-save-tab-group" },
+      { id: 10, windowId: 7, groupId: 3 },
+    );
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ groupId: 3 });
+    expect(saveRecipe).toHaveBeenCalledTimes(2);
+    expect(lastActiveTabBubble()).toMatchObject({ text: "Saved 2", variant: "success" });
+  });
+
+  test("save tab group explains when the tab isn't grouped", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    chrome.tabs.query.mockResolvedValue([{ id: 1 }]);
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback(
+      { menuItemId: "kukbuk-save-tab-group" },
+      { id: 10, windowId: 7, groupId: -1 },
+    );
+
+    expect(saveRecipe).not.toHaveBeenCalled();
+    expect(lastActiveTabBubble()).toMatchObject({ text: "This tab isn't in a tab group" });
+  });
+
+  test("SAVE_TABS retries the given tabs that are still open", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValue({ success: true, recipeName: "Stew", isRecipe: true });
+    // Skipped pages without recipe markup are sent this time, for the backend to judge
+    mockPageTabs([12]);
+    chrome.tabs.get.mockImplementation(async (tabId) => {
+      if (tabId === 13) throw new Error("No tab with id: 13");
+      return pageTab(tabId);
+    });
+    chrome.tabs.query.mockResolvedValue([{ id: 1 }]);
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    expect(listener({ type: "SAVE_TABS", tabIds: [12, 13] }, { tab: { id: 1 } }, jest.fn())).toBe(
+      false,
+    );
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(saveRecipe).toHaveBeenCalledTimes(1);
+    expect(saveRecipe).toHaveBeenCalledWith(
+      expect.objectContaining({ pageUrl: "https://example.com/12" }),
+    );
+    expect(lastActiveTabBubble()).toMatchObject({ text: "Saved 1" });
+  });
+
+  test("RETRY_SAVE reopens the page and runs the save flow once it has loaded", async () => {
+    const { getSaveHistoryEntry } = require("../common/save-history.js");
+    getSaveHistoryEntry.mockResolvedValueOnce({ id: 5, url: "https://example.com/pasta" });
+    const retryTab = { id: 9, url: "https://example.com/pasta" };
+    chrome.tabs.create.mockResolvedValueOnce(retryTab);
+    chrome.tabs.get.mockResolvedValueOnce(retryTab);
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    const sendResponse = jest.fn();
+    expect(listener({ type: "RETRY_SAVE", id: 5 }, {}, sendResponse)).toBe(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const onUpdated = chrome.tabs.onUpdated.addListener.mock.calls.at(-1)[0];
+    onUpdated(9, { status: "complete" });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: "https://example.com/pasta",
+      active: true,
+    });
+    expect(sendResponse).toHaveBeenCalledWith({ success: true });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(9, { type: "PING" });
+  });
+
+  test("onClicked shows 'Not a recipe page' when isRecipe is false", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({
+      success: true,
+      recipeName: "Some Page",
+      driveUrl: null,
+      isRecipe: false,
+    });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true })
+      .mockResolvedValueOnce({ success: true })
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Test" },
+      })
+      .mockResolvedValueOnce({ success: true });
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const calls = chrome.tabs.sendMessage.mock.calls;
+    expect(calls[3][1]).toMatchObject({
+      type: "SHOW_BUBBLE",
+      data: { variant: "error", text: "Not a recipe page" },
+    });
+  });
+
+  test("double-click guard prevents a second in-flight save", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    // saveRecipe never resolves (simulates in-flight)
+    saveRecipe.mockReturnValue(new Promise(() => {}));
+
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockResolvedValueOnce({ success: true }) // SHOW_BUBBLE loading
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Test" },
+      }); // EXTRACT_RECIPE
+
+    const handler = await loadAndGetActionHandler();
+
+    // First click — starts save (doesn't await)
+    handler({ id: 42 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    // Second click — should be ignored
+    const saveCallsBefore = saveRecipe.mock.calls.length;
+    await expect(handler({ id: 42 })).resolves.toEqual({ skipped: true, skipReason: "in_flight" });
+    expect(saveRecipe.mock.calls.length).toBe(saveCallsBefore);
+  });
+
+  test("falls back to a notification when content script cannot be injected (restricted page)", async () => {
+    const { saveRecipe } = require("./services/api.js");
+
+    // PING fails (no content script), scripting.executeScript also fails
+    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error("Could not establish connection"));
+    chrome.scripting.executeScript.mockRejectedValueOnce(new Error("Cannot access chrome://"));
+
+    const handler = await loadAndGetActionHandler();
+    await expect(handler({ id: 42 })).resolves.toMatchObject({ skipReason: "unreadable" });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    // No saveRecipe call; the bubble can't show, so the user gets a notification
+    expect(saveRecipe).not.toHaveBeenCalled();
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ title: "Can't save this page", buttons: [] }),
+    );
+  });
+
+  test("swallows error silently when tab is gone during bubble send", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    saveRecipe.mockResolvedValueOnce({
+      success: true,
+      recipeName: "Soup",
+      driveUrl: null,
+      isRecipe: true,
+    });
+
+    chrome.tabs.sendMessage
+      .mockResolvedValueOnce({ success: true }) // PING
+      .mockRejectedValueOnce(new Error("Tab closed")) // SHOW_BUBBLE loading — tab gone
+      .mockResolvedValueOnce({
+        success: true,
+        data: { pageContent: "<html></html>", pageUrl: "https://example.com", title: "Soup" },
+      }) // EXTRACT_RECIPE
+      .mockRejectedValueOnce(new Error("Tab closed")); // SHOW_BUBBLE success — tab gone
+
+    const handler = await loadAndGetActionHandler();
+    // Should not throw
+    await expect(handler({ id: 42 })).resolves.not.toThrow();
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ title: "Saved: Soup" }),
+    );
+  });
+
+  test("failed saves in a closed tab get a notification with a Retry button", async () => {
+    const { saveRecipe } = require("./services/api.js");
+    const { addSaveHistoryEntry, getSaveHistoryEntry } = require("../common/save-history.js");
+    saveRecipe.mockRejectedValueOnce(new Error("Server error"));
+    addSaveHistoryEntry.mockResolvedValueOnce(17);
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, message) => {
+      if (message.type === "SHOW_BUBBLE") throw new Error("Tab closed");
+      return message.type === "EXTRACT_RECIPE"
+        ? { success: true, data: { pageContent: "<html></html>", pageUrl: "https://a.com/soup" } }
+        : { success: true };
+    });
+
+    const handler = await loadAndGetActionHandler();
+    await handler({ id: 42, url: "https://a.com/soup" });
+
+    const [notificationId, options] = chrome.notifications.create.mock.calls[0];
+    expect(options).toMatchObject({
+      title: "Server error",
+      buttons: [{ title: "Retry" }],
+      requireInteraction: true,
+    });
+    expect(chrome.storage.session.set).toHaveBeenCalledWith({
+      [`notification:${notificationId}`]: {
+        buttons: [{ title: "Retry", message: { type: "RETRY_SAVE", id: 17 } }],
+      },
+    });
+
+    // Pressing Retry reopens the page from history
+    getSaveHistoryEntry.mockResolvedValueOnce({ id: 17, url: "https://a.com/soup" });
+    chrome.tabs.create.mockResolvedValueOnce({ id: 9, url: "https://a.com/soup" });
+    chrome.storage.session.get.mockResolvedValueOnce({
+      [`notification:${notificationId}`]: {
+        buttons: [{ title: "Retry", message: { type: "RETRY_SAVE", id: 17 } }],
+      },
+    });
+    const onButtonClicked = chrome.notifications.onButtonClicked.addListener.mock.calls[0][0];
+    await onButtonClicked(notificationId, 0);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(getSaveHistoryEntry).toHaveBeenCalledWith(17);
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: "https://a.com/soup", active: true });
+    chrome.tabs.onUpdated.addListener.mock.calls.at(-1)[0](9, { status: "complete" });
+  });
+
+  // --- Multiple accounts ---
+
+  test("the Account menu lists every account, then Add Account and Log Out", async () => {
+    const { authManager } = require("./services/auth/auth-manager.js");
+    authManager.listAccounts.mockResolvedValue([
+      { userId: "ann-id", email: "ann@example.com", displayName: "Ann", active: true },
+      { userId: "bob-id", email: "bob@example.com", displayName: "", active: false },
+    ]);
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const accountItems = chrome.contextMenus.create.mock.calls
+      .map(([item]) => item)
+      .filter((item) => item.parentId === "kukbuk-account");
+    expect(accountItems).toEqual([
+      expect.objectContaining({
+        id: "kukbuk-account:ann-id",
+        title: "Ann (ann@example.com)",
+        type: "radio",
+        checked: true,
+      }),
+      expect.objectContaining({
+        id: "kukbuk-account:bob-id",
+        title: "bob@example.com",
+        checked: false,
+      }),
+      expect.objectContaining({ type: "separator" }),
+      expect.objectContaining({ id: "kukbuk-add-account", title: "Add Account…" }),
+      expect.objectContaining({ id: "kukbuk-logout", title: "Log Out" }),
+    ]);
+
+    // Rebuilt when the accounts change
+    chrome.contextMenus.create.mockClear();
+    chrome.storage.onChanged.addListener.mock.calls[0][0]({ accounts: { newValue: [] } }, "local");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(chrome.contextMenus.remove).toHaveBeenCalledWith("kukbuk-account");
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "kukbuk-account:bob-id" }),
+    );
+  });
+
+  test("choosing an account in the menu switches to it", async () => {
+    const { authManager } = require("./services/auth/auth-manager.js");
+    authManager.listAccounts.mockResolvedValue([]);
+    authManager.switchAccount.mockResolvedValueOnce({
+      authenticated: true,
+      email: "bob@example.com",
+    });
+
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    chrome.tabs.query.mockResolvedValueOnce([{ id: 7 }]);
+    chrome.tabs.sendMessage.mockResolvedValueOnce({ success: true });
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    await onClickedCallback({ menuItemId: "kukbuk-account:bob-id" }, {});
+
+    expect(authManager.switchAccount).toHaveBeenCalledWith("bob-id");
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      type: "SHOW_BUBBLE",
+      data: expect.objectContaining({ text: "Saving to bob@example.com's Drive" }),
+    });
+  });
+
+  test("Add Account opens the sign-in popup in its own window", () => {
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+    chrome.runtime.getURL.mockImplementation((path) => `chrome-extension://mock-id/${path}`);
+
+    const onClickedCallback = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+    onClickedCallback({ menuItemId: "kukbuk-add-account" }, {});
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    expect(listener({ type: "ADD_ACCOUNT" }, {}, jest.fn())).toBe(false);
+
+    expect(chrome.windows.create).toHaveBeenCalledTimes(2);
+    expect(chrome.windows.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: "chrome-extension://mock-id/popup/popup.html?addAccount=1",
+        type: "popup",
+      }),
+    );
+  });
+
+  test("switching accounts sends the saves that account queued", async () => {
+    const { processSaveQueue } = require("./services/save-queue.js");
+    const { logError } = require("../common/error-handler.js");
+    processSaveQueue.mockRejectedValue(new Error("Storage unavailable"));
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    const storageCallback = chrome.storage.onChanged.addListener.mock.calls[0][0];
+    storageCallback({ userId: { oldValue: "ann-id", newValue: "bob-id" } }, "local");
+    expect(processSaveQueue).toHaveBeenCalledTimes(1);
+
+    // Signing out leaves other accounts' saves queued
+    storageCallback({ userId: { oldValue: "bob-id" } }, "local");
+    expect(processSaveQueue).toHaveBeenCalledTimes(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(logError).toHaveBeenCalledWith("Save queue retry error", expect.any(Error));
+  });
+
+  test("hands the pre-accounts folder and history over only on update", () => {
+    const { migrateLegacyFolder } = require("../common/drive-folder.js");
+    const { migrateLegacySaveHistory } = require("../common/save-history.js");
+    migrateLegacyFolder.mockResolvedValue(undefined);
+    migrateLegacySaveHistory.mockResolvedValue(undefined);
+    jest.isolateModules(() => {
+      require("./background.js");
+    });
+
+    const onInstalled = chrome.runtime.onInstalled.addListener.mock.calls[0][0];
+    onInstalled({ reason: "install" });
+    expect(migrateLegacyFolder).not.toHaveBeenCalled();
+    expect(migrateLegacySaveHistory).not.toHaveBeenCalled();
+
+    onInstalled({ reason: "update", previousVersion: "0.7.0" });
+    expect(migrateLegacyFolder).toHaveBeenCalledTimes(1);
+    expect(migrateLegacySaveHistory).toHaveBeenCalledTimes(1);
   });
 });
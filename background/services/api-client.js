@@ -0,0 +1,325 @@
+/**
+ * Backend API client
+ *
+ * One place for backend calls: endpoint definitions, shared headers
+ * (X-Extension-ID, X-Request-ID), the interceptor chain (auth, retries, logging,
+ * mocking) and a single response/error pipeline that turns failures into ApiError.
+ */
+
+import { ERROR_CODES } from "../../common/constants.js";
+import { ENV } from "../../common/env-config.js";
+import { logError } from "../../common/error-handler.js";
+import {
+  extractErrorMessage,
+  categorizeHttpError,
+  getUserFriendlyMessage,
+  mapCategoryToErrorCode,
+  formatErrorForLogging,
+} from "../../common/error-utils.js";
+import { authManager } from "./auth/auth-manager.js";
+import { ApiError } from "./api-error.js";
+import {
+  createAuthInterceptor,
+  createRetryInterceptor,
+  loggingInterceptor,
+} from "./api-interceptors.js";
+
+/**
+ * @typedef {Object} ApiEndpoint
+ * @property {string} name - Endpoint name used in logs
+ * @property {string} method - HTTP method
+ * @property {string} path - Path relative to the API base URL, including query
+ * @property {boolean} [retryable] - Safe to replay after a 5xx or network failure
+ */
+
+/**
+ * @typedef {Object} ApiRequest
+ * @property {ApiEndpoint} endpoint - Endpoint being called
+ * @property {string} method - HTTP method
+ * @property {string} url - Absolute URL
+ * @property {Object<string, string>} headers - Request headers
+ * @property {string} [body] - Serialized JSON body
+ * @property {string} requestId - Correlation ID, also sent as X-Request-ID
+ */
+
+/**
+ * Interceptors wrap the network call, outermost first. Each receives the request and
+ * `next`, and may change the request, call `next` any number of times (retries) or
+ * not at all (mocks), and inspect or replace the response.
+ * @callback ApiInterceptor
+ * @param {ApiRequest} request - Outgoing request
+ * @param {function(ApiRequest): Promise<Response>} next - Rest of the chain
+ * @returns {Promise<Response>} Response
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [requestId] - Correlation ID to send instead of a fresh one, so every
+ *   request belonging to one save (including queued retries) shares it
+ */
+
+/**
+ * @typedef {Object} SaveRecipeBody
+ * @property {string} html - Page HTML, gzip-compressed and base64-encoded
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {{source: string, recipe: Object}} [structuredData] - schema.org Recipe
+ * @property {string[]} [tags] - Tags the user added in the side panel
+ * @property {string} [notes] - Notes the user added in the side panel
+ * @property {string} folderId - Drive folder to save to
+ * @property {string} folderName - Its name, for the backend's logs and messages
+ */
+
+/**
+ * @typedef {Object} CustomRecipeBody
+ * @property {string} description - Recipe description, gzip-compressed and base64-encoded
+ * @property {string} [title] - Recipe title
+ * @property {string} folderId - Drive folder to save to
+ * @property {string} folderName - Its name
+ */
+
+/**
+ * @typedef {Object} FolderListResponse
+ * @property {import("../../common/drive-folder.js").DriveFolder[]} folders - Matching
+ *   folders, most recently modified first
+ */
+
+/**
+ * @typedef {Object} RecipeResponse
+ * @property {string} title - Recipe name
+ * @property {string} [message] - Backend status message
+ * @property {string} [driveFileUrl] - Link to the saved file
+ * @property {boolean} [isRecipe] - False when the page held no recipe
+ */
+
+/** @type {Object<string, ApiEndpoint>} */
+export const API_ENDPOINTS = {
+  // The backend recognises a replayed save by its X-Request-ID, so retrying can't save twice
+  SAVE_RECIPE: {
+    name: "saveRecipe",
+    method: "POST",
+    path: "/v1/recipes?compression=gzip",
+    retryable: true,
+  },
+  CREATE_CUSTOM_RECIPE: {
+    name: "createCustomRecipe",
+    method: "POST",
+    path: "/v1/recipes/custom?compression=gzip",
+  },
+  LIST_FOLDERS: { name: "listFolders", method: "GET", path: "/v1/drive/folders", retryable: true },
+  CREATE_FOLDER: { name: "createFolder", method: "POST", path: "/v1/drive/folders" },
+};
+
+/**
+ * @returns {string} Random correlation ID
+ */
+export function createRequestId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class ApiClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL
+   * @param {string} options.extensionId - Sent as X-Extension-ID
+   * @param {ApiInterceptor[]} [options.interceptors] - Initial interceptors, outermost first
+   */
+  constructor({ baseUrl, extensionId, interceptors = [] }) {
+    this.baseUrl = baseUrl;
+    this.extensionId = extensionId;
+    this.interceptors = [...interceptors];
+  }
+
+  /**
+   * Adds an interceptor inside the existing ones (closest to the network)
+   * @param {ApiInterceptor} interceptor - Interceptor to add
+   * @returns {function(): void} Removes the interceptor again
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter((existing) => existing !== interceptor);
+    };
+  }
+
+  /**
+   * Saves a web page as a recipe
+   * @param {SaveRecipeBody} body - Request body
+   * @param {RequestOptions} [options] - Per-call options
+   * @returns {Promise<RecipeResponse>} Saved recipe
+   */
+  saveRecipe(body, options) {
+    return this.request(API_ENDPOINTS.SAVE_RECIPE, body, options);
+  }
+
+  /**
+   * Creates a recipe from a plain-text description
+   * @param {CustomRecipeBody} body - Request body
+   * @param {RequestOptions} [options] - Per-call options
+   * @returns {Promise<RecipeResponse>} Saved recipe
+   */
+  createCustomRecipe(body, options) {
+    return this.request(API_ENDPOINTS.CREATE_CUSTOM_RECIPE, body, options);
+  }
+
+  /**
+   * Lists the user's Drive folders
+   * @param {string} [query] - Only folders whose name contains this
+   * @param {RequestOptions} [options] - Per-call options
+   * @returns {Promise<FolderListResponse>} Folders
+   */
+  listFolders(query, options) {
+    const endpoint = query
+      ? {
+          ...API_ENDPOINTS.LIST_FOLDERS,
+          path: `${API_ENDPOINTS.LIST_FOLDERS.path}?query=${encodeURIComponent(query)}`,
+        }
+      : API_ENDPOINTS.LIST_FOLDERS;
+    return this.request(endpoint, undefined, options);
+  }
+
+  /**
+   * Creates a Drive folder
+   * @param {{name: string}} body - Request body
+   * @param {RequestOptions} [options] - Per-call options
+   * @returns {Promise<import("../../common/drive-folder.js").DriveFolder>} New folder
+   */
+  createFolder(body, options) {
+    return this.request(API_ENDPOINTS.CREATE_FOLDER, body, options);
+  }
+
+  /**
+   * Calls an endpoint through the interceptor chain
+   * @param {ApiEndpoint} endpoint - Endpoint to call
+   * @param {Object} [body] - JSON body
+   * @param {RequestOptions} [options] - Per-call options
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {ApiError} On network failure or a non-OK response; every error carries
+   *   the request ID
+   */
+  async request(endpoint, body, { requestId = createRequestId() } = {}) {
+    const request = {
+      endpoint,
+      method: endpoint.method,
+      url: `${this.baseUrl}${endpoint.path}`,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Extension-ID": this.extensionId,
+        "X-Request-ID": requestId,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      requestId,
+    };
+
+    const chain = this.interceptors.reduceRight(
+      (next, interceptor) => (req) => interceptor(req, next),
+      (req) => this.send(req),
+    );
+    let response;
+    try {
+      response = await chain(request);
+    } catch (error) {
+      // Errors raised before or instead of a response (auth, network) still get the ref
+      error.requestId = error.requestId || requestId;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw await this.toApiError(request, response);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Innermost step of the chain: the actual network call
+   * @param {ApiRequest} request - Request to send
+   * @returns {Promise<Response>} Response
+   * @throws {ApiError} NETWORK_ERROR when no response arrived
+   */
+  async send(request) {
+    try {
+      return await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+      });
+    } catch (fetchError) {
+      // fetch only rejects when the request never got a response
+      throw new ApiError("Network error. Please check your internet connection.", {
+        code: ERROR_CODES.NETWORK_ERROR,
+        originalMessage: fetchError.message,
+        requestId: request.requestId,
+      });
+    }
+  }
+
+  /**
+   * Reads the error body, logs the failure and builds the user-facing error
+   * @param {ApiRequest} request - Failed request
+   * @param {Response} response - Non-OK response
+   * @returns {Promise<ApiError>} Error to throw
+   */
+  async toApiError(request, response) {
+    let errorData = null;
+    let parseError = null;
+
+    // Try to parse JSON error response
+    try {
+      errorData = await response.json();
+    } catch (e) {
+      parseError = e;
+      // If JSON parsing fails, try to get text body for logging
+      try {
+        const textBody = await response.text();
+        errorData = { _rawBody: textBody.substring(0, 500) }; // Limit size
+      } catch {
+        errorData = { _rawBody: "Unable to read response body" };
+      }
+    }
+
+    const errorMessage = extractErrorMessage(response, errorData);
+    const category = categorizeHttpError(response.status);
+    const errorCode = mapCategoryToErrorCode(category, errorData);
+
+    logError(
+      `API request failed: ${request.endpoint.name}`,
+      null,
+      formatErrorForLogging({
+        request: {
+          method: request.method,
+          url: request.url,
+          headers: request.headers, // Will be sanitized in formatting
+        },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          body: errorData,
+        },
+        parseError,
+        category,
+        requestId: request.requestId,
+      }),
+    );
+
+    const userMessage = getUserFriendlyMessage(response.status, errorMessage, errorData);
+    return new ApiError(userMessage, {
+      code: errorCode,
+      statusCode: response.status,
+      originalMessage: errorMessage,
+      requestId: request.requestId,
+    });
+  }
+}
+
+/**
+ * Shared client for the background service: logging outermost, then retries, then
+ * auth (so every retry carries a current token)
+ */
+export const apiClient = new ApiClient({
+  baseUrl: ENV.API_BASE_URL,
+  extensionId: ENV.EXTENSION_ID,
+  interceptors: [loggingInterceptor, createRetryInterceptor(), createAuthInterceptor(authManager)],
+});
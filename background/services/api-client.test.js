@@ -0,0 +1,210 @@
+import { createDriveFoldersMock, mockConsole } from "../../test/testHelpers";
+
+jest.mock("../../common/constants.js", () => ({
+  ERROR_CODES: {
+    NETWORK_ERROR: "network_error",
+    AUTH_REQUIRED: "auth_required",
+    UNKNOWN_ERROR: "unknown_error",
+    SERVER_ERROR: "server_error",
+    CLIENT_ERROR: "client_error",
+  },
+}));
+jest.mock("../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+jest.mock("../../common/env-config.js", () => ({
+  ENV: { API_BASE_URL: "https://api.example.com", EXTENSION_ID: "mock-extension-id" },
+}));
+jest.mock("./auth/auth-manager.js", () => ({
+  authManager: { getIdToken: jest.fn().mockResolvedValue("token") },
+}));
+
+import { ApiClient, API_ENDPOINTS, apiClient } from "./api-client.js";
+import { ApiError } from "./api-error.js";
+import { createMockInterceptor } from "./api-interceptors.js";
+import { logError } from "../../common/error-handler.js";
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: "",
+    headers: { get: () => null },
+    json: jest.fn().mockResolvedValue(body),
+    text: jest.fn().mockResolvedValue(JSON.stringify(body)),
+  };
+}
+
+describe("ApiClient", () => {
+  let client;
+
+  beforeEach(() => {
+    mockConsole();
+    global.fetch = jest.fn();
+    client = new ApiClient({ baseUrl: "https://api.test", extensionId: "ext-1" });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test("sends shared headers and a request ID to the endpoint URL", async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { title: "Soup" }));
+
+    const result = await client.saveRecipe({ html: "gz", url: "u", title: "t" });
+
+    expect(result).toEqual({ title: "Soup" });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.test/v1/recipes?compression=gzip");
+    expect(init.method).toBe("POST");
+    expect(init.headers).toMatchObject({
+      "Content-Type": "application/json",
+      "X-Extension-ID": "ext-1",
+      "X-Request-ID": expect.any(String),
+    });
+    expect(JSON.parse(init.body)).toEqual({ html: "gz", url: "u", title: "t" });
+  });
+
+  test("uses a fresh request ID per call", async () => {
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+
+    await client.createCustomRecipe({ description: "gz" });
+    await client.createCustomRecipe({ description: "gz" });
+
+    const [first, second] = fetch.mock.calls.map(([, init]) => init.headers["X-Request-ID"]);
+    expect(first).not.toBe(second);
+    expect(fetch.mock.calls[0][0]).toBe("https://api.test/v1/recipes/custom?compression=gzip");
+  });
+
+  test("sends a caller-supplied request ID and tags errors raised before a response", async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, {}));
+    await client.saveRecipe({}, { requestId: "save-1" });
+    expect(fetch.mock.calls[0][1].headers["X-Request-ID"]).toBe("save-1");
+
+    client.use(async () => {
+      throw new Error("Not authenticated");
+    });
+    const error = await client.saveRecipe({}, { requestId: "save-2" }).catch((e) => e);
+    expect(error.requestId).toBe("save-2");
+  });
+
+  test("runs interceptors outermost first and lets them rewrite the request", async () => {
+    const order = [];
+    client.use(async (request, next) => {
+      order.push("outer");
+      return next({ ...request, headers: { ...request.headers, "X-Outer": "1" } });
+    });
+    client.use(async (request, next) => {
+      order.push("inner");
+      return next(request);
+    });
+    fetch.mockResolvedValueOnce(jsonResponse(200, {}));
+
+    await client.saveRecipe({});
+
+    expect(order).toEqual(["outer", "inner"]);
+    expect(fetch.mock.calls[0][1].headers["X-Outer"]).toBe("1");
+  });
+
+  test("use() returns a function that removes the interceptor", async () => {
+    const remove = client.use(createMockInterceptor({ saveRecipe: () => ({ body: { a: 1 } }) }));
+    expect(await client.saveRecipe({})).toEqual({ a: 1 });
+
+    remove();
+    fetch.mockResolvedValueOnce(jsonResponse(200, { b: 2 }));
+    expect(await client.saveRecipe({})).toEqual({ b: 2 });
+  });
+
+  test("lists folders matching a search", async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { folders: [] }));
+
+    await client.listFolders("soups & stews");
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.test/v1/drive/folders?query=soups%20%26%20stews");
+    expect(init.method).toBe("GET");
+    expect(init.body).toBeUndefined();
+  });
+
+  test("lists and creates folders against the stand-in folder backend", async () => {
+    const drive = createDriveFoldersMock([
+      { id: "a", name: "Recipes" },
+      { id: "b", name: "Taxes" },
+    ]);
+    client.use(createMockInterceptor(drive));
+
+    expect(await client.listFolders("rec")).toEqual({ folders: [{ id: "a", name: "Recipes" }] });
+    const created = await client.createFolder({ name: "Baking" });
+    expect(created).toEqual({ id: "folder-3", name: "Baking" });
+    expect((await client.listFolders()).folders.map((folder) => folder.name)).toEqual([
+      "Baking",
+      "Recipes",
+      "Taxes",
+    ]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("turns error responses into ApiError and logs them", async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(400, { error: "Missing url" }));
+
+    const error = await client.saveRecipe({}).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      message: "Missing url",
+      code: "client_error",
+      statusCode: 400,
+      originalMessage: "Missing url",
+      requestId: fetch.mock.calls[0][1].headers["X-Request-ID"],
+    });
+    expect(logError).toHaveBeenCalledWith(
+      "API request failed: saveRecipe",
+      null,
+      expect.objectContaining({ response: expect.objectContaining({ status: 400 }) }),
+    );
+  });
+
+  test("keeps the raw body when the error response is not JSON", async () => {
+    const response = jsonResponse(500, null);
+    response.json.mockRejectedValueOnce(new SyntaxError("Unexpected token"));
+    response.text.mockResolvedValueOnce("<html>Bad Gateway</html>");
+    fetch.mockResolvedValueOnce(response);
+
+    await expect(client.saveRecipe({})).rejects.toMatchObject({
+      code: "server_error",
+      statusCode: 500,
+    });
+    expect(logError.mock.calls[0][2].response.body).toEqual({
+      _rawBody: "<html>Bad Gateway</html>",
+    });
+  });
+
+  test("turns fetch failures into NETWORK_ERROR", async () => {
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+    await expect(client.saveRecipe({})).rejects.toMatchObject({
+      code: "network_error",
+      originalMessage: "Failed to fetch",
+    });
+  });
+
+  test("endpoints are named for logs", () => {
+    expect(API_ENDPOINTS.SAVE_RECIPE.name).toBe("saveRecipe");
+    expect(API_ENDPOINTS.CREATE_CUSTOM_RECIPE.name).toBe("createCustomRecipe");
+  });
+
+  test("shared client authenticates requests against the configured backend", async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, {}));
+
+    await apiClient.saveRecipe({});
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.example.com/v1/recipes?compression=gzip");
+    expect(init.headers).toMatchObject({
+      Authorization: "Bearer token",
+      "X-Extension-ID": "mock-extension-id",
+    });
+  });
+});
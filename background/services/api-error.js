@@ -0,0 +1,23 @@
+import { ERROR_CODES } from "../../common/constants.js";
+
+/**
+ * Error raised for every failed backend call
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [details]
+   * @param {string} [details.code] - Error code from ERROR_CODES (or the backend)
+   * @param {number} [details.statusCode] - HTTP status, absent for network failures
+   * @param {string} [details.originalMessage] - Message from the backend or the runtime
+   * @param {string} [details.requestId] - Correlation ID of the failed request
+   */
+  constructor(message, { code, statusCode, originalMessage, requestId } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code || ERROR_CODES.UNKNOWN_ERROR;
+    this.statusCode = statusCode;
+    this.originalMessage = originalMessage;
+    this.requestId = requestId;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Interceptors for the backend ApiClient (see api-client.js)
+ *
+ * - auth: adds the Firebase ID token; on 401 refreshes it once and replays the request
+ * - retry: retries 5xx and network failures of retryable endpoints with jittered backoff,
+ *   and waits for Retry-After on 429 when the server asks for a short pause
+ * - logging: one line per request and response, tagged with the request ID
+ * - mock: answers matching requests locally (for debugging without the backend)
+ */
+
+import { ERROR_CODES } from "../../common/constants.js";
+import { ApiError } from "./api-error.js";
+
+export const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 8000;
+// Longer pauses (e.g. a daily quota) are surfaced rather than waited out
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Messages thrown by the auth providers when there is no usable session
+const SIGNED_OUT_MESSAGES = [
+  "Not authenticated",
+  "Authentication expired",
+  "OAuth2 not granted or revoked",
+];
+
+/**
+ * "Full jitter" backoff: a random delay up to 1s, 2s, 4s … capped at 8s
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt) {
+  return Math.random() * Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent/unparseable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Adds `Authorization: Bearer <ID token>`; a 401 gets one forced refresh and replay
+ * @param {{getIdToken: function(boolean): Promise<string>}} auth - Token source
+ * @returns {import("./api-client.js").ApiInterceptor} Interceptor
+ */
+export function createAuthInterceptor(auth) {
+  const getToken = async (forceRefresh) => {
+    try {
+      return await auth.getIdToken(forceRefresh);
+    } catch (error) {
+      if (SIGNED_OUT_MESSAGES.some((message) => error.message?.includes(message))) {
+        throw new ApiError("Authentication required, please sign in", {
+          code: ERROR_CODES.AUTH_REQUIRED,
+          originalMessage: error.message,
+        });
+      }
+      throw error;
+    }
+  };
+  const withToken = (request, token) => ({
+    ...request,
+    headers: { ...request.headers, Authorization: `Bearer ${token}` },
+  });
+
+  return async (request, next) => {
+    const response = await next(withToken(request, await getToken(false)));
+    if (response.status !== 401) return response;
+
+    // The cached token may have expired early or been revoked; a fresh one often works
+    console.log(`[${request.requestId}] Backend returned 401, refreshing ID token and replaying`);
+    return next(withToken(request, await getToken(true)));
+  };
+}
+
+/**
+ * Retries 5xx responses and network failures with jittered backoff for endpoints marked
+ * `retryable` (a failed request may still have been carried out, so only endpoints that
+ * are safe to replay opt in), and any 429 response (the server did nothing) after a short
+ * Retry-After. The last response (or error) is passed on.
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=MAX_RETRIES] - Retries after the first attempt
+ * @returns {import("./api-client.js").ApiInterceptor} Interceptor
+ */
+export function createRetryInterceptor({ maxRetries = MAX_RETRIES } = {}) {
+  return async (request, next) => {
+    const retryable = Boolean(request.endpoint?.retryable);
+    for (let retries = 0; ; retries++) {
+      let response;
+      try {
+        response = await next(request);
+      } catch (error) {
+        const networkFailure = error.code === ERROR_CODES.NETWORK_ERROR && !error.statusCode;
+        if (!networkFailure || !retryable || retries >= maxRetries) throw error;
+        console.warn(`[${request.requestId}] Network failure, retry ${retries + 1}/${maxRetries}`);
+        await wait(getBackoffDelay(retries));
+        continue;
+      }
+
+      if (retries >= maxRetries) return response;
+
+      if (response.status === 429) {
+        const retryAfter = parseRetryAfter(response.headers?.get("Retry-After"));
+        if (retryAfter === null || retryAfter > MAX_RETRY_AFTER_MS) return response;
+        console.warn(`[${request.requestId}] Rate limited, retrying after ${retryAfter}ms`);
+        await wait(retryAfter);
+        continue;
+      }
+
+      if (response.status >= 500 && retryable) {
+        console.warn(
+          `[${request.requestId}] Server error ${response.status}, ` +
+            `retry ${retries + 1}/${maxRetries}`,
+        );
+        await wait(getBackoffDelay(retries));
+        continue;
+      }
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Logs each request and its outcome (never headers or bodies: they hold tokens and pages)
+ * @type {import("./api-client.js").ApiInterceptor}
+ */
+export async function loggingInterceptor(request, next) {
+  const startedAt = Date.now();
+  console.log(`[${request.requestId}] ${request.method} ${request.url}`);
+  try {
+    const response = await next(request);
+    console.log(`[${request.requestId}] ${response.status} in ${Date.now() - startedAt}ms`);
+    return response;
+  } catch (error) {
+    console.log(`[${request.requestId}] failed in ${Date.now() - startedAt}ms: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * @callback MockHandler
+ * @param {import("./api-client.js").ApiRequest} request - Intercepted request
+ * @returns {Object|Promise<Object>} `{status?, body, headers?}`
+ */
+
+/**
+ * Answers requests for the given endpoints locally instead of calling the backend.
+ * Handy while debugging the UI: `apiClient.use(createMockInterceptor({ saveRecipe: ... }))`.
+ * @param {Object<string, MockHandler>} handlers - Keyed by endpoint name
+ * @returns {import("./api-client.js").ApiInterceptor} Interceptor
+ */
+export function createMockInterceptor(handlers) {
+  return async (request, next) => {
+    const handler = handlers[request.endpoint.name];
+    if (!handler) return next(request);
+
+    const { status = 200, body = {}, headers = {} } = await handler(request);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: "",
+      headers: { get: (name) => headers[name] ?? null },
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    };
+  };
+}
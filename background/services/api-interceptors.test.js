@@ -0,0 +1,247 @@
+import { mockConsole } from "../../test/testHelpers";
+
+jest.mock("../../common/constants.js", () => ({
+  ERROR_CODES: {
+    NETWORK_ERROR: "network_error",
+    AUTH_REQUIRED: "auth_required",
+    UNKNOWN_ERROR: "unknown_error",
+  },
+}));
+
+import {
+  createAuthInterceptor,
+  createRetryInterceptor,
+  createMockInterceptor,
+  loggingInterceptor,
+  getBackoffDelay,
+  parseRetryAfter,
+  MAX_RETRIES,
+} from "./api-interceptors.js";
+import { ApiError } from "./api-error.js";
+
+function response(status, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+  };
+}
+
+const request = {
+  endpoint: { name: "saveRecipe", retryable: true },
+  method: "POST",
+  url: "https://api.test/v1/recipes",
+  headers: { "X-Extension-ID": "ext" },
+  requestId: "req-1",
+};
+
+const createFolderRequest = {
+  endpoint: { name: "createFolder" },
+  method: "POST",
+  url: "https://api.test/v1/drive/folders",
+  headers: { "X-Extension-ID": "ext" },
+  requestId: "req-2",
+};
+
+beforeEach(() => {
+  mockConsole();
+  jest.spyOn(Math, "random").mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("auth interceptor", () => {
+  let auth;
+  let next;
+
+  beforeEach(() => {
+    auth = {
+      getIdToken: jest.fn((forceRefresh) =>
+        Promise.resolve(forceRefresh ? "fresh-token" : "cached-token"),
+      ),
+    };
+    next = jest.fn();
+  });
+
+  test("adds the bearer token", async () => {
+    next.mockResolvedValueOnce(response(200));
+
+    await createAuthInterceptor(auth)(request, next);
+
+    expect(next).toHaveBeenCalledWith({
+      ...request,
+      headers: { "X-Extension-ID": "ext", Authorization: "Bearer cached-token" },
+    });
+  });
+
+  test("refreshes the token once on 401 and replays the request", async () => {
+    next.mockResolvedValueOnce(response(401)).mockResolvedValueOnce(response(200));
+
+    const result = await createAuthInterceptor(auth)(request, next);
+
+    expect(result.status).toBe(200);
+    expect(auth.getIdToken).toHaveBeenLastCalledWith(true);
+    expect(next.mock.calls[1][0].headers.Authorization).toBe("Bearer fresh-token");
+  });
+
+  test("returns the second 401 instead of refreshing again", async () => {
+    next.mockResolvedValue(response(401));
+
+    const result = await createAuthInterceptor(auth)(request, next);
+
+    expect(result.status).toBe(401);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test("turns a missing session into AUTH_REQUIRED", async () => {
+    auth.getIdToken.mockRejectedValueOnce(new Error("Not authenticated"));
+
+    await expect(createAuthInterceptor(auth)(request, next)).rejects.toMatchObject({
+      message: "Authentication required, please sign in",
+      code: "auth_required",
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("passes other token errors through", async () => {
+    auth.getIdToken.mockRejectedValueOnce(new Error("Offscreen document not ready"));
+
+    await expect(createAuthInterceptor(auth)(request, next)).rejects.toThrow(
+      "Offscreen document not ready",
+    );
+  });
+});
+
+describe("retry interceptor", () => {
+  const retry = createRetryInterceptor();
+  const networkError = () =>
+    new ApiError("Network error", { code: "network_error", originalMessage: "Failed to fetch" });
+
+  test("retries 5xx responses and returns the last one", async () => {
+    const next = jest.fn().mockResolvedValue(response(503));
+
+    expect((await retry(request, next)).status).toBe(503);
+    expect(next).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+  });
+
+  test("recovers when a retry succeeds", async () => {
+    const next = jest
+      .fn()
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce(response(502))
+      .mockResolvedValueOnce(response(200));
+
+    expect((await retry(request, next)).status).toBe(200);
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  test("rethrows the network error after the last retry", async () => {
+    const next = jest.fn().mockRejectedValue(networkError());
+
+    await expect(retry(request, next)).rejects.toMatchObject({ code: "network_error" });
+    expect(next).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+  });
+
+  test("does not replay an endpoint that hasn't opted in to retries", async () => {
+    const next = jest
+      .fn()
+      .mockResolvedValueOnce(response(502))
+      .mockRejectedValueOnce(networkError());
+
+    expect((await retry(createFolderRequest, next)).status).toBe(502);
+    await expect(retry(createFolderRequest, next)).rejects.toMatchObject({ code: "network_error" });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry other errors", async () => {
+    const next = jest.fn().mockRejectedValue(new ApiError("Sign in", { code: "auth_required" }));
+
+    await expect(retry(request, next)).rejects.toThrow("Sign in");
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test("waits for Retry-After on 429", async () => {
+    jest.useFakeTimers();
+    const next = jest
+      .fn()
+      .mockResolvedValueOnce(response(429, { "Retry-After": "2" }))
+      .mockResolvedValueOnce(response(200));
+
+    const pending = retry(request, next);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(next).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect((await pending).status).toBe(200);
+  });
+
+  test("does not wait out a long or missing Retry-After", async () => {
+    const next = jest
+      .fn()
+      .mockResolvedValueOnce(response(429, { "Retry-After": "86400" }))
+      .mockResolvedValueOnce(response(429));
+
+    expect((await retry(request, next)).status).toBe(429);
+    expect((await retry(request, next)).status).toBe(429);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry other 4xx responses", async () => {
+    const next = jest.fn().mockResolvedValue(response(400));
+
+    expect((await retry(request, next)).status).toBe(400);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("logging interceptor", () => {
+  test("logs the request and response status with the request ID", async () => {
+    await loggingInterceptor(request, jest.fn().mockResolvedValue(response(201)));
+
+    expect(console.log).toHaveBeenCalledWith("[req-1] POST https://api.test/v1/recipes");
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^\[req-1\] 201 in \d+ms$/));
+  });
+});
+
+describe("mock interceptor", () => {
+  test("answers matching endpoints without calling the network", async () => {
+    const next = jest.fn();
+    const mock = createMockInterceptor({
+      saveRecipe: () => ({ body: { title: "Mock Soup" } }),
+    });
+
+    const result = await mock(request, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(result.ok).toBe(true);
+    expect(await result.json()).toEqual({ title: "Mock Soup" });
+  });
+
+  test("passes other endpoints through", async () => {
+    const next = jest.fn().mockResolvedValue(response(200));
+    const mock = createMockInterceptor({ createCustomRecipe: () => ({}) });
+
+    await mock(request, next);
+    expect(next).toHaveBeenCalledWith(request);
+  });
+});
+
+describe("retry helpers", () => {
+  test("parseRetryAfter reads seconds and HTTP dates", () => {
+    jest.spyOn(Date, "now").mockReturnValue(Date.parse("2024-01-01T00:00:00Z"));
+    expect(parseRetryAfter("5")).toBe(5000);
+    expect(parseRetryAfter("Mon, 01 Jan 2024 00:00:10 GMT")).toBe(10000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+
+  test("backoff is jittered and capped", () => {
+    Math.random.mockReturnValue(0.5);
+    expect(getBackoffDelay(0)).toBe(500);
+    expect(getBackoffDelay(1)).toBe(1000);
+    expect(getBackoffDelay(10)).toBe(4000);
+  });
+});
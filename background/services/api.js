@@ -1,17 +1,12 @@
 // API service for MyKukbuk
 
+import { MESSAGE_TYPES, ERROR_CODES } from "../../common/constants.js";
 import { logError } from "../../common/error-handler.js";
-import { MESSAGE_TYPES, STORAGE_KEYS, ERROR_CODES } from "../../common/constants.js";
+import { getSelectedFolder } from "../../common/drive-folder.js";
 import { transformContent } from "./transformation.js";
-import { authManager } from "./auth/auth-manager.js";
-import { ENV } from "../../common/env-config.js";
-import {
-  extractErrorMessage,
-  categorizeHttpError,
-  getUserFriendlyMessage,
-  mapCategoryToErrorCode,
-  formatErrorForLogging,
-} from "../../common/error-utils.js";
+import { enqueueSave, isQueueableError } from "./save-queue.js";
+import { apiClient, createRequestId } from "./api-client.js";
+import { ApiError } from "./api-error.js";
 
 /**
  * Sets up the API service
@@ -27,6 +22,9 @@ export function setupApi() {
         pageContent: message.pageContent,
         pageUrl: message.pageUrl,
         title: message.title,
+        structuredData: message.structuredData,
+        tags: message.tags,
+        notes: message.notes,
       };
       saveRecipe(recipeData)
         .then((response) => sendResponse(response))
@@ -36,6 +34,7 @@ export function setupApi() {
             success: false,
             error: error.message,
             errorCode: error.code || ERROR_CODES.UNKNOWN_ERROR,
+            requestId: error.requestId,
           });
         });
 
@@ -55,11 +54,36 @@ export function setupApi() {
             success: false,
             error: error.message,
             errorCode: error.code || ERROR_CODES.UNKNOWN_ERROR,
+            requestId: error.requestId,
           });
         });
 
       return true;
     }
+
+    if (message.type === MESSAGE_TYPES.LIST_FOLDERS) {
+      apiClient
+        .listFolders(message.query)
+        .then(({ folders }) => sendResponse({ success: true, folders: folders || [] }))
+        .catch((error) => {
+          logError("List folders error", error);
+          sendResponse({ success: false, error: error.message, errorCode: error.code });
+        });
+
+      return true;
+    }
+
+    if (message.type === MESSAGE_TYPES.CREATE_FOLDER) {
+      apiClient
+        .createFolder({ name: message.name })
+        .then((folder) => sendResponse({ success: true, folder }))
+        .catch((error) => {
+          logError("Create folder error", error);
+          sendResponse({ success: false, error: error.message, errorCode: error.code });
+        });
+
+      return true;
+    }
   });
 }
 
@@ -76,243 +100,133 @@ async function saveCustomRecipe({ description, title }) {
     throw new Error("Description is required");
   }
 
-  try {
-    const firebaseToken = await authManager.getIdToken();
-
-    const contentObject = await transformContent(description);
-    const compressedDescription = contentObject.transformed;
-
-    const request = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${firebaseToken}`,
-        "X-Extension-ID": ENV.EXTENSION_ID,
-      },
-      body: JSON.stringify({
-        description: compressedDescription,
-        title: title || description.split("\n")[0].slice(0, 80) || undefined,
-      }),
-    };
-
-    console.log("fetch custom recipe", ENV.API_BASE_URL, request);
-    const response = await fetch(`${ENV.API_BASE_URL}/v1/recipes/custom?compression=gzip`, request);
-
-    if (!response.ok) {
-      let errorData = null;
-      let parseError = null;
-
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        parseError = e;
-        try {
-          const textBody = await response.text();
-          errorData = { _rawBody: textBody.substring(0, 500) };
-        } catch {
-          errorData = { _rawBody: "Unable to read response body" };
-        }
-      }
-
-      const errorMessage = extractErrorMessage(response, errorData);
-      const category = categorizeHttpError(response.status);
-      const errorCode = mapCategoryToErrorCode(category, errorData);
-
-      logError(
-        "Custom recipe API request failed",
-        null,
-        formatErrorForLogging({
-          request: { method: "POST", url: ENV.API_BASE_URL, headers: request.headers },
-          response: { status: response.status, statusText: response.statusText, body: errorData },
-          parseError,
-          category,
-        }),
-      );
-
-      const userMessage = getUserFriendlyMessage(response.status, errorMessage, errorData);
-      const error = new Error(userMessage);
-      error.code = errorCode;
-      error.statusCode = response.status;
-      error.originalMessage = errorMessage;
-      throw error;
-    }
-
-    const result = await response.json();
-
-    return {
-      success: true,
-      recipeName: result.title,
-      message: result.message || "Recipe saved to Google Drive successfully",
-      driveUrl: result.driveFileUrl || null,
-      isRecipe: result.isRecipe,
-    };
-  } catch (error) {
-    if (
-      error.message.includes("Not authenticated") ||
-      error.message.includes("Authentication expired") ||
-      error.message.includes("OAuth2 not granted or revoked")
-    ) {
-      const authError = new Error("Authentication required, please sign in");
-      authError.code = ERROR_CODES.AUTH_REQUIRED;
-      throw authError;
-    }
-
-    if (error.message.includes("401") || error.message.includes("Unauthorized")) {
-      const authError = new Error("Authentication expired, please sign in again");
-      authError.code = ERROR_CODES.AUTH_REQUIRED;
-      throw authError;
-    }
-
-    throw error;
-  }
+  const folder = await requireFolder();
+  const contentObject = await transformContent(description);
+  const result = await apiClient.createCustomRecipe({
+    description: contentObject.transformed,
+    title: title || description.split("\n")[0].slice(0, 80) || undefined,
+    folderId: folder.id,
+    folderName: folder.name,
+  });
+  return toSaveResult(result);
 }
 
 /**
- * Saves a recipe to Google Drive
+ * Saves a recipe to Google Drive.
+ * When we're offline or the backend is unreachable the compressed request is queued
+ * and retried in the background instead of being lost. Nothing is sent until the user
+ * has chosen a Drive folder (FOLDER_REQUIRED).
  * @param {Object} recipeData - Recipe data from content script
- * @returns {Promise<Object>} Save result
+ * @param {string} recipeData.pageContent - Cleaned page HTML
+ * @param {string} recipeData.pageUrl - Page URL
+ * @param {string} recipeData.title - Page title
+ * @param {{source: string, recipe: Object}|null} [recipeData.structuredData] - Structured recipe
+ * @param {string[]} [recipeData.tags] - User tags
+ * @param {string} [recipeData.notes] - User notes
+ * @returns {Promise<Object>} Save result; `queued: true` when the save will be retried later.
+ *   Results and thrown errors carry `requestId`, the X-Request-ID sent to the backend.
  */
 export async function saveRecipe(recipeData) {
   if (!recipeData || !recipeData.pageContent) {
     throw new Error("Invalid recipe data");
   }
 
-  try {
-    // Get Firebase ID token for backend authentication
-    const firebaseToken = await authManager.getIdToken();
-
-    // Check if Drive folder is selected
-    // const folder = await getCurrentFolder();
-    // if (!folder) {
-    //   const error = new Error('Google Drive folder not set. Please select a folder in settings.');
-    //   error.code = ERROR_CODES.FOLDER_REQUIRED;
-    //   throw error;
-    // }
-
-    const contentObject = await transformContent(recipeData.pageContent);
-    const content = contentObject.transformed;
-
-    // Prepare data for sending to API
-    const request = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${firebaseToken}`,
-        "X-Extension-ID": ENV.EXTENSION_ID,
-        // "X-Request-ID": requestId,
-      },
-      body: JSON.stringify({
-        html: content,
-        url: recipeData.pageUrl,
-        title: recipeData.title,
-        // folderId: folder.id,
-        // folderName: folder.name
-      }),
-    };
-    console.log("fetch ", ENV.API_BASE_URL, request);
-    // Send to backend
-    const response = await fetch(`${ENV.API_BASE_URL}/v1/recipes?compression=gzip`, request);
-    //    or mock while debugging
-    // const response = await new Promise((resolve) => {
-    //   setTimeout(() => {
-    //     resolve({
-    //       ok: true,
-    //       status: 200,
-    //       json: async () => ({
-    //         recipeName: "Test Recipe",
-    //         message: "Recipe saved successfully",
-    //       }),
-    //     });
-    //   }, 3000);
-    // });
-
-    // Check for HTTP errors
-    if (!response.ok) {
-      let errorData = null;
-      let parseError = null;
-
-      // Try to parse JSON error response
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        parseError = e;
-        // If JSON parsing fails, try to get text body for logging
-        try {
-          const textBody = await response.text();
-          errorData = { _rawBody: textBody.substring(0, 500) }; // Limit size
-        } catch (textError) {
-          errorData = { _rawBody: "Unable to read response body" };
-        }
-      }
-
-      // Extract best error message using utility
-      const errorMessage = extractErrorMessage(response, errorData);
+  // One ID per save so user reports ("ref 3f2a…") can be matched to backend logs
+  const requestId = createRequestId();
 
-      // Categorize error for appropriate error code
-      const category = categorizeHttpError(response.status);
-      const errorCode = mapCategoryToErrorCode(category, errorData);
+  let folder;
+  let contentObject;
+  try {
+    folder = await requireFolder();
+    contentObject = await transformContent(recipeData.pageContent);
+  } catch (error) {
+    error.requestId = requestId;
+    throw error;
+  }
 
-      // Log detailed error information for debugging
-      logError(
-        "API request failed",
-        null,
-        formatErrorForLogging({
-          request: {
-            method: "POST",
-            url: ENV.API_BASE_URL,
-            headers: request.headers, // Will be sanitized in formatting
-          },
-          response: {
-            status: response.status,
-            statusText: response.statusText,
-            body: errorData,
-          },
-          parseError,
-          category,
-        }),
-      );
+  /** @type {import("./api-client.js").SaveRecipeBody} */
+  const body = {
+    html: contentObject.transformed,
+    url: recipeData.pageUrl,
+    title: recipeData.title,
+    // schema.org Recipe found by the content script; lets the backend skip AI parsing
+    structuredData: recipeData.structuredData || undefined,
+    tags: recipeData.tags?.length ? recipeData.tags : undefined,
+    notes: recipeData.notes || undefined,
+    folderId: folder.id,
+    folderName: folder.name,
+  };
 
-      // Create error with user-friendly message for UI
-      const userMessage = getUserFriendlyMessage(response.status, errorMessage, errorData);
-      const error = new Error(userMessage);
-      error.code = errorCode;
-      error.statusCode = response.status;
-      error.originalMessage = errorMessage; // Preserve for specific handling
+  try {
+    if (!navigator.onLine) {
+      throw new ApiError("You're offline", { code: ERROR_CODES.NETWORK_ERROR, requestId });
+    }
+    const result = await apiClient.saveRecipe(body, { requestId });
+    return { ...toSaveResult(result, recipeData.structuredData), requestId };
+  } catch (error) {
+    if (!isQueueableError(error)) throw error;
 
+    try {
+      await enqueueSave({ body, pageUrl: recipeData.pageUrl, title: recipeData.title, requestId });
+    } catch (queueError) {
+      // Storage full or unavailable: report the failed save, not the queue
+      logError("Could not queue save", queueError, { pageUrl: recipeData.pageUrl, requestId });
       throw error;
     }
-
-    // Parse success response
-    const result = await response.json();
-
     return {
-      success: true,
-      recipeName: result.title,
-      message: result.message || "Recipe saved to Google Drive successfully",
-      driveUrl: result.driveFileUrl || null,
-      isRecipe: result.isRecipe,
-      // folderName: folder.name,
+      success: false,
+      queued: true,
+      error: "Saved for later. We'll send it to Drive once the connection is back.",
+      requestId,
     };
-  } catch (error) {
-    // Handle auth errors
-    if (
-      error.message.includes("Not authenticated") ||
-      error.message.includes("Authentication expired") ||
-      error.message.includes("OAuth2 not granted or revoked")
-    ) {
-      const authError = new Error("Authentication required, please sign in");
-      authError.code = ERROR_CODES.AUTH_REQUIRED;
-      throw authError;
-    }
+  }
+}
 
-    // Handle 401 Unauthorized from backend
-    if (error.message.includes("401") || error.message.includes("Unauthorized")) {
-      const authError = new Error("Authentication expired, please sign in again");
-      authError.code = ERROR_CODES.AUTH_REQUIRED;
-      throw authError;
-    }
+/**
+ * Retries a save from the offline queue
+ * @param {import("./save-queue.js").QueuedSave} entry - Queue entry
+ * @returns {Promise<Object>} Save result
+ */
+export async function sendQueuedRecipe(entry) {
+  let body = entry.body;
+  // Saves queued before the folder was sent along go to the folder chosen now
+  if (!body.folderId) {
+    const folder = await requireFolder();
+    body = { ...body, folderId: folder.id, folderName: folder.name };
+  }
 
-    // Re-throw the error
-    throw error;
+  // Retries keep the original save's request ID
+  const result = await apiClient.saveRecipe(body, { requestId: entry.requestId });
+  return { ...toSaveResult(result, entry.body.structuredData), requestId: entry.requestId };
+}
+
+/**
+ * @param {import("./api-client.js").RecipeResponse} result - Backend response
+ * @param {{source: string}|null} [structuredData] - Structured recipe sent with the save
+ * @returns {Object} Save result for the UI
+ */
+function toSaveResult(result, structuredData) {
+  return {
+    success: true,
+    recipeName: result.title,
+    message: result.message || "Recipe saved to Google Drive successfully",
+    driveUrl: result.driveFileUrl || null,
+    isRecipe: result.isRecipe,
+    // "json-ld" | "microdata" | "rdfa" for structured saves; absent when the AI parsed HTML
+    extractionSource: structuredData?.source,
+  };
+}
+
+/**
+ * @returns {Promise<import("../../common/drive-folder.js").DriveFolder>} Folder to save to
+ * @throws {ApiError} FOLDER_REQUIRED when the user hasn't chosen one yet
+ */
+async function requireFolder() {
+  const folder = await getSelectedFolder();
+  if (!folder) {
+    throw new ApiError("Choose a Google Drive folder for your recipes first", {
+      code: ERROR_CODES.FOLDER_REQUIRED,
+    });
   }
+  return folder;
 }
@@ -2,7 +2,12 @@
  * @jest-environment jsdom
  */
 
-import { mockFetch, setupMockStorage, mockConsole } from "../../test/testHelpers";
+import {
+  createDriveFoldersMock,
+  mockFetch,
+  setupMockStorage,
+  mockConsole,
+} from "../../test/testHelpers";
 
 // Mock the dependencies
 jest.mock("../../common/error-handler.js", () => ({
@@ -13,11 +18,14 @@ jest.mock("../../common/constants.js", () => ({
   MESSAGE_TYPES: {
     SAVE_RECIPE: "SAVE_RECIPE",
     CREATE_RECIPE_FROM_DESCRIPTION: "CREATE_RECIPE_FROM_DESCRIPTION",
+    LIST_FOLDERS: "LIST_FOLDERS",
+    CREATE_FOLDER: "CREATE_FOLDER",
   },
   STORAGE_KEYS: {
     FIREBASE_TOKEN: "firebaseToken",
     USER_EMAIL: "userEmail",
     USER_ID: "userId",
+    DRIVE_FOLDER: "driveFolder",
   },
   ERROR_CODES: {
     UNKNOWN_ERROR: "unknown_error",
@@ -39,6 +47,17 @@ jest.mock("./auth/auth-manager.js", () => ({
   },
 }));
 
+jest.mock("./save-queue.js", () => ({
+  enqueueSave: jest.fn().mockResolvedValue({ id: "queued-1" }),
+  // mapCategoryToErrorCode is mocked to "network_error" for every HTTP failure,
+  // so tell real network failures apart by the missing status code
+  isQueueableError: jest.fn(
+    (error) =>
+      (error.code === "network_error" && !error.statusCode) ||
+      [502, 503, 504].includes(error.statusCode),
+  ),
+}));
+
 jest.mock("../../common/env-config.js", () => ({
   ENV: {
     API_BASE_URL: "https://api.example.com",
@@ -61,7 +80,9 @@ jest.mock("../../common/error-utils.js", () => ({
 }));
 
 // Import the module under test
-import { setupApi } from "./api";
+import { setupApi, sendQueuedRecipe } from "./api";
+import { apiClient } from "./api-client.js";
+import { createMockInterceptor } from "./api-interceptors.js";
 
 describe("API Service", () => {
   let originalChrome;
@@ -77,6 +98,10 @@ describe("API Service", () => {
           addListener: jest.fn(),
         },
       },
+      storage: {
+        local: setupMockStorage({ userId: "user-1" }),
+        sync: setupMockStorage({ driveFolder: { "user-1": { id: "folder-1", name: "Recipes" } } }),
+      },
     };
     originalChrome = global.chrome;
     global.chrome = mockChrome;
@@ -88,6 +113,9 @@ describe("API Service", () => {
     // Mock console
     consoleLogSpy = mockConsole();
 
+    // No backoff delay between retries
+    jest.spyOn(Math, "random").mockReturnValue(0);
+
     // Reset all mock implementations
     jest.clearAllMocks();
   });
@@ -153,6 +181,7 @@ describe("API Service", () => {
         recipeName: "Delicious Recipe",
         message: "Recipe saved successfully",
         driveUrl: "https://drive.google.com/file/123",
+        requestId: expect.any(String),
       });
 
       // Verify that fetch was called with the right parameters
@@ -170,6 +199,146 @@ describe("API Service", () => {
       );
     });
 
+    it("should send structured recipe data next to the HTML", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Pasta", isRecipe: true }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const structuredData = { source: "json-ld", recipe: { name: "Pasta", ingredients: [] } };
+      const sendResponse = jest.fn();
+
+      messageListener(
+        {
+          type: "SAVE_RECIPE",
+          pageContent: "<div>Recipe content</div>",
+          pageUrl: "https://example.com/recipe",
+          title: "Pasta",
+          structuredData,
+        },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const fetchBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(fetchBody.structuredData).toEqual(structuredData);
+      expect(fetchBody.html).toBe("<html>Transformed content</html>");
+      expect(sendResponse).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, extractionSource: "json-ld" }),
+      );
+    });
+
+    it("should send the user's tags and notes with the save", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Pasta", isRecipe: true }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      messageListener(
+        {
+          type: "SAVE_RECIPE",
+          pageContent: "<div>Recipe content</div>",
+          pageUrl: "https://example.com/recipe",
+          title: "Weeknight Pasta",
+          tags: ["quick", "vegetarian"],
+          notes: "Use less salt",
+        },
+        {},
+        jest.fn(),
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const fetchBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(fetchBody).toMatchObject({
+        title: "Weeknight Pasta",
+        tags: ["quick", "vegetarian"],
+        notes: "Use less salt",
+      });
+    });
+
+    it("should send the chosen Drive folder with the save", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Pasta", isRecipe: true }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "https://e.com" },
+        {},
+        jest.fn(),
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const fetchBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(fetchBody).toMatchObject({ folderId: "folder-1", folderName: "Recipes" });
+    });
+
+    it("should fail with FOLDER_REQUIRED before sending anything when no folder is chosen", async () => {
+      chrome.storage.sync = setupMockStorage();
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "https://e.com" },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(sendResponse).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          errorCode: "folder_required",
+          requestId: expect.any(String),
+        }),
+      );
+    });
+
+    it("should omit structuredData from the body when none was found", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Pasta", isRecipe: true }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      messageListener(
+        {
+          type: "SAVE_RECIPE",
+          pageContent: "<div>Recipe content</div>",
+          pageUrl: "https://example.com/recipe",
+          title: "Pasta",
+          structuredData: null,
+        },
+        {},
+        jest.fn(),
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const fetchBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(fetchBody).not.toHaveProperty("structuredData");
+      expect(fetchBody).not.toHaveProperty("tags");
+      expect(fetchBody).not.toHaveProperty("notes");
+    });
+
     it("should handle API errors properly", async () => {
       // Set up a failed API response
       fetchMock.mockResolvedValueOnce({
@@ -213,12 +382,13 @@ describe("API Service", () => {
         success: false,
         error: "Server error: 400",
         errorCode: "network_error",
+        requestId: expect.any(String),
       });
     });
 
     it("should handle network errors without JSON response", async () => {
       // Set up a failed API response that doesn't return valid JSON
-      fetchMock.mockResolvedValueOnce({
+      fetchMock.mockResolvedValue({
         ok: false,
         status: 500,
         json: jest.fn().mockRejectedValueOnce(new Error("Invalid JSON")),
@@ -246,13 +416,196 @@ describe("API Service", () => {
       messageListener(message, sender, sendResponse);
 
       // Wait for the async operation to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await new Promise((resolve) => setTimeout(resolve, 20));
 
       // Check if the response callback was called with a generic error
       expect(sendResponse).toHaveBeenCalledWith({
         success: false,
         error: "Server error: 500",
         errorCode: "network_error",
+        requestId: expect.any(String),
+      });
+    });
+
+    it("should refresh the token and replay the save after a 401", async () => {
+      const { authManager } = require("./auth/auth-manager.js");
+      authManager.getIdToken.mockResolvedValueOnce("stale-token");
+      authManager.getIdToken.mockResolvedValueOnce("fresh-token");
+      fetchMock.mockResolvedValueOnce({ ok: false, status: 401 }).mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Pasta", isRecipe: true }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "u", title: "t" },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(authManager.getIdToken).toHaveBeenLastCalledWith(true);
+      expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe("Bearer fresh-token");
+      expect(sendResponse).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, recipeName: "Pasta" }),
+      );
+    });
+
+    it("should queue the save when the network request fails", async () => {
+      const { enqueueSave } = require("./save-queue.js");
+      fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        {
+          type: "SAVE_RECIPE",
+          pageContent: "<div>Recipe content</div>",
+          pageUrl: "https://example.com/recipe",
+          title: "Delicious Recipe",
+        },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(enqueueSave).toHaveBeenCalledWith({
+        body: expect.objectContaining({ html: "<html>Transformed content</html>" }),
+        pageUrl: "https://example.com/recipe",
+        title: "Delicious Recipe",
+        requestId: expect.any(String),
+      });
+      expect(sendResponse).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, queued: true }),
+      );
+    });
+
+    it("should queue the save when the backend is unavailable", async () => {
+      const { enqueueSave } = require("./save-queue.js");
+      fetchMock.mockResolvedValue({
+        ok: false,
+        status: 503,
+        json: jest.fn().mockResolvedValueOnce({ error: "Service Unavailable" }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "u", title: "t" },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(enqueueSave).toHaveBeenCalledTimes(1);
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ queued: true }));
+    });
+
+    it("should report the network error when the save can't be queued", async () => {
+      const { enqueueSave } = require("./save-queue.js");
+      const { logError } = require("../../common/error-handler.js");
+      enqueueSave.mockRejectedValueOnce(new Error("QUOTA_BYTES quota exceeded"));
+      fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "u", title: "t" },
+        {},
+        sendResponse,
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(logError).toHaveBeenCalledWith("Could not queue save", expect.any(Error), {
+        pageUrl: "u",
+        requestId: expect.any(String),
+      });
+      const response = sendResponse.mock.calls[0][0];
+      expect(response).toMatchObject({ success: false });
+      expect(response.queued).toBeUndefined();
+      expect(response.error).not.toMatch(/quota/i);
+    });
+
+    it("should send a queued save without compressing it again", async () => {
+      const { transformContent } = require("./transformation.js");
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Soup", driveFileUrl: "https://d/1" }),
+      });
+
+      const body = { html: "gz", url: "u", title: "t", folderId: "folder-1", folderName: "R" };
+      const result = await sendQueuedRecipe({ body });
+
+      expect(transformContent).not.toHaveBeenCalled();
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual(body);
+      expect(result).toMatchObject({ success: true, recipeName: "Soup", driveUrl: "https://d/1" });
+    });
+
+    it("should send one X-Request-ID per save and return it with the result", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Soup" }),
+      });
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      messageListener(
+        { type: "SAVE_RECIPE", pageContent: "<div>Recipe</div>", pageUrl: "u", title: "t" },
+        {},
+        sendResponse,
+      );
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const requestId = fetchMock.mock.calls[0][1].headers["X-Request-ID"];
+      expect(requestId).toEqual(expect.any(String));
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ requestId }));
+    });
+
+    it("should retry a queued save under its original request ID", async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValueOnce({ title: "Soup" }),
+      });
+
+      const result = await sendQueuedRecipe({ body: { html: "gz" }, requestId: "req-42" });
+
+      expect(fetchMock.mock.calls[0][1].headers["X-Request-ID"]).toBe("req-42");
+      expect(result.requestId).toBe("req-42");
+    });
+
+    it("should send a save queued without a folder to the chosen folder", async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: jest.fn().mockResolvedValue({ title: "Soup" }),
+      });
+
+      await sendQueuedRecipe({ body: { html: "gz" }, requestId: "req-42" });
+      await sendQueuedRecipe({
+        body: { html: "gz", folderId: "other-folder", folderName: "Other" },
+        requestId: "req-43",
+      });
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+        html: "gz",
+        folderId: "folder-1",
+      });
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toMatchObject({
+        folderId: "other-folder",
       });
     });
 
@@ -290,6 +643,7 @@ describe("API Service", () => {
         success: false,
         error: "Authentication required, please sign in",
         errorCode: "auth_required",
+        requestId: expect.any(String),
       });
     });
 
@@ -447,7 +801,7 @@ describe("API Service", () => {
     });
 
     it("should handle CREATE_RECIPE_FROM_DESCRIPTION API error", async () => {
-      fetchMock.mockResolvedValueOnce({
+      fetchMock.mockResolvedValue({
         ok: false,
         status: 500,
         json: jest.fn().mockRejectedValueOnce(new Error("Invalid JSON")),
@@ -464,7 +818,7 @@ describe("API Service", () => {
         sendResponse,
       );
 
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await new Promise((resolve) => setTimeout(resolve, 20));
 
       expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
     });
@@ -490,6 +844,7 @@ describe("API Service", () => {
         success: false,
         error: "Authentication required, please sign in",
         errorCode: "auth_required",
+        requestId: expect.any(String),
       });
     });
 
@@ -514,6 +869,34 @@ describe("API Service", () => {
       });
     });
 
+    it("should list and create Drive folders for the options page", async () => {
+      const drive = createDriveFoldersMock([{ id: "a", name: "Recipes" }]);
+      const removeMock = apiClient.use(createMockInterceptor(drive));
+
+      setupApi();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+      const createResponse = jest.fn();
+      expect(messageListener({ type: "CREATE_FOLDER", name: "Baking" }, {}, createResponse)).toBe(
+        true,
+      );
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(createResponse).toHaveBeenCalledWith({
+        success: true,
+        folder: { id: "folder-2", name: "Baking" },
+      });
+
+      const listResponse = jest.fn();
+      messageListener({ type: "LIST_FOLDERS", query: "bak" }, {}, listResponse);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(listResponse).toHaveBeenCalledWith({
+        success: true,
+        folders: [{ id: "folder-2", name: "Baking" }],
+      });
+
+      removeMock();
+    });
+
     it("does not call OS notifications on successful save (notify.recipeSaved removed)", async () => {
       fetchMock.mockResolvedValueOnce({
         ok: true,
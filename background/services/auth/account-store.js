@@ -0,0 +1,64 @@
+/**
+ * Signed-in accounts
+ *
+ * Several people can share one Chrome profile, each with their own cookbook in Drive.
+ * Every account that signed in is kept here, with its provider, token and profile; the
+ * flat STORAGE_KEYS (FIREBASE_TOKEN, USER_ID, …) hold the active one, which is what
+ * saves use.
+ *
+ * @typedef {Object} StoredAccount
+ * @property {string} userId - Firebase UID
+ * @property {string} provider - Provider name ("email", "google")
+ * @property {string} email - User email address
+ * @property {string} [displayName] - User display name
+ * @property {string} [photoURL] - User photo URL
+ * @property {string} [firebaseToken] - Last Firebase ID token of the account
+ * @property {number} [firebaseRefreshTime] - When that token was received
+ */
+
+import { STORAGE_KEYS } from "../../../common/constants.js";
+
+/**
+ * @returns {Promise<StoredAccount[]>} Accounts, in the order they were added
+ */
+export async function getAccounts() {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.ACCOUNTS]);
+  return stored[STORAGE_KEYS.ACCOUNTS] || [];
+}
+
+/**
+ * @param {string} userId - Firebase UID
+ * @returns {Promise<StoredAccount|null>} Account, or null if it isn't stored
+ */
+export async function getAccount(userId) {
+  return (await getAccounts()).find((account) => account.userId === userId) || null;
+}
+
+/**
+ * Adds an account, or updates the stored one with the same UID
+ * @param {StoredAccount} account - Account to store
+ */
+export async function saveAccount(account) {
+  if (!account?.userId) {
+    throw new Error("Account is missing its user ID");
+  }
+
+  const accounts = await getAccounts();
+  const index = accounts.findIndex((stored) => stored.userId === account.userId);
+  if (index === -1) {
+    accounts.push(account);
+  } else {
+    accounts[index] = { ...accounts[index], ...account };
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNTS]: accounts });
+}
+
+/**
+ * @param {string} userId - Firebase UID of the account to forget
+ */
+export async function removeAccount(userId) {
+  const accounts = await getAccounts();
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.ACCOUNTS]: accounts.filter((account) => account.userId !== userId),
+  });
+}
@@ -0,0 +1,52 @@
+import { setupMockStorage } from "../../../test/testHelpers";
+
+jest.mock("../../../common/constants.js", () => ({
+  STORAGE_KEYS: { ACCOUNTS: "accounts" },
+}));
+
+import { getAccount, getAccounts, removeAccount, saveAccount } from "./account-store.js";
+
+describe("account store", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = setupMockStorage();
+    global.chrome = { storage: { local: storage } };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test("is empty until someone signs in", async () => {
+    expect(await getAccounts()).toEqual([]);
+    expect(await getAccount("uid-1")).toBeNull();
+  });
+
+  test("adds accounts in order and updates them in place", async () => {
+    await saveAccount({ userId: "uid-1", provider: "email", email: "ann@example.com" });
+    await saveAccount({ userId: "uid-2", provider: "google", email: "bob@example.com" });
+    await saveAccount({ userId: "uid-1", firebaseToken: "new-token" });
+
+    expect(await getAccounts()).toEqual([
+      { userId: "uid-1", provider: "email", email: "ann@example.com", firebaseToken: "new-token" },
+      { userId: "uid-2", provider: "google", email: "bob@example.com" },
+    ]);
+  });
+
+  test("removes an account", async () => {
+    await saveAccount({ userId: "uid-1", provider: "email", email: "ann@example.com" });
+    await saveAccount({ userId: "uid-2", provider: "google", email: "bob@example.com" });
+
+    await removeAccount("uid-1");
+
+    expect((await getAccounts()).map((account) => account.userId)).toEqual(["uid-2"]);
+  });
+
+  test("rejects accounts without a user ID", async () => {
+    await expect(saveAccount({ email: "ann@example.com" })).rejects.toThrow(
+      "Account is missing its user ID",
+    );
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+});
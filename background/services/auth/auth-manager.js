@@ -1,11 +1,15 @@
 /**
  * Authentication Manager
- * Manages multiple auth providers and handles auth state
+ * Manages multiple auth providers and handles auth state, including switching between
+ * the signed-in accounts kept in account-store.js
  */
 
 import { EmailPasswordProvider } from "./email-provider.js";
 import { GoogleProvider } from "./google-provider.js";
-import { STORAGE_KEYS, MESSAGE_TYPES } from "../../../common/constants.js";
+import { TOKEN_REFRESH_ALARM, isDefinitiveAuthError } from "./base-provider.js";
+import { getAccount, getAccounts, removeAccount, saveAccount } from "./account-store.js";
+import { ApiError } from "../api-error.js";
+import { STORAGE_KEYS, MESSAGE_TYPES, ERROR_CODES } from "../../../common/constants.js";
 import { logError } from "../../../common/error-handler.js";
 
 class AuthManager {
@@ -13,6 +17,8 @@ class AuthManager {
     this.providers = new Map();
     this.currentProvider = null;
     this.authStateUnsubscribe = null;
+    // Refresh in progress, shared by every caller that needs a new token meanwhile
+    this.tokenRefresh = null;
 
     // Register available providers
     this.registerProvider(new EmailPasswordProvider());
@@ -73,6 +79,8 @@ class AuthManager {
 
       console.log(`Signing in with ${provider.displayName}...`);
 
+      // Adding an account: keep the one signed in so far
+      await this.rememberActiveAccount();
       const result = await provider.signIn(credentials);
 
       if (result.success) {
@@ -82,6 +90,7 @@ class AuthManager {
         });
 
         this.currentProvider = provider;
+        await this.rememberActiveAccount();
 
         console.log(`Successfully signed in as ${result.email} using ${provider.displayName}`);
       }
@@ -94,11 +103,168 @@ class AuthManager {
   }
 
   /**
-   * Sign out from current provider
+   * Create an email/password account and sign in with it
+   * @param {{email: string, password: string}} credentials - New account credentials
+   * @returns {Promise<AuthResult>} Authentication result
+   */
+  async signUp(credentials) {
+    try {
+      const provider = this.providers.get("email");
+      await this.rememberActiveAccount();
+      const result = await provider.signUp(credentials);
+
+      if (result.success) {
+        await chrome.storage.local.set({
+          currentAuthProvider: provider.name,
+        });
+
+        this.currentProvider = provider;
+        await this.rememberActiveAccount();
+
+        console.log(`Created account for ${result.email}`);
+      }
+
+      return result;
+    } catch (error) {
+      logError("Sign-up error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset email for an email/password account
+   * @param {string} email - Account email address
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(email) {
+    await this.providers.get("email").sendPasswordResetEmail(email);
+  }
+
+  /**
+   * Send the signed-in email/password user another verification email
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification() {
+    await this.providers.get("email").sendEmailVerification();
+  }
+
+  /**
+   * List the signed-in accounts, for the account switchers
+   * @returns {Promise<Array<{userId: string, provider: string, email: string,
+   *   displayName: string, photoURL: string, active: boolean}>>} Accounts, without tokens
+   */
+  async listAccounts() {
+    const status = await this.checkAuthStatus();
+    // Sessions from before accounts were kept join the list here
+    if (status.authenticated && !(await getAccount(status.userId))) {
+      await this.rememberActiveAccount();
+    }
+
+    const accounts = await getAccounts();
+    return accounts.map((account) => ({
+      userId: account.userId,
+      provider: account.provider,
+      email: account.email,
+      displayName: account.displayName || "",
+      photoURL: account.photoURL || "",
+      active: Boolean(status.authenticated) && account.userId === status.userId,
+    }));
+  }
+
+  /**
+   * Make another signed-in account the active one; saves go to its Drive from then on
+   * @param {string} userId - Firebase UID of the account
+   * @returns {Promise<AuthStatus>} Authentication status of the account
+   * @throws {Error} If the account isn't stored, or its session has ended
+   */
+  async switchAccount(userId) {
+    const account = await getAccount(userId);
+    if (!account) {
+      throw new Error("Account not found");
+    }
+
+    const provider = this.providers.get(account.provider);
+    if (!provider) {
+      throw new Error(`Unknown auth provider: ${account.provider}`);
+    }
+
+    // A refresh finishing after the switch would store the outgoing account's token
+    await this.tokenRefresh?.catch(() => {});
+
+    const status = await this.checkAuthStatus();
+    if (status.authenticated) {
+      if (status.userId === userId) return status;
+      await this.rememberActiveAccount();
+    }
+
+    try {
+      await provider.restoreAccount(userId);
+    } catch (error) {
+      if (isDefinitiveAuthError(error)) {
+        logError("Stored account was signed out, forgetting it", error);
+        await removeAccount(userId);
+        throw new Error(`${account.email} was signed out. Please sign in again.`);
+      }
+      throw error;
+    }
+
+    await chrome.storage.local.set({
+      currentAuthProvider: provider.name,
+    });
+    this.currentProvider = provider;
+    await this.rememberActiveAccount();
+
+    console.log(`Switched to ${account.email}`);
+    return this.checkAuthStatus();
+  }
+
+  /**
+   * Store the active session (token and profile) with the other accounts
+   * @private
+   */
+  async rememberActiveAccount() {
+    const stored = await chrome.storage.local.get([
+      STORAGE_KEYS.FIREBASE_TOKEN,
+      STORAGE_KEYS.FIREBASE_REFRESH_TIME,
+      STORAGE_KEYS.USER_ID,
+      STORAGE_KEYS.USER_EMAIL,
+      STORAGE_KEYS.USER_DISPLAY_NAME,
+      STORAGE_KEYS.USER_PHOTO_URL,
+      "currentAuthProvider",
+    ]);
+    if (!stored[STORAGE_KEYS.USER_ID]) return;
+
+    await saveAccount({
+      userId: stored[STORAGE_KEYS.USER_ID],
+      provider: stored.currentAuthProvider || this.currentProvider?.name || "email",
+      email: stored[STORAGE_KEYS.USER_EMAIL],
+      displayName: stored[STORAGE_KEYS.USER_DISPLAY_NAME] || "",
+      photoURL: stored[STORAGE_KEYS.USER_PHOTO_URL] || "",
+      firebaseToken: stored[STORAGE_KEYS.FIREBASE_TOKEN],
+      firebaseRefreshTime: stored[STORAGE_KEYS.FIREBASE_REFRESH_TIME],
+    });
+  }
+
+  /**
+   * Sign out of an account. Without a userId, or with the active one, the current
+   * session ends; other accounts stay signed in and can be switched to.
+   * @param {string} [userId] - Firebase UID of the account to sign out
    * @returns {Promise<void>}
    */
-  async signOut() {
+  async signOut(userId = null) {
     try {
+      const { [STORAGE_KEYS.USER_ID]: activeUserId } = await chrome.storage.local.get([
+        STORAGE_KEYS.USER_ID,
+      ]);
+
+      if (userId && userId !== activeUserId) {
+        const account = await getAccount(userId);
+        await this.providers.get(account?.provider)?.forgetAccount(userId);
+        await removeAccount(userId);
+        console.log(`Signed out ${account?.email || userId}`);
+        return;
+      }
+
       if (!this.currentProvider) {
         throw new Error("No active authentication");
       }
@@ -110,6 +276,9 @@ class AuthManager {
 
       // Clear current provider reference
       await chrome.storage.local.remove(["currentAuthProvider"]);
+      if (activeUserId) {
+        await removeAccount(activeUserId);
+      }
 
       console.log(`Signed out from ${providerName} successfully`);
     } catch (error) {
@@ -185,16 +354,67 @@ class AuthManager {
 
   /**
    * Get current Firebase ID token
+   * A batch of saves hitting a stale token at once triggers a single refresh that all of
+   * them wait for.
    * @param {boolean} [forceRefresh=false] - Force token refresh
    * @returns {Promise<string>} Firebase ID token
    * @throws {Error} If not authenticated
+   * @throws {ApiError} NETWORK_ERROR when the refresh failed but the session may still be good
    */
   async getIdToken(forceRefresh = false) {
     if (!this.currentProvider) {
       throw new Error("Not authenticated");
     }
+    if (this.tokenRefresh) return this.tokenRefresh;
+
+    const { token, fresh } = await this.currentProvider.getStoredIdToken();
+    if (fresh && !forceRefresh) return token;
+
+    // Another caller may have started a refresh while we read storage
+    if (!this.tokenRefresh) {
+      this.tokenRefresh = this.refreshIdToken().finally(() => {
+        this.tokenRefresh = null;
+      });
+    }
+    return this.tokenRefresh;
+  }
+
+  /**
+   * Refresh the token through the current provider. Only a definitive failure signs the
+   * user out; transient ones keep the session so the next attempt can succeed.
+   * @private
+   * @returns {Promise<string>} New Firebase ID token
+   */
+  async refreshIdToken() {
+    try {
+      return await this.currentProvider.refreshStoredIdToken();
+    } catch (error) {
+      if (isDefinitiveAuthError(error)) {
+        logError("Session ended during token refresh, clearing auth data", error);
+        await this.clearAuthData();
+        throw new Error("Authentication expired - please sign in again");
+      }
+
+      logError("Token refresh failed, keeping the session", error);
+      // NETWORK_ERROR so a save waiting on the token is queued rather than lost
+      throw new ApiError("Couldn't refresh your sign-in. Please check your connection.", {
+        code: ERROR_CODES.NETWORK_ERROR,
+        originalMessage: error.message,
+      });
+    }
+  }
+
+  /**
+   * Refresh the ID token ahead of its expiry (TOKEN_REFRESH_ALARM), so the next save
+   * doesn't wait for it. Does nothing when signed out.
+   * @returns {Promise<void>}
+   */
+  async preRefreshToken() {
+    const status = await this.checkAuthStatus();
+    if (!status.authenticated) return;
 
-    return await this.currentProvider.getIdToken(forceRefresh);
+    // The provider refreshes because the token is now within its refresh window
+    await this.getIdToken();
   }
 
   /**
@@ -202,6 +422,13 @@ class AuthManager {
    * @private
    */
   async clearAuthData() {
+    const { [STORAGE_KEYS.USER_ID]: userId } = await chrome.storage.local.get([
+      STORAGE_KEYS.USER_ID,
+    ]);
+    if (userId) {
+      await removeAccount(userId);
+    }
+
     await chrome.storage.local.remove([
       STORAGE_KEYS.FIREBASE_TOKEN,
       STORAGE_KEYS.FIREBASE_REFRESH_TIME,
@@ -211,6 +438,7 @@ class AuthManager {
       STORAGE_KEYS.USER_PHOTO_URL,
       "currentAuthProvider",
     ]);
+    await this.currentProvider?.cancelTokenRefresh();
 
     console.log("All authentication data cleared");
   }
@@ -277,6 +505,13 @@ export function setupAuth() {
   // Setup auth state listener
   authManager.setupAuthStateListener();
 
+  // Providers schedule this alarm for shortly before the stored token expires
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === TOKEN_REFRESH_ALARM) {
+      authManager.preRefreshToken().catch((error) => logError("Token pre-refresh failed", error));
+    }
+  });
+
   // Listen for authentication messages from popup/content scripts
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Sign in with provider
@@ -298,6 +533,45 @@ export function setupAuth() {
       return true; // Async response
     }
 
+    // Create an email/password account
+    if (message.type === MESSAGE_TYPES.AUTH_SIGN_UP) {
+      authManager
+        .signUp(message.credentials)
+        .then((response) => sendResponse(response))
+        .catch((error) => {
+          logError("Sign-up error", error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true;
+    }
+
+    // Send a password reset email
+    if (message.type === MESSAGE_TYPES.AUTH_RESET_PASSWORD) {
+      authManager
+        .sendPasswordResetEmail(message.email)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => {
+          logError("Password reset error", error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true;
+    }
+
+    // Resend the verification email
+    if (message.type === MESSAGE_TYPES.AUTH_RESEND_VERIFICATION) {
+      authManager
+        .sendEmailVerification()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => {
+          logError("Verification email error", error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true;
+    }
+
     // Check auth status
     if (message.type === MESSAGE_TYPES.AUTH_CHECK) {
       authManager
@@ -311,10 +585,36 @@ export function setupAuth() {
       return true;
     }
 
-    // Sign out
+    // List the signed-in accounts
+    if (message.type === MESSAGE_TYPES.AUTH_LIST_ACCOUNTS) {
+      authManager
+        .listAccounts()
+        .then((accounts) => sendResponse({ success: true, accounts }))
+        .catch((error) => {
+          logError("List accounts error", error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true;
+    }
+
+    // Switch to another signed-in account
+    if (message.type === MESSAGE_TYPES.AUTH_SWITCH_ACCOUNT) {
+      authManager
+        .switchAccount(message.userId)
+        .then((response) => sendResponse(response))
+        .catch((error) => {
+          logError("Switch account error", error);
+          sendResponse({ success: false, error: error.message });
+        });
+
+      return true;
+    }
+
+    // Sign out (of the active account unless another one is named)
     if (message.type === MESSAGE_TYPES.AUTH_LOGOUT) {
       authManager
-        .signOut()
+        .signOut(message.userId)
         .then(() => sendResponse({ success: true, message: "Signed out successfully" }))
         .catch((error) => {
           logError("Logout error", error);
@@ -2,7 +2,7 @@
  * @jest-environment jsdom
  */
 
-import { setupMockStorage, mockConsole } from "../../../test/testHelpers";
+import { createPromise, setupMockStorage, mockConsole } from "../../../test/testHelpers";
 
 // Mock dependencies
 jest.mock("../../../common/error-handler.js", () => ({
@@ -17,6 +17,7 @@ jest.mock("../../../common/constants.js", () => ({
     USER_EMAIL: "userEmail",
     USER_DISPLAY_NAME: "userDisplayName",
     USER_PHOTO_URL: "userPhotoURL",
+    ACCOUNTS: "accounts",
   },
   MESSAGE_TYPES: {
     AUTH_REQUEST: "AUTH_REQUEST",
@@ -25,6 +26,15 @@ jest.mock("../../../common/constants.js", () => ({
     AUTH_LOGOUT: "AUTH_LOGOUT",
     GET_ID_TOKEN: "GET_ID_TOKEN",
     AUTH_GET_USER: "AUTH_GET_USER",
+    AUTH_SIGN_UP: "AUTH_SIGN_UP",
+    AUTH_RESET_PASSWORD: "AUTH_RESET_PASSWORD",
+    AUTH_RESEND_VERIFICATION: "AUTH_RESEND_VERIFICATION",
+    AUTH_LIST_ACCOUNTS: "AUTH_LIST_ACCOUNTS",
+    AUTH_SWITCH_ACCOUNT: "AUTH_SWITCH_ACCOUNT",
+  },
+  ERROR_CODES: {
+    NETWORK_ERROR: "network_error",
+    UNKNOWN_ERROR: "unknown_error",
   },
 }));
 
@@ -42,8 +52,22 @@ jest.mock("./email-provider.js", () => {
         photoURL: "https://example.com/photo.jpg",
         firebaseToken: "test-firebase-token",
       }),
+      signUp: jest.fn().mockResolvedValue({
+        success: true,
+        userId: "new-user-id",
+        email: "new@example.com",
+        emailVerified: false,
+        firebaseToken: "new-firebase-token",
+      }),
+      sendPasswordResetEmail: jest.fn().mockResolvedValue(undefined),
+      sendEmailVerification: jest.fn().mockResolvedValue(undefined),
       signOut: jest.fn().mockResolvedValue(undefined),
       getIdToken: jest.fn().mockResolvedValue("test-token"),
+      getStoredIdToken: jest.fn().mockResolvedValue({ token: "test-token", fresh: true }),
+      refreshStoredIdToken: jest.fn().mockResolvedValue("refreshed-token"),
+      cancelTokenRefresh: jest.fn().mockResolvedValue(undefined),
+      restoreAccount: jest.fn(),
+      forgetAccount: jest.fn().mockResolvedValue(undefined),
       getCurrentUser: jest.fn().mockResolvedValue({
         uid: "test-user-id",
         email: "test@example.com",
@@ -73,6 +97,11 @@ jest.mock("./google-provider.js", () => {
       }),
       signOut: jest.fn().mockResolvedValue(undefined),
       getIdToken: jest.fn().mockResolvedValue("google-test-token"),
+      getStoredIdToken: jest.fn().mockResolvedValue({ token: "google-test-token", fresh: true }),
+      refreshStoredIdToken: jest.fn().mockResolvedValue("google-refreshed-token"),
+      cancelTokenRefresh: jest.fn().mockResolvedValue(undefined),
+      restoreAccount: jest.fn(),
+      forgetAccount: jest.fn().mockResolvedValue(undefined),
       getCurrentUser: jest.fn().mockResolvedValue({
         uid: "google-user-id",
         email: "google@example.com",
@@ -113,6 +142,11 @@ describe("AuthManager", () => {
           addListener: jest.fn(),
         },
       },
+      alarms: {
+        onAlarm: {
+          addListener: jest.fn(),
+        },
+      },
     };
     global.chrome = mockChrome;
 
@@ -221,6 +255,35 @@ describe("AuthManager", () => {
     });
   });
 
+  describe("signUp", () => {
+    it("should create the account and make email the current provider", async () => {
+      authManager.currentProvider = authManager.getProvider("google");
+
+      const result = await authManager.signUp({
+        email: "new@example.com",
+        password: "password123",
+      });
+
+      expect(result).toMatchObject({ success: true, emailVerified: false });
+      expect(authManager.getProvider("email").signUp).toHaveBeenCalledWith({
+        email: "new@example.com",
+        password: "password123",
+      });
+      expect(authManager.currentProvider.name).toBe("email");
+      expect(mockStorage._store.currentAuthProvider).toBe("email");
+    });
+
+    it("should rethrow sign-up failures", async () => {
+      authManager
+        .getProvider("email")
+        .signUp.mockRejectedValueOnce(new Error("An account with this email already exists."));
+
+      await expect(
+        authManager.signUp({ email: "taken@example.com", password: "password123" }),
+      ).rejects.toThrow("An account with this email already exists.");
+    });
+  });
+
   describe("signOut", () => {
     beforeEach(async () => {
       // Sign in first
@@ -296,7 +359,18 @@ describe("AuthManager", () => {
   });
 
   describe("getIdToken", () => {
-    it("should get token from provider", async () => {
+    async function signInWithStaleToken() {
+      await authManager.signIn("email", {
+        email: "test@example.com",
+        password: "password123",
+      });
+      mockStorage._store.firebaseToken = "old-token";
+      const provider = authManager.getProvider("email");
+      provider.getStoredIdToken.mockResolvedValue({ token: "old-token", fresh: false });
+      return provider;
+    }
+
+    it("should return the stored token while it is fresh", async () => {
       // Setup authenticated state
       mockStorage._store.currentAuthProvider = "email";
       await authManager.signIn("email", {
@@ -309,7 +383,7 @@ describe("AuthManager", () => {
       expect(token).toBe("test-token");
 
       const provider = authManager.getProvider("email");
-      expect(provider.getIdToken).toHaveBeenCalledWith(false);
+      expect(provider.refreshStoredIdToken).not.toHaveBeenCalled();
     });
 
     it("should support force refresh", async () => {
@@ -320,10 +394,64 @@ describe("AuthManager", () => {
         password: "password123",
       });
 
-      await authManager.getIdToken(true);
+      expect(await authManager.getIdToken(true)).toBe("refreshed-token");
 
       const provider = authManager.getProvider("email");
-      expect(provider.getIdToken).toHaveBeenCalledWith(true);
+      expect(provider.refreshStoredIdToken).toHaveBeenCalledTimes(1);
+    });
+
+    it("should share one refresh between concurrent callers", async () => {
+      const provider = await signInWithStaleToken();
+      const refresh = createPromise();
+      provider.refreshStoredIdToken.mockReturnValue(refresh.promise);
+
+      const tokens = Promise.all([
+        authManager.getIdToken(),
+        authManager.getIdToken(),
+        authManager.getIdToken(true),
+      ]);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      refresh.resolve("new-token");
+
+      expect(await tokens).toEqual(["new-token", "new-token", "new-token"]);
+      expect(provider.refreshStoredIdToken).toHaveBeenCalledTimes(1);
+
+      // The next stale read starts a new refresh
+      provider.refreshStoredIdToken.mockResolvedValue("newer-token");
+      expect(await authManager.getIdToken()).toBe("newer-token");
+      expect(provider.refreshStoredIdToken).toHaveBeenCalledTimes(2);
+    });
+
+    it("should keep the session when the refresh fails for a transient reason", async () => {
+      const provider = await signInWithStaleToken();
+      provider.refreshStoredIdToken.mockRejectedValue(
+        new Error("Firebase: Error (auth/network-request-failed)."),
+      );
+
+      await expect(authManager.getIdToken()).rejects.toMatchObject({ code: "network_error" });
+
+      expect(mockStorage._store.firebaseToken).toBe("old-token");
+      expect(mockStorage.remove).not.toHaveBeenCalled();
+    });
+
+    it("should clear auth data once when the session has ended", async () => {
+      const provider = await signInWithStaleToken();
+      provider.refreshStoredIdToken.mockRejectedValue(
+        new Error("Firebase: Error (auth/user-token-expired)."),
+      );
+
+      const results = await Promise.allSettled([
+        authManager.getIdToken(),
+        authManager.getIdToken(),
+      ]);
+
+      expect(results.map((result) => result.reason?.message)).toEqual([
+        "Authentication expired - please sign in again",
+        "Authentication expired - please sign in again",
+      ]);
+      expect(mockStorage.remove).toHaveBeenCalledTimes(1);
+      expect(mockStorage._store.firebaseToken).toBeUndefined();
+      expect(provider.cancelTokenRefresh).toHaveBeenCalled();
     });
 
     it("should throw error when not authenticated", async () => {
@@ -344,6 +472,24 @@ describe("AuthManager", () => {
       expect(consoleLogSpy).toHaveBeenCalledWith("Setting up authentication service");
     });
 
+    it("should refresh the token when the pre-refresh alarm fires while signed in", async () => {
+      setupAuth();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const onAlarm = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+
+      onAlarm({ name: "kukbuk-token-refresh" });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(authManager.getProvider("email").getStoredIdToken).not.toHaveBeenCalled();
+
+      mockStorage._store.firebaseToken = "token";
+      mockStorage._store.userId = "test-user-id";
+      mockStorage._store.userEmail = "test@example.com";
+      onAlarm({ name: "kukbuk-save-queue" });
+      onAlarm({ name: "kukbuk-token-refresh" });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(authManager.getProvider("email").getStoredIdToken).toHaveBeenCalledTimes(1);
+    });
+
     it("should handle AUTH_REQUEST message", async () => {
       setupAuth();
 
@@ -372,6 +518,38 @@ describe("AuthManager", () => {
       );
     });
 
+    it("should handle AUTH_SIGN_UP, AUTH_RESET_PASSWORD and AUTH_RESEND_VERIFICATION", async () => {
+      setupAuth();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const emailProvider = authManager.getProvider("email");
+      const send = async (message) => {
+        const sendResponse = jest.fn();
+        expect(messageListener(message, {}, sendResponse)).toBe(true);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return sendResponse.mock.calls[0][0];
+      };
+
+      expect(
+        await send({
+          type: "AUTH_SIGN_UP",
+          credentials: { email: "new@example.com", password: "password123" },
+        }),
+      ).toMatchObject({ success: true, userId: "new-user-id" });
+
+      expect(await send({ type: "AUTH_RESET_PASSWORD", email: "new@example.com" })).toEqual({
+        success: true,
+      });
+      expect(emailProvider.sendPasswordResetEmail).toHaveBeenCalledWith("new@example.com");
+
+      emailProvider.sendEmailVerification.mockRejectedValueOnce(
+        new Error("Too many attempts. Please try again later."),
+      );
+      expect(await send({ type: "AUTH_RESEND_VERIFICATION" })).toEqual({
+        success: false,
+        error: "Too many attempts. Please try again later.",
+      });
+    });
+
     it("should handle AUTH_CHECK message", async () => {
       await mockStorage.set({
         firebaseToken: "test-token",
@@ -514,6 +692,168 @@ describe("AuthManager", () => {
     });
   });
 
+  describe("multiple accounts", () => {
+    const ann = {
+      userId: "ann-id",
+      provider: "email",
+      email: "ann@example.com",
+      displayName: "Ann",
+      photoURL: "https://example.com/ann.jpg",
+    };
+    const bob = {
+      userId: "bob-id",
+      provider: "google",
+      email: "bob@example.com",
+      displayName: "Bob",
+      photoURL: "https://example.com/bob.jpg",
+    };
+
+    // What a provider's storeSession() leaves in the flat keys
+    const storeActiveSession = (account, token) =>
+      mockStorage.set({
+        firebaseToken: token,
+        firebaseRefreshTime: 1000,
+        userId: account.userId,
+        userEmail: account.email,
+        userDisplayName: account.displayName,
+        userPhotoURL: account.photoURL,
+      });
+
+    beforeEach(async () => {
+      await storeActiveSession(ann, "ann-token");
+      await mockStorage.set({ currentAuthProvider: "email" });
+    });
+
+    it("should remember each account that signs in, and the one signed in before", async () => {
+      authManager.getProvider("google").signIn.mockImplementationOnce(async () => {
+        await storeActiveSession(bob, "bob-token");
+        return { success: true, ...bob };
+      });
+
+      await authManager.signIn("google", null);
+
+      // The account signed in so far is kept too
+      expect(mockStorage._store.accounts).toEqual([
+        expect.objectContaining({
+          userId: "ann-id",
+          provider: "email",
+          firebaseToken: "ann-token",
+        }),
+        expect.objectContaining({
+          userId: "bob-id",
+          provider: "google",
+          firebaseToken: "bob-token",
+        }),
+      ]);
+    });
+
+    it("lists accounts without tokens and keeps a session from before the list", async () => {
+      await mockStorage.set({ accounts: [{ ...bob, firebaseToken: "bob-token" }] });
+
+      const accounts = await authManager.listAccounts();
+
+      expect(accounts).toEqual([
+        { ...bob, active: false },
+        { ...ann, active: true },
+      ]);
+    });
+
+    it("should switch accounts, keeping the outgoing account's token", async () => {
+      await mockStorage.set({ accounts: [{ ...bob, firebaseToken: "old-bob-token" }] });
+      const googleProvider = authManager.getProvider("google");
+      googleProvider.restoreAccount.mockImplementationOnce(async () => {
+        await storeActiveSession(bob, "new-bob-token");
+        return { success: true, ...bob };
+      });
+
+      const status = await authManager.switchAccount("bob-id");
+
+      expect(googleProvider.restoreAccount).toHaveBeenCalledWith("bob-id");
+      expect(status).toMatchObject({ authenticated: true, userId: "bob-id", provider: "google" });
+      expect(authManager.currentProvider.name).toBe("google");
+      expect(mockStorage._store.currentAuthProvider).toBe("google");
+      expect(mockStorage._store.accounts).toEqual([
+        expect.objectContaining({ userId: "bob-id", firebaseToken: "new-bob-token" }),
+        expect.objectContaining({
+          userId: "ann-id",
+          provider: "email",
+          firebaseToken: "ann-token",
+        }),
+      ]);
+    });
+
+    it("should forget an account whose session has ended", async () => {
+      await mockStorage.set({ accounts: [ann, bob] });
+      authManager
+        .getProvider("google")
+        .restoreAccount.mockRejectedValueOnce(new Error("No authenticated user"));
+
+      await expect(authManager.switchAccount("bob-id")).rejects.toThrow(
+        "bob@example.com was signed out. Please sign in again.",
+      );
+
+      expect(mockStorage._store.accounts.map((account) => account.userId)).toEqual(["ann-id"]);
+      expect(mockStorage._store.userId).toBe("ann-id");
+    });
+
+    it("should keep the account when switching fails for a transient reason", async () => {
+      await mockStorage.set({ accounts: [ann, bob] });
+      authManager
+        .getProvider("google")
+        .restoreAccount.mockRejectedValueOnce(new Error("Offscreen document not ready"));
+
+      await expect(authManager.switchAccount("bob-id")).rejects.toThrow(
+        "Offscreen document not ready",
+      );
+      expect(mockStorage._store.accounts).toHaveLength(2);
+    });
+
+    it("should reject unknown accounts", async () => {
+      await expect(authManager.switchAccount("nobody")).rejects.toThrow("Account not found");
+    });
+
+    it("should sign out another account without touching the active session", async () => {
+      await mockStorage.set({ accounts: [ann, bob] });
+      await authManager.checkAuthStatus();
+
+      await authManager.signOut("bob-id");
+
+      expect(authManager.getProvider("google").forgetAccount).toHaveBeenCalledWith("bob-id");
+      expect(authManager.getProvider("email").signOut).not.toHaveBeenCalled();
+      expect(mockStorage._store.accounts.map((account) => account.userId)).toEqual(["ann-id"]);
+      expect(mockStorage._store.userId).toBe("ann-id");
+    });
+
+    it("should forget the active account when signing out of it", async () => {
+      await mockStorage.set({ accounts: [ann, bob] });
+      await authManager.checkAuthStatus();
+
+      await authManager.signOut();
+
+      expect(authManager.getProvider("email").signOut).toHaveBeenCalled();
+      expect(mockStorage._store.accounts.map((account) => account.userId)).toEqual(["bob-id"]);
+    });
+
+    it("should handle AUTH_LIST_ACCOUNTS and AUTH_SWITCH_ACCOUNT messages", async () => {
+      await mockStorage.set({ accounts: [ann] });
+      setupAuth();
+      const messageListener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+
+      expect(messageListener({ type: "AUTH_LIST_ACCOUNTS" }, {}, sendResponse)).toBe(true);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        accounts: [{ ...ann, active: true }],
+      });
+
+      sendResponse.mockClear();
+      messageListener({ type: "AUTH_SWITCH_ACCOUNT", userId: "nobody" }, {}, sendResponse);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: "Account not found" });
+    });
+  });
+
   describe("Google provider integration", () => {
     it("signIn('google', null) delegates to GoogleProvider.signIn(null)", async () => {
       const result = await authManager.signIn("google", null);
@@ -8,12 +8,81 @@
  * @property {string} [email] - User email address
  * @property {string} [displayName] - User display name
  * @property {string} [photoURL] - User photo URL
+ * @property {boolean} [emailVerified] - Whether the email address is verified (email provider)
  * @property {string} [firebaseToken] - Firebase ID token
  * @property {string} [providerToken] - Provider-specific access token (e.g., Google OAuth token)
  * @property {string} [refreshToken] - Provider-specific refresh token
  * @property {string} [error] - Error message if authentication failed
  */
 
+import { STORAGE_KEYS } from "../../../common/constants.js";
+import { logError } from "../../../common/error-handler.js";
+
+// chrome.alarms name for the scheduled pre-refresh
+export const TOKEN_REFRESH_ALARM = "kukbuk-token-refresh";
+
+// Refresh this long before the token expires, so a save never sends a token that
+// lapses in flight
+export const DEFAULT_TOKEN_REFRESH_SKEW_MS = 5 * 60 * 1000;
+
+// Firebase ID tokens last an hour; assumed when a token can't be decoded
+const DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+// Alarms closer than this are delayed by Chrome anyway
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+// Firebase errors that mean the session is gone for good. Anything else (network
+// trouble, rate limits, the offscreen document starting up) is retried with the same session.
+const DEFINITIVE_AUTH_ERRORS = [
+  "auth/user-token-expired",
+  "auth/invalid-user-token",
+  "auth/user-disabled",
+  "auth/user-not-found",
+  // The offscreen document restored Firebase and found nobody signed in
+  "No authenticated user",
+];
+
+/**
+ * @param {Error} error - Token refresh error
+ * @returns {boolean} Whether the user has to sign in again
+ */
+export function isDefinitiveAuthError(error) {
+  return DEFINITIVE_AUTH_ERRORS.some((message) => error?.message?.includes(message));
+}
+
+/**
+ * Reads the claims of a JWT without verifying it (the backend does that)
+ * @param {string} token - Firebase ID token
+ * @returns {{exp: number, iat?: number}|null} Claims, or null if the token can't be decoded
+ */
+export function decodeTokenClaims(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, "=")));
+    return typeof claims?.exp === "number" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * When a token expires, by the local clock.
+ * Tokens are always freshly issued when we receive them, so the lifetime (exp − iat) is
+ * counted from that moment: a computer clock that is off can't make a new token look
+ * expired, or an old one valid.
+ * @param {string} token - Firebase ID token
+ * @param {number} [receivedAt] - When the token was stored (FIREBASE_REFRESH_TIME)
+ * @returns {number} Expiry time (ms)
+ */
+export function getTokenExpiry(token, receivedAt) {
+  const claims = decodeTokenClaims(token);
+  if (!claims) return (receivedAt || 0) + DEFAULT_TOKEN_LIFETIME_MS;
+  if (receivedAt && typeof claims.iat === "number") {
+    return receivedAt + (claims.exp - claims.iat) * 1000;
+  }
+  return claims.exp * 1000;
+}
+
 /**
  * Base class for authentication providers
  * Provides common functionality and enforces interface for all auth providers
@@ -23,14 +92,18 @@ export class BaseAuthProvider {
    * Create an authentication provider
    * @param {string} name - Provider identifier (e.g., 'google', 'email', 'github')
    * @param {string} displayName - User-friendly provider name (e.g., 'Google', 'Email/Password')
+   * @param {Object} [options]
+   * @param {number} [options.tokenRefreshSkewMs] - How long before expiry the ID token is
+   *   refreshed
    */
-  constructor(name, displayName) {
+  constructor(name, displayName, { tokenRefreshSkewMs = DEFAULT_TOKEN_REFRESH_SKEW_MS } = {}) {
     if (!name || !displayName) {
       throw new Error("Provider name and displayName are required");
     }
 
     this.name = name;
     this.displayName = displayName;
+    this.tokenRefreshSkewMs = tokenRefreshSkewMs;
   }
 
   /**
@@ -64,14 +137,184 @@ export class BaseAuthProvider {
   }
 
   /**
-   * Get Firebase ID token for current user
+   * Store the Firebase token and user info of a new session locally
+   * @param {Object} result - Successful sign-in, sign-up or account switch response from the
+   *   offscreen document
+   * @returns {Promise<AuthResult>} Authentication result
+   * @protected
+   */
+  async storeSession(result) {
+    const firebaseToken = result.firebaseToken;
+
+    const receivedAt = Date.now();
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.FIREBASE_TOKEN]: firebaseToken,
+      [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: receivedAt,
+      [STORAGE_KEYS.USER_ID]: result.userId,
+      [STORAGE_KEYS.USER_EMAIL]: result.email,
+      [STORAGE_KEYS.USER_DISPLAY_NAME]: result.displayName || "",
+      [STORAGE_KEYS.USER_PHOTO_URL]: result.photoURL || "",
+    });
+
+    await this.scheduleTokenRefresh(firebaseToken, receivedAt);
+    console.log("Firebase token and user info stored locally");
+
+    return {
+      success: true,
+      userId: result.userId,
+      email: result.email,
+      displayName: result.displayName,
+      photoURL: result.photoURL,
+      emailVerified: result.emailVerified,
+      firebaseToken: firebaseToken,
+    };
+  }
+
+  /**
+   * Make sure the offscreen document, which holds the Firebase sessions, is running
    * @abstract
+   * @returns {Promise<void>}
+   * @throws {Error} If not implemented by subclass
+   */
+  async ensureOffscreenDocument() {
+    throw new Error(
+      `ensureOffscreenDocument() must be implemented by ${this.displayName} provider`,
+    );
+  }
+
+  /**
+   * Make a stored account the signed-in one again. The offscreen document keeps every
+   * account's Firebase session, so this needs no credentials.
+   * @param {string} userId - Firebase UID of the account
+   * @returns {Promise<AuthResult>} Authentication result of the restored session
+   * @throws {Error} If the account's session is gone (see isDefinitiveAuthError)
+   */
+  async restoreAccount(userId) {
+    await this.ensureOffscreenDocument();
+
+    const result = await chrome.runtime.sendMessage({
+      type: "FIREBASE_SWITCH_ACCOUNT",
+      userId,
+    });
+
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Could not switch account");
+    }
+
+    console.log("Switched to account:", result.email);
+    return this.storeSession(result);
+  }
+
+  /**
+   * Drop the Firebase session of an account that isn't the active one
+   * Best-effort: the account is forgotten locally either way.
+   * @param {string} userId - Firebase UID of the account
+   * @returns {Promise<void>}
+   */
+  async forgetAccount(userId) {
+    try {
+      await this.ensureOffscreenDocument();
+      await chrome.runtime.sendMessage({ type: "FIREBASE_SIGN_OUT", userId });
+    } catch (error) {
+      logError("Could not sign out stored account", error);
+    }
+  }
+
+  /**
+   * Get Firebase ID token for current user
+   * The stored token is refreshed once it is within tokenRefreshSkewMs of expiring.
+   * AuthManager calls the two halves below itself, so concurrent callers share one refresh.
+   *
    * @param {boolean} [forceRefresh=false] - Force token refresh even if cached token is valid
    * @returns {Promise<string>} Firebase ID token
-   * @throws {Error} If not implemented by subclass
+   * @throws {Error} If user is not authenticated, or the refresh failed
    */
   async getIdToken(forceRefresh = false) {
-    throw new Error(`getIdToken() must be implemented by ${this.displayName} provider`);
+    const { token, fresh } = await this.getStoredIdToken();
+    if (fresh && !forceRefresh) return token;
+    return this.refreshStoredIdToken();
+  }
+
+  /**
+   * Read the stored ID token
+   * @returns {Promise<{token: string, fresh: boolean}>} Token, and whether it can be used
+   *   as is (more than tokenRefreshSkewMs before expiry)
+   * @throws {Error} "Not authenticated" when no user is stored
+   */
+  async getStoredIdToken() {
+    const storage = await chrome.storage.local.get([
+      STORAGE_KEYS.FIREBASE_TOKEN,
+      STORAGE_KEYS.FIREBASE_REFRESH_TIME,
+      STORAGE_KEYS.USER_ID,
+    ]);
+
+    const token = storage[STORAGE_KEYS.FIREBASE_TOKEN];
+    if (!storage[STORAGE_KEYS.USER_ID] || !token) {
+      throw new Error("Not authenticated");
+    }
+
+    const expiresAt = getTokenExpiry(token, storage[STORAGE_KEYS.FIREBASE_REFRESH_TIME]);
+    return { token, fresh: Date.now() < expiresAt - this.tokenRefreshSkewMs };
+  }
+
+  /**
+   * Refresh the ID token, store it and schedule the next pre-refresh. A failed refresh
+   * leaves the stored session alone: whether it means the user is signed out is for the
+   * caller to decide (see isDefinitiveAuthError).
+   * @returns {Promise<string>} New Firebase ID token
+   * @throws {Error} The provider's refresh error
+   */
+  async refreshStoredIdToken() {
+    console.log("Firebase ID token needs refresh, requesting new token...");
+    const token = await this.refreshIdToken();
+
+    const receivedAt = Date.now();
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.FIREBASE_TOKEN]: token,
+      [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: receivedAt,
+    });
+    await this.scheduleTokenRefresh(token, receivedAt);
+
+    console.log("Firebase ID token refreshed successfully");
+    return token;
+  }
+
+  /**
+   * Get a freshly issued Firebase ID token
+   * @abstract
+   * @returns {Promise<string>} New Firebase ID token
+   * @throws {Error} If not implemented by subclass, or the refresh failed
+   */
+  async refreshIdToken() {
+    throw new Error(`refreshIdToken() must be implemented by ${this.displayName} provider`);
+  }
+
+  /**
+   * Schedule a pre-refresh shortly before the token expires, so the first save after the
+   * browser sat idle doesn't wait for it. Never throws: the refresh on use still works.
+   * @param {string} token - Newly stored Firebase ID token
+   * @param {number} receivedAt - When it was stored
+   */
+  async scheduleTokenRefresh(token, receivedAt) {
+    try {
+      const refreshAt = getTokenExpiry(token, receivedAt) - this.tokenRefreshSkewMs;
+      await chrome.alarms.create(TOKEN_REFRESH_ALARM, {
+        when: Math.max(refreshAt, Date.now() + MIN_ALARM_DELAY_MS),
+      });
+    } catch (error) {
+      logError("Could not schedule token refresh", error);
+    }
+  }
+
+  /**
+   * Drop the scheduled pre-refresh (on sign-out)
+   */
+  async cancelTokenRefresh() {
+    try {
+      await chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+    } catch (error) {
+      logError("Could not cancel token refresh", error);
+    }
   }
 
   /**
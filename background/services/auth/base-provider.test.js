@@ -0,0 +1,165 @@
+import { setupMockStorage } from "../../../test/testHelpers";
+
+jest.mock("../../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+
+jest.mock("../../../common/constants.js", () => ({
+  STORAGE_KEYS: {
+    FIREBASE_TOKEN: "firebaseToken",
+    FIREBASE_REFRESH_TIME: "firebaseRefreshTime",
+    USER_ID: "userId",
+    USER_EMAIL: "userEmail",
+    USER_DISPLAY_NAME: "userDisplayName",
+    USER_PHOTO_URL: "userPhotoURL",
+  },
+}));
+
+import {
+  BaseAuthProvider,
+  decodeTokenClaims,
+  getTokenExpiry,
+  isDefinitiveAuthError,
+} from "./base-provider.js";
+
+function makeToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "RS256" })}.${encode(claims)}.signature`;
+}
+
+describe("token expiry", () => {
+  const iat = 1_700_000_000;
+
+  test("decodes the claims of a Firebase ID token", () => {
+    const token = makeToken({ iat, exp: iat + 3600, name: "Zoë" });
+
+    expect(decodeTokenClaims(token)).toMatchObject({ iat, exp: iat + 3600 });
+  });
+
+  test("returns null for tokens that aren't JWTs", () => {
+    expect(decodeTokenClaims("opaque-token")).toBeNull();
+    expect(decodeTokenClaims("a.b.c")).toBeNull();
+    expect(decodeTokenClaims(makeToken({ iat }))).toBeNull();
+  });
+
+  test("counts the token's lifetime from when it was received", () => {
+    const receivedAt = Date.parse("2030-01-01T00:00:00Z");
+
+    // Issued by a server whose clock disagrees with ours: the lifetime still holds
+    expect(getTokenExpiry(makeToken({ iat, exp: iat + 3600 }), receivedAt)).toBe(
+      receivedAt + 3600 * 1000,
+    );
+  });
+
+  test("uses exp as-is when it can't be related to the receive time", () => {
+    expect(getTokenExpiry(makeToken({ exp: iat + 3600 }), 5)).toBe((iat + 3600) * 1000);
+    expect(getTokenExpiry(makeToken({ iat, exp: iat + 3600 }))).toBe((iat + 3600) * 1000);
+  });
+
+  test("assumes Firebase's one-hour lifetime for tokens it can't decode", () => {
+    expect(getTokenExpiry("opaque-token", 1000)).toBe(1000 + 60 * 60 * 1000);
+  });
+});
+
+describe("BaseAuthProvider", () => {
+  test("takes a configurable refresh skew", () => {
+    expect(new BaseAuthProvider("test", "Test").tokenRefreshSkewMs).toBe(5 * 60 * 1000);
+    expect(
+      new BaseAuthProvider("test", "Test", { tokenRefreshSkewMs: 1000 }).tokenRefreshSkewMs,
+    ).toBe(1000);
+  });
+
+  test("leaves refreshIdToken to subclasses", async () => {
+    await expect(new BaseAuthProvider("test", "Test").refreshIdToken()).rejects.toThrow(
+      "refreshIdToken() must be implemented by Test provider",
+    );
+  });
+});
+
+describe("isDefinitiveAuthError", () => {
+  test.each([
+    ["Firebase: Error (auth/user-token-expired).", true],
+    ["Firebase: Error (auth/user-disabled).", true],
+    ["No authenticated user", true],
+    ["Firebase: Error (auth/network-request-failed).", false],
+    ["Firebase: Error (auth/too-many-requests).", false],
+    ["Offscreen document not ready after 5000ms", false],
+  ])("%s → %s", (message, expected) => {
+    expect(isDefinitiveAuthError(new Error(message))).toBe(expected);
+  });
+});
+
+describe("stored accounts", () => {
+  class TestProvider extends BaseAuthProvider {
+    constructor() {
+      super("test", "Test");
+      this.ensureOffscreenDocument = jest.fn().mockResolvedValue(undefined);
+    }
+  }
+
+  let storage;
+
+  beforeEach(() => {
+    storage = setupMockStorage();
+    global.chrome = {
+      storage: { local: storage },
+      runtime: { sendMessage: jest.fn() },
+      alarms: { create: jest.fn().mockResolvedValue(undefined) },
+    };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    jest.restoreAllMocks();
+  });
+
+  test("restores an account's session and makes it the stored one", async () => {
+    const provider = new TestProvider();
+    chrome.runtime.sendMessage.mockResolvedValueOnce({
+      success: true,
+      userId: "bob-id",
+      email: "bob@example.com",
+      displayName: "Bob",
+      firebaseToken: "bob-token",
+    });
+
+    const result = await provider.restoreAccount("bob-id");
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: "FIREBASE_SWITCH_ACCOUNT",
+      userId: "bob-id",
+    });
+    expect(result).toMatchObject({ success: true, userId: "bob-id", firebaseToken: "bob-token" });
+    expect(storage._store).toMatchObject({
+      firebaseToken: "bob-token",
+      userId: "bob-id",
+      userEmail: "bob@example.com",
+      userPhotoURL: "",
+    });
+    expect(chrome.alarms.create).toHaveBeenCalled();
+  });
+
+  test("passes on the offscreen document's error when the session is gone", async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({
+      success: false,
+      error: "No authenticated user",
+    });
+
+    await expect(new TestProvider().restoreAccount("bob-id")).rejects.toThrow(
+      "No authenticated user",
+    );
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test("forgets another account's session on a best-effort basis", async () => {
+    const provider = new TestProvider();
+    chrome.runtime.sendMessage.mockRejectedValueOnce(new Error("Receiving end does not exist"));
+
+    await expect(provider.forgetAccount("bob-id")).resolves.toBeUndefined();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: "FIREBASE_SIGN_OUT",
+      userId: "bob-id",
+    });
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * Email/Password Authentication Provider using Firebase
- * Handles email/password sign-in with Firebase Authentication
+ * Handles email/password sign-in, sign-up, password reset and email verification
+ * with Firebase Authentication
  */
 
 import { onAuthStateChanged as firebaseOnAuthStateChanged } from "firebase/auth/web-extension";
@@ -135,31 +136,85 @@ export class EmailPasswordProvider extends BaseAuthProvider {
 
       console.log("User authenticated:", result.email);
 
-      const firebaseToken = result.firebaseToken;
+      return await this.storeSession(result);
+    } catch (error) {
+      console.error("Email/password sign-in error:", error);
+      throw new Error(error.message || "Email/password sign-in failed");
+    }
+  }
 
-      // Store Firebase token and user info locally
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.FIREBASE_TOKEN]: firebaseToken,
-        [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: Date.now(),
-        [STORAGE_KEYS.USER_ID]: result.userId,
-        [STORAGE_KEYS.USER_EMAIL]: result.email,
-        [STORAGE_KEYS.USER_DISPLAY_NAME]: result.displayName || "",
-        [STORAGE_KEYS.USER_PHOTO_URL]: result.photoURL || "",
+  /**
+   * Create an account with email and password. Firebase signs the new user in and
+   * sends them a verification email.
+   * @param {Object} credentials - New account credentials
+   * @param {string} credentials.email - User email address
+   * @param {string} credentials.password - User password
+   * @returns {Promise<AuthResult>} Authentication result with tokens and user info
+   */
+  async signUp(credentials) {
+    try {
+      if (!credentials || !credentials.email || !credentials.password) {
+        throw new Error("Email and password are required");
+      }
+
+      console.log("Creating email/password account...");
+
+      await this.ensureOffscreenDocument();
+
+      const result = await chrome.runtime.sendMessage({
+        type: "FIREBASE_SIGN_UP_WITH_EMAIL",
+        email: credentials.email,
+        password: credentials.password,
       });
 
-      console.log("Firebase token and user info stored locally");
+      if (!result || !result.success) {
+        throw new Error(result?.error || "Could not create your account");
+      }
+
+      console.log("Account created:", result.email);
 
-      return {
-        success: true,
-        userId: result.userId,
-        email: result.email,
-        displayName: result.displayName,
-        photoURL: result.photoURL,
-        firebaseToken: firebaseToken,
-      };
+      return await this.storeSession(result);
     } catch (error) {
-      console.error("Email/password sign-in error:", error);
-      throw new Error(error.message || "Email/password sign-in failed");
+      console.error("Email/password sign-up error:", error);
+      throw new Error(error.message || "Could not create your account");
+    }
+  }
+
+  /**
+   * Send a password reset email
+   * @param {string} email - Account email address
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(email) {
+    if (!email) {
+      throw new Error("Email is required");
+    }
+
+    await this.ensureOffscreenDocument();
+
+    const result = await chrome.runtime.sendMessage({
+      type: "FIREBASE_SEND_PASSWORD_RESET",
+      email: email,
+    });
+
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Could not send the password reset email");
+    }
+  }
+
+  /**
+   * Send the signed-in user another verification email
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification() {
+    await this.ensureOffscreenDocument();
+
+    const result = await chrome.runtime.sendMessage({
+      type: "FIREBASE_SEND_VERIFICATION",
+    });
+
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Could not send the verification email");
     }
   }
 
@@ -216,6 +271,7 @@ export class EmailPasswordProvider extends BaseAuthProvider {
       }
 
       // Clear all stored authentication data - this is the critical part
+      await this.cancelTokenRefresh();
       await chrome.storage.local.remove([
         STORAGE_KEYS.FIREBASE_TOKEN,
         STORAGE_KEYS.FIREBASE_REFRESH_TIME,
@@ -257,84 +313,20 @@ export class EmailPasswordProvider extends BaseAuthProvider {
   }
 
   /**
-   * Get Firebase ID token for current user
-   * Token is automatically refreshed if older than 50 minutes
-   * If token refresh fails, auth data is cleared
-   *
-   * @param {boolean} [forceRefresh=false] - Force token refresh even if cached token is valid
-   * @returns {Promise<string>} Firebase ID token
-   * @throws {Error} If user is not authenticated
+   * Get a freshly issued Firebase ID token from the offscreen document
+   * @returns {Promise<string>} New Firebase ID token
    */
-  async getIdToken(forceRefresh = false) {
-    try {
-      // Get stored token and refresh time from storage
-      const storage = await chrome.storage.local.get([
-        STORAGE_KEYS.FIREBASE_TOKEN,
-        STORAGE_KEYS.FIREBASE_REFRESH_TIME,
-        STORAGE_KEYS.USER_ID,
-      ]);
-
-      const storedToken = storage[STORAGE_KEYS.FIREBASE_TOKEN];
-      const userId = storage[STORAGE_KEYS.USER_ID];
-
-      // Check if user is authenticated
-      if (!userId || !storedToken) {
-        throw new Error("Not authenticated");
-      }
-
-      // Check if token needs refresh (older than 50 minutes)
-      const lastRefresh = storage[STORAGE_KEYS.FIREBASE_REFRESH_TIME] || 0;
-      const age = Date.now() - lastRefresh;
-      const needsRefresh = forceRefresh || age > 50 * 60 * 1000; // 50 minutes
-
-      if (needsRefresh) {
-        console.log("Firebase ID token needs refresh, requesting new token...");
-
-        try {
-          // Request token refresh from offscreen document
-          await this.ensureOffscreenDocument();
-
-          const result = await chrome.runtime.sendMessage({
-            type: "FIREBASE_REFRESH_TOKEN",
-          });
+  async refreshIdToken() {
+    await this.ensureOffscreenDocument();
 
-          if (!result || !result.success) {
-            throw new Error(result?.error || "Failed to refresh token");
-          }
-
-          // Update stored token
-          await chrome.storage.local.set({
-            [STORAGE_KEYS.FIREBASE_TOKEN]: result.token,
-            [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: Date.now(),
-          });
-
-          console.log("Firebase ID token refreshed successfully");
-          return result.token;
-        } catch (refreshError) {
-          // Token refresh failed - token is likely expired or invalid
-          console.error("Token refresh failed, clearing auth data:", refreshError);
-
-          // Clear all auth data since token is no longer valid
-          await chrome.storage.local.remove([
-            STORAGE_KEYS.FIREBASE_TOKEN,
-            STORAGE_KEYS.FIREBASE_REFRESH_TIME,
-            STORAGE_KEYS.USER_ID,
-            STORAGE_KEYS.USER_EMAIL,
-            STORAGE_KEYS.USER_DISPLAY_NAME,
-            STORAGE_KEYS.USER_PHOTO_URL,
-            "currentAuthProvider",
-          ]);
-
-          throw new Error("Authentication expired - please sign in again");
-        }
-      }
+    const result = await chrome.runtime.sendMessage({
+      type: "FIREBASE_REFRESH_TOKEN",
+    });
 
-      // Return cached token
-      return storedToken;
-    } catch (error) {
-      logError("Failed to get ID token", error);
-      throw error;
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Failed to refresh token");
     }
+    return result.token;
   }
 
   /**
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { setupMockStorage, mockConsole } from "../../../test/testHelpers";
+
+jest.mock("../../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+
+jest.mock("../../../common/constants.js", () => ({
+  STORAGE_KEYS: {
+    FIREBASE_TOKEN: "firebaseToken",
+    FIREBASE_REFRESH_TIME: "firebaseRefreshTime",
+    USER_ID: "userId",
+    USER_EMAIL: "userEmail",
+    USER_DISPLAY_NAME: "userDisplayName",
+    USER_PHOTO_URL: "userPhotoURL",
+  },
+}));
+
+jest.mock("../../../common/firebase-config.js", () => ({
+  auth: { currentUser: null },
+}));
+
+jest.mock("firebase/auth/web-extension", () => ({
+  onAuthStateChanged: jest.fn(() => jest.fn()),
+}));
+
+describe("EmailPasswordProvider", () => {
+  let provider;
+  let mockStorage;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockConsole();
+    mockStorage = setupMockStorage();
+
+    global.chrome = {
+      storage: { local: mockStorage },
+      runtime: {
+        getContexts: jest.fn().mockResolvedValue([]),
+        getURL: jest.fn((path) => `chrome-extension://fake-id/${path}`),
+        sendMessage: jest.fn().mockResolvedValue({ ready: true }),
+      },
+      offscreen: {
+        createDocument: jest.fn().mockResolvedValue(undefined),
+      },
+      alarms: {
+        create: jest.fn().mockResolvedValue(undefined),
+      },
+    };
+
+    const { EmailPasswordProvider } = require("./email-provider.js");
+    provider = new EmailPasswordProvider();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("signUp()", () => {
+    it("creates the account through the offscreen document and stores the session", async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ ready: true }).mockResolvedValueOnce({
+        success: true,
+        userId: "new-user-id",
+        email: "new@example.com",
+        emailVerified: false,
+        firebaseToken: "new-firebase-token",
+      });
+
+      const result = await provider.signUp({ email: "new@example.com", password: "secret1" });
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "FIREBASE_SIGN_UP_WITH_EMAIL",
+        email: "new@example.com",
+        password: "secret1",
+      });
+      expect(result).toMatchObject({ success: true, userId: "new-user-id", emailVerified: false });
+      expect(mockStorage._store).toMatchObject({
+        firebaseToken: "new-firebase-token",
+        userId: "new-user-id",
+        userEmail: "new@example.com",
+      });
+      expect(chrome.alarms.create).toHaveBeenCalled();
+    });
+
+    it("requires an email and a password", async () => {
+      await expect(provider.signUp({ email: "new@example.com" })).rejects.toThrow(
+        "Email and password are required",
+      );
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it("passes on the offscreen document's friendly error", async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ ready: true }).mockResolvedValueOnce({
+        success: false,
+        error: "An account with this email already exists. Please sign in.",
+      });
+
+      await expect(
+        provider.signUp({ email: "taken@example.com", password: "secret1" }),
+      ).rejects.toThrow("An account with this email already exists. Please sign in.");
+      expect(mockStorage.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("sendPasswordResetEmail()", () => {
+    it("asks the offscreen document to send the reset email", async () => {
+      chrome.runtime.sendMessage
+        .mockResolvedValueOnce({ ready: true })
+        .mockResolvedValueOnce({ success: true });
+
+      await provider.sendPasswordResetEmail("user@example.com");
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "FIREBASE_SEND_PASSWORD_RESET",
+        email: "user@example.com",
+      });
+    });
+
+    it("requires an email", async () => {
+      await expect(provider.sendPasswordResetEmail("")).rejects.toThrow("Email is required");
+    });
+  });
+
+  describe("sendEmailVerification()", () => {
+    it("throws when the email can't be sent", async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ ready: true }).mockResolvedValueOnce({
+        success: false,
+        error: "Too many attempts. Please try again later.",
+      });
+
+      await expect(provider.sendEmailVerification()).rejects.toThrow(
+        "Too many attempts. Please try again later.",
+      );
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({
+        type: "FIREBASE_SEND_VERIFICATION",
+      });
+    });
+  });
+});
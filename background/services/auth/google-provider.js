@@ -3,6 +3,36 @@ import { auth } from "../../../common/firebase-config.js";
 import { BaseAuthProvider } from "./base-provider.js";
 import { STORAGE_KEYS } from "../../../common/constants.js";
 import { logError } from "../../../common/error-handler.js";
+import { ENV } from "../../../common/env-config.js";
+
+const GOOGLE_AUTH_URL = "https://accounts.google.com/o/oauth2/v2/auth";
+const GOOGLE_SCOPES = ["openid", "email", "profile"];
+
+/**
+ * How to get a Google access token in this browser. getAuthToken only works in Google
+ * Chrome: Edge, Brave and other Chromium browsers expose it but fail every call.
+ * launchWebAuthFlow works in all of them.
+ * @returns {"getAuthToken"|"launchWebAuthFlow"} Sign-in mechanism
+ */
+export function getGoogleSignInMethod() {
+  const brands = globalThis.navigator?.userAgentData?.brands || [];
+  const isGoogleChrome = brands.some(({ brand }) => brand === "Google Chrome");
+  return isGoogleChrome && typeof chrome.identity?.getAuthToken === "function"
+    ? "getAuthToken"
+    : "launchWebAuthFlow";
+}
+
+function isCancellation(message = "") {
+  return (
+    message.includes("OAuth2 not granted or revoked") ||
+    message.includes("did not approve access") ||
+    message.includes("cancelled")
+  );
+}
+
+function isNetworkError(message = "") {
+  return message.includes("Network") || message.includes("network");
+}
 
 export class GoogleProvider extends BaseAuthProvider {
   constructor() {
@@ -75,17 +105,7 @@ export class GoogleProvider extends BaseAuthProvider {
     try {
       console.log("Starting Google sign-in...");
 
-      const accessToken = await new Promise((resolve, reject) => {
-        chrome.identity.getAuthToken({ interactive: true }, (token) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (!token) {
-            reject(new Error("Google sign-in was cancelled. Please try again."));
-          } else {
-            resolve(token);
-          }
-        });
-      });
+      const accessToken = await this.getAccessToken();
 
       await this.ensureOffscreenDocument();
 
@@ -100,25 +120,7 @@ export class GoogleProvider extends BaseAuthProvider {
 
       console.log("User authenticated with Google:", result.email);
 
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.FIREBASE_TOKEN]: result.firebaseToken,
-        [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: Date.now(),
-        [STORAGE_KEYS.USER_ID]: result.userId,
-        [STORAGE_KEYS.USER_EMAIL]: result.email,
-        [STORAGE_KEYS.USER_DISPLAY_NAME]: result.displayName || "",
-        [STORAGE_KEYS.USER_PHOTO_URL]: result.photoURL || "",
-      });
-
-      console.log("Firebase token and user info stored locally");
-
-      return {
-        success: true,
-        userId: result.userId,
-        email: result.email,
-        displayName: result.displayName,
-        photoURL: result.photoURL,
-        firebaseToken: result.firebaseToken,
-      };
+      return await this.storeSession(result);
     } catch (error) {
       console.error("Google sign-in error:", error);
       const message = this._userFacingError(error.message);
@@ -126,16 +128,108 @@ export class GoogleProvider extends BaseAuthProvider {
     }
   }
 
+  /**
+   * Gets a Google access token for Firebase, with getAuthToken where it works and
+   * launchWebAuthFlow everywhere else
+   * @returns {Promise<string>} Google OAuth access token
+   */
+  async getAccessToken() {
+    if (getGoogleSignInMethod() === "launchWebAuthFlow") {
+      return this.launchGoogleAuthFlow();
+    }
+
+    try {
+      return await this.getChromeAuthToken();
+    } catch (error) {
+      // The web flow would end the same way
+      if (isCancellation(error.message) || isNetworkError(error.message)) throw error;
+
+      // Some Chrome-based browsers claim to be Google Chrome but can't issue tokens
+      console.warn("getAuthToken failed, signing in with launchWebAuthFlow:", error.message);
+      return this.launchGoogleAuthFlow();
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} Access token for the account signed into Chrome
+   */
+  getChromeAuthToken() {
+    return new Promise((resolve, reject) => {
+      chrome.identity.getAuthToken({ interactive: true }, (token) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!token) {
+          reject(new Error("Google sign-in was cancelled. Please try again."));
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  /**
+   * Runs Google's OAuth implicit flow in a browser window. The web client ID's redirect
+   * URIs must include chrome.identity.getRedirectURL(). This is not PKCE: Google only
+   * exchanges an authorization code for a Web client together with its client secret,
+   * which can't ship inside an extension. The state check guards the redirect instead.
+   * @returns {Promise<string>} Access token for the account the user picked
+   */
+  async launchGoogleAuthFlow() {
+    // substitute-env.js leaves the ${...} placeholder in place when the variable isn't set
+    const clientId = ENV.GOOGLE_WEB_CLIENT_ID;
+    if (!clientId || clientId.startsWith("${")) {
+      throw new Error("Google sign-in is not configured for this browser");
+    }
+
+    // Ties the response to this request, so a forged redirect can't sign someone in
+    const state = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+    const authUrl = new URL(GOOGLE_AUTH_URL);
+    authUrl.search = new URLSearchParams({
+      client_id: clientId,
+      response_type: "token",
+      redirect_uri: chrome.identity.getRedirectURL(),
+      scope: GOOGLE_SCOPES.join(" "),
+      state,
+      // Several accounts can be kept, so let the user choose every time
+      prompt: "select_account",
+    }).toString();
+
+    const responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: authUrl.href,
+      interactive: true,
+    });
+    if (!responseUrl) {
+      throw new Error("Google sign-in was cancelled. Please try again.");
+    }
+
+    // The token comes back in the URL fragment, errors in the fragment or the query
+    const response = new URL(responseUrl);
+    const params = new URLSearchParams(response.hash.slice(1) || response.search.slice(1));
+    if (params.get("error") === "access_denied") {
+      throw new Error("Google sign-in was cancelled. Please try again.");
+    }
+    if (params.get("error")) {
+      throw new Error(`Google sign-in failed: ${params.get("error")}`);
+    }
+    if (params.get("state") !== state) {
+      throw new Error("Google sign-in response did not match the request");
+    }
+
+    const accessToken = params.get("access_token");
+    if (!accessToken) {
+      throw new Error("Google did not return an access token");
+    }
+    return accessToken;
+  }
+
   _userFacingError(message) {
     if (!message) return "Google sign-in failed";
-    if (
-      message.includes("OAuth2 not granted or revoked") ||
-      message.includes("did not approve access") ||
-      message.includes("cancelled")
-    ) {
+    if (isCancellation(message)) {
       return "Google sign-in was cancelled. Please try again.";
     }
-    if (message.includes("Network") || message.includes("network")) {
+    if (isNetworkError(message)) {
       return "Network error. Please check your internet connection.";
     }
     return message || "Google sign-in failed";
@@ -180,7 +274,11 @@ export class GoogleProvider extends BaseAuthProvider {
         console.log("Firebase signout skipped due to error:", error.message);
       }
 
-      await new Promise((resolve) => chrome.identity.clearAllCachedAuthTokens(resolve));
+      // Tokens from launchWebAuthFlow aren't cached by the browser
+      if (getGoogleSignInMethod() === "getAuthToken") {
+        await new Promise((resolve) => chrome.identity.clearAllCachedAuthTokens(resolve));
+      }
+      await this.cancelTokenRefresh();
 
       await chrome.storage.local.remove([
         STORAGE_KEYS.FIREBASE_TOKEN,
@@ -217,68 +315,17 @@ export class GoogleProvider extends BaseAuthProvider {
     return auth.currentUser;
   }
 
-  async getIdToken(forceRefresh = false) {
-    try {
-      const storage = await chrome.storage.local.get([
-        STORAGE_KEYS.FIREBASE_TOKEN,
-        STORAGE_KEYS.FIREBASE_REFRESH_TIME,
-        STORAGE_KEYS.USER_ID,
-      ]);
-
-      const storedToken = storage[STORAGE_KEYS.FIREBASE_TOKEN];
-      const userId = storage[STORAGE_KEYS.USER_ID];
+  async refreshIdToken() {
+    await this.ensureOffscreenDocument();
 
-      if (!userId || !storedToken) {
-        throw new Error("Not authenticated");
-      }
-
-      const lastRefresh = storage[STORAGE_KEYS.FIREBASE_REFRESH_TIME] || 0;
-      const age = Date.now() - lastRefresh;
-      const needsRefresh = forceRefresh || age > 50 * 60 * 1000;
-
-      if (needsRefresh) {
-        console.log("Firebase ID token needs refresh, requesting new token...");
-
-        try {
-          await this.ensureOffscreenDocument();
-
-          const result = await chrome.runtime.sendMessage({
-            type: "FIREBASE_REFRESH_TOKEN",
-          });
-
-          if (!result || !result.success) {
-            throw new Error(result?.error || "Failed to refresh token");
-          }
-
-          await chrome.storage.local.set({
-            [STORAGE_KEYS.FIREBASE_TOKEN]: result.token,
-            [STORAGE_KEYS.FIREBASE_REFRESH_TIME]: Date.now(),
-          });
-
-          console.log("Firebase ID token refreshed successfully");
-          return result.token;
-        } catch (refreshError) {
-          console.error("Token refresh failed, clearing auth data:", refreshError);
-
-          await chrome.storage.local.remove([
-            STORAGE_KEYS.FIREBASE_TOKEN,
-            STORAGE_KEYS.FIREBASE_REFRESH_TIME,
-            STORAGE_KEYS.USER_ID,
-            STORAGE_KEYS.USER_EMAIL,
-            STORAGE_KEYS.USER_DISPLAY_NAME,
-            STORAGE_KEYS.USER_PHOTO_URL,
-            "currentAuthProvider",
-          ]);
-
-          throw new Error("Authentication expired - please sign in again");
-        }
-      }
+    const result = await chrome.runtime.sendMessage({
+      type: "FIREBASE_REFRESH_TOKEN",
+    });
 
-      return storedToken;
-    } catch (error) {
-      logError("Failed to get ID token", error);
-      throw error;
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Failed to refresh token");
     }
+    return result.token;
   }
 
   onAuthStateChanged(callback) {
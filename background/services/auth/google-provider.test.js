@@ -23,12 +23,33 @@ jest.mock("../../../common/firebase-config.js", () => ({
   auth: { currentUser: null },
 }));
 
+jest.mock("../../../common/env-config.js", () => ({
+  ENV: { GOOGLE_WEB_CLIENT_ID: "web-client-id.apps.googleusercontent.com" },
+}));
+
 jest.mock("firebase/auth/web-extension", () => ({
   onAuthStateChanged: jest.fn((auth, callback) => {
     return jest.fn(); // unsubscribe
   }),
 }));
 
+function setBrowserBrand(brand) {
+  Object.defineProperty(navigator, "userAgentData", {
+    value: {
+      brands: [
+        { brand: "Chromium", version: "130" },
+        { brand, version: "130" },
+      ],
+    },
+    configurable: true,
+  });
+}
+
+function makeToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "RS256" })}.${encode(claims)}.signature`;
+}
+
 describe("GoogleProvider", () => {
   let GoogleProvider;
   let provider;
@@ -51,6 +72,7 @@ describe("GoogleProvider", () => {
 
     consoleLogSpy = mockConsole();
     mockStorage = setupMockStorage();
+    setBrowserBrand("Google Chrome");
 
     global.chrome = {
       storage: { local: mockStorage },
@@ -69,6 +91,12 @@ describe("GoogleProvider", () => {
           callback(mockAuthToken);
         }),
         clearAllCachedAuthTokens: jest.fn((callback) => callback()),
+        getRedirectURL: jest.fn(() => "https://fake-id.chromiumapp.org/"),
+        launchWebAuthFlow: jest.fn(),
+      },
+      alarms: {
+        create: jest.fn().mockResolvedValue(undefined),
+        clear: jest.fn().mockResolvedValue(true),
       },
     };
 
@@ -80,6 +108,7 @@ describe("GoogleProvider", () => {
   afterEach(() => {
     jest.restoreAllMocks();
     delete global.chrome;
+    delete navigator.userAgentData;
   });
 
   describe("signIn() - success", () => {
@@ -108,6 +137,21 @@ describe("GoogleProvider", () => {
       );
     });
 
+    it("schedules a pre-refresh alarm shortly before the new token expires", async () => {
+      const iat = Math.floor(Date.now() / 1000);
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ ready: true }).mockResolvedValueOnce({
+        ...mockFirebaseResult,
+        firebaseToken: makeToken({ iat, exp: iat + 3600 }),
+      });
+
+      await provider.signIn();
+
+      const receivedAt = mockStorage._store.firebaseRefreshTime;
+      expect(chrome.alarms.create).toHaveBeenCalledWith("kukbuk-token-refresh", {
+        when: receivedAt + 55 * 60 * 1000,
+      });
+    });
+
     it("sends FIREBASE_SIGN_IN_WITH_CREDENTIAL with the access token", async () => {
       chrome.runtime.sendMessage
         .mockResolvedValueOnce({ ready: true })
@@ -169,6 +213,111 @@ describe("GoogleProvider", () => {
     });
   });
 
+  describe("signIn() - browsers other than Google Chrome", () => {
+    // Answers launchWebAuthFlow the way Google redirects back, echoing the request's state
+    function mockGoogleRedirect(fragment) {
+      chrome.identity.launchWebAuthFlow.mockImplementation(async ({ url }) => {
+        const state = new URL(url).searchParams.get("state");
+        return `https://fake-id.chromiumapp.org/#${fragment}&state=${state}`;
+      });
+    }
+
+    beforeEach(() => {
+      setBrowserBrand("Microsoft Edge");
+    });
+
+    it("signs in through launchWebAuthFlow instead of getAuthToken", async () => {
+      mockGoogleRedirect("access_token=web-flow-token&token_type=Bearer");
+      chrome.runtime.sendMessage
+        .mockResolvedValueOnce({ ready: true })
+        .mockResolvedValueOnce(mockFirebaseResult);
+
+      const result = await provider.signIn();
+
+      expect(result.userId).toBe("google-user-id");
+      expect(chrome.identity.getAuthToken).not.toHaveBeenCalled();
+
+      const { url, interactive } = chrome.identity.launchWebAuthFlow.mock.calls[0][0];
+      const authUrl = new URL(url);
+      expect(interactive).toBe(true);
+      expect(authUrl.origin + authUrl.pathname).toBe(
+        "https://accounts.google.com/o/oauth2/v2/auth",
+      );
+      expect(Object.fromEntries(authUrl.searchParams)).toMatchObject({
+        client_id: "web-client-id.apps.googleusercontent.com",
+        response_type: "token",
+        redirect_uri: "https://fake-id.chromiumapp.org/",
+        scope: "openid email profile",
+      });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "FIREBASE_SIGN_IN_WITH_CREDENTIAL",
+        accessToken: "web-flow-token",
+      });
+    });
+
+    it("rejects a response that doesn't match the request", async () => {
+      chrome.identity.launchWebAuthFlow.mockResolvedValue(
+        "https://fake-id.chromiumapp.org/#access_token=forged-token&state=other",
+      );
+
+      await expect(provider.signIn()).rejects.toThrow(
+        "Google sign-in response did not match the request",
+      );
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it("reports a declined consent screen as cancelled", async () => {
+      mockGoogleRedirect("error=access_denied");
+
+      await expect(provider.signIn()).rejects.toThrow(
+        "Google sign-in was cancelled. Please try again.",
+      );
+    });
+
+    it("falls back to launchWebAuthFlow when getAuthToken is unsupported", async () => {
+      setBrowserBrand("Google Chrome");
+      chrome.identity.getAuthToken.mockImplementation((options, callback) => {
+        chrome.runtime.lastError = { message: "This API is not supported on this browser." };
+        callback(null);
+        chrome.runtime.lastError = null;
+      });
+      mockGoogleRedirect("access_token=web-flow-token");
+      chrome.runtime.sendMessage
+        .mockResolvedValueOnce({ ready: true })
+        .mockResolvedValueOnce(mockFirebaseResult);
+
+      await provider.signIn();
+
+      expect(chrome.identity.launchWebAuthFlow).toHaveBeenCalled();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "FIREBASE_SIGN_IN_WITH_CREDENTIAL",
+        accessToken: "web-flow-token",
+      });
+    });
+
+    it("refuses to sign in while the web client ID is an unset placeholder", async () => {
+      const { ENV } = require("../../../common/env-config.js");
+      const clientId = ENV.GOOGLE_WEB_CLIENT_ID;
+      ENV.GOOGLE_WEB_CLIENT_ID = "${GOOGLE_WEB_CLIENT_ID}";
+
+      try {
+        await expect(provider.signIn()).rejects.toThrow(
+          "Google sign-in is not configured for this browser",
+        );
+        expect(chrome.identity.launchWebAuthFlow).not.toHaveBeenCalled();
+      } finally {
+        ENV.GOOGLE_WEB_CLIENT_ID = clientId;
+      }
+    });
+
+    it("has no cached Google tokens to clear on sign-out", async () => {
+      await provider.signOut();
+
+      expect(chrome.identity.clearAllCachedAuthTokens).not.toHaveBeenCalled();
+      expect(mockStorage.remove).toHaveBeenCalled();
+    });
+  });
+
   describe("ensureOffscreenDocument()", () => {
     it("skips createDocument when offscreen document already exists", async () => {
       chrome.runtime.getContexts.mockResolvedValueOnce([{ contextType: "OFFSCREEN_DOCUMENT" }]);
@@ -196,6 +345,7 @@ describe("GoogleProvider", () => {
       await provider.signOut();
 
       expect(chrome.identity.clearAllCachedAuthTokens).toHaveBeenCalled();
+      expect(chrome.alarms.clear).toHaveBeenCalledWith("kukbuk-token-refresh");
       expect(mockStorage.remove).toHaveBeenCalledWith(
         expect.arrayContaining([
           "firebaseToken",
@@ -226,7 +376,7 @@ describe("GoogleProvider", () => {
   });
 
   describe("getIdToken()", () => {
-    it("returns cached token when fresh (age < 50 min)", async () => {
+    it("returns cached token when fresh (undecodable token, age < 55 min)", async () => {
       mockStorage._store.firebaseToken = "cached-token";
       mockStorage._store.firebaseRefreshTime = Date.now() - 10 * 60 * 1000; // 10 min ago
       mockStorage._store.userId = "google-user-id";
@@ -241,7 +391,7 @@ describe("GoogleProvider", () => {
       expect(refreshCall).toBeUndefined();
     });
 
-    it("refreshes token via offscreen when stale (age > 50 min)", async () => {
+    it("refreshes token via offscreen when stale (undecodable token, age > 55 min)", async () => {
       mockStorage._store.firebaseToken = "old-token";
       mockStorage._store.firebaseRefreshTime = Date.now() - 60 * 60 * 1000; // 60 min ago
       mockStorage._store.userId = "google-user-id";
@@ -259,6 +409,36 @@ describe("GoogleProvider", () => {
       expect(refreshCall).toBeDefined();
     });
 
+    it("refreshes a token once it is within the skew of its exp claim", async () => {
+      const iat = Math.floor(Date.now() / 1000) - 56 * 60; // expires in 4 min
+      mockStorage._store.firebaseToken = makeToken({ iat, exp: iat + 3600 });
+      mockStorage._store.firebaseRefreshTime = iat * 1000;
+      mockStorage._store.userId = "google-user-id";
+
+      chrome.runtime.sendMessage
+        .mockResolvedValueOnce({ ready: true })
+        .mockResolvedValueOnce({ success: true, token: "new-token" });
+
+      expect(await provider.getIdToken()).toBe("new-token");
+      expect(chrome.alarms.create).toHaveBeenCalledWith("kukbuk-token-refresh", expect.any(Object));
+    });
+
+    it("keeps a token with time left, using the configured skew", async () => {
+      const iat = Math.floor(Date.now() / 1000) - 40 * 60; // expires in 20 min
+      const token = makeToken({ iat, exp: iat + 3600 });
+      mockStorage._store.firebaseToken = token;
+      mockStorage._store.firebaseRefreshTime = iat * 1000;
+      mockStorage._store.userId = "google-user-id";
+
+      expect(await provider.getIdToken()).toBe(token);
+
+      provider.tokenRefreshSkewMs = 30 * 60 * 1000;
+      chrome.runtime.sendMessage
+        .mockResolvedValueOnce({ ready: true })
+        .mockResolvedValueOnce({ success: true, token: "new-token" });
+      expect(await provider.getIdToken()).toBe("new-token");
+    });
+
     it("throws when not authenticated", async () => {
       await expect(provider.getIdToken()).rejects.toThrow("Not authenticated");
     });
@@ -280,7 +460,7 @@ describe("GoogleProvider", () => {
       );
     });
 
-    it("clears all auth storage and throws when token refresh fails", async () => {
+    it("rethrows a failed refresh and leaves the session for AuthManager to judge", async () => {
       mockStorage._store.firebaseToken = "old-token";
       mockStorage._store.firebaseRefreshTime = Date.now() - 60 * 60 * 1000;
       mockStorage._store.userId = "google-user-id";
@@ -289,21 +469,10 @@ describe("GoogleProvider", () => {
         .mockResolvedValueOnce({ ready: true })
         .mockResolvedValueOnce({ success: false, error: "Token refresh rejected" });
 
-      await expect(provider.getIdToken()).rejects.toThrow(
-        "Authentication expired - please sign in again",
-      );
+      await expect(provider.getIdToken()).rejects.toThrow("Token refresh rejected");
 
-      expect(mockStorage.remove).toHaveBeenCalledWith(
-        expect.arrayContaining([
-          "firebaseToken",
-          "firebaseRefreshTime",
-          "userId",
-          "userEmail",
-          "userDisplayName",
-          "userPhotoURL",
-          "currentAuthProvider",
-        ]),
-      );
+      expect(mockStorage.remove).not.toHaveBeenCalled();
+      expect(mockStorage._store.firebaseToken).toBe("old-token");
     });
   });
 
@@ -10,6 +10,7 @@
  * @property {string} [email] - User email address
  * @property {string} [displayName] - User display name
  * @property {string} [photoURL] - User photo URL
+ * @property {boolean} [emailVerified] - Whether the email address is verified (email provider)
  * @property {string} [firebaseToken] - Firebase ID token for backend authentication
  * @property {string} [providerToken] - Provider-specific access token (e.g., Google OAuth token)
  * @property {string} [refreshToken] - Provider-specific refresh token for token renewal
@@ -0,0 +1,144 @@
+/**
+ * Toolbar badge and icon
+ *
+ * Save progress also shows on the toolbar icon, which stays visible on pages the content
+ * script can't run on. A tab's own badge (saving spinner, ✓, ✗) wins over the window-wide
+ * one, which counts saves waiting in the offline queue. Signed-out users get a greyed-out
+ * icon.
+ */
+
+import { logError } from "../../common/error-handler.js";
+
+export const BADGE_STATE = {
+  NONE: "none",
+  SAVING: "saving",
+  SAVED: "saved",
+  FAILED: "failed",
+};
+
+const BADGE_STYLES = {
+  [BADGE_STATE.SAVED]: { text: "✓", color: "#2e7d32" },
+  [BADGE_STATE.FAILED]: { text: "✗", color: "#c62828" },
+};
+const SAVING_COLOR = "#6e45e2";
+const QUEUED_COLOR = "#f57c00";
+
+const SPINNER_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+const SPINNER_INTERVAL_MS = 150;
+
+const ICON_PATHS = {
+  16: "icons/icon16.png",
+  48: "icons/icon48.png",
+  128: "icons/icon128.png",
+};
+
+// Spinner timers, per tab
+const spinners = new Map();
+let signedOutIcon = null;
+
+/**
+ * Shows a save state on one tab's toolbar icon
+ * @param {number} tabId - Tab
+ * @param {string} state - BADGE_STATE value; NONE lets the window-wide badge show through
+ */
+export function setTabBadge(tabId, state) {
+  stopSpinner(tabId);
+
+  if (state === BADGE_STATE.SAVING) {
+    startSpinner(tabId);
+    return;
+  }
+
+  const style = BADGE_STYLES[state];
+  if (!style) {
+    // null (not "") falls back to the window-wide text; match its colour too
+    applyBadge({ tabId, text: null }, QUEUED_COLOR);
+    return;
+  }
+  applyBadge({ tabId, text: style.text }, style.color);
+}
+
+/**
+ * Shows how many saves are waiting in the offline queue, on tabs without their own badge
+ * @param {number} count - Queued saves
+ */
+export function setQueuedCount(count) {
+  applyBadge({ text: count > 0 ? String(count) : "" }, QUEUED_COLOR);
+}
+
+/**
+ * Greys out the toolbar icon while signed out. Never throws.
+ * @param {boolean} signedOut - Whether the user is signed out
+ * @returns {Promise<void>}
+ */
+export async function setSignedOut(signedOut) {
+  try {
+    if (!signedOut) {
+      await chrome.action.setIcon({ path: ICON_PATHS });
+      return;
+    }
+    signedOutIcon = signedOutIcon || (await loadSignedOutIcon());
+    await chrome.action.setIcon({ imageData: signedOutIcon });
+  } catch (error) {
+    logError("Could not update toolbar icon", error);
+  }
+}
+
+/**
+ * Turns RGBA pixels into faded greyscale, in place
+ * @param {Uint8ClampedArray} data - ImageData pixels
+ */
+export function toGreyscale(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    data[i] = data[i + 1] = data[i + 2] = luma;
+    data[i + 3] = Math.round(data[i + 3] * 0.6);
+  }
+}
+
+// Greyscale copies of the 16 and 32 px icons, drawn from the packaged PNGs
+async function loadSignedOutIcon() {
+  const imageData = {};
+  for (const [size, path] of [
+    [16, ICON_PATHS[16]],
+    [32, ICON_PATHS[48]],
+  ]) {
+    const response = await fetch(chrome.runtime.getURL(path));
+    const bitmap = await createImageBitmap(await response.blob());
+    const context = new OffscreenCanvas(size, size).getContext("2d");
+    context.drawImage(bitmap, 0, 0, size, size);
+    const pixels = context.getImageData(0, 0, size, size);
+    toGreyscale(pixels.data);
+    imageData[size] = pixels;
+  }
+  return imageData;
+}
+
+function startSpinner(tabId) {
+  let frame = 0;
+  applyBadge({ tabId, text: SPINNER_FRAMES[0] }, SAVING_COLOR);
+  spinners.set(
+    tabId,
+    setInterval(() => {
+      frame = (frame + 1) % SPINNER_FRAMES.length;
+      applyBadge({ tabId, text: SPINNER_FRAMES[frame] });
+    }, SPINNER_INTERVAL_MS),
+  );
+}
+
+function stopSpinner(tabId) {
+  clearInterval(spinners.get(tabId));
+  spinners.delete(tabId);
+}
+
+function applyBadge(details, color) {
+  const { tabId } = details;
+  const calls = [chrome.action.setBadgeText(details)];
+  if (color) {
+    calls.push(
+      chrome.action.setBadgeBackgroundColor({ ...(tabId !== undefined && { tabId }), color }),
+    );
+  }
+  // Tab closed in the meantime
+  Promise.all(calls).catch(() => {});
+}
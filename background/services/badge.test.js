@@ -0,0 +1,84 @@
+jest.mock("../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+
+import { logError } from "../../common/error-handler.js";
+import { BADGE_STATE, setQueuedCount, setSignedOut, setTabBadge, toGreyscale } from "./badge.js";
+
+describe("toolbar badge", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.chrome = {
+      action: {
+        setBadgeText: jest.fn().mockResolvedValue(undefined),
+        setBadgeBackgroundColor: jest.fn().mockResolvedValue(undefined),
+        setIcon: jest.fn().mockResolvedValue(undefined),
+      },
+      runtime: { getURL: jest.fn((path) => `chrome-extension://mock-id/${path}`) },
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.chrome;
+  });
+
+  const badgeTexts = () => chrome.action.setBadgeText.mock.calls.map(([details]) => details.text);
+
+  test("spins while saving and stops on the result", () => {
+    setTabBadge(3, BADGE_STATE.SAVING);
+    jest.advanceTimersByTime(300);
+    setTabBadge(3, BADGE_STATE.SAVED);
+    jest.advanceTimersByTime(300);
+
+    expect(badgeTexts()).toEqual(["⠋", "⠙", "⠹", "✓"]);
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 3, text: "✓" });
+  });
+
+  test("failures show a red cross on the tab", () => {
+    setTabBadge(3, BADGE_STATE.FAILED);
+
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 3, text: "✗" });
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({
+      tabId: 3,
+      color: "#c62828",
+    });
+  });
+
+  test("clearing a tab badge lets the window-wide badge show through", () => {
+    setTabBadge(3, BADGE_STATE.NONE);
+
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 3, text: null });
+  });
+
+  test("queued count is window-wide and hidden at zero", () => {
+    setQueuedCount(2);
+    setQueuedCount(0);
+
+    expect(chrome.action.setBadgeText.mock.calls).toEqual([[{ text: "2" }], [{ text: "" }]]);
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: "#f57c00" });
+  });
+
+  test("signing in restores the regular icon", async () => {
+    await setSignedOut(false);
+
+    expect(chrome.action.setIcon).toHaveBeenCalledWith({
+      path: expect.objectContaining({ 16: "icons/icon16.png" }),
+    });
+  });
+
+  test("a signed-out icon that can't be drawn is logged, not thrown", async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error("Failed to fetch"));
+
+    await expect(setSignedOut(true)).resolves.toBeUndefined();
+    expect(logError).toHaveBeenCalledWith("Could not update toolbar icon", expect.any(Error));
+    delete global.fetch;
+  });
+
+  test("greyscale keeps brightness and fades the icon", () => {
+    const pixels = new Uint8ClampedArray([255, 0, 0, 255, 255, 255, 255, 100]);
+    toGreyscale(pixels);
+
+    expect([...pixels]).toEqual([76, 76, 76, 153, 255, 255, 255, 60]);
+  });
+});
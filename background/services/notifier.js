@@ -0,0 +1,145 @@
+/**
+ * Save feedback channel
+ *
+ * Results show as the in-page bubble when the tab can display one, and as a system
+ * notification otherwise: restricted pages (chrome://, PDFs, the Web Store), tabs closed
+ * before the save finished, and queued saves landing with no page open. The bubble's link
+ * and action become notification buttons ("Open in Drive", "Retry", …).
+ *
+ * Button targets are kept in chrome.storage.session so they still work after the service
+ * worker restarts.
+ */
+
+import { MESSAGE_TYPES } from "../../common/constants.js";
+import { logError } from "../../common/error-handler.js";
+
+const NOTIFICATION_PREFIX = "kukbuk-";
+const TARGETS_PREFIX = "notification:";
+
+let handleAction = () => {};
+
+/**
+ * Shows a bubble in a tab, or a notification if the tab can't show it.
+ * Progress ("loading") bubbles are never turned into notifications.
+ * @param {number|null} tabId - Tab for the bubble
+ * @param {Object} data - SHOW_BUBBLE data (text, variant, detail, link, action, copyRef, …)
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - Message sent from a notification's "Retry" button
+ * @returns {Promise<void>}
+ */
+export async function notify(tabId, data, { retry } = {}) {
+  if (tabId && (await showBubble(tabId, data))) return;
+  if (data.variant === "loading") return;
+  await showNotification(data, retry);
+}
+
+/**
+ * Like notify(), in whatever tab the user is looking at now
+ * @param {Object} data - SHOW_BUBBLE data
+ * @param {Object} [options] - See notify()
+ * @returns {Promise<void>}
+ */
+export async function notifyActiveTab(data, options) {
+  let tab;
+  try {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  } catch {
+    // No focused browser window
+  }
+  await notify(tab?.id, data, options);
+}
+
+/**
+ * Listens for notification clicks
+ * @param {Object} options
+ * @param {function(Object): void} options.onAction - Runs a bubble action or retry message
+ */
+export function setupNotifier({ onAction }) {
+  handleAction = onAction;
+
+  chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    const targets = await takeTargets(notificationId);
+    if (!targets) return;
+    runTarget(targets.buttons[buttonIndex]);
+  });
+
+  // Clicking the notification itself opens the saved recipe, if there is one
+  chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const targets = await takeTargets(notificationId);
+    if (!targets) return;
+    runTarget(targets.buttons.find((button) => button.url));
+  });
+
+  chrome.notifications.onClosed.addListener((notificationId) => {
+    takeTargets(notificationId);
+  });
+}
+
+// True when the content script showed the bubble
+async function showBubble(tabId, data) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: MESSAGE_TYPES.SHOW_BUBBLE,
+      data,
+    });
+    return Boolean(response?.success);
+  } catch {
+    // Tab gone or no content script
+    return false;
+  }
+}
+
+async function showNotification(data, retry) {
+  const buttons = [];
+  if (data.link?.url) {
+    buttons.push({ title: "Open in Drive", url: data.link.url });
+  }
+  if (data.action?.message) {
+    buttons.push({ title: data.action.label, message: data.action.message });
+  } else if (retry) {
+    buttons.push({ title: "Retry", message: retry });
+  }
+
+  const suffix = Math.random().toString(36).slice(2, 8);
+  const notificationId = `${NOTIFICATION_PREFIX}${Date.now()}-${suffix}`;
+  try {
+    if (buttons.length) {
+      await chrome.storage.session.set({ [TARGETS_PREFIX + notificationId]: { buttons } });
+    }
+    await chrome.notifications.create(notificationId, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+      title: data.text,
+      message: data.detail || "",
+      ...(data.copyRef && { contextMessage: `Ref ${data.copyRef}` }),
+      buttons: buttons.map(({ title }) => ({ title })),
+      // Errors stay until dismissed, like their bubbles
+      requireInteraction: !data.duration,
+    });
+  } catch (error) {
+    logError("Could not show notification", error);
+  }
+}
+
+// Reads and forgets a notification's button targets, and closes it
+async function takeTargets(notificationId) {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return null;
+  const key = TARGETS_PREFIX + notificationId;
+  try {
+    const stored = await chrome.storage.session.get(key);
+    await chrome.storage.session.remove(key);
+    chrome.notifications.clear(notificationId);
+    return stored[key] || null;
+  } catch (error) {
+    logError("Could not read notification buttons", error);
+    return null;
+  }
+}
+
+function runTarget(target) {
+  if (target?.url) {
+    chrome.tabs.create({ url: target.url });
+  } else if (target?.message) {
+    handleAction(target.message);
+  }
+}
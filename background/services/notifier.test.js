@@ -0,0 +1,142 @@
+jest.mock("../../common/constants.js", () => ({
+  MESSAGE_TYPES: { SHOW_BUBBLE: "SHOW_BUBBLE" },
+}));
+jest.mock("../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+
+import { notify, notifyActiveTab, setupNotifier } from "./notifier.js";
+
+describe("notifier", () => {
+  let session;
+  let onAction;
+
+  beforeEach(() => {
+    session = {};
+    onAction = jest.fn();
+    global.chrome = {
+      tabs: {
+        sendMessage: jest.fn(),
+        query: jest.fn(),
+        create: jest.fn(),
+      },
+      runtime: { getURL: jest.fn((path) => `chrome-extension://mock-id/${path}`) },
+      storage: {
+        session: {
+          get: jest.fn(async (key) => ({ [key]: session[key] })),
+          set: jest.fn(async (items) => Object.assign(session, items)),
+          remove: jest.fn(async (key) => delete session[key]),
+        },
+      },
+      notifications: {
+        create: jest.fn().mockResolvedValue(undefined),
+        clear: jest.fn().mockResolvedValue(true),
+        onButtonClicked: { addListener: jest.fn() },
+        onClicked: { addListener: jest.fn() },
+        onClosed: { addListener: jest.fn() },
+      },
+    };
+    setupNotifier({ onAction });
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  const savedBubble = {
+    text: "Saved: Stew",
+    variant: "success",
+    duration: 4000,
+    link: { url: "https://drive.google.com/file/1", label: "Open ↗" },
+  };
+
+  test("shows the bubble when the tab's content script answers", async () => {
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    await notify(3, savedBubble);
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, {
+      type: "SHOW_BUBBLE",
+      data: savedBubble,
+    });
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+
+  test("falls back to a notification with an Open in Drive button", async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error("No tab with id: 3"));
+
+    await notify(3, savedBubble);
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      expect.stringMatching(/^kukbuk-/),
+      expect.objectContaining({
+        type: "basic",
+        title: "Saved: Stew",
+        buttons: [{ title: "Open in Drive" }],
+        requireInteraction: false,
+      }),
+    );
+  });
+
+  test("never turns progress bubbles into notifications", async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error("No tab with id: 3"));
+
+    await notify(3, { text: "Saving recipe…", variant: "loading" });
+
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+
+  test("buttons open the link or run the action, even after a restart", async () => {
+    await notify(null, {
+      text: "Already saved",
+      variant: "info",
+      link: { url: "https://drive.google.com/file/1", label: "Open ↗" },
+      action: { label: "Save again", message: { type: "SAVE_AGAIN", url: "https://a.com" } },
+    });
+    const [notificationId, options] = chrome.notifications.create.mock.calls[0];
+    expect(options.buttons).toEqual([{ title: "Open in Drive" }, { title: "Save again" }]);
+
+    const onButtonClicked = chrome.notifications.onButtonClicked.addListener.mock.calls[0][0];
+    await onButtonClicked(notificationId, 1);
+
+    expect(onAction).toHaveBeenCalledWith({ type: "SAVE_AGAIN", url: "https://a.com" });
+    expect(chrome.notifications.clear).toHaveBeenCalledWith(notificationId);
+    expect(session).toEqual({});
+  });
+
+  test("clicking the notification opens the saved recipe", async () => {
+    await notify(null, savedBubble);
+    const [notificationId] = chrome.notifications.create.mock.calls[0];
+
+    const onClicked = chrome.notifications.onClicked.addListener.mock.calls[0][0];
+    await onClicked(notificationId);
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: "https://drive.google.com/file/1" });
+  });
+
+  test("failures get a Retry button and show their request ID", async () => {
+    await notify(
+      null,
+      { text: "Couldn't save", variant: "error", duration: 0, copyRef: "abc-123" },
+      { retry: { type: "RETRY_SAVE", id: 4 } },
+    );
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({
+        buttons: [{ title: "Retry" }],
+        contextMessage: "Ref abc-123",
+        requireInteraction: true,
+      }),
+    );
+  });
+
+  test("notifyActiveTab uses the focused tab", async () => {
+    chrome.tabs.query.mockResolvedValue([{ id: 8 }]);
+    chrome.tabs.sendMessage.mockResolvedValue({ success: true });
+
+    await notifyActiveTab({ text: "Saved 3", variant: "success" });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(8, expect.anything());
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Review before save
+ *
+ * With "Review before saving" turned on in settings, the extracted page opens in a small
+ * window where the user can fix the title, drop sections and add notes and tags before
+ * anything is sent. The window talks to the background over a port: it receives the draft
+ * when it connects and sends the edits back; closing the window cancels the save. The
+ * window's keep-alive messages stop Chrome from shutting the service worker down while
+ * the user is still reading.
+ *
+ * @typedef {Object} ReviewDraft
+ * @property {string} title - Detected title
+ * @property {string} pageUrl - Page URL
+ * @property {string} pageContent - Cleaned page HTML that would be sent
+ *
+ * @typedef {Object} ReviewEdits
+ * @property {string} title - Title to save under
+ * @property {string} pageContent - HTML to send, without the sections the user removed
+ * @property {string[]} tags - Tags to add
+ * @property {string} notes - Personal notes
+ */
+
+import { MESSAGE_TYPES, PORT_NAMES, STORAGE_KEYS } from "../../common/constants.js";
+
+const REVIEW_PORT_PREFIX = `${PORT_NAMES.REVIEW}:`;
+
+// Open reviews by id: { draft, windowId, resolve }
+const pendingReviews = new Map();
+
+/**
+ * @returns {Promise<boolean>} Whether saves should be reviewed first
+ */
+export async function isReviewEnabled() {
+  const stored = await chrome.storage.sync.get([STORAGE_KEYS.REVIEW_BEFORE_SAVE]);
+  return Boolean(stored[STORAGE_KEYS.REVIEW_BEFORE_SAVE]);
+}
+
+/**
+ * Opens the review window for a draft and waits for the user
+ * @param {ReviewDraft} draft - What would be saved
+ * @returns {Promise<ReviewEdits|null>} The user's edits, or null if the window was closed
+ */
+export async function requestReview(draft) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const reviewed = new Promise((resolve) => {
+    pendingReviews.set(id, { draft, windowId: null, resolve });
+  });
+
+  try {
+    const reviewWindow = await chrome.windows.create({
+      url: chrome.runtime.getURL(`review/review.html?id=${encodeURIComponent(id)}`),
+      type: "popup",
+      width: 520,
+      height: 720,
+    });
+    const review = pendingReviews.get(id);
+    if (review) review.windowId = reviewWindow.id;
+  } catch (error) {
+    pendingReviews.delete(id);
+    throw error;
+  }
+  return reviewed;
+}
+
+/**
+ * Listens for review windows connecting and closing
+ */
+export function setupReview() {
+  chrome.runtime.onConnect.addListener((port) => {
+    if (!port.name.startsWith(REVIEW_PORT_PREFIX)) return;
+    const id = port.name.slice(REVIEW_PORT_PREFIX.length);
+    const review = pendingReviews.get(id);
+
+    // null when the service worker restarted and the save is gone
+    port.postMessage({ type: MESSAGE_TYPES.REVIEW_DRAFT, draft: review?.draft || null });
+    if (!review) return;
+
+    // REVIEW_KEEPALIVE needs no answer: receiving it is what keeps the worker running
+    port.onMessage.addListener((message) => {
+      if (message.type === MESSAGE_TYPES.SUBMIT_REVIEW) {
+        settleReview(id, message.edits);
+      }
+    });
+    port.onDisconnect.addListener(() => settleReview(id, null));
+  });
+
+  // Closed before the page connected (or it never loaded)
+  chrome.windows.onRemoved.addListener((windowId) => {
+    for (const [id, review] of pendingReviews) {
+      if (review.windowId === windowId) settleReview(id, null);
+    }
+  });
+}
+
+function settleReview(id, edits) {
+  const review = pendingReviews.get(id);
+  if (!review) return;
+  pendingReviews.delete(id);
+  review.resolve(edits);
+}
@@ -0,0 +1,113 @@
+jest.mock("../../common/constants.js", () => ({
+  MESSAGE_TYPES: {
+    REVIEW_DRAFT: "REVIEW_DRAFT",
+    SUBMIT_REVIEW: "SUBMIT_REVIEW",
+    REVIEW_KEEPALIVE: "REVIEW_KEEPALIVE",
+  },
+  PORT_NAMES: { REVIEW: "review" },
+  STORAGE_KEYS: { REVIEW_BEFORE_SAVE: "reviewBeforeSave" },
+}));
+
+import { isReviewEnabled, requestReview, setupReview } from "./review.js";
+
+describe("review", () => {
+  let onConnect;
+  let onWindowRemoved;
+
+  const draft = { title: "Stew", pageUrl: "https://example.com", pageContent: "<html></html>" };
+
+  beforeEach(() => {
+    global.chrome = {
+      runtime: {
+        getURL: jest.fn((path) => `chrome-extension://mock-id/${path}`),
+        onConnect: { addListener: jest.fn() },
+      },
+      windows: {
+        create: jest.fn().mockResolvedValue({ id: 9 }),
+        onRemoved: { addListener: jest.fn() },
+      },
+      storage: { sync: { get: jest.fn() } },
+    };
+    setupReview();
+    onConnect = chrome.runtime.onConnect.addListener.mock.calls[0][0];
+    onWindowRemoved = chrome.windows.onRemoved.addListener.mock.calls[0][0];
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  async function openReview() {
+    const reviewed = requestReview(draft);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const url = chrome.windows.create.mock.calls[0][0].url;
+    const id = new URL(url).searchParams.get("id");
+    return { reviewed, id };
+  }
+
+  function connect(name) {
+    const port = {
+      name,
+      postMessage: jest.fn(),
+      onMessage: { addListener: jest.fn() },
+      onDisconnect: { addListener: jest.fn() },
+    };
+    onConnect(port);
+    return {
+      port,
+      send: (message) => port.onMessage.addListener.mock.calls[0][0](message),
+      disconnect: () => port.onDisconnect.addListener.mock.calls[0][0](),
+    };
+  }
+
+  test("is off unless turned on in settings", async () => {
+    chrome.storage.sync.get.mockResolvedValueOnce({});
+    expect(await isReviewEnabled()).toBe(false);
+
+    chrome.storage.sync.get.mockResolvedValueOnce({ reviewBeforeSave: true });
+    expect(await isReviewEnabled()).toBe(true);
+  });
+
+  test("sends the draft to the review window and resolves with its edits", async () => {
+    const { reviewed, id } = await openReview();
+    expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({ type: "popup" }));
+
+    const { port, send } = connect(`review:${id}`);
+    expect(port.postMessage).toHaveBeenCalledWith({ type: "REVIEW_DRAFT", draft });
+
+    const edits = { title: "Sunday Stew", pageContent: "<html></html>", tags: [], notes: "" };
+    send({ type: "REVIEW_KEEPALIVE" });
+    send({ type: "SUBMIT_REVIEW", edits });
+
+    await expect(reviewed).resolves.toEqual(edits);
+  });
+
+  test("resolves with null when the review window disconnects", async () => {
+    const { reviewed, id } = await openReview();
+
+    connect(`review:${id}`).disconnect();
+
+    await expect(reviewed).resolves.toBeNull();
+  });
+
+  test("resolves with null when the window closes before the page connects", async () => {
+    const { reviewed } = await openReview();
+
+    onWindowRemoved(9);
+
+    await expect(reviewed).resolves.toBeNull();
+  });
+
+  test("tells a window whose save is gone that there is nothing to review", () => {
+    const { port } = connect("review:unknown");
+
+    expect(port.postMessage).toHaveBeenCalledWith({ type: "REVIEW_DRAFT", draft: null });
+    expect(port.onMessage.addListener).not.toHaveBeenCalled();
+  });
+
+  test("ignores ports that aren't review windows", () => {
+    const { port } = connect("something-else");
+
+    expect(port.postMessage).not.toHaveBeenCalled();
+  });
+});
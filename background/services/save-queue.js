@@ -0,0 +1,221 @@
+/**
+ * Offline save queue
+ *
+ * Saves that fail because we're offline or the backend is unreachable are kept in
+ * chrome.storage.local with their already-compressed request body, then retried
+ * with exponential backoff (chrome.alarms) and whenever the browser comes back online.
+ * Each save belongs to the account that made it and only goes out while that account is
+ * the active one: its body names a folder in that person's Drive.
+ *
+ * @typedef {Object} QueuedSave
+ * @property {string} id - Queue entry identifier
+ * @property {Object} body - JSON body for POST /v1/recipes (HTML already compressed)
+ * @property {string} pageUrl - Page the recipe came from
+ * @property {string} title - Page title, for user-facing messages
+ * @property {string} [requestId] - X-Request-ID of the original save, reused on retries
+ * @property {string} [userId] - Firebase UID of the account that made the save
+ * @property {number} attempts - Failed retry attempts so far
+ * @property {number} createdAt - Enqueue time (ms)
+ * @property {number} nextAttemptAt - Earliest next retry (ms)
+ * @property {string} [lastError] - Message from the latest failed attempt
+ */
+
+import { STORAGE_KEYS, ERROR_CODES } from "../../common/constants.js";
+import { logError } from "../../common/error-handler.js";
+
+export const SAVE_QUEUE_ALARM = "kukbuk-save-queue";
+
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+// Backend is deploying or overloaded: worth retrying later
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+let sendQueuedSave = null;
+let callbacks = { onSaved: () => {}, onFailed: () => {} };
+let processing = null;
+
+/**
+ * Checks whether a failed save should be queued instead of surfaced
+ * @param {Error} error - Error from the save request
+ * @returns {boolean} True for network failures and an unavailable backend
+ */
+export function isQueueableError(error) {
+  if (!error) return false;
+  return (
+    error.code === ERROR_CODES.NETWORK_ERROR || UNAVAILABLE_STATUSES.includes(error.statusCode)
+  );
+}
+
+/**
+ * Delay before the next retry: 1, 2, 4 … minutes, capped at an hour
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** attempts, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * @returns {Promise<QueuedSave[]>} Queued saves, oldest first
+ */
+export async function getQueuedSaves() {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.SAVE_QUEUE]);
+  return stored[STORAGE_KEYS.SAVE_QUEUE] || [];
+}
+
+async function getActiveUserId() {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.USER_ID]);
+  return stored[STORAGE_KEYS.USER_ID] || null;
+}
+
+/**
+ * Entries queued before saves were tied to an account go out with whoever is signed in
+ */
+function isForAccount(entry, userId) {
+  return !entry.userId || entry.userId === userId;
+}
+
+async function updateQueue(update) {
+  const queue = update(await getQueuedSaves());
+  await chrome.storage.local.set({ [STORAGE_KEYS.SAVE_QUEUE]: queue });
+  return queue;
+}
+
+/**
+ * Adds a failed save to the queue and schedules a retry
+ * @param {Object} save
+ * @param {Object} save.body - Request body, HTML already compressed
+ * @param {string} save.pageUrl - Page URL
+ * @param {string} save.title - Page title
+ * @param {string} [save.requestId] - X-Request-ID of the original save
+ * @returns {Promise<QueuedSave>} Queue entry
+ */
+export async function enqueueSave({ body, pageUrl, title, requestId }) {
+  const now = Date.now();
+  const entry = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    body,
+    pageUrl,
+    title,
+    requestId,
+    userId: await getActiveUserId(),
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now + getRetryDelay(0),
+  };
+
+  await updateQueue((queue) => [...queue, entry]);
+  await scheduleNextAttempt();
+  console.log(`Save queued for retry: ${pageUrl}`);
+  return entry;
+}
+
+/**
+ * Retries every due entry. Concurrent calls share one run.
+ * @returns {Promise<void>}
+ */
+export function processSaveQueue() {
+  if (!processing) {
+    processing = drainQueue().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+}
+
+async function drainQueue() {
+  if (!sendQueuedSave) return;
+  // The "online" listener picks the queue up again
+  if (!navigator.onLine) return;
+
+  const now = Date.now();
+  const userId = await getActiveUserId();
+  const due = (await getQueuedSaves()).filter(
+    (entry) => entry.nextAttemptAt <= now && isForAccount(entry, userId),
+  );
+
+  for (const entry of due) {
+    try {
+      const result = await sendQueuedSave(entry);
+      await updateQueue((queue) => queue.filter((queued) => queued.id !== entry.id));
+      console.log(`Queued save delivered: ${entry.pageUrl}`);
+      await callbacks.onSaved(entry, result);
+    } catch (error) {
+      await handleFailedAttempt(entry, error);
+    }
+  }
+
+  await scheduleNextAttempt();
+}
+
+async function handleFailedAttempt(entry, error) {
+  const attempts = entry.attempts + 1;
+  // Signed-out users get the same backoff: the save lands once they sign back in
+  const retryable = isQueueableError(error) || error.code === ERROR_CODES.AUTH_REQUIRED;
+
+  if (!retryable || attempts >= MAX_ATTEMPTS) {
+    logError("Queued save abandoned", error, {
+      pageUrl: entry.pageUrl,
+      attempts,
+      requestId: entry.requestId,
+    });
+    await updateQueue((queue) => queue.filter((queued) => queued.id !== entry.id));
+    await callbacks.onFailed(entry, error);
+    return;
+  }
+
+  await updateQueue((queue) =>
+    queue.map((queued) =>
+      queued.id === entry.id
+        ? {
+            ...queued,
+            attempts,
+            nextAttemptAt: Date.now() + getRetryDelay(attempts),
+            lastError: error.message,
+          }
+        : queued,
+    ),
+  );
+}
+
+async function scheduleNextAttempt() {
+  // Other accounts' saves wait until someone switches back (processSaveQueue)
+  const userId = await getActiveUserId();
+  const queue = (await getQueuedSaves()).filter((entry) => isForAccount(entry, userId));
+  if (queue.length === 0) {
+    await chrome.alarms.clear(SAVE_QUEUE_ALARM);
+    return;
+  }
+  const when = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+  await chrome.alarms.create(SAVE_QUEUE_ALARM, { when: Math.max(when, Date.now() + 1000) });
+}
+
+/**
+ * Sets up retries: the backoff alarm, the browser coming back online, and a pass
+ * on service worker start-up
+ * @param {Object} options
+ * @param {function(QueuedSave): Promise<Object>} options.send - Sends one queued save,
+ *   resolving with the save result or rejecting with the API error
+ * @param {function(QueuedSave, Object): void} [options.onSaved] - Called when a queued save lands
+ * @param {function(QueuedSave, Error): void} [options.onFailed] - Called when a save is abandoned
+ */
+export function setupSaveQueue({ send, onSaved, onFailed }) {
+  sendQueuedSave = send;
+  callbacks = {
+    onSaved: onSaved || (() => {}),
+    onFailed: onFailed || (() => {}),
+  };
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SAVE_QUEUE_ALARM) {
+      processSaveQueue().catch((error) => logError("Save queue retry error", error));
+    }
+  });
+
+  globalThis.addEventListener("online", () =>
+    processSaveQueue().catch((error) => logError("Save queue retry error", error)),
+  );
+
+  processSaveQueue().catch((error) => logError("Save queue start-up error", error));
+}
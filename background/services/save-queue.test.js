@@ -0,0 +1,206 @@
+import { setupMockStorage } from "../../test/testHelpers";
+
+jest.mock("../../common/constants.js", () => ({
+  STORAGE_KEYS: { SAVE_QUEUE: "saveQueue", USER_ID: "userId" },
+  ERROR_CODES: { NETWORK_ERROR: "network_error", AUTH_REQUIRED: "auth_required" },
+}));
+jest.mock("../../common/error-handler.js", () => ({
+  logError: jest.fn(),
+}));
+
+import {
+  SAVE_QUEUE_ALARM,
+  enqueueSave,
+  getQueuedSaves,
+  getRetryDelay,
+  isQueueableError,
+  processSaveQueue,
+  setupSaveQueue,
+} from "./save-queue.js";
+
+const NOW = 1_700_000_000_000;
+
+function networkError() {
+  const error = new Error("Network error");
+  error.code = "network_error";
+  return error;
+}
+
+describe("save queue", () => {
+  let send;
+  let onSaved;
+  let onFailed;
+
+  beforeEach(() => {
+    jest.spyOn(Date, "now").mockReturnValue(NOW);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+
+    global.chrome = {
+      storage: { local: setupMockStorage() },
+      alarms: {
+        create: jest.fn().mockResolvedValue(undefined),
+        clear: jest.fn().mockResolvedValue(true),
+        onAlarm: { addListener: jest.fn() },
+      },
+    };
+
+    send = jest.fn();
+    onSaved = jest.fn();
+    onFailed = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    jest.restoreAllMocks();
+  });
+
+  async function setupAndSettle() {
+    setupSaveQueue({ send, onSaved, onFailed });
+    await processSaveQueue();
+  }
+
+  test.each([
+    [{ code: "network_error" }, true],
+    [{ statusCode: 503 }, true],
+    [{ statusCode: 500 }, false],
+    [{ code: "auth_required", statusCode: 401 }, false],
+  ])("isQueueableError(%o) is %s", (error, expected) => {
+    expect(isQueueableError(Object.assign(new Error("x"), error))).toBe(expected);
+  });
+
+  test("retry delay doubles and is capped at an hour", () => {
+    expect(getRetryDelay(0)).toBe(60 * 1000);
+    expect(getRetryDelay(3)).toBe(8 * 60 * 1000);
+    expect(getRetryDelay(10)).toBe(60 * 60 * 1000);
+  });
+
+  test("enqueueSave stores the payload and schedules the retry alarm", async () => {
+    await enqueueSave({ body: { html: "gz" }, pageUrl: "https://a.test/r", title: "Soup" });
+
+    const [entry] = await getQueuedSaves();
+    expect(entry).toMatchObject({
+      body: { html: "gz" },
+      pageUrl: "https://a.test/r",
+      attempts: 0,
+      nextAttemptAt: NOW + 60 * 1000,
+    });
+    expect(chrome.alarms.create).toHaveBeenCalledWith(SAVE_QUEUE_ALARM, { when: NOW + 60 * 1000 });
+  });
+
+  test("delivers due saves, removes them and reports success", async () => {
+    const entry = await enqueueSave({ body: { html: "gz" }, pageUrl: "u", title: "Soup" });
+    Date.now.mockReturnValue(NOW + 2 * 60 * 1000);
+    send.mockResolvedValueOnce({ success: true, recipeName: "Soup" });
+
+    await setupAndSettle();
+
+    expect(send).toHaveBeenCalledWith(entry);
+    expect(onSaved).toHaveBeenCalledWith(entry, { success: true, recipeName: "Soup" });
+    expect(await getQueuedSaves()).toEqual([]);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(SAVE_QUEUE_ALARM);
+  });
+
+  test("only sends the saves of the active account", async () => {
+    await chrome.storage.local.set({ userId: "ann-id" });
+    await enqueueSave({ body: { html: "ann" }, pageUrl: "u1", title: "Soup" });
+    await chrome.storage.local.set({ userId: "bob-id" });
+    await enqueueSave({ body: { html: "bob" }, pageUrl: "u2", title: "Stew" });
+    Date.now.mockReturnValue(NOW + 2 * 60 * 1000);
+    send.mockResolvedValue({ success: true });
+
+    await setupAndSettle();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ userId: "bob-id" }));
+    // Ann's save waits for her without keeping the alarm busy
+    expect(await getQueuedSaves()).toEqual([expect.objectContaining({ userId: "ann-id" })]);
+    expect(chrome.alarms.clear).toHaveBeenLastCalledWith(SAVE_QUEUE_ALARM);
+
+    await chrome.storage.local.set({ userId: "ann-id" });
+    await processSaveQueue();
+    expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ userId: "ann-id" }));
+    expect(await getQueuedSaves()).toEqual([]);
+  });
+
+  test("skips entries that are not due yet", async () => {
+    await enqueueSave({ body: {}, pageUrl: "u", title: "t" });
+
+    await setupAndSettle();
+
+    expect(send).not.toHaveBeenCalled();
+    expect(await getQueuedSaves()).toHaveLength(1);
+  });
+
+  test("backs off after another network failure", async () => {
+    await enqueueSave({ body: {}, pageUrl: "u", title: "t" });
+    const retryAt = NOW + 2 * 60 * 1000;
+    Date.now.mockReturnValue(retryAt);
+    send.mockRejectedValueOnce(networkError());
+
+    await setupAndSettle();
+
+    const [entry] = await getQueuedSaves();
+    expect(entry.attempts).toBe(1);
+    expect(entry.nextAttemptAt).toBe(retryAt + 2 * 60 * 1000);
+    expect(entry.lastError).toBe("Network error");
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test("drops the save and reports failure on a non-retryable error", async () => {
+    const entry = await enqueueSave({ body: {}, pageUrl: "u", title: "t" });
+    Date.now.mockReturnValue(NOW + 2 * 60 * 1000);
+    const error = Object.assign(new Error("Bad request"), { statusCode: 400 });
+    send.mockRejectedValueOnce(error);
+
+    await setupAndSettle();
+
+    expect(onFailed).toHaveBeenCalledWith(entry, error);
+    expect(await getQueuedSaves()).toEqual([]);
+  });
+
+  test("waits for the browser to come back online", async () => {
+    await enqueueSave({ body: {}, pageUrl: "u", title: "t" });
+    Date.now.mockReturnValue(NOW + 2 * 60 * 1000);
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    send.mockResolvedValue({ success: true });
+
+    await setupAndSettle();
+    expect(send).not.toHaveBeenCalled();
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+    window.dispatchEvent(new Event("online"));
+    await processSaveQueue();
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries when the queue alarm fires", async () => {
+    setupSaveQueue({ send, onSaved, onFailed });
+    await processSaveQueue();
+    await enqueueSave({ body: {}, pageUrl: "u", title: "t" });
+    Date.now.mockReturnValue(NOW + 2 * 60 * 1000);
+    send.mockResolvedValue({ success: true });
+
+    const onAlarm = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+    onAlarm({ name: "something-else" });
+    onAlarm({ name: SAVE_QUEUE_ALARM });
+    await processSaveQueue();
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test("logs a failed retry pass instead of leaving the rejection unhandled", async () => {
+    const { logError } = require("../../common/error-handler.js");
+    await setupAndSettle();
+    chrome.storage.local.get.mockRejectedValue(new Error("Storage unavailable"));
+
+    const onAlarm = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+    onAlarm({ name: SAVE_QUEUE_ALARM });
+    window.dispatchEvent(new Event("online"));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(logError).toHaveBeenCalledWith("Save queue retry error", expect.any(Error));
+  });
+});
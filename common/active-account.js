@@ -0,0 +1,15 @@
+/**
+ * The account the extension currently works for. Several accounts can be signed in;
+ * the auth providers keep the active one's Firebase UID in chrome.storage.local.
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+
+/**
+ * @returns {Promise<string|null>} Firebase UID of the active account, or null when
+ *   nobody is signed in
+ */
+export async function getActiveUserId() {
+  const stored = await chrome.storage.local.get([STORAGE_KEYS.USER_ID]);
+  return stored[STORAGE_KEYS.USER_ID] || null;
+}
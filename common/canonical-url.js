@@ -0,0 +1,80 @@
+/**
+ * Canonical recipe URLs
+ *
+ * The same recipe is reached through tracking links (?utm_…), AMP pages and print
+ * views. Reducing them to one key lets the background spot repeat saves in the
+ * local history.
+ */
+
+// Query parameters that only identify the visit, never the page
+const TRACKING_PARAMS = [
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_gl",
+  "ref",
+  "ref_src",
+  "amp",
+  "print",
+];
+const TRACKING_PREFIXES = ["utm_", "pk_"];
+
+// Path segments added by AMP and print views (e.g. /recipe/amp, /print/123, /wprm_print/)
+const VARIANT_SEGMENTS = ["amp", "print", "wprm_print"];
+
+/**
+ * Normalizes a page URL into the key used to detect repeat saves.
+ * Prefers the page's <link rel="canonical"> when it points at the same site.
+ * @param {string} pageUrl - URL of the saved tab
+ * @param {string|null} [canonicalHref] - Absolute href of <link rel="canonical">
+ * @returns {string|null} Canonical URL, or null if pageUrl isn't http(s)
+ */
+export function canonicalizeUrl(pageUrl, canonicalHref = null) {
+  const page = parseHttpUrl(pageUrl);
+  if (!page) return null;
+
+  // Some sites point every page's canonical at their home page or another domain;
+  // only trust it for the same site
+  const canonical = parseHttpUrl(canonicalHref);
+  const url = canonical && siteOf(canonical) === siteOf(page) ? canonical : page;
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  const path = url.pathname
+    .split("/")
+    .filter((segment) => segment && !VARIANT_SEGMENTS.includes(segment.toLowerCase()))
+    .join("/");
+
+  return `https://${siteOf(url)}/${path}${query ? `?${query}` : ""}`;
+}
+
+function parseHttpUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Hostname without "www.", "m." or "amp." in front
+function siteOf(url) {
+  return url.hostname.toLowerCase().replace(/^(www|m|amp)\./, "");
+}
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return (
+    TRACKING_PARAMS.includes(lower) || TRACKING_PREFIXES.some((prefix) => lower.startsWith(prefix))
+  );
+}
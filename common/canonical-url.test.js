@@ -0,0 +1,45 @@
+import { canonicalizeUrl } from "./canonical-url.js";
+
+describe("canonicalizeUrl", () => {
+  const base = "https://example.com/recipes/lemon-pasta";
+
+  test.each([
+    ["https://www.example.com/recipes/lemon-pasta/", base],
+    ["http://example.com/recipes/lemon-pasta#comments", base],
+    ["https://example.com/recipes/lemon-pasta?utm_source=pin&utm_medium=social&fbclid=x", base],
+    ["https://amp.example.com/recipes/lemon-pasta", base],
+    ["https://example.com/recipes/lemon-pasta/amp/", base],
+    ["https://example.com/recipes/lemon-pasta?amp=1", base],
+    ["https://example.com/recipes/print/lemon-pasta", base],
+    ["https://example.com/wprm_print/recipes/lemon-pasta", base],
+  ])("%s -> %s", (pageUrl, expected) => {
+    expect(canonicalizeUrl(pageUrl)).toBe(expected);
+  });
+
+  test("keeps meaningful query parameters, in a stable order", () => {
+    expect(canonicalizeUrl("https://example.com/recipe.php?id=42&utm_campaign=x&lang=en")).toBe(
+      "https://example.com/recipe.php?id=42&lang=en",
+    );
+    expect(canonicalizeUrl("https://example.com/recipe.php?lang=en&id=42")).toBe(
+      "https://example.com/recipe.php?id=42&lang=en",
+    );
+  });
+
+  test("prefers the page's canonical link on the same site", () => {
+    expect(
+      canonicalizeUrl(
+        "https://example.com/r/12345?ref=newsletter",
+        "https://www.example.com/recipes/lemon-pasta",
+      ),
+    ).toBe(base);
+  });
+
+  test("ignores a canonical link pointing at another site", () => {
+    expect(canonicalizeUrl(base, "https://syndication.example.net/lemon-pasta")).toBe(base);
+  });
+
+  test("returns null for non-web URLs", () => {
+    expect(canonicalizeUrl("chrome://extensions")).toBeNull();
+    expect(canonicalizeUrl("not a url")).toBeNull();
+  });
+});
@@ -9,6 +9,17 @@ export const STORAGE_KEYS = {
   USER_EMAIL: "userEmail",
   USER_DISPLAY_NAME: "userDisplayName",
   USER_PHOTO_URL: "userPhotoURL",
+
+  // Every signed-in account; the keys above hold the active one (chrome.storage.local)
+  ACCOUNTS: "accounts",
+
+  // Saves waiting to be retried (chrome.storage.local)
+  SAVE_QUEUE: "saveQueue",
+
+  // Settings (chrome.storage.sync)
+  SITE_RULES: "siteRules",
+  REVIEW_BEFORE_SAVE: "reviewBeforeSave",
+  DRIVE_FOLDER: "driveFolder",
 };
 
 // Message types
@@ -23,11 +34,36 @@ export const MESSAGE_TYPES = {
   AUTH_PROVIDER_SIGNIN: "AUTH_PROVIDER_SIGNIN",
   AUTH_GET_USER: "AUTH_GET_USER",
   AUTH_REFRESH_TOKEN: "AUTH_REFRESH_TOKEN",
+  AUTH_SIGN_UP: "AUTH_SIGN_UP",
+  AUTH_RESET_PASSWORD: "AUTH_RESET_PASSWORD",
+  AUTH_RESEND_VERIFICATION: "AUTH_RESEND_VERIFICATION",
+  AUTH_LIST_ACCOUNTS: "AUTH_LIST_ACCOUNTS",
+  AUTH_SWITCH_ACCOUNT: "AUTH_SWITCH_ACCOUNT",
+  ADD_ACCOUNT: "ADD_ACCOUNT",
 
   // Recipe handling
   SAVE_RECIPE: "SAVE_RECIPE",
   EXTRACT_RECIPE: "EXTRACT_RECIPE",
+  EXTRACT_PREVIEW: "EXTRACT_PREVIEW",
+  EXTRACT_SELECTION: "EXTRACT_SELECTION",
+  PICK_RECIPE_ELEMENT: "PICK_RECIPE_ELEMENT",
+  EXTRACT_PICKED_ELEMENT: "EXTRACT_PICKED_ELEMENT",
   CREATE_RECIPE_FROM_DESCRIPTION: "CREATE_RECIPE_FROM_DESCRIPTION",
+  RETRY_SAVE: "RETRY_SAVE",
+  SAVE_AGAIN: "SAVE_AGAIN",
+  SAVE_TABS: "SAVE_TABS",
+  GET_PAGE_PREVIEW: "GET_PAGE_PREVIEW",
+  SAVE_PAGE: "SAVE_PAGE",
+
+  // Drive folders
+  LIST_FOLDERS: "LIST_FOLDERS",
+  CREATE_FOLDER: "CREATE_FOLDER",
+  CHOOSE_FOLDER: "CHOOSE_FOLDER",
+
+  // Review window (port messages)
+  REVIEW_DRAFT: "REVIEW_DRAFT",
+  SUBMIT_REVIEW: "SUBMIT_REVIEW",
+  REVIEW_KEEPALIVE: "REVIEW_KEEPALIVE",
 
   // UI
   SHOW_BUBBLE: "SHOW_BUBBLE",
@@ -45,4 +81,18 @@ export const ERROR_CODES = {
   NOT_FOUND: "not_found", // 404 specifically
   VALIDATION_ERROR: "validation_error", // 400/422
   QUOTA_EXCEEDED: "quota_exceeded", // 429 daily limit reached
+  EXTRACTION_FAILED: "extraction_failed", // content script couldn't read the page
+  TIMEOUT: "timeout", // save didn't finish within the background's time limit
+};
+
+// Why a save flow didn't run (`{skipped: true, skipReason}`)
+export const SKIP_REASONS = {
+  NO_TAB: "no_tab", // commands and menus can fire without a tab
+  IN_FLIGHT: "in_flight", // a save of the tab is already running
+  UNREADABLE: "unreadable", // restricted page, or the content script couldn't be injected
+};
+
+// Long-lived connections (chrome.runtime.connect); the name is followed by ":<id>"
+export const PORT_NAMES = {
+  REVIEW: "review",
 };
@@ -0,0 +1,76 @@
+/**
+ * Drive folder for saved recipes
+ *
+ * The user picks (or creates) the folder on the options page; it is stored in
+ * chrome.storage.sync and sent with every save so the backend knows where to write.
+ * Each signed-in account has its own folder, keyed by its Firebase UID, since a folder
+ * only exists in one person's Drive.
+ *
+ * @typedef {Object} DriveFolder
+ * @property {string} id - Drive folder ID
+ * @property {string} name - Folder name, for display
+ * @property {string} [url] - Link to the folder in Drive
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+import { getActiveUserId } from "./active-account.js";
+
+/**
+ * @returns {Promise<Object<string, DriveFolder>>} Folders by Firebase UID; a folder stored
+ *   before accounts were kept apart is nobody's until migrateLegacyFolder() runs
+ */
+async function getFolders() {
+  const stored = await chrome.storage.sync.get([STORAGE_KEYS.DRIVE_FOLDER]);
+  const folders = stored[STORAGE_KEYS.DRIVE_FOLDER] || {};
+  return folders.id ? {} : folders;
+}
+
+/**
+ * Hands a single folder stored before accounts were kept apart to the account signed in
+ * when the extension updates, which is the one that chose it. Without a signed-in
+ * account its owner is unknown, so it is dropped and chosen again after sign-in.
+ */
+export async function migrateLegacyFolder() {
+  const stored = await chrome.storage.sync.get([STORAGE_KEYS.DRIVE_FOLDER]);
+  const folder = stored[STORAGE_KEYS.DRIVE_FOLDER];
+  if (!folder?.id) return;
+
+  const userId = await getActiveUserId();
+  if (userId) {
+    await chrome.storage.sync.set({ [STORAGE_KEYS.DRIVE_FOLDER]: { [userId]: folder } });
+  } else {
+    await chrome.storage.sync.remove(STORAGE_KEYS.DRIVE_FOLDER);
+  }
+}
+
+/**
+ * @returns {Promise<DriveFolder|null>} Folder chosen by the active account, or null if
+ *   none is set
+ */
+export async function getSelectedFolder() {
+  const userId = await getActiveUserId();
+  if (!userId) return null;
+  const folder = (await getFolders())[userId];
+  return folder?.id ? folder : null;
+}
+
+/**
+ * @param {DriveFolder} folder - Folder the active account saves recipes to
+ */
+export async function setSelectedFolder(folder) {
+  if (!folder?.id) {
+    throw new Error("Folder is missing its ID");
+  }
+  const userId = await getActiveUserId();
+  if (!userId) {
+    throw new Error("Sign in to choose a folder");
+  }
+
+  const folders = await getFolders();
+  await chrome.storage.sync.set({
+    [STORAGE_KEYS.DRIVE_FOLDER]: {
+      ...folders,
+      [userId]: { id: folder.id, name: folder.name || "", url: folder.url },
+    },
+  });
+}
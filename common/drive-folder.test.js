@@ -0,0 +1,92 @@
+import { getSelectedFolder, migrateLegacyFolder, setSelectedFolder } from "./drive-folder.js";
+
+describe("drive folder", () => {
+  let stored;
+  let local;
+
+  beforeEach(() => {
+    stored = {};
+    local = { userId: "ann-id" };
+    global.chrome = {
+      storage: {
+        sync: {
+          get: jest.fn(async ([key]) => ({ [key]: stored[key] })),
+          set: jest.fn(async (items) => Object.assign(stored, items)),
+          remove: jest.fn(async (key) => delete stored[key]),
+        },
+        local: {
+          get: jest.fn(async ([key]) => ({ [key]: local[key] })),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test("is null until a folder is chosen", async () => {
+    expect(await getSelectedFolder()).toBeNull();
+  });
+
+  test("stores the chosen folder", async () => {
+    await setSelectedFolder({ id: "f1", name: "Recipes", url: "https://drive.google.com/f1" });
+
+    expect(await getSelectedFolder()).toEqual({
+      id: "f1",
+      name: "Recipes",
+      url: "https://drive.google.com/f1",
+    });
+  });
+
+  test("rejects folders without an ID", async () => {
+    await expect(setSelectedFolder({ name: "Recipes" })).rejects.toThrow(
+      "Folder is missing its ID",
+    );
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test("keeps a folder per account", async () => {
+    await setSelectedFolder({ id: "ann-folder", name: "Ann's recipes" });
+    local.userId = "bob-id";
+    expect(await getSelectedFolder()).toBeNull();
+
+    await setSelectedFolder({ id: "bob-folder", name: "Bob's recipes" });
+    expect((await getSelectedFolder()).id).toBe("bob-folder");
+
+    local.userId = "ann-id";
+    expect((await getSelectedFolder()).id).toBe("ann-folder");
+  });
+
+  test("gives a pre-accounts folder to the account signed in at update", async () => {
+    stored.driveFolder = { id: "f1", name: "Recipes" };
+    // Reading doesn't hand it to whoever asks first
+    local.userId = "bob-id";
+    expect(await getSelectedFolder()).toBeNull();
+    local.userId = "ann-id";
+
+    await migrateLegacyFolder();
+
+    expect(stored.driveFolder).toEqual({ "ann-id": { id: "f1", name: "Recipes" } });
+    expect((await getSelectedFolder()).id).toBe("f1");
+    await migrateLegacyFolder();
+    expect(stored.driveFolder).toEqual({ "ann-id": { id: "f1", name: "Recipes" } });
+  });
+
+  test("drops a pre-accounts folder when nobody is signed in", async () => {
+    stored.driveFolder = { id: "f1", name: "Recipes" };
+    delete local.userId;
+
+    await migrateLegacyFolder();
+
+    expect(stored.driveFolder).toBeUndefined();
+  });
+
+  test("has no folder and can't choose one while signed out", async () => {
+    await setSelectedFolder({ id: "f1", name: "Recipes" });
+    delete local.userId;
+
+    expect(await getSelectedFolder()).toBeNull();
+    await expect(setSelectedFolder({ id: "f2" })).rejects.toThrow("Sign in to choose a folder");
+  });
+});
@@ -1,14 +1,18 @@
 /**
  * Log error to console with optional context
+ * The request ID (from the error or the context) is included so the entry can be
+ * matched to backend logs and to the "ref" shown to the user.
  * @param {string} message - Error message
  * @param {Error} error - Error object (optional if context provided)
  * @param {Object} context - Additional context for structured logging (optional)
  */
 export function logError(message, error, context = null) {
   const timestamp = new Date().toISOString();
+  const requestId = error?.requestId || context?.requestId;
+  const ref = requestId ? ` [ref ${requestId}]` : "";
 
   // Basic error logging (backward compatible)
-  console.error(`Save-A-Recipe Error [${timestamp}]: ${message}`, error || "");
+  console.error(`Save-A-Recipe Error [${timestamp}]${ref}: ${message}`, error || "");
 
   // If context is provided, log it as a structured object
   if (context) {
@@ -19,6 +23,7 @@ export function logError(message, error, context = null) {
       message: error?.message,
       code: error?.code,
       statusCode: error?.statusCode,
+      requestId: error?.requestId,
       stack: error?.stack,
     });
   }
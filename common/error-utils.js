@@ -183,6 +183,7 @@ export function mapCategoryToErrorCode(category, errorData) {
  * @param {Object} context.response - Response information
  * @param {Error} context.error - Error object
  * @param {string} context.category - Error category
+ * @param {string} [context.requestId] - X-Request-ID of the failed request
  * @returns {Object} Formatted error object for logging
  */
 export function formatErrorForLogging(context) {
@@ -190,6 +191,7 @@ export function formatErrorForLogging(context) {
 
   return {
     timestamp,
+    requestId: context.requestId || context.error?.requestId || null,
     request: {
       method: context.request?.method,
       url: context.request?.url,
@@ -230,17 +232,12 @@ function sanitizeHeaders(headers) {
 
   const sanitized = { ...headers };
 
-  // Remove sensitive headers
+  // Remove sensitive headers (header names are case-insensitive)
   const sensitiveHeaders = ["authorization", "cookie", "x-api-key", "x-auth-token"];
-  sensitiveHeaders.forEach((header) => {
-    if (sanitized[header]) {
+  Object.keys(sanitized).forEach((header) => {
+    if (sensitiveHeaders.includes(header.toLowerCase())) {
       sanitized[header] = "[REDACTED]";
     }
-    // Also check lowercase
-    const lowerHeader = header.toLowerCase();
-    if (sanitized[lowerHeader]) {
-      sanitized[lowerHeader] = "[REDACTED]";
-    }
   });
 
   return sanitized;
@@ -0,0 +1,30 @@
+/**
+ * Friendly messages for Firebase Auth error codes, shown in the popup.
+ *
+ * Token refresh errors are deliberately not mapped: AuthManager reads the raw
+ * Firebase message to tell a revoked session from a network hiccup.
+ */
+
+const FIREBASE_ERROR_MESSAGES = {
+  "auth/invalid-credential": "Invalid email or password. Please try again.",
+  "auth/wrong-password": "Invalid email or password. Please try again.",
+  "auth/user-not-found": "No account found for this email. Create one to get started.",
+  "auth/invalid-email": "Invalid email address format.",
+  "auth/missing-email": "Please enter your email address.",
+  "auth/missing-password": "Please enter a password.",
+  "auth/email-already-in-use": "An account with this email already exists. Please sign in.",
+  "auth/weak-password": "Password is too weak. Use at least 6 characters.",
+  "auth/user-disabled": "This account has been disabled.",
+  "auth/operation-not-allowed": "This sign-in method isn't available right now.",
+  "auth/network-request-failed": "Network error. Please check your internet connection.",
+  "auth/too-many-requests": "Too many attempts. Please try again later.",
+};
+
+/**
+ * @param {Error & {code?: string}} error - Error thrown by the Firebase Auth SDK
+ * @param {string} fallback - Message for errors without a friendly mapping or message
+ * @returns {string} Message to show the user
+ */
+export function getFirebaseErrorMessage(error, fallback) {
+  return FIREBASE_ERROR_MESSAGES[error?.code] || error?.message || fallback;
+}
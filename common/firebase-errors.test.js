@@ -0,0 +1,23 @@
+import { getFirebaseErrorMessage } from "./firebase-errors.js";
+
+describe("getFirebaseErrorMessage", () => {
+  test.each([
+    ["auth/wrong-password", "Invalid email or password. Please try again."],
+    ["auth/email-already-in-use", "An account with this email already exists. Please sign in."],
+    ["auth/weak-password", "Password is too weak. Use at least 6 characters."],
+    ["auth/too-many-requests", "Too many attempts. Please try again later."],
+  ])("maps %s", (code, message) => {
+    expect(getFirebaseErrorMessage({ code, message: "Firebase: Error" }, "Failed")).toBe(message);
+  });
+
+  test("keeps the message of unmapped errors", () => {
+    expect(
+      getFirebaseErrorMessage({ code: "auth/internal-error", message: "Something broke" }, "x"),
+    ).toBe("Something broke");
+  });
+
+  test("falls back when the error has no message", () => {
+    expect(getFirebaseErrorMessage(new Error(""), "Sign-up failed")).toBe("Sign-up failed");
+    expect(getFirebaseErrorMessage(undefined, "Sign-up failed")).toBe("Sign-up failed");
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Local save history
+ *
+ * Every save attempt is recorded in IndexedDB so the "Recent saves" page can list,
+ * search and retry them. The background service writes entries; extension pages read
+ * them directly (same origin, same database). Entries belong to the account that was
+ * active when they were recorded, and lists and lookups only show the active account's.
+ *
+ * @typedef {Object} SaveHistoryEntry
+ * @property {number} [id] - Auto-increment key, set on insert
+ * @property {string} status - One of SAVE_STATUS
+ * @property {string} url - Page the save started from
+ * @property {string} [canonicalUrl] - Normalized URL (see canonical-url.js), for spotting repeats
+ * @property {string} title - Page title
+ * @property {string} [recipeName] - Recipe name returned by the backend
+ * @property {string} [driveUrl] - Link to the saved file
+ * @property {boolean} [isRecipe] - False when the backend found no recipe
+ * @property {number} timestamp - When the save started (ms)
+ * @property {number} duration - Time until the result (ms)
+ * @property {string} [errorCode] - ERROR_CODES value for failed saves
+ * @property {string} [error] - Error message shown to the user
+ * @property {string} [requestId] - X-Request-ID of the save, for matching backend logs
+ * @property {string|null} [userId] - Firebase UID of the account that saved; missing on
+ *   entries recorded before accounts were kept apart, which every account sees until
+ *   migrateLegacySaveHistory() hands them over
+ */
+
+import { getActiveUserId } from "./active-account.js";
+
+const DB_NAME = "kukbuk";
+const DB_VERSION = 2;
+const STORE_NAME = "saveHistory";
+
+// Oldest entries are pruned beyond this
+export const MAX_HISTORY_ENTRIES = 500;
+
+export const SAVE_STATUS = {
+  SAVED: "saved",
+  NOT_RECIPE: "not_recipe",
+  FAILED: "failed",
+  QUEUED: "queued",
+};
+
+let dbPromise = null;
+
+function isVisibleTo(entry, userId) {
+  return entry.userId === undefined || entry.userId === userId;
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        let store;
+        if (event.oldVersion < 1) {
+          store = request.result.createObjectStore(STORE_NAME, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("timestamp", "timestamp");
+          store.createIndex("requestId", "requestId");
+        } else {
+          store = request.transaction.objectStore(STORE_NAME);
+        }
+        if (event.oldVersion < 2) {
+          store.createIndex("canonicalUrl", "canonicalUrl");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Let the next call try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs one transaction against the history store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): (IDBRequest|void)} run - Issues the requests
+ * @returns {Promise<*>} Result of the request returned by `run`, once the transaction commits
+ */
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Records a save attempt for the active account, pruning the oldest entries past
+ * MAX_HISTORY_ENTRIES
+ * @param {SaveHistoryEntry} entry - Entry without an id
+ * @returns {Promise<number>} New entry id
+ */
+export async function addSaveHistoryEntry(entry) {
+  const userId = await getActiveUserId();
+  return withStore("readwrite", (store) => {
+    const addRequest = store.add({ ...entry, userId });
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_HISTORY_ENTRIES;
+      if (excess <= 0) return;
+      store.index("timestamp").openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+    return addRequest;
+  });
+}
+
+/**
+ * @param {number} id - Entry id
+ * @returns {Promise<SaveHistoryEntry|undefined>} Entry
+ */
+export async function getSaveHistoryEntry(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * @returns {Promise<SaveHistoryEntry[]>} The active account's entries, newest first
+ */
+export async function getSaveHistory() {
+  const userId = await getActiveUserId();
+  const entries = await withStore("readonly", (store) => store.index("timestamp").getAll());
+  return (entries || []).filter((entry) => isVisibleTo(entry, userId)).reverse();
+}
+
+/**
+ * Finds the active account's latest successful save of a page
+ * @param {string} canonicalUrl - Normalized page URL
+ * @returns {Promise<SaveHistoryEntry|null>} Most recent saved entry
+ */
+export async function findSavedEntry(canonicalUrl) {
+  if (!canonicalUrl) return null;
+  const userId = await getActiveUserId();
+  const entries = await withStore("readonly", (store) =>
+    store.index("canonicalUrl").getAll(canonicalUrl),
+  );
+  return (entries || [])
+    .filter((entry) => entry.status === SAVE_STATUS.SAVED && isVisibleTo(entry, userId))
+    .reduce(
+      (latest, entry) => (!latest || entry.timestamp > latest.timestamp ? entry : latest),
+      null,
+    );
+}
+
+/**
+ * Updates the entry recorded for a save, looked up by its request ID
+ * (used when a queued save finally lands or is given up on)
+ * @param {string} requestId - X-Request-ID of the save
+ * @param {Partial<SaveHistoryEntry>} changes - Fields to overwrite
+ * @returns {Promise<boolean>} False when no entry has that request ID
+ */
+export async function updateSaveHistoryByRequestId(requestId, changes) {
+  if (!requestId) return false;
+  let updated = false;
+  await withStore("readwrite", (store) => {
+    store.index("requestId").openCursor(requestId).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, ...changes });
+      updated = true;
+    };
+  });
+  return updated;
+}
+
+/**
+ * Hands the entries recorded before accounts were kept apart to the account signed in
+ * when the extension updates, which is the one that made them. Without a signed-in
+ * account they stay visible to everyone.
+ * @returns {Promise<void>}
+ */
+export async function migrateLegacySaveHistory() {
+  const userId = await getActiveUserId();
+  if (!userId) return;
+  await withStore("readwrite", (store) => {
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.userId === undefined) cursor.update({ ...cursor.value, userId });
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Removes every entry
+ * @returns {Promise<void>}
+ */
+export async function clearSaveHistory() {
+  await withStore("readwrite", (store) => store.clear());
+}
+
+/**
+ * Filters entries for the history page
+ * @param {SaveHistoryEntry[]} entries - Entries, in display order
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Matched against title, recipe name and URL
+ * @param {string} [filters.status] - SAVE_STATUS value; empty for all
+ * @param {number} [filters.since] - Earliest timestamp (ms) to keep
+ * @returns {SaveHistoryEntry[]} Matching entries
+ */
+export function filterSaveHistory(entries, { query = "", status = "", since = 0 } = {}) {
+  const needle = query.trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (status && entry.status !== status) return false;
+    if (since && entry.timestamp < since) return false;
+    if (!needle) return true;
+    return [entry.title, entry.recipeName, entry.url].some((field) =>
+      (field || "").toLowerCase().includes(needle),
+    );
+  });
+}
@@ -0,0 +1,226 @@
+/**
+ * @jest-environment node
+ */
+
+import { IDBFactory } from "fake-indexeddb";
+import { MAX_HISTORY_ENTRIES, SAVE_STATUS, filterSaveHistory } from "./save-history.js";
+
+describe("save history filters", () => {
+  const entries = [
+    {
+      id: 3,
+      status: SAVE_STATUS.FAILED,
+      url: "https://example.com/stew",
+      title: "Beef Stew",
+      timestamp: Date.parse("2026-05-03T10:00:00Z"),
+    },
+    {
+      id: 2,
+      status: SAVE_STATUS.SAVED,
+      url: "https://cooking.example.com/p/1",
+      title: "Weeknight dinner ideas",
+      recipeName: "Lemon Pasta",
+      timestamp: Date.parse("2026-05-02T10:00:00Z"),
+    },
+    {
+      id: 1,
+      status: SAVE_STATUS.NOT_RECIPE,
+      url: "https://news.example.org/",
+      title: "Front page",
+      timestamp: Date.parse("2026-04-01T10:00:00Z"),
+    },
+  ];
+  const ids = (list) => list.map((entry) => entry.id);
+
+  test("returns everything without filters", () => {
+    expect(ids(filterSaveHistory(entries))).toEqual([3, 2, 1]);
+  });
+
+  test("searches title, recipe name and URL case-insensitively", () => {
+    expect(ids(filterSaveHistory(entries, { query: "stew" }))).toEqual([3]);
+    expect(ids(filterSaveHistory(entries, { query: "lemon" }))).toEqual([2]);
+    expect(ids(filterSaveHistory(entries, { query: "NEWS.example" }))).toEqual([1]);
+  });
+
+  test("filters by status and by date", () => {
+    expect(ids(filterSaveHistory(entries, { status: SAVE_STATUS.FAILED }))).toEqual([3]);
+    const since = Date.parse("2026-05-01T00:00:00Z");
+    expect(ids(filterSaveHistory(entries, { since }))).toEqual([3, 2]);
+  });
+
+  test("combines filters", () => {
+    const filters = { query: "example.com", status: SAVE_STATUS.SAVED, since: 0 };
+    expect(ids(filterSaveHistory(entries, filters))).toEqual([2]);
+  });
+});
+
+describe("save history store", () => {
+  let history;
+
+  let activeUserId;
+
+  beforeEach(() => {
+    // A fresh database, and a module that hasn't opened one yet
+    global.indexedDB = new IDBFactory();
+    activeUserId = "ann-id";
+    global.chrome = {
+      storage: { local: { get: jest.fn(async () => ({ userId: activeUserId })) } },
+    };
+    jest.resetModules();
+    history = require("./save-history.js");
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+    delete global.chrome;
+  });
+
+  function entry(fields) {
+    return {
+      status: SAVE_STATUS.SAVED,
+      url: "https://example.com/soup",
+      canonicalUrl: "https://example.com/soup",
+      title: "Soup",
+      timestamp: 1000,
+      duration: 10,
+      ...fields,
+    };
+  }
+
+  test("lists entries newest first", async () => {
+    const id = await history.addSaveHistoryEntry(entry({ title: "First", timestamp: 1000 }));
+    await history.addSaveHistoryEntry(entry({ title: "Second", timestamp: 2000 }));
+
+    expect((await history.getSaveHistory()).map((saved) => saved.title)).toEqual([
+      "Second",
+      "First",
+    ]);
+    expect(await history.getSaveHistoryEntry(id)).toMatchObject({ id, title: "First" });
+  });
+
+  test("prunes the oldest entries past the limit", async () => {
+    for (let i = 0; i <= MAX_HISTORY_ENTRIES; i++) {
+      await history.addSaveHistoryEntry(entry({ title: `Save ${i}`, timestamp: 1000 + i }));
+    }
+
+    const saved = await history.getSaveHistory();
+    expect(saved).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(saved[0].title).toBe(`Save ${MAX_HISTORY_ENTRIES}`);
+    expect(saved[saved.length - 1].title).toBe("Save 1");
+  });
+
+  test("finds the latest successful save of a page", async () => {
+    await history.addSaveHistoryEntry(entry({ recipeName: "Old soup", timestamp: 1000 }));
+    await history.addSaveHistoryEntry(entry({ recipeName: "New soup", timestamp: 3000 }));
+    await history.addSaveHistoryEntry(entry({ status: SAVE_STATUS.FAILED, timestamp: 4000 }));
+    await history.addSaveHistoryEntry(
+      entry({ canonicalUrl: "https://example.com/stew", recipeName: "Stew", timestamp: 5000 }),
+    );
+
+    expect(await history.findSavedEntry("https://example.com/soup")).toMatchObject({
+      recipeName: "New soup",
+    });
+    expect(await history.findSavedEntry("https://example.com/cake")).toBeNull();
+    expect(await history.findSavedEntry("")).toBeNull();
+  });
+
+  test("keeps each account's saves to itself", async () => {
+    await history.addSaveHistoryEntry(entry({ title: "Ann's soup" }));
+    activeUserId = "bob-id";
+    await history.addSaveHistoryEntry(entry({ canonicalUrl: "https://example.com/stew" }));
+
+    expect(await history.findSavedEntry("https://example.com/soup")).toBeNull();
+    expect((await history.getSaveHistory()).map((saved) => saved.userId)).toEqual(["bob-id"]);
+
+    activeUserId = "ann-id";
+    expect(await history.findSavedEntry("https://example.com/soup")).toMatchObject({
+      title: "Ann's soup",
+      userId: "ann-id",
+    });
+    expect(await history.findSavedEntry("https://example.com/stew")).toBeNull();
+  });
+
+  test("updates an entry by its request ID", async () => {
+    const id = await history.addSaveHistoryEntry(
+      entry({ status: SAVE_STATUS.QUEUED, requestId: "req-1" }),
+    );
+
+    expect(
+      await history.updateSaveHistoryByRequestId("req-1", {
+        status: SAVE_STATUS.SAVED,
+        driveUrl: "https://drive.google.com/file/1",
+      }),
+    ).toBe(true);
+    expect(await history.getSaveHistoryEntry(id)).toMatchObject({
+      status: SAVE_STATUS.SAVED,
+      driveUrl: "https://drive.google.com/file/1",
+      title: "Soup",
+    });
+    expect(await history.updateSaveHistoryByRequestId("req-2", {})).toBe(false);
+    expect(await history.updateSaveHistoryByRequestId(undefined, {})).toBe(false);
+  });
+
+  test("clears every entry", async () => {
+    await history.addSaveHistoryEntry(entry());
+
+    await history.clearSaveHistory();
+
+    expect(await history.getSaveHistory()).toEqual([]);
+  });
+
+  // Creates the version 1 database, from before canonical URLs and accounts
+  function createVersion1Database(entries) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open("kukbuk", 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore("saveHistory", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("timestamp", "timestamp");
+        store.createIndex("requestId", "requestId");
+        entries.forEach((saved) => store.add(saved));
+      };
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  test("keeps the entries of a version 1 database and adds the canonical URL index", async () => {
+    await createVersion1Database([
+      entry({ title: "From v1", canonicalUrl: undefined, requestId: "req-1" }),
+    ]);
+
+    await history.addSaveHistoryEntry(entry({ title: "From v2", timestamp: 2000 }));
+
+    expect((await history.getSaveHistory()).map((saved) => saved.title)).toEqual([
+      "From v2",
+      "From v1",
+    ]);
+    expect(await history.findSavedEntry("https://example.com/soup")).toMatchObject({
+      title: "From v2",
+    });
+    expect(await history.updateSaveHistoryByRequestId("req-1", { title: "Updated" })).toBe(true);
+  });
+
+  test("hands saves from before accounts to the account signed in on update", async () => {
+    await createVersion1Database([entry({ title: "From v1" })]);
+
+    // Every account sees them until then
+    activeUserId = "bob-id";
+    expect(await history.findSavedEntry("https://example.com/soup")).toMatchObject({
+      title: "From v1",
+    });
+
+    activeUserId = "ann-id";
+    await history.migrateLegacySaveHistory();
+
+    expect((await history.getSaveHistory())[0]).toMatchObject({ userId: "ann-id" });
+    activeUserId = "bob-id";
+    expect(await history.getSaveHistory()).toEqual([]);
+    expect(await history.findSavedEntry("https://example.com/soup")).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Per-site extraction rules
+ *
+ * A rule tweaks how the content script extracts a page on matching hosts.
+ * Built-in defaults ship with the extension; users add their own from the
+ * options page (stored in chrome.storage.sync). User rules win over built-ins
+ * for the same host pattern.
+ *
+ * @typedef {Object} SiteRule
+ * @property {string} id - Unique rule identifier
+ * @property {string} hostPattern - Hostname pattern: "example.com" also matches
+ *   subdomains, "*" matches a single label (e.g. "*.example.co.uk")
+ * @property {string[]} [include] - Selectors whose elements are sent instead of
+ *   automatic content isolation
+ * @property {string[]} [exclude] - Selectors removed before anything else
+ * @property {string[]} [expand] - Collapsed sections to open (clicked, or
+ *   <details> opened) before extracting
+ * @property {string} [printLinkSelector] - Link to the site's print view; when
+ *   present on the page its (same-origin) HTML is extracted instead
+ * @property {boolean} [builtIn] - True for rules shipped with the extension
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+
+/**
+ * Built-in rules for sites we save from often
+ * @type {SiteRule[]}
+ */
+export const DEFAULT_SITE_RULES = [
+  {
+    id: "allrecipes",
+    hostPattern: "allrecipes.com",
+    exclude: [".mntl-sc-block-adslot", ".feedback-list", "#mntl-related-content_1-0"],
+  },
+  {
+    id: "seriouseats",
+    hostPattern: "seriouseats.com",
+    exclude: [".mntl-sc-block-adslot", ".comment-list"],
+  },
+  {
+    id: "nyt-cooking",
+    hostPattern: "cooking.nytimes.com",
+    exclude: ["[class*='paywall']", "[class*='modal']"],
+  },
+  {
+    id: "food52",
+    hostPattern: "food52.com",
+    expand: ["button[aria-expanded='false'][aria-controls*='recipe']"],
+  },
+  {
+    id: "bbcgoodfood",
+    hostPattern: "bbcgoodfood.com",
+    exclude: [".ad-placeholder", ".post-footer"],
+  },
+  {
+    id: "budgetbytes",
+    hostPattern: "budgetbytes.com",
+    printLinkSelector: "a.wprm-recipe-print",
+  },
+].map((rule) => ({ ...rule, builtIn: true }));
+
+/**
+ * Checks whether a hostname matches a rule's host pattern
+ * @param {string} pattern - Host pattern ("example.com", "*.example.co.uk")
+ * @param {string} hostname - Hostname to test
+ * @returns {boolean} True on match
+ */
+export function matchesHost(pattern, hostname) {
+  if (!pattern || !hostname) return false;
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  const normalized = pattern
+    .trim()
+    .toLowerCase()
+    .replace(/^www\./, "");
+
+  if (normalized.includes("*")) {
+    const regex = new RegExp("^" + normalized.split("*").map(escapeRegExp).join("[^.]+") + "$");
+    return regex.test(host);
+  }
+  return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * Finds the most specific rule for a URL (longest matching host pattern wins)
+ * @param {string} url - Page URL
+ * @param {SiteRule[]} rules - Candidate rules, user rules first
+ * @returns {SiteRule|null} Matching rule
+ */
+export function findSiteRule(url, rules) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  rules.forEach((rule) => {
+    if (!matchesHost(rule.hostPattern, hostname)) return;
+    if (!best || rule.hostPattern.length > best.hostPattern.length) {
+      best = rule;
+    }
+  });
+  return best;
+}
+
+/**
+ * Loads the user's own rules from chrome.storage.sync
+ * @returns {Promise<SiteRule[]>} User rules
+ */
+export async function getUserSiteRules() {
+  const stored = await chrome.storage.sync.get([STORAGE_KEYS.SITE_RULES]);
+  const rules = stored[STORAGE_KEYS.SITE_RULES];
+  return Array.isArray(rules) ? rules : [];
+}
+
+/**
+ * Persists the user's own rules to chrome.storage.sync
+ * @param {SiteRule[]} rules - User rules (built-ins are never stored)
+ * @returns {Promise<void>}
+ */
+export async function saveUserSiteRules(rules) {
+  const userRules = rules.filter((rule) => !rule.builtIn).map(normalizeSiteRule);
+  await chrome.storage.sync.set({ [STORAGE_KEYS.SITE_RULES]: userRules });
+}
+
+/**
+ * User rules followed by the built-in defaults
+ * @returns {Promise<SiteRule[]>} All rules
+ */
+export async function getSiteRules() {
+  try {
+    return [...(await getUserSiteRules()), ...DEFAULT_SITE_RULES];
+  } catch (error) {
+    console.warn("Could not load user site rules, using defaults:", error.message);
+    return DEFAULT_SITE_RULES;
+  }
+}
+
+/**
+ * Resolves the rule that applies to a page
+ * @param {string} url - Page URL
+ * @returns {Promise<SiteRule|null>} Matching rule
+ */
+export async function getSiteRuleForUrl(url) {
+  if (!url) return null;
+  const rules = await getSiteRules();
+  // For equally specific patterns the user's rule comes first and wins
+  return findSiteRule(url, rules);
+}
+
+/**
+ * Validates and cleans a rule coming from the options form
+ * @param {Object} rule - Raw rule
+ * @returns {SiteRule} Normalized rule
+ * @throws {Error} If the rule is unusable
+ */
+export function normalizeSiteRule(rule) {
+  const hostPattern = (rule.hostPattern || "").trim().toLowerCase();
+  if (!hostPattern || !/^[a-z0-9*.-]+$/.test(hostPattern)) {
+    throw new Error("Enter a hostname like example.com or *.example.com");
+  }
+
+  const normalized = {
+    id: rule.id || `user-${hostPattern}`,
+    hostPattern,
+    include: toSelectorList(rule.include),
+    exclude: toSelectorList(rule.exclude),
+    expand: toSelectorList(rule.expand),
+    printLinkSelector: (rule.printLinkSelector || "").trim(),
+  };
+
+  const hasEffect =
+    normalized.include.length ||
+    normalized.exclude.length ||
+    normalized.expand.length ||
+    normalized.printLinkSelector;
+  if (!hasEffect) {
+    throw new Error("Add at least one selector to the rule");
+  }
+  return normalized;
+}
+
+/**
+ * @param {string|string[]} value - Selectors as an array or one per line
+ * @returns {string[]} Trimmed, non-empty selectors
+ */
+function toSelectorList(value) {
+  const list = Array.isArray(value) ? value : (value || "").split("\n");
+  return list.map((selector) => selector.trim()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
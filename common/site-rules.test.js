@@ -0,0 +1,98 @@
+import {
+  DEFAULT_SITE_RULES,
+  matchesHost,
+  findSiteRule,
+  getSiteRules,
+  getSiteRuleForUrl,
+  saveUserSiteRules,
+  normalizeSiteRule,
+} from "./site-rules.js";
+
+describe("site rules", () => {
+  beforeEach(() => {
+    global.chrome = {
+      storage: {
+        sync: {
+          get: jest.fn().mockResolvedValue({}),
+          set: jest.fn().mockResolvedValue(undefined),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ["example.com", "example.com", true],
+    ["example.com", "www.example.com", true],
+    ["example.com", "cooking.example.com", true],
+    ["example.com", "notexample.com", false],
+    ["cooking.example.com", "example.com", false],
+    ["*.example.co.uk", "shop.example.co.uk", true],
+    ["*.example.co.uk", "example.co.uk", false],
+  ])("matchesHost(%s, %s) is %s", (pattern, hostname, expected) => {
+    expect(matchesHost(pattern, hostname)).toBe(expected);
+  });
+
+  test("findSiteRule prefers the most specific host pattern", () => {
+    const rules = [
+      { id: "broad", hostPattern: "nytimes.com" },
+      { id: "narrow", hostPattern: "cooking.nytimes.com" },
+    ];
+    expect(findSiteRule("https://cooking.nytimes.com/recipes/1", rules).id).toBe("narrow");
+    expect(findSiteRule("https://www.nytimes.com/article", rules).id).toBe("broad");
+    expect(findSiteRule("https://example.com/", rules)).toBeNull();
+    expect(findSiteRule("not a url", rules)).toBeNull();
+  });
+
+  test("user rules override built-ins for the same host", async () => {
+    const userRule = { id: "mine", hostPattern: "seriouseats.com", include: [".recipe"] };
+    chrome.storage.sync.get.mockResolvedValue({ siteRules: [userRule] });
+
+    const rule = await getSiteRuleForUrl("https://www.seriouseats.com/chili");
+    expect(rule).toEqual(userRule);
+  });
+
+  test("built-in rules apply when the user has none", async () => {
+    const rule = await getSiteRuleForUrl("https://www.seriouseats.com/chili");
+    expect(rule.id).toBe("seriouseats");
+    expect(rule.builtIn).toBe(true);
+  });
+
+  test("getSiteRules falls back to defaults when storage fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    chrome.storage.sync.get.mockRejectedValue(new Error("sync unavailable"));
+
+    await expect(getSiteRules()).resolves.toEqual(DEFAULT_SITE_RULES);
+  });
+
+  test("saveUserSiteRules stores only user rules, normalized", async () => {
+    await saveUserSiteRules([
+      { hostPattern: " Example.com ", exclude: ".ad\n\n .promo " },
+      DEFAULT_SITE_RULES[0],
+    ]);
+
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+      siteRules: [
+        {
+          id: "user-example.com",
+          hostPattern: "example.com",
+          include: [],
+          exclude: [".ad", ".promo"],
+          expand: [],
+          printLinkSelector: "",
+        },
+      ],
+    });
+  });
+
+  test("normalizeSiteRule rejects bad hosts and empty rules", () => {
+    expect(() => normalizeSiteRule({ hostPattern: "https://x.com/", exclude: ".a" })).toThrow(
+      "Enter a hostname",
+    );
+    expect(() => normalizeSiteRule({ hostPattern: "x.com" })).toThrow("Add at least one selector");
+  });
+});
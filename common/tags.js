@@ -0,0 +1,12 @@
+/**
+ * Parses the comma-separated tags typed in the side panel and the review window
+ * @param {string} value - Tags as typed, e.g. "dinner, #quick"
+ * @returns {string[]} Trimmed, de-duplicated tags without a leading "#"
+ */
+export function parseTags(value) {
+  const tags = (value || "")
+    .split(",")
+    .map((tag) => tag.trim().replace(/^#/, ""))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
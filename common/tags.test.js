@@ -0,0 +1,16 @@
+import { parseTags } from "./tags.js";
+
+describe("parseTags", () => {
+  test("splits on commas, trims and drops empty tags", () => {
+    expect(parseTags(" dinner, quick ,, vegetarian ")).toEqual(["dinner", "quick", "vegetarian"]);
+  });
+
+  test("strips a leading # and removes duplicates", () => {
+    expect(parseTags("#quick, quick, #dinner")).toEqual(["quick", "dinner"]);
+  });
+
+  test("returns no tags for empty input", () => {
+    expect(parseTags("")).toEqual([]);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+});
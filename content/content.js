@@ -3,6 +3,10 @@
 // Message type constants (duplicated from constants.js since content scripts can't import modules)
 const MESSAGE_TYPES = {
   EXTRACT_RECIPE: "EXTRACT_RECIPE",
+  EXTRACT_PREVIEW: "EXTRACT_PREVIEW",
+  EXTRACT_SELECTION: "EXTRACT_SELECTION",
+  EXTRACT_PICKED_ELEMENT: "EXTRACT_PICKED_ELEMENT",
+  PICK_RECIPE_ELEMENT: "PICK_RECIPE_ELEMENT",
   PING: "PING",
   SHOW_BUBBLE: "SHOW_BUBBLE",
 };
@@ -18,7 +22,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false; // No async response needed
 
     case MESSAGE_TYPES.EXTRACT_RECIPE:
-      extractRecipeData()
+      extractRecipeData(message.siteRule || null)
         .then((data) => sendResponse({ success: true, data }))
         .catch((error) => {
           // error suppressed
@@ -31,16 +35,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // Return true to indicate we will send a response asynchronously
       return true;
 
+    case MESSAGE_TYPES.EXTRACT_PREVIEW:
+      try {
+        sendResponse({ success: true, data: extractPreviewData(message.siteRule || null) });
+      } catch (error) {
+        sendResponse({
+          success: false,
+          error: error.message || "Failed to read the page",
+        });
+      }
+      return false;
+
+    case MESSAGE_TYPES.EXTRACT_SELECTION:
+      try {
+        const data = extractSelectionData({
+          includeEnclosingBlock: Boolean(message.includeEnclosingBlock),
+        });
+        sendResponse({ success: true, data });
+      } catch (error) {
+        sendResponse({
+          success: false,
+          error: error.message || "Failed to read selection",
+        });
+      }
+      return false;
+
+    case MESSAGE_TYPES.PICK_RECIPE_ELEMENT:
+      // Resolves once the user clicks a block or presses Esc
+      startElementPicker().then((result) => sendResponse(result));
+      return true;
+
+    case MESSAGE_TYPES.EXTRACT_PICKED_ELEMENT:
+      try {
+        sendResponse({ success: true, data: extractPickedElementData() });
+      } catch (error) {
+        sendResponse({
+          success: false,
+          error: error.message || "Failed to read the picked area",
+        });
+      }
+      return false;
+
     case MESSAGE_TYPES.SHOW_BUBBLE: {
       const {
         text = "Saving...",
         variant = "info",
         duration = 0,
+        detail,
         link,
         dismissible,
         closePrevious = true,
+        copyRef,
+        action,
       } = message.data || {};
-      showLightBubble({ text, variant, duration, link, dismissible, closePrevious });
+      showLightBubble({
+        text,
+        variant,
+        duration,
+        detail,
+        link,
+        dismissible,
+        closePrevious,
+        copyRef,
+        action,
+      });
       sendResponse({ success: true });
       return false;
     }
@@ -58,63 +116,910 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /**
  * Extracts recipe data from the current page
+ * @param {Object|null} [siteRule=null] - Per-site rule from common/site-rules.js
  * @returns {Promise<Object>} Recipe data
  */
-async function extractRecipeData() {
+async function extractRecipeData(siteRule = null) {
+  if (siteRule?.expand?.length) {
+    await expandCollapsedSections(siteRule.expand);
+  }
+
+  // Structured data must be read from the live document: cleanup strips <script> tags
+  const structuredData = extractStructuredRecipe();
+
+  // A site's print view is usually the cleanest copy of the recipe
+  const printDoc = siteRule?.printLinkSelector
+    ? await fetchPrintDocument(siteRule.printLinkSelector)
+    : null;
+
   // Basic data about the page
-  const pageContent = performBasicCleanup();
+  const { html: pageContent, stats: contentStats } = performBasicCleanup(
+    printDoc || document,
+    siteRule,
+  );
   const pageData = {
     pageContent,
     pageUrl: window.location.href,
+    canonicalUrl: getCanonicalUrl(),
     title: document.title,
+    structuredData,
+    contentStats: printDoc ? { ...contentStats, printView: true } : contentStats,
   };
 
   return pageData;
 }
 
 /**
- * Performs basic cleanup of the page content to remove definitely non-content elements
- * Only removes scripts, styles, and other clearly non-content tags
- * @returns {string} Cleaned HTML content
+ * Reads the page for the side panel's preview. Unlike extractRecipeData() it leaves the
+ * page alone: no expand clicks and no print-view fetch, and the cleaned HTML is only
+ * measured, not returned.
+ * @param {Object|null} [siteRule=null] - Per-site rule; only its selectors are used
+ * @returns {Object} Page URL, title, structured recipe and content stats
  */
-function performBasicCleanup() {
+function extractPreviewData(siteRule = null) {
+  const { stats: contentStats } = performBasicCleanup(document, siteRule);
+  return {
+    pageUrl: window.location.href,
+    canonicalUrl: getCanonicalUrl(),
+    title: document.title,
+    structuredData: extractStructuredRecipe(),
+    contentStats,
+  };
+}
+
+/**
+ * The page's <link rel="canonical">, which tracking links, AMP and print views
+ * usually point back to
+ * @returns {string|null} Absolute http(s) URL
+ */
+function getCanonicalUrl() {
+  const link = document.querySelector('link[rel~="canonical"][href]');
+  return link && /^https?:/.test(link.href) ? link.href : null;
+}
+
+// Time for sections opened by a site rule to render their content
+const EXPAND_SETTLE_MS = 250;
+
+/**
+ * Opens collapsed sections named by a site rule ("show full recipe" buttons, <details>)
+ * @param {string[]} selectors - Elements to open
+ * @returns {Promise<void>}
+ */
+async function expandCollapsedSections(selectors) {
+  let expanded = 0;
+  selectors.forEach((selector) => {
+    let elements;
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch {
+      return; // Invalid user-supplied selector
+    }
+    elements.forEach((el) => {
+      if (el.tagName === "DETAILS") {
+        if (!el.open) {
+          el.open = true;
+          expanded++;
+        }
+      } else {
+        el.click();
+        expanded++;
+      }
+    });
+  });
+
+  if (expanded > 0) {
+    await new Promise((resolve) => setTimeout(resolve, EXPAND_SETTLE_MS));
+  }
+}
+
+/**
+ * Loads the site's print view when the page links to one on the same origin
+ * @param {string} selector - Print link selector from the site rule
+ * @returns {Promise<Document|null>} Parsed print page, or null to use the live page
+ */
+async function fetchPrintDocument(selector) {
   try {
-    const initialDocSize = document.documentElement.outerHTML.length;
-    // log suppressed
+    const link = document.querySelector(selector);
+    const href = link?.getAttribute("href");
+    if (!href) return null;
+
+    const url = new URL(href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
 
+    const response = await fetch(url.href, { credentials: "include" });
+    if (!response.ok) return null;
+    return new DOMParser().parseFromString(await response.text(), "text/html");
+  } catch {
+    return null;
+  }
+}
+
+// Containers that count as the "enclosing block" of a selection (a forum post, list, cell...)
+const ENCLOSING_BLOCK_SELECTOR = "article, section, div, li, td, blockquote, pre";
+
+/**
+ * Extracts only the user's current selection as the recipe payload
+ * @param {Object} options
+ * @param {boolean} [options.includeEnclosingBlock=false] - Send the whole block around
+ *   each selected range instead of just the selected fragment
+ * @returns {Object} Recipe data in the same shape as extractRecipeData()
+ * @throws {Error} If nothing is selected
+ */
+function extractSelectionData({ includeEnclosingBlock = false } = {}) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    throw new Error("Highlight the recipe text first");
+  }
+
+  const container = document.createElement("div");
+  // Two ranges inside the same post should not send it twice
+  const addedBlocks = new Set();
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    const block = includeEnclosingBlock && findEnclosingBlock(range.commonAncestorContainer);
+    if (block) {
+      if (!addedBlocks.has(block)) {
+        addedBlocks.add(block);
+        container.appendChild(block.cloneNode(true));
+      }
+    } else {
+      container.appendChild(range.cloneContents());
+    }
+  }
+
+  return buildFragmentPageData(container, includeEnclosingBlock ? "selection-block" : "selection");
+}
+
+/**
+ * Wraps user-chosen content (a selection or a picked element) into the page data shape
+ * @param {Element} container - Detached element holding the chosen content
+ * @param {string} strategy - Reported in contentStats
+ * @returns {Object} Recipe data in the same shape as extractRecipeData()
+ */
+function buildFragmentPageData(container, strategy) {
+  removeNonContentElements(container);
+
+  const title = document.createElement("title");
+  title.textContent = document.title;
+  const html = `<html><head>${title.outerHTML}</head><body>${container.innerHTML}</body></html>`;
+
+  return {
+    pageContent: html,
+    pageUrl: window.location.href,
+    canonicalUrl: getCanonicalUrl(),
+    title: document.title,
+    structuredData: null,
+    contentStats: {
+      originalSize: document.documentElement.outerHTML.length,
+      cleanedSize: html.length,
+      strategy,
+    },
+  };
+}
+
+/**
+ * @param {Node} node - Common ancestor of a selected range
+ * @returns {Element|null} Nearest block-level container, or null when the selection
+ *   already spans the whole page
+ */
+function findEnclosingBlock(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return element?.closest(ENCLOSING_BLOCK_SELECTOR) || null;
+}
+
+// Recipe-plugin cards, in priority order (WP Recipe Maker, Tasty Recipes, Mediavine Create, ...)
+const RECIPE_CARD_SELECTORS = [
+  ".wprm-recipe-container",
+  ".wprm-recipe",
+  ".tasty-recipes",
+  ".mv-create-card",
+  ".mv-recipe-card",
+  ".wpzoom-recipe-card",
+  ".easyrecipe",
+  ".zlrecipe-container",
+  ".recipe-card",
+  "[itemtype*='schema.org/Recipe']",
+  "#recipe",
+  ".recipe",
+];
+
+// Page chrome that never holds the recipe: skipped when scoring and stripped from isolated content
+const NOISE_SELECTORS = [
+  "nav",
+  "aside",
+  "[role='navigation']",
+  "[role='complementary']",
+  "#comments",
+  ".comments",
+  ".comment-list",
+  ".related-posts",
+  ".yarpp-related",
+  ".jp-relatedposts",
+  ".sidebar",
+  ".widget",
+  ".advertisement",
+  ".ads",
+  ".ad-container",
+  ".adthrive-ad",
+  ".social-share",
+  ".share-buttons",
+  ".newsletter",
+].join(", ");
+
+// Class/id hints used to weight scoring candidates
+const POSITIVE_HINT = /article|body|content|entry|main|post|recipe|story|text/i;
+const NEGATIVE_HINT =
+  /comment|footer|header|menu|nav|related|share|sidebar|social|sponsor|widget|promo|ad-/i;
+
+// Isolated content shorter than this (in text characters) is treated as a miss
+const MIN_ISOLATED_TEXT_LENGTH = 250;
+
+// Definitely non-content elements, removed from everything we send
+const NON_CONTENT_TAGS = [
+  "script", // JavaScript
+  "style", // CSS
+  "noscript", // No-JS fallback
+  "iframe", // Embedded frames
+  "svg", // Vector graphics
+  "canvas", // Drawing canvas
+  "template", // Template elements
+];
+
+/**
+ * @param {Document|Element} root - Detached clone to clean in place
+ */
+function removeNonContentElements(root) {
+  NON_CONTENT_TAGS.forEach((tag) => {
+    const elements = root.querySelectorAll(tag);
+    elements.forEach((el) => {
+      try {
+        el.parentNode?.removeChild(el);
+      } catch {
+        // Ignore errors
+      }
+    });
+  });
+}
+
+/**
+ * Cleans up the page content for the backend.
+ * Removes scripts, styles, and other clearly non-content tags, then tries to isolate
+ * the recipe card or main article body. Falls back to the whole cleaned document
+ * when the isolated content is suspiciously small.
+ * @param {Document} [sourceDoc=document] - Document to clean (the live page or its print view)
+ * @param {Object|null} [siteRule=null] - Per-site rule: exclude selectors are removed first,
+ *   include selectors replace automatic isolation when they match
+ * @returns {{html: string, stats: {originalSize: number, cleanedSize: number, strategy: string}}}
+ *   Cleaned HTML content and before/after sizes
+ */
+function performBasicCleanup(sourceDoc = document, siteRule = null) {
+  const originalSize = sourceDoc.documentElement.outerHTML.length;
+  try {
     // Create a clone of the document to avoid modifying the actual page
-    const docClone = document.cloneNode(true);
-
-    // ONLY remove these definitely non-content elements
-    const elementsToRemove = [
-      "script", // JavaScript
-      "style", // CSS
-      "noscript", // No-JS fallback
-      "iframe", // Embedded frames
-      "svg", // Vector graphics
-      "canvas", // Drawing canvas
-      "template", // Template elements
-    ];
-
-    // Remove elements
-    elementsToRemove.forEach((tag) => {
-      const elements = docClone.querySelectorAll(tag);
-      elements.forEach((el) => {
-        try {
-          el.parentNode?.removeChild(el);
-        } catch (e) {
-          // Ignore errors
-        }
+    const docClone = sourceDoc.cloneNode(true);
+    removeNonContentElements(docClone);
+    removeMatching(docClone, siteRule?.exclude);
+
+    const isolated = isolateBySiteRule(docClone, siteRule) || isolateMainContent(docClone);
+    const html = isolated
+      ? wrapIsolatedContent(docClone, isolated.element)
+      : docClone.documentElement.outerHTML;
+    const strategy = isolated ? isolated.strategy : "full-document";
+
+    return { html, stats: { originalSize, cleanedSize: html.length, strategy } };
+  } catch {
+    // On any error, return the original HTML
+    const html = sourceDoc.documentElement.outerHTML;
+    return { html, stats: { originalSize, cleanedSize: html.length, strategy: "original" } };
+  }
+}
+
+/**
+ * @param {Document} doc - Cleaned document clone
+ * @param {string[]} [selectors] - Selectors to remove; invalid ones are skipped
+ */
+function removeMatching(doc, selectors = []) {
+  selectors.forEach((selector) => {
+    try {
+      doc.querySelectorAll(selector).forEach((el) => el.remove());
+    } catch {
+      // Invalid user-supplied selector
+    }
+  });
+}
+
+/**
+ * Collects the elements named by a site rule's include selectors
+ * @param {Document} doc - Cleaned document clone
+ * @param {Object|null} siteRule - Per-site rule
+ * @returns {{element: Element, strategy: string}|null} Isolated content, or null for auto isolation
+ */
+function isolateBySiteRule(doc, siteRule) {
+  if (!siteRule?.include?.length || !doc.body) return null;
+
+  const matches = [];
+  siteRule.include.forEach((selector) => {
+    try {
+      doc.body.querySelectorAll(selector).forEach((el) => matches.push(el));
+    } catch {
+      // Invalid user-supplied selector
+    }
+  });
+
+  // Nested matches are already covered by their ancestor
+  const roots = matches.filter(
+    (el, i) =>
+      matches.indexOf(el) === i && !matches.some((other) => other !== el && other.contains(el)),
+  );
+  if (roots.length === 0) return null;
+
+  const container = doc.createElement("div");
+  roots.forEach((el) => container.appendChild(el));
+  return { element: container, strategy: "site-rule" };
+}
+
+/**
+ * Finds the element holding the recipe: a known recipe-plugin card first,
+ * then the best text-density candidate
+ * @param {Document} doc - Cleaned document clone
+ * @returns {{element: Element, strategy: string}|null} Isolated content, or null to keep everything
+ */
+function isolateMainContent(doc) {
+  if (!doc.body) return null;
+
+  for (const selector of RECIPE_CARD_SELECTORS) {
+    const card = pickLongest(Array.from(doc.body.querySelectorAll(selector)));
+    const element = card && stripNoiseIfEnoughText(card);
+    if (element) {
+      return { element, strategy: "recipe-card" };
+    }
+  }
+
+  const best = findBestScoredCandidate(doc.body);
+  const element = best && best !== doc.body && stripNoiseIfEnoughText(best);
+  if (element) {
+    return { element, strategy: "main-content" };
+  }
+  return null;
+}
+
+/**
+ * Strips noise from a copy of the candidate, so a candidate that ends up too small
+ * leaves the document untouched for the full-document fallback
+ * @param {Element} candidate - Candidate element (part of the cleaned clone)
+ * @returns {Element|null} Stripped copy, now in the candidate's place, or null
+ */
+function stripNoiseIfEnoughText(candidate) {
+  const stripped = candidate.cloneNode(true);
+  stripNoise(stripped);
+  if (!hasEnoughText(stripped)) return null;
+  candidate.replaceWith(stripped);
+  return stripped;
+}
+
+/**
+ * Readability-style scoring: text blocks award points to their parent (and half to the
+ * grandparent); the container with the highest link-density-adjusted score wins
+ * @param {Element} body - Document body
+ * @returns {Element|null} Best candidate
+ */
+function findBestScoredCandidate(body) {
+  const scores = new Map();
+  const addScore = (el, points) => {
+    if (!el || el === body.parentElement) return;
+    scores.set(el, (scores.get(el) || 0) + points);
+  };
+
+  body.querySelectorAll("p, li, td, pre, blockquote").forEach((block) => {
+    if (isPageChrome(block)) return;
+    const text = collapseWhitespace(block.textContent);
+    if (text.length < 25) return;
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(block.parentElement, points);
+    addScore(block.parentElement?.parentElement, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, el) => {
+    const hints = `${el.className || ""} ${el.id || ""}`;
+    let weighted = score;
+    if (POSITIVE_HINT.test(hints) || ["ARTICLE", "MAIN"].includes(el.tagName)) weighted += 25;
+    if (NEGATIVE_HINT.test(hints)) weighted -= 25;
+    weighted *= 1 - linkDensity(el);
+    if (weighted > bestScore) {
+      best = el;
+      bestScore = weighted;
+    }
+  });
+  return best;
+}
+
+/**
+ * @param {Element} el - Candidate element
+ * @returns {number} Share of the element's text that sits inside links (0..1)
+ */
+function linkDensity(el) {
+  const textLength = collapseWhitespace(el.textContent).length;
+  if (!textLength) return 1;
+  let linkLength = 0;
+  el.querySelectorAll("a").forEach((a) => {
+    linkLength += collapseWhitespace(a.textContent).length;
+  });
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * @param {Element} el - Text block
+ * @returns {boolean} True if the block sits in navigation, ads, comments or a site-wide
+ *   header/footer (article headers and footers are kept)
+ */
+function isPageChrome(el) {
+  if (el.closest(NOISE_SELECTORS)) return true;
+  const headerOrFooter = el.closest("header, footer");
+  return Boolean(headerOrFooter && !headerOrFooter.closest("article, main"));
+}
+
+/**
+ * Removes noise (comments, share bars, related posts, ads) nested inside isolated content
+ * @param {Element} el - Isolated element (part of the cleaned clone)
+ */
+function stripNoise(el) {
+  el.querySelectorAll(NOISE_SELECTORS).forEach((noise) => noise.remove());
+}
+
+function hasEnoughText(el) {
+  return collapseWhitespace(el.textContent).length >= MIN_ISOLATED_TEXT_LENGTH;
+}
+
+function pickLongest(elements) {
+  let longest = null;
+  let longestLength = -1;
+  elements.forEach((el) => {
+    const length = el.textContent.length;
+    if (length > longestLength) {
+      longest = el;
+      longestLength = length;
+    }
+  });
+  return longest;
+}
+
+/**
+ * Rebuilds a minimal document around the isolated element, keeping the page title
+ * @param {Document} doc - Cleaned document clone
+ * @param {Element} element - Isolated content
+ * @returns {string} HTML document
+ */
+function wrapIsolatedContent(doc, element) {
+  const title = doc.querySelector("title");
+  const heading = doc.querySelector("h1");
+  // Keep the page heading when the card sits below it (common with recipe plugins)
+  const headingHtml = heading && !element.contains(heading) ? heading.outerHTML : "";
+  return (
+    `<html><head>${title ? title.outerHTML : ""}</head>` +
+    `<body>${headingHtml}${element.outerHTML}</body></html>`
+  );
+}
+
+/**
+ * Finds a schema.org Recipe embedded in the page as structured data
+ * @returns {{source: string, recipe: Object}|null} Normalized recipe and where it came from
+ */
+function extractStructuredRecipe() {
+  // JSON-LD first (most complete), then the older microdata and RDFa markup
+  const extractors = [
+    ["json-ld", extractJsonLdRecipe],
+    ["microdata", extractMicrodataRecipe],
+    ["rdfa", extractRdfaRecipe],
+  ];
+  for (const [source, extract] of extractors) {
+    try {
+      const recipe = extract();
+      if (recipe) {
+        return { source, recipe };
+      }
+    } catch {
+      // Broken structured data should never block a save
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts the first Recipe node from application/ld+json scripts.
+ * Handles top-level arrays, @graph containers and @type arrays.
+ * @returns {Object|null} Normalized recipe
+ */
+function extractJsonLdRecipe() {
+  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+  for (const script of scripts) {
+    let json;
+    try {
+      json = JSON.parse(script.textContent);
+    } catch {
+      continue;
+    }
+    const node = findJsonLdRecipeNode(json);
+    if (node) {
+      const recipe = normalizeSchemaRecipe(node);
+      if (isUsableRecipe(recipe)) {
+        return recipe;
+      }
+    }
+  }
+  return null;
+}
+
+// Attribute conventions of the two HTML-embedded schema.org syntaxes
+const MICRODATA_SYNTAX = { itemAttr: "itemscope", typeAttr: "itemtype", propAttr: "itemprop" };
+const RDFA_SYNTAX = { itemAttr: "typeof", typeAttr: "typeof", propAttr: "property" };
+
+/**
+ * Extracts the first itemtype="http://schema.org/Recipe" microdata item
+ * @returns {Object|null} Normalized recipe
+ */
+function extractMicrodataRecipe() {
+  const roots = Array.from(document.querySelectorAll("[itemscope][itemtype]")).filter((el) =>
+    isRecipeType(el.getAttribute("itemtype").split(/\s+/)),
+  );
+  for (const root of roots) {
+    const recipe = normalizeSchemaRecipe(readMarkupItem(root, MICRODATA_SYNTAX));
+    if (isUsableRecipe(recipe)) {
+      return recipe;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts the first RDFa node typed as schema.org Recipe (typeof="Recipe" / "schema:Recipe")
+ * @returns {Object|null} Normalized recipe
+ */
+function extractRdfaRecipe() {
+  const roots = Array.from(document.querySelectorAll("[typeof]")).filter((el) =>
+    isRecipeType(el.getAttribute("typeof").split(/\s+/)),
+  );
+  for (const root of roots) {
+    const recipe = normalizeSchemaRecipe(readMarkupItem(root, RDFA_SYNTAX));
+    if (isUsableRecipe(recipe)) {
+      return recipe;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a microdata/RDFa item into a JSON-LD-shaped object so both can share normalization
+ * @param {Element} root - Element that starts the item
+ * @param {Object} syntax - MICRODATA_SYNTAX or RDFA_SYNTAX
+ * @returns {Object} JSON-LD-like node ({"@type", property: value|value[]})
+ */
+function readMarkupItem(root, syntax, depth = 0) {
+  const item = { "@type": root.getAttribute(syntax.typeAttr) || "" };
+  if (depth > 5) return item;
+
+  root.querySelectorAll(`[${syntax.propAttr}]`).forEach((el) => {
+    // Only direct properties: skip those that belong to a nested item
+    if (el.parentElement.closest(`[${syntax.itemAttr}]`) !== root) return;
+
+    const value = el.hasAttribute(syntax.itemAttr)
+      ? readMarkupItem(el, syntax, depth + 1)
+      : readMarkupValue(el);
+
+    el.getAttribute(syntax.propAttr)
+      .split(/\s+/)
+      .filter(Boolean)
+      // RDFa property names may be prefixed ("schema:name") or full IRIs
+      .map((name) => name.replace(/^.*[/:#]/, ""))
+      .forEach((name) => {
+        item[name] = item[name] === undefined ? value : toArray(item[name]).concat(value);
       });
+  });
+  return item;
+}
+
+/**
+ * Reads a property value following the microdata value rules (RDFa uses the same attributes)
+ * @param {Element} el - Property element
+ * @returns {string|string[]} Property value; list markup yields one entry per item
+ */
+function readMarkupValue(el) {
+  if (el.hasAttribute("content")) return el.getAttribute("content");
+
+  const tag = el.tagName.toLowerCase();
+  if (["img", "audio", "video", "source", "embed"].includes(tag)) return el.src || "";
+  if (["a", "link", "area"].includes(tag)) return el.href || "";
+  if (tag === "object") return el.data || "";
+  if (tag === "time" && el.hasAttribute("datetime")) return el.getAttribute("datetime");
+  if ((tag === "data" || tag === "meter") && el.hasAttribute("value")) {
+    return el.getAttribute("value");
+  }
+  if (el.hasAttribute("resource")) return el.getAttribute("resource");
+
+  // A whole <ol>/<ul> tagged as recipeInstructions is common on older blogs
+  const listItems = el.querySelectorAll("li");
+  if (listItems.length) {
+    return Array.from(listItems, (li) => collapseWhitespace(li.textContent));
+  }
+  return collapseWhitespace(el.textContent);
+}
+
+function collapseWhitespace(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * @param {Object} recipe - Normalized recipe
+ * @returns {boolean} True if the recipe carries enough data to be worth sending
+ */
+function isUsableRecipe(recipe) {
+  return Boolean(recipe.name || recipe.ingredients.length);
+}
+
+/**
+ * Depth-first search for a node whose @type is (or contains) "Recipe"
+ * @param {*} node - Parsed JSON-LD value
+ * @param {number} [depth=0] - Current recursion depth
+ * @returns {Object|null} Raw Recipe node
+ */
+function findJsonLdRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 8) return null;
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJsonLdRecipeNode(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (isRecipeType(node["@type"])) return node;
+
+  // @graph containers and WebPage wrappers (mainEntity) carry the Recipe one level down
+  for (const key of ["@graph", "mainEntity", "mainEntityOfPage"]) {
+    const found = findJsonLdRecipeNode(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * @param {string|string[]} type - JSON-LD @type value
+ * @returns {boolean} True if the type names schema.org Recipe
+ */
+function isRecipeType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => typeof t === "string" && /(^|[/:])Recipe$/.test(t));
+}
+
+/**
+ * Converts a raw schema.org Recipe node into the extension's normalized recipe shape.
+ * Microdata and RDFa items are read into the same JSON-LD shape before getting here.
+ * @param {Object} node - Raw Recipe node
+ * @returns {Object} Normalized recipe
+ */
+function normalizeSchemaRecipe(node) {
+  return {
+    name: cleanStructuredText(firstValue(node.name)),
+    description: cleanStructuredText(firstValue(node.description)),
+    ingredients: toArray(node.recipeIngredient || node.ingredients)
+      .map((item) => cleanStructuredText(item))
+      .filter(Boolean),
+    instructions: flattenInstructions(node.recipeInstructions),
+    yields: normalizeYield(node.recipeYield),
+    prepTime: cleanStructuredText(firstValue(node.prepTime)),
+    cookTime: cleanStructuredText(firstValue(node.cookTime)),
+    totalTime: cleanStructuredText(firstValue(node.totalTime)),
+    nutrition: normalizeNutrition(node.nutrition),
+    images: normalizeImages(node.image),
+  };
+}
+
+/**
+ * Flattens recipeInstructions (text, HowToStep, HowToSection, ItemList) into step strings
+ * @param {*} value - Raw recipeInstructions value
+ * @returns {string[]} Instruction steps
+ */
+function flattenInstructions(value) {
+  const steps = [];
+  const visit = (item) => {
+    if (!item) return;
+    if (typeof item === "string") {
+      cleanStructuredText(item)
+        .split(/\n+/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .forEach((line) => steps.push(line));
+      return;
+    }
+    if (Array.isArray(item)) {
+      item.forEach(visit);
+      return;
+    }
+    if (typeof item === "object") {
+      if (item.itemListElement) {
+        visit(item.itemListElement);
+      } else {
+        visit(item.text || item.name);
+      }
+    }
+  };
+  visit(value);
+  return steps;
+}
+
+/**
+ * @param {*} value - Raw recipeYield (string, number or array of both)
+ * @returns {string} Human-readable yield
+ */
+function normalizeYield(value) {
+  const values = toArray(value).map((v) => cleanStructuredText(String(v)));
+  // Prefer "4 servings" over a bare "4" when both are present
+  return values.find((v) => /\D/.test(v)) || values[0] || "";
+}
+
+/**
+ * @param {*} value - Raw NutritionInformation node
+ * @returns {Object} Map of nutrient name to value, without JSON-LD keywords
+ */
+function normalizeNutrition(value) {
+  const node = firstValue(value);
+  const nutrition = {};
+  if (!node || typeof node !== "object") return nutrition;
+  Object.keys(node).forEach((key) => {
+    if (key.startsWith("@")) return;
+    const text = cleanStructuredText(String(firstValue(node[key]) ?? ""));
+    if (text) nutrition[key] = text;
+  });
+  return nutrition;
+}
+
+/**
+ * @param {*} value - Raw image value (URL, ImageObject or array of both)
+ * @returns {string[]} Image URLs
+ */
+function normalizeImages(value) {
+  return toArray(value)
+    .map((img) => (typeof img === "string" ? img : img?.url || img?.contentUrl))
+    .filter((url) => typeof url === "string" && url.trim())
+    .map((url) => url.trim());
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Strips markup and decodes entities that sites routinely leave in structured data
+ * @param {*} value - Raw value
+ * @returns {string} Plain text
+ */
+function cleanStructuredText(value) {
+  if (typeof value !== "string") return "";
+  if (!/[<&]/.test(value)) return value.trim();
+  const parsed = new DOMParser().parseFromString(value, "text/html");
+  return (parsed.body.textContent || "").trim();
+}
+
+// Element picker - lets the user point at the recipe when automatic cleanup gets it wrong
+
+// Blocks the picker snaps to when hovering over inline content
+const PICKER_BLOCK_SELECTOR =
+  "article, section, main, div, ul, ol, table, li, p, figure, blockquote, pre, header, footer";
+
+// The element chosen by the last completed pick (read by EXTRACT_PICKED_ELEMENT)
+let pickedElement = null;
+// Teardown for the running picker, if any
+let stopActivePicker = null;
+
+/**
+ * Starts the interactive "pick the recipe" mode.
+ * Hover highlights a block, click selects it, Esc cancels,
+ * ArrowUp/ArrowDown move to the parent/child block.
+ * @returns {Promise<{success: boolean, cancelled?: boolean}>} Pick outcome
+ */
+function startElementPicker() {
+  // A second request replaces the running picker
+  if (stopActivePicker) stopActivePicker({ success: false, cancelled: true });
+
+  return new Promise((resolve) => {
+    ensureLightBubbleStyles();
+    const highlight = document.createElement("div");
+    highlight.id = "kukbuk-picker-highlight";
+    document.body.appendChild(highlight);
+
+    let current = null;
+    // Children we came up from, so ArrowDown retraces the path instead of jumping to child #1
+    const descentPath = [];
+
+    const setCurrent = (el) => {
+      current = el;
+      const rect = el.getBoundingClientRect();
+      highlight.style.top = `${rect.top}px`;
+      highlight.style.left = `${rect.left}px`;
+      highlight.style.width = `${rect.width}px`;
+      highlight.style.height = `${rect.height}px`;
+      highlight.setAttribute("data-label", el.tagName.toLowerCase());
+    };
+
+    const isOwnUi = (el) =>
+      el === highlight || Boolean(el.closest?.("#kukbuk-light-bubble-container"));
+
+    const onMouseOver = (e) => {
+      const target = e.target;
+      if (!(target instanceof Element) || isOwnUi(target)) return;
+      descentPath.length = 0;
+      setCurrent(target.closest(PICKER_BLOCK_SELECTOR) || target);
+    };
+
+    const onClick = (e) => {
+      if (!(e.target instanceof Element) || isOwnUi(e.target)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      pickedElement = current || e.target.closest(PICKER_BLOCK_SELECTOR) || e.target;
+      stop({ success: true });
+    };
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        dismissBubble();
+        stop({ success: false, cancelled: true });
+      } else if (e.key === "ArrowUp" && current) {
+        e.preventDefault();
+        const parent = current.parentElement;
+        if (parent && parent !== document.body && parent !== document.documentElement) {
+          descentPath.push(current);
+          setCurrent(parent);
+        }
+      } else if (e.key === "ArrowDown" && current) {
+        e.preventDefault();
+        const child = descentPath.pop() || current.firstElementChild;
+        if (child) setCurrent(child);
+      }
+    };
+
+    const stop = (result) => {
+      document.removeEventListener("mouseover", onMouseOver, true);
+      document.removeEventListener("click", onClick, true);
+      document.removeEventListener("keydown", onKeyDown, true);
+      highlight.remove();
+      stopActivePicker = null;
+      resolve(result);
+    };
+    stopActivePicker = stop;
+
+    document.addEventListener("mouseover", onMouseOver, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("keydown", onKeyDown, true);
+
+    showLightBubble({
+      text: "Click the recipe area",
+      variant: "info",
+      detail: "↑ parent · ↓ child · Esc to cancel",
+      dismissible: false,
     });
-    // log suppressed
-    // log suppressed
-    return docClone.documentElement.outerHTML;
-  } catch (error) {
-    // error suppressed
-    // On any error, return the original HTML
-    return document.documentElement.outerHTML;
+  });
+}
+
+/**
+ * Builds the recipe payload from the element chosen with the picker
+ * @returns {Object} Recipe data in the same shape as extractRecipeData()
+ * @throws {Error} If nothing was picked or the element left the page
+ */
+function extractPickedElementData() {
+  if (!pickedElement || !pickedElement.isConnected) {
+    throw new Error("Pick the recipe area first");
   }
+  const container = document.createElement("div");
+  container.appendChild(pickedElement.cloneNode(true));
+  return buildFragmentPageData(container, "picked-element");
 }
 
 // Light bubble UI - small status card near the top-right (under extensions bar)
@@ -200,6 +1105,15 @@ function ensureLightBubbleStyles() {
       text-overflow: ellipsis;
       white-space: nowrap;
     }
+    .kukbuk-bubble-detail {
+      display: block;
+      color: #78716c;
+      font-size: 12px;
+      margin-top: 2px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
     .kukbuk-bubble-link {
       display: block;
       color: #2563eb;
@@ -213,6 +1127,33 @@ function ensureLightBubbleStyles() {
     .kukbuk-bubble-link:hover {
       text-decoration: underline;
     }
+    .kukbuk-bubble-ref {
+      display: block;
+      background: none;
+      border: none;
+      padding: 0;
+      margin-top: 2px;
+      cursor: pointer;
+      color: #78716c;
+      font: 12px ui-monospace, SFMono-Regular, Menlo, monospace;
+    }
+    .kukbuk-bubble-ref:hover {
+      color: #44403c;
+      text-decoration: underline;
+    }
+    .kukbuk-bubble-action {
+      flex-shrink: 0;
+      background: #fff;
+      border: 1px solid rgba(0, 0, 0, 0.2);
+      border-radius: 6px;
+      padding: 3px 8px;
+      cursor: pointer;
+      color: #2c2c2c;
+      font: 600 12px/1.4 system-ui, sans-serif;
+    }
+    .kukbuk-bubble-action:hover {
+      border-color: #d4724d;
+    }
     .kukbuk-bubble-dismiss {
       background: none;
       border: none;
@@ -227,6 +1168,31 @@ function ensureLightBubbleStyles() {
     .kukbuk-bubble-dismiss:hover {
       opacity: 1;
     }
+    #kukbuk-picker-highlight {
+      position: fixed;
+      z-index: 2147483646;
+      pointer-events: none;
+      background: rgba(59, 130, 246, 0.12);
+      outline: 2px solid #3b82f6;
+      border-radius: 4px;
+      transition: top 0.08s ease, left 0.08s ease, width 0.08s ease, height 0.08s ease;
+    }
+    @media (prefers-reduced-motion: reduce) {
+      #kukbuk-picker-highlight {
+        transition: none;
+      }
+    }
+    #kukbuk-picker-highlight::after {
+      content: attr(data-label);
+      position: absolute;
+      top: -20px;
+      left: -2px;
+      padding: 1px 6px;
+      border-radius: 4px 4px 0 0;
+      background: #3b82f6;
+      color: #fff;
+      font: 11px system-ui, -apple-system, sans-serif;
+    }
   `;
   document.head.appendChild(style);
 }
@@ -250,17 +1216,24 @@ let currentBubbleTimeout = null;
  * @param {string} opts.text - Bubble text
  * @param {"loading"|"success"|"error"|"info"} [opts.variant="info"] - Visual state
  * @param {number} [opts.duration] - Auto-dismiss ms. 0/omitted = persist.
+ * @param {string} [opts.detail] - Optional secondary line under the text
  * @param {{url: string, label: string}} [opts.link] - Optional inline link
  * @param {boolean} [opts.dismissible] - Show close button (always true for error)
  * @param {boolean} [opts.closePrevious=true] - Replace existing bubble
+ * @param {string} [opts.copyRef] - Request ID shown as a short "ref" that copies on click
+ * @param {{label: string, message: Object}} [opts.action] - Button that sends `message`
+ *   to the background and closes the bubble
  */
 function showLightBubble({
   text,
   variant = "info",
   duration = 0,
+  detail,
   link,
   dismissible,
   closePrevious = true,
+  copyRef,
+  action,
 }) {
   try {
     // Clear any pending auto-dismiss
@@ -276,13 +1249,29 @@ function showLightBubble({
 
     if (currentBubble && closePrevious) {
       // Update existing bubble in place (state swap cross-fade)
-      _updateBubbleContent(currentBubble, { text, variant, link, showDismiss });
+      _updateBubbleContent(currentBubble, {
+        text,
+        variant,
+        detail,
+        link,
+        copyRef,
+        action,
+        showDismiss,
+      });
     } else {
       // Create a new bubble element
       if (currentBubble) {
         _removeBubble(currentBubble);
       }
-      const bubble = _createBubble({ text, variant, link, showDismiss });
+      const bubble = _createBubble({
+        text,
+        variant,
+        detail,
+        link,
+        copyRef,
+        action,
+        showDismiss,
+      });
       container.appendChild(bubble);
       currentBubble = bubble;
       window.requestAnimationFrame(() => bubble.classList.add("show"));
@@ -301,7 +1290,7 @@ function showLightBubble({
   }
 }
 
-function _createBubble({ text, variant, link, showDismiss }) {
+function _createBubble({ text, variant, detail, link, copyRef, action, showDismiss }) {
   const bubble = document.createElement("div");
   bubble.className = "kukbuk-light-bubble";
 
@@ -317,6 +1306,10 @@ function _createBubble({ text, variant, link, showDismiss }) {
   textEl.textContent = text || "";
   body.appendChild(textEl);
 
+  if (detail) {
+    body.appendChild(_createDetail(detail));
+  }
+
   if (link && link.url && link.label) {
     const linkEl = document.createElement("a");
     linkEl.className = "kukbuk-bubble-link";
@@ -327,8 +1320,16 @@ function _createBubble({ text, variant, link, showDismiss }) {
     body.appendChild(linkEl);
   }
 
+  if (copyRef) {
+    body.appendChild(_createRef(copyRef));
+  }
+
   bubble.appendChild(body);
 
+  if (action && action.label) {
+    bubble.appendChild(_createAction(action));
+  }
+
   if (showDismiss) {
     const btn = document.createElement("button");
     btn.className = "kukbuk-bubble-dismiss";
@@ -341,7 +1342,10 @@ function _createBubble({ text, variant, link, showDismiss }) {
   return bubble;
 }
 
-function _updateBubbleContent(bubble, { text, variant, link, showDismiss }) {
+function _updateBubbleContent(
+  bubble,
+  { text, variant, detail, link, copyRef, action, showDismiss },
+) {
   // Swap dot class
   const dot = bubble.querySelector(".kukbuk-bubble-dot");
   if (dot) dot.className = `kukbuk-bubble-dot ${variant}`;
@@ -350,6 +1354,13 @@ function _updateBubbleContent(bubble, { text, variant, link, showDismiss }) {
   const textEl = bubble.querySelector(".kukbuk-bubble-text");
   if (textEl) textEl.textContent = text || "";
 
+  // Swap detail line
+  const existingDetail = bubble.querySelector(".kukbuk-bubble-detail");
+  if (existingDetail) existingDetail.remove();
+  if (detail && textEl) {
+    textEl.after(_createDetail(detail));
+  }
+
   // Swap link
   const existingLink = bubble.querySelector(".kukbuk-bubble-link");
   if (existingLink) existingLink.remove();
@@ -366,6 +1377,22 @@ function _updateBubbleContent(bubble, { text, variant, link, showDismiss }) {
     }
   }
 
+  // Swap reference
+  const existingRef = bubble.querySelector(".kukbuk-bubble-ref");
+  if (existingRef) existingRef.remove();
+  if (copyRef) {
+    const body = bubble.querySelector(".kukbuk-bubble-body");
+    if (body) body.appendChild(_createRef(copyRef));
+  }
+
+  // Swap action button (kept before the dismiss button)
+  const existingAction = bubble.querySelector(".kukbuk-bubble-action");
+  if (existingAction) existingAction.remove();
+  if (action && action.label) {
+    const body = bubble.querySelector(".kukbuk-bubble-body");
+    if (body) body.after(_createAction(action));
+  }
+
   // Swap dismiss button
   const existingDismiss = bubble.querySelector(".kukbuk-bubble-dismiss");
   if (showDismiss && !existingDismiss) {
@@ -380,6 +1407,52 @@ function _updateBubbleContent(bubble, { text, variant, link, showDismiss }) {
   }
 }
 
+function _createDetail(detail) {
+  const detailEl = document.createElement("span");
+  detailEl.className = "kukbuk-bubble-detail";
+  detailEl.textContent = detail;
+  return detailEl;
+}
+
+/**
+ * Short request reference ("ref 3f2a1b9c…") that copies the full ID, so users can
+ * quote it when reporting a failed save.
+ * @param {string} requestId - Full request ID
+ * @returns {HTMLButtonElement} Reference button
+ */
+function _createRef(requestId) {
+  const refEl = document.createElement("button");
+  refEl.className = "kukbuk-bubble-ref";
+  refEl.type = "button";
+  refEl.title = "Copy reference";
+  refEl.textContent = `ref ${requestId.slice(0, 8)}…`;
+  refEl.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(requestId);
+      refEl.textContent = "Reference copied";
+    } catch {
+      // Clipboard can be blocked by the page; show the full ID so it can be copied by hand
+      refEl.textContent = `ref ${requestId}`;
+    }
+  });
+  return refEl;
+}
+
+function _createAction(action) {
+  const button = document.createElement("button");
+  button.className = "kukbuk-bubble-action";
+  button.type = "button";
+  button.textContent = action.label;
+  button.addEventListener("click", () => {
+    dismissBubble();
+    // Fails if the extension was reloaded since this page loaded; nothing to do then
+    Promise.resolve()
+      .then(() => chrome.runtime.sendMessage(action.message))
+      .catch(() => {});
+  });
+  return button;
+}
+
 function _removeBubble(bubble) {
   if (!bubble || !bubble.parentNode) return;
   bubble.classList.add("hide");
@@ -200,6 +200,537 @@ describe("content script bubble", () => {
     expect(response.data.pageContent).toContain("Pasta");
   });
 
+  // Helper: run EXTRACT_RECIPE and return the extracted page data
+  async function extract() {
+    const listener = getOnMessageListener();
+    const sendResponse = jest.fn();
+    listener({ type: "EXTRACT_RECIPE" }, {}, sendResponse);
+    await Promise.resolve();
+    await Promise.resolve();
+    return sendResponse.mock.calls[0][0].data;
+  }
+
+  function addJsonLd(json) {
+    const script = document.createElement("script");
+    script.type = "application/ld+json";
+    script.textContent = typeof json === "string" ? json : JSON.stringify(json);
+    document.head.appendChild(script);
+  }
+
+  test("EXTRACT_RECIPE reports the page's canonical link", async () => {
+    document.head.innerHTML = '<link rel="canonical" href="/recipes/lemon-pasta">';
+    const data = await extract();
+    expect(data.canonicalUrl).toBe(new URL("/recipes/lemon-pasta", window.location.href).href);
+  });
+
+  test("EXTRACT_RECIPE returns structuredData null when the page has no JSON-LD", async () => {
+    document.body.innerHTML = "<p>Just an article</p>";
+    const data = await extract();
+    expect(data.structuredData).toBeNull();
+  });
+
+  test("EXTRACT_RECIPE normalizes a top-level JSON-LD Recipe", async () => {
+    addJsonLd({
+      "@context": "https://schema.org",
+      "@type": "Recipe",
+      name: "Mac &amp; Cheese",
+      recipeIngredient: ["200 g macaroni", "<b>100 g</b> cheddar"],
+      recipeInstructions: [
+        { "@type": "HowToStep", text: "Boil pasta." },
+        { "@type": "HowToStep", text: "Stir in cheese." },
+      ],
+      recipeYield: ["4", "4 servings"],
+      prepTime: "PT10M",
+      cookTime: "PT15M",
+      totalTime: "PT25M",
+      nutrition: { "@type": "NutritionInformation", calories: "520 kcal" },
+      image: [
+        { "@type": "ImageObject", url: "https://example.com/a.jpg" },
+        "https://example.com/b.jpg",
+      ],
+    });
+
+    const data = await extract();
+    expect(data.structuredData.source).toBe("json-ld");
+    expect(data.structuredData.recipe).toEqual({
+      name: "Mac & Cheese",
+      description: "",
+      ingredients: ["200 g macaroni", "100 g cheddar"],
+      instructions: ["Boil pasta.", "Stir in cheese."],
+      yields: "4 servings",
+      prepTime: "PT10M",
+      cookTime: "PT15M",
+      totalTime: "PT25M",
+      nutrition: { calories: "520 kcal" },
+      images: ["https://example.com/a.jpg", "https://example.com/b.jpg"],
+    });
+  });
+
+  test("EXTRACT_RECIPE finds a Recipe inside @graph with an @type array", async () => {
+    addJsonLd({
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "WebSite", name: "Food Blog" },
+        {
+          "@type": ["Recipe", "NewsArticle"],
+          name: "Tomato Soup",
+          recipeIngredient: ["6 tomatoes"],
+          recipeInstructions: [
+            {
+              "@type": "HowToSection",
+              name: "Soup",
+              itemListElement: [{ "@type": "HowToStep", text: "Simmer tomatoes." }],
+            },
+          ],
+        },
+      ],
+    });
+
+    const data = await extract();
+    expect(data.structuredData.recipe.name).toBe("Tomato Soup");
+    expect(data.structuredData.recipe.instructions).toEqual(["Simmer tomatoes."]);
+  });
+
+  test("EXTRACT_RECIPE skips malformed JSON-LD and keeps looking", async () => {
+    addJsonLd("{ not json");
+    addJsonLd([{ "@type": "Recipe", name: "Pancakes", recipeInstructions: "Mix.\nFry." }]);
+
+    const data = await extract();
+    expect(data.structuredData.recipe.name).toBe("Pancakes");
+    expect(data.structuredData.recipe.instructions).toEqual(["Mix.", "Fry."]);
+    // Scripts are still stripped from the HTML payload
+    expect(data.pageContent).not.toContain("Pancakes");
+  });
+
+  test("EXTRACT_RECIPE falls back to schema.org microdata", async () => {
+    document.body.innerHTML = `
+      <div itemscope itemtype="http://schema.org/Recipe">
+        <h1 itemprop="name">Grandma's Apple Pie</h1>
+        <img itemprop="image" src="https://example.com/pie.jpg" />
+        <meta itemprop="prepTime" content="PT30M" />
+        <time itemprop="cookTime" datetime="PT1H">1 hour</time>
+        <span itemprop="recipeYield">8 slices</span>
+        <ul>
+          <li itemprop="recipeIngredient">6 apples</li>
+          <li itemprop="recipeIngredient">1 pie crust</li>
+        </ul>
+        <ol itemprop="recipeInstructions">
+          <li>Slice the apples.</li>
+          <li>Bake   for an hour.</li>
+        </ol>
+        <div itemprop="nutrition" itemscope itemtype="http://schema.org/NutritionInformation">
+          <span itemprop="calories">410 calories</span>
+        </div>
+        <div itemprop="author" itemscope itemtype="http://schema.org/Person">
+          <span itemprop="name">Grandma</span>
+        </div>
+      </div>`;
+
+    const data = await extract();
+    expect(data.structuredData.source).toBe("microdata");
+    expect(data.structuredData.recipe).toMatchObject({
+      name: "Grandma's Apple Pie",
+      ingredients: ["6 apples", "1 pie crust"],
+      instructions: ["Slice the apples.", "Bake for an hour."],
+      yields: "8 slices",
+      prepTime: "PT30M",
+      cookTime: "PT1H",
+      nutrition: { calories: "410 calories" },
+      images: ["https://example.com/pie.jpg"],
+    });
+  });
+
+  test("EXTRACT_RECIPE falls back to RDFa with prefixed properties", async () => {
+    document.body.innerHTML = `
+      <div vocab="http://schema.org/" typeof="schema:Recipe">
+        <h1 property="schema:name">Lentil Stew</h1>
+        <span property="recipeIngredient">1 cup lentils</span>
+        <span property="recipeIngredient">2 carrots</span>
+        <p property="recipeInstructions">Simmer everything.</p>
+      </div>`;
+
+    const data = await extract();
+    expect(data.structuredData.source).toBe("rdfa");
+    expect(data.structuredData.recipe).toMatchObject({
+      name: "Lentil Stew",
+      ingredients: ["1 cup lentils", "2 carrots"],
+      instructions: ["Simmer everything."],
+    });
+  });
+
+  test("EXTRACT_RECIPE prefers JSON-LD over microdata", async () => {
+    addJsonLd({ "@type": "Recipe", name: "From JSON-LD", recipeIngredient: ["salt"] });
+    document.body.innerHTML = `
+      <div itemscope itemtype="https://schema.org/Recipe">
+        <h1 itemprop="name">From microdata</h1>
+      </div>`;
+
+    const data = await extract();
+    expect(data.structuredData).toMatchObject({
+      source: "json-ld",
+      recipe: { name: "From JSON-LD" },
+    });
+  });
+
+  // Helper: a paragraph long enough to count as real content
+  function para(text) {
+    return `<p>${text}, ${"with plenty of words, commas, and detail ".repeat(4)}</p>`;
+  }
+
+  test("EXTRACT_RECIPE isolates a recipe-plugin card and drops page chrome", async () => {
+    document.title = "Best Chili";
+    document.body.innerHTML = `
+      <nav><a href="/">Home</a><a href="/recipes">Recipes</a></nav>
+      <h1>Best Chili</h1>
+      <div class="post">${para("Life story")}</div>
+      <div class="wprm-recipe-container">
+        <h2>Best Chili</h2>
+        <ul><li>1 lb beef</li><li>1 can beans</li></ul>
+        ${para("Brown the beef")}
+        ${para("Simmer with the beans")}
+        <div class="social-share">Share on Pinterest</div>
+      </div>
+      <div id="comments">${para("Great recipe")}</div>
+      <footer>Copyright</footer>`;
+
+    const data = await extract();
+    expect(data.contentStats.strategy).toBe("recipe-card");
+    expect(data.pageContent).toContain("Brown the beef");
+    expect(data.pageContent).toContain("<h1>Best Chili</h1>");
+    expect(data.pageContent).toContain("<title>Best Chili</title>");
+    expect(data.pageContent).not.toContain("Life story");
+    expect(data.pageContent).not.toContain("Share on Pinterest");
+    expect(data.pageContent).not.toContain("Great recipe");
+    expect(data.pageContent).not.toContain("Copyright");
+    expect(data.contentStats.cleanedSize).toBeLessThan(data.contentStats.originalSize);
+  });
+
+  test("EXTRACT_RECIPE picks the densest article body when no recipe card exists", async () => {
+    document.body.innerHTML = `
+      <header><div class="menu">${para("Site menu")}</div></header>
+      <div class="layout">
+        <div class="entry-content">
+          ${para("Preheat the oven")}
+          ${para("Whisk the eggs")}
+          ${para("Fold in the flour")}
+        </div>
+        <aside>${para("Popular posts")}</aside>
+      </div>
+      <div class="related-posts">${para("You may also like")}</div>`;
+
+    const data = await extract();
+    expect(data.contentStats.strategy).toBe("main-content");
+    expect(data.pageContent).toContain("Whisk the eggs");
+    expect(data.pageContent).not.toContain("Site menu");
+    expect(data.pageContent).not.toContain("Popular posts");
+    expect(data.pageContent).not.toContain("You may also like");
+  });
+
+  test("EXTRACT_RECIPE falls back to the full document when isolated content is tiny", async () => {
+    document.body.innerHTML = `
+      <nav>Home</nav>
+      <div class="recipe-card"><p>Toast.</p></div>
+      <p>Bread, butter.</p>`;
+
+    const data = await extract();
+    expect(data.contentStats.strategy).toBe("full-document");
+    expect(data.pageContent).toContain("<nav>Home</nav>");
+    expect(data.pageContent).toContain("Bread, butter.");
+  });
+
+  test("EXTRACT_RECIPE keeps noise in the fallback when stripping leaves too little", async () => {
+    const comments = "Lovely recipe, thanks for sharing it with us. ".repeat(8);
+    document.body.innerHTML = `
+      <div class="recipe-card"><p>Toast.</p><div class="comments">${comments}</div></div>`;
+
+    const data = await extract();
+    expect(data.contentStats.strategy).toBe("full-document");
+    expect(data.pageContent).toContain("Lovely recipe");
+  });
+
+  // Helper: run EXTRACT_RECIPE with a site rule, letting expand/print-view timers settle
+  async function extractWithRule(siteRule) {
+    const listener = getOnMessageListener();
+    const sendResponse = jest.fn();
+    listener({ type: "EXTRACT_RECIPE", siteRule }, {}, sendResponse);
+    await jest.advanceTimersByTimeAsync(300);
+    return sendResponse.mock.calls[0][0].data;
+  }
+
+  test("EXTRACT_RECIPE removes a site rule's exclude selectors before isolation", async () => {
+    document.body.innerHTML = `
+      <div class="entry-content">
+        ${para("Preheat the oven")}
+        <div class="promo-box">${para("Buy our cookbook")}</div>
+        ${para("Whisk the eggs")}
+      </div>`;
+
+    const data = await extractWithRule({ hostPattern: "localhost", exclude: [".promo-box"] });
+    expect(data.pageContent).toContain("Whisk the eggs");
+    expect(data.pageContent).not.toContain("Buy our cookbook");
+  });
+
+  test("EXTRACT_RECIPE keeps only a site rule's include selectors", async () => {
+    document.title = "Soup";
+    document.body.innerHTML = `
+      <h1>Soup</h1>
+      <div class="story">${para("Grandma's kitchen")}</div>
+      <div class="ingredients"><ul><li>2 leeks</li></ul></div>
+      <div class="method"><ol><li>Sweat the leeks</li></ol><p class="note">Tip</p></div>`;
+
+    const data = await extractWithRule({
+      hostPattern: "localhost",
+      include: [".ingredients", ".method", ".method .note"],
+    });
+    expect(data.contentStats.strategy).toBe("site-rule");
+    expect(data.pageContent).toContain("2 leeks");
+    expect(data.pageContent).toContain("Sweat the leeks");
+    expect(data.pageContent).toContain("<h1>Soup</h1>");
+    expect(data.pageContent).not.toContain("Grandma's kitchen");
+    // The nested match is not duplicated
+    expect(data.pageContent.match(/Tip/g)).toHaveLength(1);
+  });
+
+  test("EXTRACT_RECIPE falls back to auto isolation when include matches nothing", async () => {
+    document.body.innerHTML = `<div class="entry-content">${para("Fold in the flour")}</div>`;
+
+    const data = await extractWithRule({ hostPattern: "localhost", include: [".missing"] });
+    expect(data.contentStats.strategy).not.toBe("site-rule");
+    expect(data.pageContent).toContain("Fold in the flour");
+  });
+
+  test("EXTRACT_RECIPE opens collapsed sections named by the site rule first", async () => {
+    document.body.innerHTML = `
+      <details class="steps"><summary>Steps</summary><p>Bake</p></details>
+      <button class="show-more">Show full recipe</button>`;
+    const button = document.querySelector(".show-more");
+    const onClick = jest.fn();
+    button.addEventListener("click", onClick);
+
+    await extractWithRule({ hostPattern: "localhost", expand: [".steps", ".show-more"] });
+    expect(document.querySelector(".steps").open).toBe(true);
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  test("EXTRACT_RECIPE uses the site's same-origin print view when linked", async () => {
+    document.body.innerHTML = `<p>Live page</p><a class="print" href="/print/42">Print</a>`;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve("<html><body><p>Printable chili</p></body></html>"),
+    });
+
+    const data = await extractWithRule({ hostPattern: "localhost", printLinkSelector: "a.print" });
+    expect(global.fetch).toHaveBeenCalledWith(`${window.location.origin}/print/42`, {
+      credentials: "include",
+    });
+    expect(data.pageContent).toContain("Printable chili");
+    expect(data.pageContent).not.toContain("Live page");
+    expect(data.contentStats.printView).toBe(true);
+    delete global.fetch;
+  });
+
+  test("EXTRACT_RECIPE ignores print links to another origin", async () => {
+    document.body.innerHTML = `<p>Live page</p><a class="print" href="https://x.test/p">P</a>`;
+    global.fetch = jest.fn();
+
+    const data = await extractWithRule({ hostPattern: "localhost", printLinkSelector: "a.print" });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(data.pageContent).toContain("Live page");
+    delete global.fetch;
+  });
+
+  test("EXTRACT_PREVIEW reads the page without the site rule's clicks or fetches", () => {
+    document.body.innerHTML = `
+      <details class="steps"><summary>Steps</summary><p>Bake</p></details>
+      <a class="print" href="/print/42">Print</a>`;
+    global.fetch = jest.fn();
+    const siteRule = { hostPattern: "localhost", expand: [".steps"], printLinkSelector: "a.print" };
+
+    const listener = getOnMessageListener();
+    const sendResponse = jest.fn();
+    expect(listener({ type: "EXTRACT_PREVIEW", siteRule }, {}, sendResponse)).toBe(false);
+
+    const { data } = sendResponse.mock.calls[0][0];
+    expect(document.querySelector(".steps").open).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(data.pageContent).toBeUndefined();
+    expect(data.contentStats.cleanedSize).toBeGreaterThan(0);
+    delete global.fetch;
+  });
+
+  // Helper: select the contents of the given element and run EXTRACT_SELECTION
+  function extractSelection(el, message = {}) {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    const listener = getOnMessageListener();
+    const sendResponse = jest.fn();
+    listener({ type: "EXTRACT_SELECTION", ...message }, {}, sendResponse);
+    return sendResponse.mock.calls[0][0];
+  }
+
+  test("EXTRACT_SELECTION returns only the highlighted fragment", () => {
+    document.title = "Forum thread";
+    document.body.innerHTML = `
+      <div class="post"><p id="intro">Hi all,</p><p id="recipe">Mix flour and water.</p></div>
+      <div class="post"><p>Nice!</p></div>`;
+
+    const response = extractSelection(document.getElementById("recipe"));
+    expect(response.success).toBe(true);
+    expect(response.data.title).toBe("Forum thread");
+    expect(response.data.pageUrl).toBe(window.location.href);
+    expect(response.data.pageContent).toContain("Mix flour and water.");
+    expect(response.data.pageContent).toContain("<title>Forum thread</title>");
+    expect(response.data.pageContent).not.toContain("Hi all,");
+    expect(response.data.contentStats.strategy).toBe("selection");
+  });
+
+  test("EXTRACT_SELECTION can include the enclosing block", () => {
+    document.body.innerHTML = `
+      <div class="post"><p>Hi all,</p><p id="recipe">Mix flour and water.</p></div>
+      <div class="post"><p>Nice!</p></div>`;
+
+    const response = extractSelection(document.getElementById("recipe"), {
+      includeEnclosingBlock: true,
+    });
+    expect(response.data.pageContent).toContain("Hi all,");
+    expect(response.data.pageContent).toContain("Mix flour and water.");
+    expect(response.data.pageContent).not.toContain("Nice!");
+    expect(response.data.contentStats.strategy).toBe("selection-block");
+  });
+
+  test("EXTRACT_SELECTION fails when nothing is highlighted", () => {
+    window.getSelection().removeAllRanges();
+    const listener = getOnMessageListener();
+    const sendResponse = jest.fn();
+    listener({ type: "EXTRACT_SELECTION" }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenCalledWith({
+      success: false,
+      error: "Highlight the recipe text first",
+    });
+  });
+
+  describe("element picker", () => {
+    function startPicker() {
+      const listener = getOnMessageListener();
+      const sendResponse = jest.fn();
+      const returned = listener({ type: "PICK_RECIPE_ELEMENT" }, {}, sendResponse);
+      expect(returned).toBe(true);
+      return sendResponse;
+    }
+
+    function extractPicked() {
+      const listener = getOnMessageListener();
+      const sendResponse = jest.fn();
+      listener({ type: "EXTRACT_PICKED_ELEMENT" }, {}, sendResponse);
+      return sendResponse.mock.calls[0][0];
+    }
+
+    const hover = (el) => el.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    const press = (key) =>
+      document.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true }));
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div id="page">
+          <div id="card"><ul id="list"><li><span id="item">2 eggs</span></li></ul></div>
+          <div id="comments"><p>Yum</p></div>
+        </div>`;
+    });
+
+    test("shows instructions and highlights the hovered block", () => {
+      startPicker();
+      flushAnimationFrame();
+      expect(document.querySelector(".kukbuk-bubble-text").textContent).toBe(
+        "Click the recipe area",
+      );
+
+      hover(document.getElementById("item"));
+      const highlight = document.getElementById("kukbuk-picker-highlight");
+      expect(highlight).not.toBeNull();
+      // Inline <span> snaps to its enclosing block
+      expect(highlight.getAttribute("data-label")).toBe("li");
+    });
+
+    test("click picks the highlighted block after moving to the parent", async () => {
+      const sendResponse = startPicker();
+      hover(document.getElementById("item"));
+      press("ArrowUp"); // li -> ul
+      press("ArrowUp"); // ul -> div#card
+      press("ArrowDown"); // back to ul
+      press("ArrowUp"); // div#card
+      document.getElementById("item").click();
+      await Promise.resolve();
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(document.getElementById("kukbuk-picker-highlight")).toBeNull();
+
+      const response = extractPicked();
+      expect(response.success).toBe(true);
+      expect(response.data.pageContent).toContain('<div id="card">');
+      expect(response.data.pageContent).not.toContain("Yum");
+      expect(response.data.contentStats.strategy).toBe("picked-element");
+    });
+
+    test("Esc cancels without picking", async () => {
+      const sendResponse = startPicker();
+      hover(document.getElementById("item"));
+      press("Escape");
+      await Promise.resolve();
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, cancelled: true });
+      expect(document.getElementById("kukbuk-picker-highlight")).toBeNull();
+      expect(extractPicked()).toEqual({ success: false, error: "Pick the recipe area first" });
+    });
+  });
+
+  test("detail line is rendered and cleared on state swap", () => {
+    sendBubble({ text: "Saved", variant: "success", detail: "Read from markup" });
+    flushAnimationFrame();
+    expect(document.querySelector(".kukbuk-bubble-detail").textContent).toBe("Read from markup");
+
+    sendBubble({ text: "Saving…", variant: "loading" });
+    expect(document.querySelector(".kukbuk-bubble-detail")).toBeNull();
+  });
+
+  test("error ref shows a short request ID and copies the full one", async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, "clipboard", { value: { writeText }, configurable: true });
+    const requestId = "3f2a1b9c-0d4e-4f5a-8b6c-7d8e9f0a1b2c";
+
+    sendBubble({ text: "Saving…", variant: "loading" });
+    sendBubble({ text: "Couldn't save", variant: "error", copyRef: requestId });
+    const ref = document.querySelector(".kukbuk-bubble-ref");
+    expect(ref.textContent).toBe("ref 3f2a1b9c…");
+
+    ref.click();
+    await Promise.resolve();
+    expect(writeText).toHaveBeenCalledWith(requestId);
+    expect(ref.textContent).toBe("Reference copied");
+
+    sendBubble({ text: "Saving…", variant: "loading" });
+    expect(document.querySelector(".kukbuk-bubble-ref")).toBeNull();
+  });
+
+  test("action button sends its message to the background and closes the bubble", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue(undefined);
+    sendBubble({
+      text: "Already saved",
+      variant: "info",
+      action: { label: "Save again", message: { type: "SAVE_AGAIN" } },
+    });
+    flushAnimationFrame();
+
+    const button = document.querySelector(".kukbuk-bubble-action");
+    expect(button.textContent).toBe("Save again");
+    button.click();
+    await Promise.resolve();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: "SAVE_AGAIN" });
+    expect(document.querySelector(".kukbuk-light-bubble.hide")).not.toBeNull();
+  });
+
   test("unknown message type responds with success:false", () => {
     const listener = getOnMessageListener();
     const sendResponse = jest.fn();
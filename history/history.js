@@ -0,0 +1,165 @@
+import { logError, showMessage } from "../common/error-handler.js";
+import { MESSAGE_TYPES } from "../common/constants.js";
+import { SAVE_STATUS, getSaveHistory, filterSaveHistory } from "../common/save-history.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+  [SAVE_STATUS.SAVED]: "Saved",
+  [SAVE_STATUS.NOT_RECIPE]: "Not a recipe",
+  [SAVE_STATUS.FAILED]: "Failed",
+  [SAVE_STATUS.QUEUED]: "Waiting to send",
+};
+
+const filtersForm = document.getElementById("history-filters");
+const searchInput = document.getElementById("history-search");
+const statusSelect = document.getElementById("history-status");
+const rangeSelect = document.getElementById("history-range");
+const historyList = document.getElementById("history-list");
+const statusMessage = document.getElementById("status-message");
+
+let entries = [];
+
+document.addEventListener("DOMContentLoaded", initHistory);
+
+async function initHistory() {
+  filtersForm.addEventListener("submit", (event) => event.preventDefault());
+  searchInput.addEventListener("input", renderHistory);
+  statusSelect.addEventListener("change", renderHistory);
+  rangeSelect.addEventListener("change", renderHistory);
+
+  // Saves made (or retried) in other tabs show up when coming back here
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") loadHistory();
+  });
+
+  await loadHistory();
+}
+
+async function loadHistory() {
+  try {
+    entries = await getSaveHistory();
+    renderHistory();
+  } catch (error) {
+    logError("Error loading save history", error);
+    showMessage(statusMessage, "Could not load your saves", "error");
+  }
+}
+
+function renderHistory() {
+  const visible = filterSaveHistory(entries, {
+    query: searchInput.value,
+    status: statusSelect.value,
+    since: getRangeStart(rangeSelect.value),
+  });
+
+  if (visible.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "empty";
+    empty.textContent = entries.length === 0 ? "Nothing saved yet" : "No saves match";
+    historyList.replaceChildren(empty);
+    return;
+  }
+  historyList.replaceChildren(...visible.map(createHistoryItem));
+}
+
+/**
+ * @param {string} range - "today", a number of days, or "" for any time
+ * @returns {number} Earliest timestamp to show (0 = no limit)
+ */
+function getRangeStart(range) {
+  if (range === "today") {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    return startOfDay.getTime();
+  }
+  const days = Number(range);
+  return days ? Date.now() - days * DAY_MS : 0;
+}
+
+function createHistoryItem(entry) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+
+  const dot = document.createElement("span");
+  dot.className = `dot ${entry.status}`;
+
+  const body = document.createElement("div");
+  body.className = "history-body";
+
+  const title = document.createElement("a");
+  title.className = "history-title";
+  title.href = entry.url;
+  title.target = "_blank";
+  title.rel = "noopener noreferrer";
+  title.textContent = entry.recipeName || entry.title || entry.url;
+  title.title = entry.url;
+
+  const meta = document.createElement("div");
+  meta.className = "history-meta";
+  meta.textContent = [
+    STATUS_LABELS[entry.status] || entry.status,
+    new Date(entry.timestamp).toLocaleString(),
+    `${(entry.duration / 1000).toFixed(1)}s`,
+    safeHostname(entry.url),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  body.append(title, meta);
+
+  if (entry.status === SAVE_STATUS.FAILED && (entry.error || entry.errorCode)) {
+    const error = document.createElement("div");
+    error.className = "history-error";
+    const ref = entry.requestId ? ` (ref ${entry.requestId})` : "";
+    error.textContent = `${entry.error || entry.errorCode}${ref}`;
+    body.appendChild(error);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "history-actions";
+  if (entry.driveUrl) {
+    const driveLink = document.createElement("a");
+    driveLink.className = "btn";
+    driveLink.href = entry.driveUrl;
+    driveLink.target = "_blank";
+    driveLink.rel = "noopener noreferrer";
+    driveLink.textContent = "Open in Drive ↗";
+    actions.appendChild(driveLink);
+  }
+  if (entry.status === SAVE_STATUS.FAILED && entry.url) {
+    const retryButton = document.createElement("button");
+    retryButton.className = "btn";
+    retryButton.textContent = "Retry";
+    retryButton.addEventListener("click", () => retrySave(entry, retryButton));
+    actions.appendChild(retryButton);
+  }
+
+  item.append(dot, body, actions);
+  return item;
+}
+
+async function retrySave(entry, button) {
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.RETRY_SAVE,
+      id: entry.id,
+    });
+    if (!response?.success) {
+      showMessage(statusMessage, response?.error || "Could not retry this save", "error");
+    }
+  } catch (error) {
+    logError("Retry save error", error);
+    showMessage(statusMessage, "Could not retry this save", "error");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function safeHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
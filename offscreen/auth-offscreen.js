@@ -1,18 +1,24 @@
 /**
  * Offscreen Document for Firebase Authentication
- * Uses signInWithCredential with OAuth token from Chrome Identity API
+ * Uses signInWithCredential with the Google access token from chrome.identity
+ * (getAuthToken in Google Chrome, launchWebAuthFlow elsewhere)
  */
 
-import { initializeApp } from "firebase/app";
+import { initializeApp, getApps } from "firebase/app";
 import {
   getAuth,
   GoogleAuthProvider,
   signInWithCredential,
   signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
   signOut as firebaseSignOut,
+  updateCurrentUser,
   onAuthStateChanged,
 } from "firebase/auth";
 import { ENV } from "../common/env-config.js";
+import { getFirebaseErrorMessage } from "../common/firebase-errors.js";
 
 console.log("[Offscreen] Auth offscreen document loaded");
 
@@ -41,11 +47,41 @@ try {
       console.log("[Offscreen] Firebase auth state restored:", user ? user.email : "no user");
       isFirebaseReady = true;
     }
+    // Also covers users who signed in before accounts were kept separately
+    if (user) {
+      keepAccountSession(user).catch((error) => {
+        console.error("[Offscreen] Could not keep account session:", error);
+      });
+    }
   });
 } catch (error) {
   console.error("[Offscreen] Firebase initialization error:", error);
 }
 
+/**
+ * Firebase Auth instance that keeps one account's session
+ * The default instance holds the active account; each signed-in account also has its
+ * own named app, persisted separately, so switching back needs no credentials.
+ * @param {string} userId - Firebase UID
+ */
+function getAccountAuth(userId) {
+  const name = `account-${userId}`;
+  const accountApp =
+    getApps().find((existing) => existing.name === name) || initializeApp(firebaseConfig, name);
+  return getAuth(accountApp);
+}
+
+/**
+ * Copy the active user's session into its account's own Auth instance
+ */
+async function keepAccountSession(user) {
+  const accountAuth = getAccountAuth(user.uid);
+  await accountAuth.authStateReady();
+  if (accountAuth.currentUser?.uid !== user.uid) {
+    await updateCurrentUser(accountAuth, user);
+  }
+}
+
 // Listen for messages from the service worker
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log("[Offscreen] Received message:", message.type);
@@ -64,7 +100,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === "FIREBASE_SIGN_OUT") {
-    handleSignOut()
+    handleSignOut(message.userId)
       .then(() => {
         console.log("[Offscreen] Sign-out successful");
         sendResponse({ success: true });
@@ -102,6 +138,58 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Async response
   }
 
+  if (message.type === "FIREBASE_SIGN_UP_WITH_EMAIL") {
+    handleSignUpWithEmail(message.email, message.password)
+      .then((result) => {
+        console.log("[Offscreen] Email/password sign-up successful");
+        sendResponse(result);
+      })
+      .catch((error) => {
+        console.error("[Offscreen] Email/password sign-up error:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Async response
+  }
+
+  if (message.type === "FIREBASE_SEND_PASSWORD_RESET") {
+    handleSendPasswordReset(message.email)
+      .then((result) => {
+        console.log("[Offscreen] Password reset email sent");
+        sendResponse(result);
+      })
+      .catch((error) => {
+        console.error("[Offscreen] Password reset error:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Async response
+  }
+
+  if (message.type === "FIREBASE_SEND_VERIFICATION") {
+    handleSendVerification()
+      .then((result) => {
+        console.log("[Offscreen] Verification email sent");
+        sendResponse(result);
+      })
+      .catch((error) => {
+        console.error("[Offscreen] Verification email error:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Async response
+  }
+
+  if (message.type === "FIREBASE_SWITCH_ACCOUNT") {
+    handleSwitchAccount(message.userId)
+      .then((result) => {
+        console.log("[Offscreen] Account switch successful");
+        sendResponse(result);
+      })
+      .catch((error) => {
+        console.error("[Offscreen] Account switch error:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Async response
+  }
+
   if (message.type === "FIREBASE_CHECK_READY") {
     sendResponse({
       ready: isFirebaseReady,
@@ -130,6 +218,7 @@ async function handleSignInWithCredential(accessToken) {
     const user = result.user;
 
     console.log("[Offscreen] User authenticated:", user.email);
+    await keepAccountSession(user);
 
     // Get Firebase ID token
     const firebaseToken = await user.getIdToken();
@@ -151,24 +240,29 @@ async function handleSignInWithCredential(accessToken) {
     console.error("[Offscreen] Error code:", error.code);
     console.error("[Offscreen] Error message:", error.message);
 
-    // Handle specific Firebase errors
+    // An invalid credential here means the Google token, not a password
     if (error.code === "auth/invalid-credential") {
       throw new Error("Invalid Google credential. Please try again.");
-    } else if (error.code === "auth/network-request-failed") {
-      throw new Error("Network error. Please check your internet connection.");
-    } else {
-      throw new Error(error.message || "Google sign-in failed");
     }
+    throw new Error(getFirebaseErrorMessage(error, "Google sign-in failed"));
   }
 }
 
 /**
  * Handle Firebase sign-out
+ * Without a userId the active account is signed out; with one, only that account's
+ * kept session is dropped
  */
-async function handleSignOut() {
+async function handleSignOut(userId) {
   try {
     console.log("[Offscreen] Signing out from Firebase...");
-    await firebaseSignOut(auth);
+    const accountId = userId || auth.currentUser?.uid;
+    if (!userId) {
+      await firebaseSignOut(auth);
+    }
+    if (accountId) {
+      await firebaseSignOut(getAccountAuth(accountId));
+    }
     console.log("[Offscreen] Signed out successfully");
     return { success: true };
   } catch (error) {
@@ -177,6 +271,42 @@ async function handleSignOut() {
   }
 }
 
+/**
+ * Handle switching the active account to another kept session
+ */
+async function handleSwitchAccount(userId) {
+  try {
+    if (!auth) {
+      throw new Error("Firebase auth not initialized in offscreen document");
+    }
+
+    const accountAuth = getAccountAuth(userId);
+    await accountAuth.authStateReady();
+    if (!accountAuth.currentUser) {
+      // Same wording as a refresh without a user, so the account is dropped as signed out
+      throw new Error("No authenticated user");
+    }
+
+    await updateCurrentUser(auth, accountAuth.currentUser);
+    const user = auth.currentUser;
+    const firebaseToken = await user.getIdToken();
+
+    return {
+      success: true,
+      userId: user.uid,
+      email: user.email,
+      displayName: user.displayName,
+      photoURL: user.photoURL,
+      emailVerified: user.emailVerified,
+      firebaseToken: firebaseToken,
+    };
+  } catch (error) {
+    console.error("[Offscreen] Error code:", error.code);
+    // Raw message: the background tells a revoked session from a network error by it
+    throw new Error(error.message || "Could not switch account");
+  }
+}
+
 /**
  * Handle Firebase token refresh
  */
@@ -225,6 +355,7 @@ async function handleSignInWithEmail(email, password) {
     const user = result.user;
 
     console.log("[Offscreen] User authenticated:", user.email);
+    await keepAccountSession(user);
 
     // Get Firebase ID token
     const firebaseToken = await user.getIdToken();
@@ -237,6 +368,7 @@ async function handleSignInWithEmail(email, password) {
       email: user.email,
       displayName: user.displayName,
       photoURL: user.photoURL,
+      emailVerified: user.emailVerified,
       firebaseToken: firebaseToken,
     };
   } catch (error) {
@@ -244,20 +376,89 @@ async function handleSignInWithEmail(email, password) {
     console.error("[Offscreen] Error code:", error.code);
     console.error("[Offscreen] Error message:", error.message);
 
-    // Handle specific Firebase errors
-    if (error.code === "auth/invalid-credential" || error.code === "auth/wrong-password") {
-      throw new Error("Invalid email or password. Please try again.");
-    } else if (error.code === "auth/user-not-found") {
-      throw new Error("Account not found. Please create an account on our website.");
-    } else if (error.code === "auth/invalid-email") {
-      throw new Error("Invalid email address format.");
-    } else if (error.code === "auth/network-request-failed") {
-      throw new Error("Network error. Please check your internet connection.");
-    } else if (error.code === "auth/too-many-requests") {
-      throw new Error("Too many failed attempts. Please try again later.");
-    } else {
-      throw new Error(error.message || "Email/password sign-in failed");
+    throw new Error(getFirebaseErrorMessage(error, "Email/password sign-in failed"));
+  }
+}
+
+/**
+ * Handle Firebase account creation with email and password
+ * Firebase signs the new user in; the verification email goes out straight away
+ */
+async function handleSignUpWithEmail(email, password) {
+  try {
+    if (!auth) {
+      throw new Error("Firebase auth not initialized in offscreen document");
+    }
+
+    console.log("[Offscreen] Creating email/password account...");
+
+    const result = await createUserWithEmailAndPassword(auth, email, password);
+    const user = result.user;
+
+    console.log("[Offscreen] Account created:", user.email);
+    await keepAccountSession(user);
+
+    // The account is usable without it, so a failed send only means the user resends later
+    try {
+      await sendEmailVerification(user);
+    } catch (error) {
+      console.error("[Offscreen] Verification email error:", error);
+    }
+
+    const firebaseToken = await user.getIdToken();
+
+    return {
+      success: true,
+      userId: user.uid,
+      email: user.email,
+      displayName: user.displayName,
+      photoURL: user.photoURL,
+      emailVerified: user.emailVerified,
+      firebaseToken: firebaseToken,
+    };
+  } catch (error) {
+    console.error("[Offscreen] Email/password sign-up error:", error);
+    console.error("[Offscreen] Error code:", error.code);
+    throw new Error(getFirebaseErrorMessage(error, "Could not create your account"));
+  }
+}
+
+/**
+ * Handle sending a password reset email
+ */
+async function handleSendPasswordReset(email) {
+  try {
+    if (!auth) {
+      throw new Error("Firebase auth not initialized in offscreen document");
     }
+
+    await sendPasswordResetEmail(auth, email);
+    return { success: true };
+  } catch (error) {
+    console.error("[Offscreen] Error code:", error.code);
+    throw new Error(getFirebaseErrorMessage(error, "Could not send the password reset email"));
+  }
+}
+
+/**
+ * Handle resending the verification email to the signed-in user
+ */
+async function handleSendVerification() {
+  try {
+    if (!auth) {
+      throw new Error("Firebase auth not initialized in offscreen document");
+    }
+
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error("Please sign in again to resend the verification email.");
+    }
+
+    await sendEmailVerification(user);
+    return { success: true };
+  } catch (error) {
+    console.error("[Offscreen] Error code:", error.code);
+    throw new Error(getFirebaseErrorMessage(error, "Could not send the verification email"));
   }
 }
 
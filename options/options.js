@@ -1,13 +1,45 @@
 import { logError, showMessage } from "../common/error-handler.js";
-import { MESSAGE_TYPES } from "../common/constants.js";
+import { MESSAGE_TYPES, STORAGE_KEYS } from "../common/constants.js";
+import {
+  DEFAULT_SITE_RULES,
+  getUserSiteRules,
+  saveUserSiteRules,
+  normalizeSiteRule,
+} from "../common/site-rules.js";
+import { getSelectedFolder, setSelectedFolder } from "../common/drive-folder.js";
+
+// Wait this long after the last keystroke before searching Drive
+const FOLDER_SEARCH_DELAY_MS = 300;
 
 const userEmail = document.getElementById("user-email");
+const userPhoto = document.getElementById("user-photo");
 const loggedInView = document.getElementById("logged-in-view");
 const loggedOutView = document.getElementById("logged-out-view");
 const loginButton = document.getElementById("login-button");
 const logoutButton = document.getElementById("logout-button");
+const otherAccounts = document.getElementById("other-accounts");
+const accountList = document.getElementById("account-list");
+const addAccountButton = document.getElementById("add-account-button");
 const versionElement = document.getElementById("version");
 const statusMessage = document.getElementById("status-message");
+const siteRuleForm = document.getElementById("site-rule-form");
+const userRulesList = document.getElementById("user-rules-list");
+const builtinRulesList = document.getElementById("builtin-rules-list");
+const shortcutsList = document.getElementById("shortcuts-list");
+const editShortcutsButton = document.getElementById("edit-shortcuts-button");
+const shortcutsHint = document.getElementById("shortcuts-hint");
+const reviewBeforeSaveCheckbox = document.getElementById("review-before-save");
+const currentFolderLink = document.getElementById("current-folder-link");
+const currentFolderEmpty = document.getElementById("current-folder-empty");
+const folderSearchForm = document.getElementById("folder-search-form");
+const folderSearchInput = document.getElementById("folder-search");
+const folderList = document.getElementById("folder-list");
+const folderCreateForm = document.getElementById("folder-create-form");
+const newFolderNameInput = document.getElementById("new-folder-name");
+
+let folderSearchTimer = null;
+// Searches can overlap while typing; only the latest result is shown
+let folderSearchRequest = 0;
 
 document.addEventListener("DOMContentLoaded", initOptions);
 
@@ -20,8 +52,9 @@ async function initOptions() {
 
     const authStatus = await sendMessageToBackground(MESSAGE_TYPES.AUTH_CHECK);
 
-    if (authStatus.success && authStatus.authenticated) {
-      showLoggedInView(authStatus.email);
+    const signedIn = authStatus.success && authStatus.authenticated;
+    if (signedIn) {
+      showLoggedInView(authStatus.email, authStatus.photoURL);
       statusMessage.textContent = "";
     } else {
       showLoggedOutView();
@@ -33,6 +66,16 @@ async function initOptions() {
     }
 
     setupEventListeners();
+    await renderAccounts();
+    await renderCurrentFolder();
+    if (signedIn) {
+      await searchFolders();
+    } else {
+      showFolderListMessage("Log in to choose a folder from your Drive");
+    }
+    await renderSavingSettings();
+    await renderSiteRules();
+    await renderShortcuts();
   } catch (error) {
     logError("Error initializing options page", error);
     showLoggedOutView();
@@ -74,24 +117,406 @@ function setupEventListeners() {
       showMessage(statusMessage, "Logout failed", "error");
     }
   });
+
+  // Sign-in happens in a popup window; the page catches up once the account is stored
+  addAccountButton.addEventListener("click", () => {
+    sendMessageToBackground(MESSAGE_TYPES.ADD_ACCOUNT).catch((error) =>
+      logError("Add account error", error),
+    );
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes[STORAGE_KEYS.USER_ID]?.newValue) {
+      // Another account is active: its folder and Drive differ, so start over
+      window.location.reload();
+    } else if (changes[STORAGE_KEYS.ACCOUNTS]) {
+      renderAccounts();
+    }
+  });
+
+  folderSearchInput.addEventListener("input", () => {
+    clearTimeout(folderSearchTimer);
+    folderSearchTimer = setTimeout(searchFolders, FOLDER_SEARCH_DELAY_MS);
+  });
+
+  folderSearchForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearTimeout(folderSearchTimer);
+    searchFolders();
+  });
+
+  folderCreateForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const name = newFolderNameInput.value.trim();
+    if (!name) return;
+
+    try {
+      showMessage(statusMessage, "Creating folder...", "info");
+      const response = await sendMessageToBackground(MESSAGE_TYPES.CREATE_FOLDER, { name });
+      if (!response?.success) {
+        showMessage(statusMessage, response?.error || "Could not create folder", "error");
+        return;
+      }
+
+      folderCreateForm.reset();
+      await chooseFolder(response.folder);
+      await searchFolders();
+    } catch (error) {
+      logError("Create folder error", error);
+      showMessage(statusMessage, "Could not create folder", "error");
+    }
+  });
+
+  reviewBeforeSaveCheckbox.addEventListener("change", async () => {
+    try {
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.REVIEW_BEFORE_SAVE]: reviewBeforeSaveCheckbox.checked,
+      });
+    } catch (error) {
+      logError("Error saving review setting", error);
+      showMessage(statusMessage, "Could not save setting", "error");
+    }
+  });
+
+  // Browser pages can't be opened from a plain link
+  editShortcutsButton.addEventListener("click", () => {
+    const { open, url } = getShortcutSettings();
+    if (open) open();
+    else chrome.tabs.create({ url });
+  });
+
+  siteRuleForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    try {
+      const rule = normalizeSiteRule({
+        hostPattern: document.getElementById("rule-host").value,
+        include: document.getElementById("rule-include").value,
+        exclude: document.getElementById("rule-exclude").value,
+        expand: document.getElementById("rule-expand").value,
+        printLinkSelector: document.getElementById("rule-print").value,
+      });
+
+      // One rule per host pattern: saving again replaces it
+      const rules = await getUserSiteRules();
+      await saveUserSiteRules([
+        ...rules.filter((existing) => existing.hostPattern !== rule.hostPattern),
+        rule,
+      ]);
+
+      siteRuleForm.reset();
+      await renderSiteRules();
+      showMessage(statusMessage, `Rule saved for ${rule.hostPattern}`, "success");
+    } catch (error) {
+      showMessage(statusMessage, error.message || "Could not save rule", "error");
+    }
+  });
+}
+
+// Accounts
+async function renderAccounts() {
+  let accounts = [];
+  try {
+    const response = await sendMessageToBackground(MESSAGE_TYPES.AUTH_LIST_ACCOUNTS);
+    accounts = response?.success ? response.accounts : [];
+  } catch (error) {
+    logError("Error listing accounts", error);
+  }
+
+  const others = accounts.filter((account) => !account.active);
+  otherAccounts.hidden = others.length === 0;
+  accountList.replaceChildren(
+    ...others.map((account) => {
+      const item = document.createElement("li");
+      const name = document.createElement("div");
+      name.className = "account-list-name";
+      const email = document.createElement("strong");
+      email.textContent = account.email || account.displayName || "Unknown user";
+      name.append(createAvatar(account.photoURL), email);
+
+      const actions = document.createElement("div");
+      actions.className = "account-actions";
+      const switchButton = document.createElement("button");
+      switchButton.className = "btn secondary";
+      switchButton.textContent = "Switch";
+      switchButton.addEventListener("click", () => switchAccount(account));
+      const removeButton = document.createElement("button");
+      removeButton.className = "btn secondary";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => removeAccount(account));
+      actions.append(switchButton, removeButton);
+
+      item.append(name, actions);
+      return item;
+    }),
+  );
+}
+
+function createAvatar(photoURL) {
+  const avatar = document.createElement("img");
+  avatar.className = "avatar";
+  avatar.alt = "";
+  avatar.src = photoURL || "";
+  avatar.hidden = !photoURL;
+  return avatar;
+}
+
+async function switchAccount(account) {
+  try {
+    showMessage(statusMessage, `Switching to ${account.email}...`, "info");
+    const response = await sendMessageToBackground(MESSAGE_TYPES.AUTH_SWITCH_ACCOUNT, {
+      userId: account.userId,
+    });
+    if (response?.success) {
+      window.location.reload();
+    } else {
+      showMessage(statusMessage, response?.error || "Could not switch account", "error");
+      await renderAccounts();
+    }
+  } catch (error) {
+    logError("Switch account error", error);
+    showMessage(statusMessage, "Could not switch account", "error");
+  }
+}
+
+async function removeAccount(account) {
+  try {
+    const response = await sendMessageToBackground(MESSAGE_TYPES.AUTH_LOGOUT, {
+      userId: account.userId,
+    });
+    if (!response?.success) {
+      showMessage(statusMessage, response?.error || "Could not remove account", "error");
+      return;
+    }
+    await renderAccounts();
+    showMessage(statusMessage, `${account.email} was signed out`, "info");
+  } catch (error) {
+    logError("Remove account error", error);
+    showMessage(statusMessage, "Could not remove account", "error");
+  }
+}
+
+// Drive folder
+async function renderCurrentFolder() {
+  const folder = await getSelectedFolder();
+  currentFolderLink.hidden = !folder;
+  currentFolderEmpty.hidden = Boolean(folder);
+  if (!folder) return;
+
+  currentFolderLink.textContent = folder.name || folder.id;
+  currentFolderLink.href = folder.url || `https://drive.google.com/drive/folders/${folder.id}`;
+}
+
+async function searchFolders() {
+  const request = ++folderSearchRequest;
+  try {
+    const response = await sendMessageToBackground(MESSAGE_TYPES.LIST_FOLDERS, {
+      query: folderSearchInput.value.trim(),
+    });
+    if (request !== folderSearchRequest) return;
+
+    if (!response?.success) {
+      showFolderListMessage(response?.error || "Could not load your folders");
+      return;
+    }
+    await renderFolderList(response.folders);
+  } catch (error) {
+    logError("Error listing Drive folders", error);
+    if (request === folderSearchRequest) showFolderListMessage("Could not load your folders");
+  }
+}
+
+async function renderFolderList(folders) {
+  if (folders.length === 0) {
+    showFolderListMessage(
+      folderSearchInput.value.trim() ? "No folders match" : "No folders yet — create one below",
+    );
+    return;
+  }
+
+  const current = await getSelectedFolder();
+  folderList.replaceChildren(
+    ...folders.map((folder) => {
+      const item = document.createElement("li");
+      const name = document.createElement("span");
+      name.textContent = folder.name;
+      item.appendChild(name);
+
+      if (folder.id === current?.id) {
+        item.className = "selected";
+        const badge = document.createElement("span");
+        badge.className = "rule-summary";
+        badge.textContent = "In use";
+        item.appendChild(badge);
+      } else {
+        const useButton = document.createElement("button");
+        useButton.className = "btn secondary";
+        useButton.textContent = "Use";
+        useButton.addEventListener("click", async () => {
+          await chooseFolder(folder);
+          await renderFolderList(folders);
+        });
+        item.appendChild(useButton);
+      }
+      return item;
+    }),
+  );
+}
+
+function showFolderListMessage(text) {
+  const item = document.createElement("li");
+  item.className = "empty";
+  item.textContent = text;
+  folderList.replaceChildren(item);
+}
+
+async function chooseFolder(folder) {
+  try {
+    await setSelectedFolder(folder);
+    await renderCurrentFolder();
+    showMessage(statusMessage, `Recipes will be saved to ${folder.name}`, "success");
+  } catch (error) {
+    logError("Error saving Drive folder", error);
+    showMessage(statusMessage, "Could not save folder", "error");
+  }
+}
+
+// Saving
+async function renderSavingSettings() {
+  const stored = await chrome.storage.sync.get([STORAGE_KEYS.REVIEW_BEFORE_SAVE]);
+  reviewBeforeSaveCheckbox.checked = Boolean(stored[STORAGE_KEYS.REVIEW_BEFORE_SAVE]);
+}
+
+// Site rules
+async function renderSiteRules() {
+  const userRules = await getUserSiteRules();
+
+  userRulesList.replaceChildren();
+  if (userRules.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "empty";
+    empty.textContent = "No rules yet";
+    userRulesList.appendChild(empty);
+  }
+  userRules.forEach((rule) => {
+    const removeButton = document.createElement("button");
+    removeButton.className = "btn secondary";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => removeSiteRule(rule.hostPattern));
+    userRulesList.appendChild(createRuleItem(rule, removeButton));
+  });
+
+  builtinRulesList.replaceChildren(...DEFAULT_SITE_RULES.map((rule) => createRuleItem(rule)));
+}
+
+async function removeSiteRule(hostPattern) {
+  try {
+    const rules = await getUserSiteRules();
+    await saveUserSiteRules(rules.filter((rule) => rule.hostPattern !== hostPattern));
+    await renderSiteRules();
+    showMessage(statusMessage, `Rule removed for ${hostPattern}`, "info");
+  } catch (error) {
+    logError("Error removing site rule", error);
+    showMessage(statusMessage, "Could not remove rule", "error");
+  }
+}
+
+function createRuleItem(rule, action = null) {
+  const item = document.createElement("li");
+  const text = document.createElement("div");
+
+  const host = document.createElement("strong");
+  host.textContent = rule.hostPattern;
+  const summary = document.createElement("div");
+  summary.className = "rule-summary";
+  summary.textContent = describeRule(rule);
+  text.append(host, summary);
+
+  item.appendChild(text);
+  if (action) item.appendChild(action);
+  return item;
+}
+
+function describeRule(rule) {
+  const parts = [];
+  if (rule.include?.length) parts.push(`keep ${rule.include.join(", ")}`);
+  if (rule.exclude?.length) parts.push(`remove ${rule.exclude.join(", ")}`);
+  if (rule.expand?.length) parts.push(`expand ${rule.expand.join(", ")}`);
+  if (rule.printLinkSelector) parts.push(`print view via ${rule.printLinkSelector}`);
+  return parts.join(" · ");
+}
+
+// Keyboard shortcuts
+/**
+ * Where this browser lets the user change extension shortcuts. Each Chromium browser
+ * has its own scheme for the page.
+ * @returns {{open?: function(): void, url?: string, hint?: string}} How to get there;
+ *   only a hint when the page can't be opened for the user
+ */
+function getShortcutSettings() {
+  if (typeof chrome.commands.openShortcutSettings === "function") {
+    return { open: () => chrome.commands.openShortcutSettings() };
+  }
+
+  const brands = (navigator.userAgentData?.brands || []).map(({ brand }) => brand);
+  if (brands.includes("Microsoft Edge")) return { url: "edge://extensions/shortcuts" };
+  if (navigator.brave || brands.includes("Brave")) return { url: "brave://extensions/shortcuts" };
+  if (brands.includes("Google Chrome") || brands.includes("Chromium")) {
+    return { url: "chrome://extensions/shortcuts" };
+  }
+  return {
+    hint: "Open your browser's extensions page and look for its keyboard shortcuts settings.",
+  };
+}
+
+async function renderShortcuts() {
+  const commands = await chrome.commands.getAll();
+
+  const { hint } = getShortcutSettings();
+  editShortcutsButton.hidden = Boolean(hint);
+  shortcutsHint.hidden = !hint;
+  shortcutsHint.textContent = hint || "";
+
+  shortcutsList.replaceChildren(
+    ...commands
+      // Built-in commands such as _execute_action aren't ours to describe
+      .filter((command) => !command.name.startsWith("_"))
+      .map((command) => {
+        const item = document.createElement("li");
+        const description = document.createElement("span");
+        description.textContent = command.description;
+
+        const binding = document.createElement(command.shortcut ? "kbd" : "span");
+        binding.textContent = command.shortcut || "Not set";
+        if (!command.shortcut) binding.className = "rule-summary";
+
+        item.append(description, binding);
+        return item;
+      }),
+  );
 }
 
 // UI state management
-function showLoggedInView(email) {
+function showLoggedInView(email, photoURL) {
   loggedInView.style.display = "block";
   loggedOutView.style.display = "none";
   userEmail.textContent = email || "Unknown user";
+  userPhoto.src = photoURL || "";
+  userPhoto.hidden = !photoURL;
+  addAccountButton.hidden = false;
 }
 
 function showLoggedOutView() {
   loggedInView.style.display = "none";
   loggedOutView.style.display = "block";
+  // Logging in is how the first account is added
+  addAccountButton.hidden = true;
 }
 
 // Communication with background script
-function sendMessageToBackground(type, data) {
+function sendMessageToBackground(type, fields = {}) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type, data }, (response) => {
+    chrome.runtime.sendMessage({ type, ...fields }, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {
@@ -8,9 +8,35 @@ const emailInput = document.getElementById("email-input");
 const passwordInput = document.getElementById("password-input");
 const googleSignInBtn = document.getElementById("google-signin-btn");
 
+const signupError = document.getElementById("signup-error");
+const emailSignupForm = document.getElementById("email-signup-form");
+const signupEmailInput = document.getElementById("signup-email-input");
+const signupPasswordInput = document.getElementById("signup-password-input");
+
+const resetError = document.getElementById("reset-error");
+const resetMessage = document.getElementById("reset-message");
+const resetForm = document.getElementById("reset-form");
+const resetEmailInput = document.getElementById("reset-email-input");
+
+const verifyEmail = document.getElementById("verify-email");
+const verifyError = document.getElementById("verify-error");
+const verifyMessage = document.getElementById("verify-message");
+const resendVerificationBtn = document.getElementById("resend-verification-btn");
+
+// Popup views, by section id; only one is shown at a time
+const VIEWS = ["login-section", "signup-section", "reset-section", "verify-section"];
+
 document.addEventListener("DOMContentLoaded", initPopup);
 
+// Opened from "Add Account…" while someone is signed in
+const addingAccount = new URLSearchParams(window.location.search).has("addAccount");
+
 async function initPopup() {
+  if (addingAccount) {
+    setupEventListeners();
+    return;
+  }
+
   try {
     const authStatus = await sendMessageToBackground(MESSAGE_TYPES.AUTH_CHECK);
     if (authStatus.success && authStatus.authenticated) {
@@ -24,13 +50,41 @@ async function initPopup() {
 }
 
 function showLoginError(msg) {
-  loginError.textContent = msg;
-  loginError.style.display = "block";
+  showMessage(loginError, msg);
 }
 
 function clearLoginError() {
-  loginError.textContent = "";
-  loginError.style.display = "none";
+  clearMessage(loginError);
+}
+
+function showMessage(element, msg) {
+  element.textContent = msg;
+  element.style.display = "block";
+}
+
+function clearMessage(element) {
+  element.textContent = "";
+  element.style.display = "none";
+}
+
+function showView(id) {
+  for (const view of VIEWS) {
+    const section = document.getElementById(view);
+    if (section) section.hidden = view !== id;
+  }
+}
+
+/**
+ * Close the popup once signed in, unless the email address still needs verifying
+ * @param {Object} authResponse - Successful sign-in or sign-up response
+ */
+function finishSignIn(authResponse) {
+  if (authResponse.emailVerified === false) {
+    verifyEmail.textContent = authResponse.email;
+    showView("verify-section");
+  } else {
+    window.close();
+  }
 }
 
 function setupEventListeners() {
@@ -53,7 +107,7 @@ function setupEventListeners() {
       });
 
       if (authResponse.success) {
-        window.close();
+        finishSignIn(authResponse);
       } else {
         showLoginError(authResponse.error || "Login failed");
       }
@@ -83,6 +137,102 @@ function setupEventListeners() {
       }
     });
   }
+
+  setupAccountEventListeners();
+}
+
+function setupAccountEventListeners() {
+  document.getElementById("show-signup-btn")?.addEventListener("click", () => {
+    clearMessage(signupError);
+    signupEmailInput.value = emailInput.value.trim();
+    showView("signup-section");
+  });
+
+  document.getElementById("show-reset-btn")?.addEventListener("click", () => {
+    clearMessage(resetError);
+    clearMessage(resetMessage);
+    resetEmailInput.value = emailInput.value.trim();
+    showView("reset-section");
+  });
+
+  document.querySelectorAll(".back-to-login-btn").forEach((button) => {
+    button.addEventListener("click", () => showView("login-section"));
+  });
+
+  emailSignupForm?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    clearMessage(signupError);
+
+    const email = signupEmailInput.value.trim();
+    const password = signupPasswordInput.value;
+
+    if (!email || !password) {
+      showMessage(signupError, "Please enter both email and password");
+      return;
+    }
+
+    try {
+      const authResponse = await sendMessageToBackground(MESSAGE_TYPES.AUTH_SIGN_UP, {
+        credentials: { email, password },
+      });
+
+      if (authResponse.success) {
+        finishSignIn(authResponse);
+      } else {
+        showMessage(signupError, authResponse.error || "Could not create your account");
+      }
+    } catch (error) {
+      logError("Sign-up error", error);
+      showMessage(signupError, error.message || "Could not create your account");
+    }
+  });
+
+  resetForm?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    clearMessage(resetError);
+    clearMessage(resetMessage);
+
+    const email = resetEmailInput.value.trim();
+    if (!email) {
+      showMessage(resetError, "Please enter your email address");
+      return;
+    }
+
+    try {
+      const response = await sendMessageToBackground(MESSAGE_TYPES.AUTH_RESET_PASSWORD, {
+        email,
+      });
+
+      if (response.success) {
+        showMessage(resetMessage, `Check ${email} for a link to reset your password.`);
+      } else {
+        showMessage(resetError, response.error || "Could not send the password reset email");
+      }
+    } catch (error) {
+      logError("Password reset error", error);
+      showMessage(resetError, error.message || "Could not send the password reset email");
+    }
+  });
+
+  resendVerificationBtn?.addEventListener("click", async () => {
+    clearMessage(verifyError);
+    clearMessage(verifyMessage);
+
+    try {
+      const response = await sendMessageToBackground(MESSAGE_TYPES.AUTH_RESEND_VERIFICATION);
+
+      if (response.success) {
+        showMessage(verifyMessage, "Verification email sent.");
+      } else {
+        showMessage(verifyError, response.error || "Could not send the verification email");
+      }
+    } catch (error) {
+      logError("Verification email error", error);
+      showMessage(verifyError, error.message || "Could not send the verification email");
+    }
+  });
+
+  document.getElementById("verify-done-btn")?.addEventListener("click", () => window.close());
 }
 
 function sendMessageToBackground(type, data) {
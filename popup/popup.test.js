@@ -11,6 +11,8 @@ const POPUP_HTML = `
       <input type="password" id="password-input" />
       <button type="submit" class="btn primary">Sign In</button>
     </form>
+    <button id="show-reset-btn" class="link-btn" type="button">Forgot password?</button>
+    <button id="show-signup-btn" class="link-btn" type="button">Create an account</button>
     <div class="divider"><span>or</span></div>
     <div class="oauth-providers">
       <button id="google-signin-btn" class="btn secondary oauth-btn" type="button">
@@ -18,6 +20,31 @@ const POPUP_HTML = `
       </button>
     </div>
   </section>
+  <section id="signup-section" hidden>
+    <p id="signup-error" style="display: none"></p>
+    <form id="email-signup-form">
+      <input type="email" id="signup-email-input" />
+      <input type="password" id="signup-password-input" />
+      <button type="submit" class="btn primary">Create Account</button>
+    </form>
+    <button class="link-btn back-to-login-btn" type="button">Sign in</button>
+  </section>
+  <section id="reset-section" hidden>
+    <p id="reset-error" style="display: none"></p>
+    <p id="reset-message" style="display: none"></p>
+    <form id="reset-form">
+      <input type="email" id="reset-email-input" />
+      <button type="submit" class="btn primary">Send Reset Link</button>
+    </form>
+    <button class="link-btn back-to-login-btn" type="button">Back to sign in</button>
+  </section>
+  <section id="verify-section" hidden>
+    <strong id="verify-email"></strong>
+    <p id="verify-error" style="display: none"></p>
+    <p id="verify-message" style="display: none"></p>
+    <button id="resend-verification-btn" type="button">Resend Email</button>
+    <button id="verify-done-btn" type="button">Done</button>
+  </section>
 </div>
 `;
 
@@ -29,6 +56,9 @@ jest.mock("../common/constants.js", () => ({
   MESSAGE_TYPES: {
     AUTH_CHECK: "AUTH_CHECK",
     AUTH_PROVIDER_SIGNIN: "AUTH_PROVIDER_SIGNIN",
+    AUTH_SIGN_UP: "AUTH_SIGN_UP",
+    AUTH_RESET_PASSWORD: "AUTH_RESET_PASSWORD",
+    AUTH_RESEND_VERIFICATION: "AUTH_RESEND_VERIFICATION",
   },
 }));
 
@@ -71,6 +101,7 @@ describe("popup.js - login-only popup", () => {
     err.textContent = "";
     sendMessageMock.mockClear();
     closeSpy.mockClear();
+    document.querySelector(".back-to-login-btn").click();
   });
 
   it("renders login section in the DOM", () => {
@@ -185,4 +216,92 @@ describe("popup.js - login-only popup", () => {
     const loginError = document.getElementById("login-error");
     expect(loginError.textContent).toContain("Please enter both email and password");
   });
+
+  describe("account views", () => {
+    const isShown = (id) => !document.getElementById(id).hidden;
+
+    it("creates an account and asks the user to verify their email", async () => {
+      sendMessageMock.mockImplementationOnce((msg, callback) => {
+        callback({ success: true, email: "new@example.com", emailVerified: false });
+      });
+
+      document.getElementById("email-input").value = "new@example.com";
+      document.getElementById("show-signup-btn").click();
+      expect(isShown("signup-section")).toBe(true);
+      expect(isShown("login-section")).toBe(false);
+      expect(document.getElementById("signup-email-input").value).toBe("new@example.com");
+
+      document.getElementById("signup-password-input").value = "secret1";
+      document.getElementById("email-signup-form").dispatchEvent(new Event("submit"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(sendMessageMock).toHaveBeenCalledWith(
+        {
+          type: "AUTH_SIGN_UP",
+          credentials: { email: "new@example.com", password: "secret1" },
+        },
+        expect.any(Function),
+      );
+      expect(isShown("verify-section")).toBe(true);
+      expect(document.getElementById("verify-email").textContent).toBe("new@example.com");
+      expect(closeSpy).not.toHaveBeenCalled();
+    });
+
+    it("shows sign-up errors in the sign-up view", async () => {
+      sendMessageMock.mockImplementationOnce((msg, callback) => {
+        callback({ success: false, error: "An account with this email already exists." });
+      });
+
+      document.getElementById("show-signup-btn").click();
+      document.getElementById("signup-email-input").value = "taken@example.com";
+      document.getElementById("signup-password-input").value = "secret1";
+      document.getElementById("email-signup-form").dispatchEvent(new Event("submit"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(document.getElementById("signup-error").textContent).toBe(
+        "An account with this email already exists.",
+      );
+      expect(isShown("signup-section")).toBe(true);
+    });
+
+    it("sends a password reset email", async () => {
+      sendMessageMock.mockImplementationOnce((msg, callback) => callback({ success: true }));
+
+      document.getElementById("show-reset-btn").click();
+      document.getElementById("reset-email-input").value = "user@example.com";
+      document.getElementById("reset-form").dispatchEvent(new Event("submit"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(sendMessageMock).toHaveBeenCalledWith(
+        { type: "AUTH_RESET_PASSWORD", email: "user@example.com" },
+        expect.any(Function),
+      );
+      expect(document.getElementById("reset-message").textContent).toContain("user@example.com");
+    });
+
+    it("offers to resend the verification email after signing in unverified", async () => {
+      sendMessageMock
+        .mockImplementationOnce((msg, callback) => {
+          callback({ success: true, email: "user@example.com", emailVerified: false });
+        })
+        .mockImplementationOnce((msg, callback) => callback({ success: true }));
+
+      document.getElementById("email-input").value = "user@example.com";
+      document.getElementById("password-input").value = "password123";
+      document.getElementById("email-login-form").dispatchEvent(new Event("submit"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(isShown("verify-section")).toBe(true);
+
+      document.getElementById("resend-verification-btn").click();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(sendMessageMock).toHaveBeenLastCalledWith(
+        { type: "AUTH_RESEND_VERIFICATION" },
+        expect.any(Function),
+      );
+      expect(document.getElementById("verify-message").textContent).toBe(
+        "Verification email sent.",
+      );
+    });
+  });
 });
@@ -0,0 +1,94 @@
+/**
+ * Page sections for the review window
+ *
+ * The cleaned page HTML is split at its headings so the user can drop whole parts
+ * (comment threads, "you may also like", the life story) before the page is sent.
+ *
+ * @typedef {Object} PageSection
+ * @property {string|null} heading - Heading text; null for content before the first heading
+ * @property {string} text - Section text, one line per block (paragraph, list item, …)
+ * @property {Range} range - Extent of the section in the parsed document
+ */
+
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+// Elements that start a new line in the text rendering
+const BLOCK_TAGS = new Set([
+  "ARTICLE",
+  "BLOCKQUOTE",
+  "BR",
+  "DD",
+  "DIV",
+  "DT",
+  "FIGCAPTION",
+  "H1",
+  "H2",
+  "H3",
+  "H4",
+  "H5",
+  "H6",
+  "LI",
+  "P",
+  "PRE",
+  "SECTION",
+  "TR",
+]);
+
+/**
+ * @param {string} html - Page HTML
+ * @returns {Document} Parsed, inert document
+ */
+export function parsePage(html) {
+  return new DOMParser().parseFromString(html, "text/html");
+}
+
+/**
+ * Splits a document into sections, each running from a heading to the next one
+ * @param {Document} doc - Parsed page
+ * @returns {PageSection[]} Sections in page order, empty ones left out
+ */
+export function getSections(doc) {
+  const { body } = doc;
+  const headings = [...body.querySelectorAll(HEADING_SELECTOR)];
+
+  // The first section starts at the top of the page, before any heading
+  const starts = [null, ...headings];
+  return starts
+    .map((heading, index) => {
+      const range = doc.createRange();
+      if (heading) range.setStartBefore(heading);
+      else range.setStart(body, 0);
+
+      const next = headings[index];
+      if (next) range.setEndBefore(next);
+      else range.setEnd(body, body.childNodes.length);
+
+      return {
+        heading: heading ? collapse(heading.textContent) : null,
+        text: toText(range.cloneContents()).split("\n").map(collapse).filter(Boolean).join("\n"),
+        range,
+      };
+    })
+    .filter((section) => section.text);
+}
+
+/**
+ * Removes sections from their document and serializes what's left
+ * @param {Document} doc - Document the sections came from
+ * @param {PageSection[]} sections - Sections to drop
+ * @returns {string} Remaining page HTML
+ */
+export function removeSections(doc, sections) {
+  // Last first, so earlier ranges are untouched by each deletion
+  [...sections].reverse().forEach((section) => section.range.deleteContents());
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
+
+function toText(node) {
+  if (node.nodeType === 3) return node.textContent;
+  const inner = [...node.childNodes].map(toText).join("");
+  return BLOCK_TAGS.has(node.nodeName) ? `\n${inner}\n` : inner;
+}
+
+function collapse(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,48 @@
+import { getSections, parsePage, removeSections } from "./review-sections.js";
+
+describe("review sections", () => {
+  const html = `<html><head><title>Stew</title></head><body>
+    <p>My grandmother's kitchen was always warm.</p>
+    <div class="recipe">
+      <h2>Ingredients</h2>
+      <ul><li>500 g beef</li><li>2 carrots</li></ul>
+      <h2>Method</h2>
+      <ol><li>Brown the beef.</li><li>Simmer for two hours.</li></ol>
+    </div>
+    <section><h3>Comments</h3><p>Great recipe!</p></section>
+  </body></html>`;
+
+  test("splits the page at its headings", () => {
+    const sections = getSections(parsePage(html));
+
+    expect(sections.map((section) => section.heading)).toEqual([
+      null,
+      "Ingredients",
+      "Method",
+      "Comments",
+    ]);
+    expect(sections[0].text).toBe("My grandmother's kitchen was always warm.");
+    expect(sections[1].text).toBe("Ingredients\n500 g beef\n2 carrots");
+    expect(sections[3].text).toBe("Comments\nGreat recipe!");
+  });
+
+  test("leaves out empty sections", () => {
+    const sections = getSections(parsePage("<body><h1>Title</h1><p>Body</p></body>"));
+
+    expect(sections).toHaveLength(1);
+    expect(sections[0].heading).toBe("Title");
+  });
+
+  test("removes the chosen sections and keeps the rest of the page", () => {
+    const doc = parsePage(html);
+    const sections = getSections(doc);
+
+    const trimmed = removeSections(doc, [sections[0], sections[3]]);
+
+    expect(trimmed).toContain("<title>Stew</title>");
+    expect(trimmed).toContain("<li>500 g beef</li>");
+    expect(trimmed).toContain("Simmer for two hours.");
+    expect(trimmed).not.toContain("grandmother");
+    expect(trimmed).not.toContain("Great recipe!");
+  });
+});
@@ -0,0 +1,113 @@
+import { MESSAGE_TYPES, PORT_NAMES } from "../common/constants.js";
+import { parseTags } from "../common/tags.js";
+import { getSections, parsePage, removeSections } from "./review-sections.js";
+
+// Well under the 30 s after which Chrome stops an idle service worker
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+const reviewStatus = document.getElementById("review-status");
+const reviewForm = document.getElementById("review-form");
+const titleInput = document.getElementById("review-title");
+const urlText = document.getElementById("review-url");
+const sectionList = document.getElementById("section-list");
+const sizeText = document.getElementById("review-size");
+const tagsInput = document.getElementById("review-tags");
+const notesInput = document.getElementById("review-notes");
+const cancelButton = document.getElementById("cancel-button");
+
+const reviewId = new URLSearchParams(window.location.search).get("id");
+
+let draft = null;
+let doc = null;
+let sections = [];
+// Indexes into `sections` the user unticked
+const removed = new Set();
+
+// The background sends the draft as soon as we connect; closing the window cancels
+const port = chrome.runtime.connect({ name: `${PORT_NAMES.REVIEW}:${reviewId}` });
+port.onMessage.addListener((message) => {
+  if (message.type === MESSAGE_TYPES.REVIEW_DRAFT) showDraft(message.draft);
+});
+setInterval(
+  () => port.postMessage({ type: MESSAGE_TYPES.REVIEW_KEEPALIVE }),
+  KEEPALIVE_INTERVAL_MS,
+);
+
+reviewForm.addEventListener("submit", handleSubmit);
+cancelButton.addEventListener("click", () => window.close());
+
+function showDraft(reviewDraft) {
+  if (!reviewDraft) {
+    reviewStatus.textContent = "This review has expired. Save the page again to start over.";
+    return;
+  }
+
+  draft = reviewDraft;
+  doc = parsePage(draft.pageContent);
+  sections = getSections(doc);
+
+  titleInput.value = draft.title || "";
+  urlText.textContent = draft.pageUrl;
+  sectionList.replaceChildren(...sections.map(createSectionItem));
+  updateSize();
+
+  reviewStatus.hidden = true;
+  reviewForm.hidden = false;
+  titleInput.focus();
+}
+
+function createSectionItem(section, index) {
+  const item = document.createElement("li");
+  item.className = "section-item";
+
+  const label = document.createElement("label");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = true;
+  checkbox.addEventListener("change", () => {
+    if (checkbox.checked) removed.delete(index);
+    else removed.add(index);
+    item.classList.toggle("removed", !checkbox.checked);
+    updateSize();
+  });
+  label.append(checkbox, section.heading || "Top of the page");
+
+  const text = document.createElement("div");
+  text.className = "section-text";
+  text.textContent = section.text;
+
+  item.append(label, text);
+  return item;
+}
+
+function updateSize() {
+  const kept = sections.filter((_section, index) => !removed.has(index));
+  const characters = kept.reduce((total, section) => total + section.text.length, 0);
+  sizeText.textContent =
+    `${kept.length} of ${sections.length} sections · ` +
+    `${characters.toLocaleString()} characters of text`;
+}
+
+function handleSubmit(event) {
+  event.preventDefault();
+  if (!draft) return;
+
+  // Untouched pages go out exactly as extracted
+  const pageContent = removed.size
+    ? removeSections(
+        doc,
+        sections.filter((_section, index) => removed.has(index)),
+      )
+    : draft.pageContent;
+
+  port.postMessage({
+    type: MESSAGE_TYPES.SUBMIT_REVIEW,
+    edits: {
+      title: titleInput.value.trim(),
+      pageContent,
+      tags: parseTags(tagsInput.value),
+      notes: notesInput.value.trim(),
+    },
+  });
+  window.close();
+}
@@ -22,6 +22,9 @@ const INCLUDE_FILES = [
   "background/**",
   "content/**",
   "options/**",
+  "history/**",
+  "sidepanel/**",
+  "review/**",
   "common/**",
   "icons/**",
 ];
@@ -0,0 +1,246 @@
+import { logError, showMessage } from "../common/error-handler.js";
+import { MESSAGE_TYPES, SKIP_REASONS, STORAGE_KEYS } from "../common/constants.js";
+import { SAVE_STATUS, getSaveHistory } from "../common/save-history.js";
+import { parseTags } from "../common/tags.js";
+
+const RECENT_SAVES_SHOWN = 8;
+
+const STATUS_LABELS = {
+  [SAVE_STATUS.SAVED]: "Saved",
+  [SAVE_STATUS.NOT_RECIPE]: "Not a recipe",
+  [SAVE_STATUS.FAILED]: "Failed",
+  [SAVE_STATUS.QUEUED]: "Waiting to send",
+};
+
+const previewStatus = document.getElementById("preview-status");
+const saveForm = document.getElementById("save-form");
+const titleInput = document.getElementById("recipe-title");
+const previewMeta = document.getElementById("preview-meta");
+const previousSave = document.getElementById("previous-save");
+const ingredientsDetails = document.getElementById("ingredients-details");
+const ingredientsSummary = document.getElementById("ingredients-summary");
+const ingredientsList = document.getElementById("ingredients-list");
+const stepsDetails = document.getElementById("steps-details");
+const stepsSummary = document.getElementById("steps-summary");
+const stepsList = document.getElementById("steps-list");
+const tagsInput = document.getElementById("recipe-tags");
+const notesInput = document.getElementById("recipe-notes");
+const saveButton = document.getElementById("save-button");
+const statusMessage = document.getElementById("status-message");
+const recentList = document.getElementById("recent-list");
+const allSavesLink = document.getElementById("all-saves-link");
+
+let currentTabId = null;
+// Tab switches can overlap; only the latest preview is shown
+let previewRequest = 0;
+
+document.addEventListener("DOMContentLoaded", initPanel);
+
+async function initPanel() {
+  saveForm.addEventListener("submit", handleSave);
+  allSavesLink.addEventListener("click", (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("history/history.html") });
+  });
+
+  // The panel follows whatever tab the user is looking at
+  chrome.tabs.onActivated.addListener(() => loadPreview());
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === currentTabId && changeInfo.status === "complete") loadPreview();
+  });
+  // Save history is kept per account
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && STORAGE_KEYS.USER_ID in changes) {
+      loadPreview();
+      loadRecentSaves();
+    }
+  });
+
+  await Promise.all([loadPreview(), loadRecentSaves()]);
+}
+
+async function loadPreview() {
+  const request = ++previewRequest;
+  previewStatus.textContent = "Reading page…";
+  previewStatus.hidden = false;
+  saveForm.hidden = true;
+  statusMessage.textContent = "";
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentTabId = tab?.id ?? null;
+    if (!currentTabId) {
+      previewStatus.textContent = "Open a recipe page to save it";
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_PAGE_PREVIEW,
+      tabId: currentTabId,
+    });
+    if (request !== previewRequest) return;
+
+    if (!response?.success) {
+      previewStatus.textContent = response?.error || "Couldn't read this page";
+      return;
+    }
+    renderPreview(response.preview);
+  } catch (error) {
+    logError("Error loading page preview", error);
+    if (request === previewRequest) previewStatus.textContent = "Couldn't read this page";
+  }
+}
+
+function renderPreview(preview) {
+  const recipe = preview.structuredData?.recipe;
+  titleInput.value = recipe?.name || preview.title || "";
+  tagsInput.value = "";
+  notesInput.value = "";
+
+  previewMeta.textContent = [
+    preview.structuredData
+      ? `Recipe markup found (${preview.structuredData.source})`
+      : "No recipe markup; the page text will be read",
+    formatContentStats(preview.contentStats),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  renderPreviousSave(preview.previousSave);
+  renderList(
+    ingredientsDetails,
+    ingredientsSummary,
+    ingredientsList,
+    "Ingredients",
+    recipe?.ingredients || [],
+  );
+  renderList(stepsDetails, stepsSummary, stepsList, "Steps", recipe?.instructions || []);
+
+  previewStatus.hidden = true;
+  saveForm.hidden = false;
+}
+
+function renderPreviousSave(entry) {
+  previousSave.hidden = !entry;
+  if (!entry) return;
+
+  previousSave.textContent = `Already saved on ${new Date(entry.timestamp).toLocaleDateString()}`;
+  if (entry.driveUrl) {
+    previousSave.append(" · ", createLink(entry.driveUrl, "Open in Drive ↗"));
+  }
+}
+
+function renderList(details, summary, list, label, items) {
+  details.hidden = items.length === 0;
+  summary.textContent = `${label} (${items.length})`;
+  list.replaceChildren(
+    ...items.map((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      return item;
+    }),
+  );
+}
+
+/**
+ * @param {Object} [stats] - contentStats from the content script
+ * @returns {string} e.g. "42 KB after cleanup (of 310 KB)"
+ */
+function formatContentStats(stats) {
+  if (!stats) return "";
+  const kb = (chars) => `${Math.max(1, Math.round(chars / 1024))} KB`;
+  return `${kb(stats.cleanedSize)} after cleanup (of ${kb(stats.originalSize)})`;
+}
+
+async function handleSave(event) {
+  event.preventDefault();
+  if (!currentTabId) return;
+
+  saveButton.disabled = true;
+  showMessage(statusMessage, "Saving…", "info");
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.SAVE_PAGE,
+      tabId: currentTabId,
+      title: titleInput.value.trim(),
+      tags: parseTags(tagsInput.value),
+      notes: notesInput.value.trim(),
+    });
+    showSaveResult(result);
+    await loadRecentSaves();
+  } catch (error) {
+    logError("Side panel save error", error);
+    showMessage(statusMessage, "Couldn't save", "error");
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
+function showSaveResult(result) {
+  if (result?.skipReason === SKIP_REASONS.IN_FLIGHT) {
+    showMessage(statusMessage, "This page is already being saved", "error");
+  } else if (result?.skipped) {
+    showMessage(statusMessage, "The browser doesn't let extensions read this page", "error");
+  } else if (result?.queued) {
+    showMessage(statusMessage, "Saved for later, once the connection is back", "success");
+  } else if (!result?.success) {
+    showMessage(statusMessage, result?.error || "Couldn't save", "error");
+  } else if (result.isRecipe === false) {
+    showMessage(statusMessage, "Not a recipe page", "error");
+  } else {
+    showMessage(statusMessage, `Saved: ${result.recipeName || titleInput.value}`, "success");
+  }
+}
+
+async function loadRecentSaves() {
+  try {
+    const entries = (await getSaveHistory()).slice(0, RECENT_SAVES_SHOWN);
+    if (entries.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty";
+      empty.textContent = "Nothing saved yet";
+      recentList.replaceChildren(empty);
+      return;
+    }
+    recentList.replaceChildren(...entries.map(createRecentItem));
+  } catch (error) {
+    logError("Error loading save history", error);
+  }
+}
+
+function createRecentItem(entry) {
+  const item = document.createElement("li");
+  item.className = "recent-item";
+
+  const dot = document.createElement("span");
+  dot.className = `dot ${entry.status}`;
+
+  const body = document.createElement("div");
+  body.className = "recent-body";
+  const title = createLink(
+    entry.driveUrl || entry.url,
+    entry.recipeName || entry.title || entry.url,
+  );
+  title.className = "recent-title";
+  title.title = entry.url;
+
+  const meta = document.createElement("div");
+  meta.className = "recent-meta";
+  meta.textContent = [
+    STATUS_LABELS[entry.status] || entry.status,
+    new Date(entry.timestamp).toLocaleDateString(),
+  ].join(" · ");
+
+  body.append(title, meta);
+  item.append(dot, body);
+  return item;
+}
+
+function createLink(url, text) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = text;
+  return link;
+}
@@ -15,4 +15,7 @@ export const ENV = {
   FIREBASE_MESSAGING_SENDER_ID: "${FIREBASE_MESSAGING_SENDER_ID}",
   FIREBASE_APP_ID: "${FIREBASE_APP_ID}",
   FIREBASE_AUTH_URL: "${FIREBASE_AUTH_URL}",
+
+  // Google sign-in outside Google Chrome (launchWebAuthFlow)
+  GOOGLE_WEB_CLIENT_ID: "${GOOGLE_WEB_CLIENT_ID}",
 };
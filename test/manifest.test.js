@@ -18,8 +18,30 @@ describe("manifest.json", () => {
     expect(manifest.permissions).toContain("identity");
   });
 
-  it("does not include notifications permission (OS notifications removed)", () => {
-    expect(manifest.permissions).not.toContain("notifications");
+  it("includes alarms permission for retrying queued saves", () => {
+    expect(manifest.permissions).toContain("alarms");
+  });
+
+  it("includes unlimitedStorage so queued page captures don't hit the storage quota", () => {
+    expect(manifest.permissions).toContain("unlimitedStorage");
+  });
+
+  it("includes notifications permission for saves that can't show a bubble", () => {
+    expect(manifest.permissions).toContain("notifications");
+  });
+
+  it("declares the side panel workspace", () => {
+    expect(manifest.permissions).toContain("sidePanel");
+    expect(manifest.side_panel.default_path).toBe("sidepanel/sidepanel.html");
+  });
+
+  it("declares keyboard commands for save, save selection and the recipe creator", () => {
+    expect(Object.keys(manifest.commands)).toEqual([
+      "save-recipe",
+      "save-selection",
+      "open-recipe-creator",
+    ]);
+    expect(manifest.commands["save-recipe"].suggested_key.default).toBe("Ctrl+Shift+S");
   });
 
   it("has oauth2 block with client_id and required scopes", () => {
@@ -36,14 +58,31 @@ describe("options.html structure", () => {
     optionsHtml = fs.readFileSync(path.resolve(__dirname, "../options/options.html"), "utf8");
   });
 
-  it("contains account section", () => {
+  it("contains account section with the account switcher", () => {
     expect(optionsHtml).toMatch(/id="account-section"/);
+    expect(optionsHtml).toMatch(/id="account-list"/);
+    expect(optionsHtml).toMatch(/id="add-account-button"/);
   });
 
   it("contains about section", () => {
     expect(optionsHtml).toMatch(/id="about-section"/);
   });
 
+  it("contains keyboard shortcuts section", () => {
+    expect(optionsHtml).toMatch(/id="shortcuts-section"/);
+  });
+
+  it("contains Drive folder section with search and create", () => {
+    expect(optionsHtml).toMatch(/id="folder-section"/);
+    expect(optionsHtml).toMatch(/id="folder-search"/);
+    expect(optionsHtml).toMatch(/id="folder-create-form"/);
+  });
+
+  it("contains saving section with the review toggle", () => {
+    expect(optionsHtml).toMatch(/id="saving-section"/);
+    expect(optionsHtml).toMatch(/id="review-before-save"/);
+  });
+
   it("does not contain notifications section (removed in redesign)", () => {
     expect(optionsHtml).not.toMatch(/id="notifications-section"/);
   });
@@ -93,3 +93,27 @@ export const mockConsole = () => {
 
   return logSpy;
 };
+
+/**
+ * Stand-in for the backend's Drive folder endpoints, for use with createMockInterceptor.
+ * Folders live in memory; listing filters by the `query` parameter like the backend.
+ * @param {Array<{id: string, name: string}>} [folders] - Folders that already exist
+ * @returns {Object} Handlers keyed by endpoint name, plus `folders` for assertions
+ */
+export const createDriveFoldersMock = (folders = []) => {
+  const store = [...folders];
+
+  return {
+    listFolders: (request) => {
+      const query = new URL(request.url).searchParams.get("query")?.toLowerCase() || "";
+      return { body: { folders: store.filter((f) => f.name.toLowerCase().includes(query)) } };
+    },
+    createFolder: (request) => {
+      const { name } = JSON.parse(request.body);
+      const folder = { id: `folder-${store.length + 1}`, name };
+      store.unshift(folder);
+      return { status: 201, body: folder };
+    },
+    folders: store,
+  };
+};